@@ -0,0 +1,442 @@
+/**
+ * Offline pins (service worker side)
+ *
+ * Imported into the generated Workbox service worker. The page hands over
+ * the URLs of a pinned collection (manifest, assets, previews, metadata);
+ * this worker downloads them with Background Fetch where the browser has
+ * it, otherwise with a queue that survives restarts and resumes where it
+ * stopped. Pinned URLs are answered from Cache Storage, so collections stay
+ * usable offline without the page having been open during the download.
+ *
+ * Message protocol (page -> worker, see src/storage/offlinePins.js):
+ *   { type: 'offline-pin', pin: { collectionId, name, entries } }
+ *   { type: 'offline-unpin', collectionId }
+ *   { type: 'offline-status' }  -> replies on event.ports[0]
+ *   { type: 'offline-resume' }
+ * Worker -> page broadcast: { type: 'offline-pin-progress', pin }
+ */
+
+(() => {
+  // Keep in sync with src/storage/offlinePins.js
+  const CACHE_NAME = 'radia-offline-pins-v1';
+  const DB_NAME = 'radia-offline-pins';
+  const STORE_NAME = 'pins';
+  const FETCH_ID_PREFIX = 'radia-pin:';
+
+  // Presigned URLs differ per signature; pins match on origin + path
+  const toMatchKey = (url) => {
+    const parsed = new URL(url, self.location.href);
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.href;
+  };
+
+  const openDb = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'collectionId' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  const runStore = async (mode, action) => {
+    const db = await openDb();
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, mode);
+        const request = action(tx.objectStore(STORE_NAME));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+      });
+    } finally {
+      db.close();
+    }
+  };
+
+  const listPins = () => runStore('readonly', (store) => store.getAll());
+  const getPin = (collectionId) => runStore('readonly', (store) => store.get(collectionId));
+  const putPin = (pin) => runStore('readwrite', (store) => store.put({ ...pin, updatedAt: Date.now() }));
+  const removePin = (collectionId) => runStore('readwrite', (store) => store.delete(collectionId));
+
+  // match key -> kind, for every pinned URL; read synchronously in the fetch handler
+  let pinnedKeys = null;
+
+  const refreshPinnedKeys = async () => {
+    const next = new Map();
+    for (const pin of await listPins()) {
+      pin.entries.forEach((entry) => next.set(entry.key, entry.kind));
+    }
+    pinnedKeys = next;
+    return next;
+  };
+
+  const pinnedKeysReady = refreshPinnedKeys().catch((err) => {
+    console.warn('[OfflinePins] Failed to read pins', err);
+    pinnedKeys = new Map();
+    return pinnedKeys;
+  });
+
+  const summarizePin = (pin) => ({
+    collectionId: pin.collectionId,
+    name: pin.name,
+    status: pin.status,
+    mode: pin.mode,
+    done: pin.done,
+    failed: pin.failed,
+    total: pin.entries.length,
+    error: pin.error || null,
+    updatedAt: pin.updatedAt,
+  });
+
+  const broadcast = async (pin) => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const message = { type: 'offline-pin-progress', pin: pin.status === 'removed' ? pin : summarizePin(pin) };
+    windows.forEach((client) => client.postMessage(message));
+  };
+
+  const savePinProgress = async (pin) => {
+    await putPin(pin);
+    await broadcast(pin);
+  };
+
+  const findMissingEntries = async (pin) => {
+    const cache = await caches.open(CACHE_NAME);
+    const missing = [];
+    for (const entry of pin.entries) {
+      if (!await cache.match(entry.key)) missing.push(entry);
+    }
+    return missing;
+  };
+
+  const countDone = async (pin) => pin.entries.length - (await findMissingEntries(pin)).length;
+
+  const cacheResponse = async (entry, response) => {
+    if (!response || !(response.ok || response.type === 'opaque')) return false;
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(entry.key, response);
+    return true;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Resumable queue (browsers without Background Fetch)
+  // ---------------------------------------------------------------------------
+
+  let queueRun = null;
+
+  const downloadPinQueue = async (collectionId) => {
+    let pin = await getPin(collectionId);
+    if (!pin) return;
+    const missing = await findMissingEntries(pin);
+    pin = { ...pin, status: 'downloading', done: pin.entries.length - missing.length, failed: 0, error: null };
+    await savePinProgress(pin);
+
+    for (const entry of missing) {
+      try {
+        const response = await fetch(entry.url, { mode: 'cors', credentials: 'omit' });
+        if (await cacheResponse(entry, response)) {
+          pin.done += 1;
+        } else {
+          pin.failed += 1;
+          pin.error = `HTTP ${response.status}`;
+        }
+      } catch (err) {
+        pin.failed += 1;
+        pin.error = err?.message || 'Network error';
+      }
+
+      // Unpinned while downloading: drop what just arrived and stop
+      if (!await getPin(collectionId)) {
+        if (!pinnedKeys?.has(entry.key)) {
+          await (await caches.open(CACHE_NAME)).delete(entry.key);
+        }
+        return;
+      }
+      await savePinProgress(pin);
+    }
+
+    await savePinProgress({ ...pin, status: pin.failed ? 'incomplete' : 'ready' });
+  };
+
+  /** Work through every pin that still has missing entries, one at a time. */
+  const runQueue = () => {
+    if (queueRun) return queueRun;
+    queueRun = (async () => {
+      try {
+        for (const pin of await listPins()) {
+          if (pin.mode !== 'queue' || pin.status === 'ready') continue;
+          await downloadPinQueue(pin.collectionId);
+        }
+      } catch (err) {
+        console.warn('[OfflinePins] Download queue stopped', err);
+      } finally {
+        queueRun = null;
+      }
+    })();
+    return queueRun;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Background Fetch
+  // ---------------------------------------------------------------------------
+
+  const supportsBackgroundFetch = () => Boolean(self.registration.backgroundFetch);
+
+  const abortBackgroundFetch = async (collectionId) => {
+    if (!supportsBackgroundFetch()) return;
+    const existing = await self.registration.backgroundFetch.get(`${FETCH_ID_PREFIX}${collectionId}`);
+    if (existing) await existing.abort();
+  };
+
+  const startBackgroundFetch = async (pin, missing) => {
+    await abortBackgroundFetch(pin.collectionId);
+    await self.registration.backgroundFetch.fetch(
+      `${FETCH_ID_PREFIX}${pin.collectionId}`,
+      missing.map((entry) => new Request(entry.url, { mode: 'cors', credentials: 'omit' })),
+      {
+        title: `Saving ${pin.name} for offline use`,
+        icons: [{ src: 'radiaIcon_192.png', sizes: '192x192', type: 'image/png' }],
+      },
+    );
+  };
+
+  // Store whatever arrived; anything still missing goes to the queue
+  const settleBackgroundFetch = async (registration) => {
+    const collectionId = registration.id.slice(FETCH_ID_PREFIX.length);
+    const pin = await getPin(collectionId);
+    if (!pin) return null;
+
+    const entriesByUrl = new Map(pin.entries.map((entry) => [new URL(entry.url, self.location.href).href, entry]));
+    for (const record of await registration.matchAll()) {
+      const entry = entriesByUrl.get(record.request.url);
+      if (!entry) continue;
+      try {
+        await cacheResponse(entry, await record.responseReady);
+      } catch {
+        // Left missing; the queue retries it
+      }
+    }
+
+    const done = await countDone(pin);
+    if (done === pin.entries.length) {
+      const next = { ...pin, status: 'ready', done, failed: 0, error: null };
+      await savePinProgress(next);
+      return next;
+    }
+    await savePinProgress({ ...pin, mode: 'queue', status: 'queued', done });
+    await runQueue();
+    return getPin(collectionId);
+  };
+
+  // ---------------------------------------------------------------------------
+  // Pin / unpin
+  // ---------------------------------------------------------------------------
+
+  const pinCollection = async ({ collectionId, name, entries }) => {
+    const unique = new Map();
+    (entries || []).forEach((entry) => {
+      if (!entry?.url) return;
+      const key = toMatchKey(entry.match || entry.url);
+      unique.set(key, { url: entry.url, key, kind: entry.kind || 'asset' });
+    });
+
+    const pin = {
+      collectionId,
+      name: name || collectionId,
+      entries: [...unique.values()],
+      status: 'queued',
+      mode: supportsBackgroundFetch() ? 'background-fetch' : 'queue',
+      done: 0,
+      failed: 0,
+      error: null,
+      createdAt: Date.now(),
+    };
+    pin.done = await countDone(pin);
+    await savePinProgress(pin);
+    await refreshPinnedKeys();
+
+    const missing = await findMissingEntries(pin);
+    if (!missing.length) {
+      await savePinProgress({ ...pin, status: 'ready' });
+      return;
+    }
+
+    if (pin.mode === 'background-fetch') {
+      try {
+        await startBackgroundFetch(pin, missing);
+        await savePinProgress({ ...pin, status: 'downloading' });
+        return;
+      } catch (err) {
+        // Denied permission, quota, duplicate URLs...
+        console.warn('[OfflinePins] Background Fetch unavailable, using queue', err);
+        await savePinProgress({ ...pin, mode: 'queue' });
+      }
+    }
+    await runQueue();
+  };
+
+  const unpinCollection = async (collectionId) => {
+    const pin = await getPin(collectionId);
+    await abortBackgroundFetch(collectionId).catch(() => {});
+    await removePin(collectionId);
+    const stillPinned = await refreshPinnedKeys();
+
+    if (pin) {
+      const cache = await caches.open(CACHE_NAME);
+      for (const entry of pin.entries) {
+        // Another pinned collection may share the URL
+        if (!stillPinned.has(entry.key)) await cache.delete(entry.key);
+      }
+    }
+    await broadcast({ collectionId, status: 'removed' });
+  };
+
+  const resumePins = async () => {
+    const pins = await listPins();
+    const fetches = supportsBackgroundFetch() ? await self.registration.backgroundFetch.getIds() : [];
+    for (const pin of pins) {
+      // A background fetch the browser dropped without an event
+      if (pin.mode === 'background-fetch' && pin.status !== 'ready' && !fetches.includes(`${FETCH_ID_PREFIX}${pin.collectionId}`)) {
+        await putPin({ ...pin, mode: 'queue', status: 'queued' });
+      }
+    }
+    await runQueue();
+  };
+
+  // ---------------------------------------------------------------------------
+  // Events
+  // ---------------------------------------------------------------------------
+
+  self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    let work = null;
+
+    switch (data.type) {
+      case 'offline-pin':
+        work = pinCollection(data.pin);
+        break;
+      case 'offline-unpin':
+        work = unpinCollection(data.collectionId);
+        break;
+      case 'offline-resume':
+        work = resumePins();
+        break;
+      case 'offline-status':
+        work = listPins().then((pins) => event.ports[0]?.postMessage({ pins: pins.map(summarizePin) }));
+        break;
+      default:
+        return;
+    }
+
+    event.waitUntil(work.catch((err) => {
+      console.warn(`[OfflinePins] ${data.type} failed`, err);
+      event.ports[0]?.postMessage({ error: err?.message || String(err) });
+    }));
+  });
+
+  self.addEventListener('activate', (event) => {
+    event.waitUntil(resumePins().catch(() => {}));
+  });
+
+  self.addEventListener('backgroundfetchsuccess', (event) => {
+    event.waitUntil((async () => {
+      const pin = await settleBackgroundFetch(event.registration);
+      if (pin) {
+        await event.updateUI({ title: `${pin.name} is available offline` });
+      }
+    })());
+  });
+
+  self.addEventListener('backgroundfetchfail', (event) => {
+    event.waitUntil(settleBackgroundFetch(event.registration));
+  });
+
+  self.addEventListener('backgroundfetchabort', (event) => {
+    event.waitUntil((async () => {
+      const collectionId = event.registration.id.slice(FETCH_ID_PREFIX.length);
+      const pin = await getPin(collectionId);
+      // Replaced by a re-pin: the new fetch reports for itself
+      if (!pin || await self.registration.backgroundFetch.get(event.registration.id)) return;
+      // Aborted from the browser UI: keep the pin, stop downloading
+      if (pin.mode === 'background-fetch') {
+        await savePinProgress({ ...pin, status: 'incomplete', done: await countDone(pin), error: 'Download cancelled' });
+      }
+    })());
+  });
+
+  self.addEventListener('backgroundfetchclick', (event) => {
+    event.waitUntil(self.clients.openWindow(self.registration.scope));
+  });
+
+  // ---------------------------------------------------------------------------
+  // Serving pinned URLs
+  // ---------------------------------------------------------------------------
+
+  const sliceRange = async (response, rangeHeader) => {
+    const blob = await response.blob();
+    const match = /^bytes=(\d+)-(\d*)$/.exec(rangeHeader.trim());
+    if (!match) {
+      return new Response(blob, { status: 200, headers: response.headers });
+    }
+    const start = Number(match[1]);
+    const end = match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+    if (start >= blob.size || end < start) {
+      return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+    }
+    return new Response(blob.slice(start, end + 1), {
+      status: 206,
+      headers: {
+        'Content-Type': response.headers.get('content-type') || 'application/octet-stream',
+        'Content-Length': String(end - start + 1),
+        'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      },
+    });
+  };
+
+  const fromCache = async (request, key) => {
+    const cached = await caches.match(key, { cacheName: CACHE_NAME });
+    if (!cached) return null;
+    const range = request.headers.get('range');
+    return range && cached.type !== 'opaque' ? sliceRange(cached, range) : cached;
+  };
+
+  const respondPinned = async (request, key, kind) => {
+    // Manifests change; prefer the network and fall back to the pinned copy
+    if (kind === 'manifest') {
+      try {
+        return await fetch(request);
+      } catch (err) {
+        const cached = await fromCache(request, key);
+        if (cached) return cached;
+        throw err;
+      }
+    }
+    return (await fromCache(request, key)) || fetch(request);
+  };
+
+  self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || request.mode === 'navigate') return;
+
+    let key;
+    try {
+      key = toMatchKey(request.url);
+    } catch {
+      return;
+    }
+
+    if (pinnedKeys) {
+      const kind = pinnedKeys.get(key);
+      if (kind) event.respondWith(respondPinned(request, key, kind));
+      return;
+    }
+
+    // Pins are still loading; only cross-origin requests are safe to take
+    // over here, same-origin ones belong to the precache routes
+    if (new URL(key).origin === self.location.origin) return;
+    event.respondWith(pinnedKeysReady.then((keys) => {
+      const kind = keys.get(key);
+      return kind ? respondPinned(request, key, kind) : fetch(request);
+    }));
+  });
+})();
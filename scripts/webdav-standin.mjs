@@ -0,0 +1,176 @@
+/**
+ * Minimal WebDAV stand-in for exercising the WebDAV source locally.
+ *
+ * Serves a directory with the subset the viewer uses: PROPFIND (Depth 0/1),
+ * GET/HEAD with Range, PUT, DELETE and MKCOL, plus permissive CORS.
+ *
+ * Usage:
+ *   node scripts/webdav-standin.mjs [rootDir]
+ *
+ * Environment:
+ *   PORT         Listen port (default 8090)
+ *   WEBDAV_USER  Enables Basic auth when set
+ *   WEBDAV_PASS  Password for WEBDAV_USER
+ */
+
+import { createServer } from 'node:http';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { mkdir, readdir, rm, stat } from 'node:fs/promises';
+import { join, resolve, sep } from 'node:path';
+import { pipeline } from 'node:stream/promises';
+
+const root = resolve(process.argv[2] || '.');
+const port = Number(process.env.PORT) || 8090;
+const user = process.env.WEBDAV_USER || '';
+const pass = process.env.WEBDAV_PASS || '';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'OPTIONS, GET, HEAD, PUT, DELETE, MKCOL, PROPFIND',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, Depth, Range, If-None-Match',
+  'Access-Control-Expose-Headers': 'Content-Length, Content-Range, ETag, DAV',
+};
+
+const escapeXml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const encodeHref = (urlPath) => urlPath.split('/').map(encodeURIComponent).join('/');
+
+const toFsPath = (urlPath) => {
+  const fsPath = resolve(join(root, urlPath));
+  if (fsPath !== root && !fsPath.startsWith(`${root}${sep}`)) {
+    return null;
+  }
+  return fsPath;
+};
+
+const isAuthorized = (req) => {
+  if (!user) return true;
+  const expected = `Basic ${Buffer.from(`${user}:${pass}`).toString('base64')}`;
+  return req.headers.authorization === expected;
+};
+
+const send = (res, status, body = '', headers = {}) => {
+  res.writeHead(status, { ...CORS_HEADERS, ...headers });
+  res.end(body);
+};
+
+const statOrNull = async (fsPath) => {
+  try {
+    return await stat(fsPath);
+  } catch {
+    return null;
+  }
+};
+
+const propEntry = (href, info) => {
+  const props = info.isDirectory()
+    ? '<d:resourcetype><d:collection/></d:resourcetype>'
+    : `<d:resourcetype/><d:getcontentlength>${info.size}</d:getcontentlength><d:getcontenttype>application/octet-stream</d:getcontenttype>`;
+  return `<d:response><d:href>${escapeXml(href)}</d:href><d:propstat><d:prop>${props}<d:getlastmodified>${info.mtime.toUTCString()}</d:getlastmodified></d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`;
+};
+
+const handlePropfind = async (req, res, urlPath, fsPath, info) => {
+  const basePath = urlPath.replace(/\/+$/, '');
+  const entries = [propEntry(encodeHref(`${basePath}${info.isDirectory() ? '/' : ''}`), info)];
+
+  if (info.isDirectory() && req.headers.depth !== '0') {
+    for (const name of await readdir(fsPath)) {
+      const childInfo = await statOrNull(join(fsPath, name));
+      if (!childInfo) continue;
+      const href = encodeHref(`${basePath}/${name}${childInfo.isDirectory() ? '/' : ''}`);
+      entries.push(propEntry(href, childInfo));
+    }
+  }
+
+  send(res, 207, `<?xml version="1.0" encoding="utf-8"?><d:multistatus xmlns:d="DAV:">${entries.join('')}</d:multistatus>`, {
+    'Content-Type': 'application/xml; charset=utf-8',
+  });
+};
+
+const handleGet = (req, res, fsPath, info) => {
+  const headers = {
+    'Accept-Ranges': 'bytes',
+    'Content-Type': 'application/octet-stream',
+    ETag: `"${info.size}-${info.mtimeMs}"`,
+  };
+  const match = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+
+  if (match && (match[1] || match[2])) {
+    const start = match[1] ? Number(match[1]) : Math.max(0, info.size - Number(match[2]));
+    const end = match[1] && match[2] ? Math.min(Number(match[2]), info.size - 1) : info.size - 1;
+    if (start > end || start >= info.size) {
+      send(res, 416, '', { 'Content-Range': `bytes */${info.size}` });
+      return;
+    }
+    res.writeHead(206, {
+      ...CORS_HEADERS,
+      ...headers,
+      'Content-Length': end - start + 1,
+      'Content-Range': `bytes ${start}-${end}/${info.size}`,
+    });
+    if (req.method === 'HEAD') return res.end();
+    createReadStream(fsPath, { start, end }).pipe(res);
+    return;
+  }
+
+  res.writeHead(200, { ...CORS_HEADERS, ...headers, 'Content-Length': info.size });
+  if (req.method === 'HEAD') return res.end();
+  createReadStream(fsPath).pipe(res);
+};
+
+const server = createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204, '', { DAV: '1' });
+    return;
+  }
+
+  if (!isAuthorized(req)) {
+    send(res, 401, '', { 'WWW-Authenticate': 'Basic realm="webdav-standin"' });
+    return;
+  }
+
+  const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  const fsPath = toFsPath(urlPath);
+  if (!fsPath) {
+    send(res, 403);
+    return;
+  }
+
+  try {
+    const info = await statOrNull(fsPath);
+
+    switch (req.method) {
+      case 'PROPFIND':
+        if (!info) return send(res, 404);
+        return await handlePropfind(req, res, urlPath, fsPath, info);
+      case 'GET':
+      case 'HEAD':
+        if (!info || info.isDirectory()) return send(res, 404);
+        return handleGet(req, res, fsPath, info);
+      case 'PUT':
+        if (info && req.headers['if-none-match'] === '*') return send(res, 412);
+        await pipeline(req, createWriteStream(fsPath));
+        return send(res, info ? 204 : 201);
+      case 'DELETE':
+        if (!info) return send(res, 404);
+        await rm(fsPath, { recursive: true, force: true });
+        return send(res, 204);
+      case 'MKCOL':
+        if (info) return send(res, 405);
+        await mkdir(fsPath);
+        return send(res, 201);
+      default:
+        return send(res, 405);
+    }
+  } catch (error) {
+    console.error(`[webdav-standin] ${req.method} ${urlPath} failed:`, error);
+    send(res, error.code === 'ENOENT' ? 409 : 500);
+  }
+});
+
+server.listen(port, () => {
+  console.log(`[webdav-standin] Serving ${root} at http://localhost:${port}/${user ? ` (user: ${user})` : ''}`);
+});
@@ -0,0 +1,197 @@
+/**
+ * Asset inspector.
+ * Collects format-level header details and splat statistics for the current
+ * asset into a plain JSON-serialisable report for debugging odd captures.
+ */
+
+import { getFormatHandler, resolveFormatHandler } from "./formats/index.js";
+import { getSplatEntry } from "./splatManager.js";
+import { isSourceAsset, loadAssetFile } from "./storage/index.js";
+
+const MAX_STAT_SAMPLES = 200_000;
+const PERCENTILE_LOW = 0.01;
+const PERCENTILE_HIGH = 0.99;
+const OPACITY_BINS = 10;
+// log10(max axis scale) from 0.0001 to 10 world units
+const SCALE_LOG_MIN = -4;
+const SCALE_LOG_MAX = 1;
+const SCALE_BINS = 10;
+
+const quantileSorted = (sorted, q) => {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  if (lower === upper) return sorted[lower];
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+};
+
+const round = (value, digits = 4) => (
+  Number.isFinite(value) ? Number(value.toFixed(digits)) : null
+);
+
+const roundVec = (values) => values.map((value) => round(value));
+
+const createHistogram = (bins, min, max) => ({
+  min,
+  max,
+  counts: new Array(bins).fill(0),
+  add(value) {
+    if (!Number.isFinite(value)) return;
+    const t = (value - min) / (max - min);
+    const index = Math.max(0, Math.min(bins - 1, Math.floor(t * bins)));
+    this.counts[index] += 1;
+  },
+  toJSON() {
+    return { min, max, counts: this.counts };
+  },
+});
+
+/**
+ * Sample the mesh's packed splats for bounds and distribution statistics.
+ * @param {SplatMesh} mesh
+ */
+export const collectSplatStatistics = (mesh, { maxSamples = MAX_STAT_SAMPLES } = {}) => {
+  const packedSplats = mesh?.packedSplats;
+  const numSplats = packedSplats?.numSplats ?? 0;
+  if (!numSplats) return null;
+
+  const step = Math.max(1, Math.ceil(numSplats / maxSamples));
+  const sampleCount = Math.ceil(numSplats / step);
+  const axes = [new Float32Array(sampleCount), new Float32Array(sampleCount), new Float32Array(sampleCount)];
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  const opacity = createHistogram(OPACITY_BINS, 0, 1);
+  const scale = createHistogram(SCALE_BINS, SCALE_LOG_MIN, SCALE_LOG_MAX);
+
+  let sampled = 0;
+  for (let i = 0; i < numSplats; i += step) {
+    const splat = packedSplats.getSplat(i);
+    const center = [splat.center.x, splat.center.y, splat.center.z];
+    for (let axis = 0; axis < 3; axis += 1) {
+      axes[axis][sampled] = center[axis];
+      if (center[axis] < min[axis]) min[axis] = center[axis];
+      if (center[axis] > max[axis]) max[axis] = center[axis];
+    }
+    opacity.add(splat.opacity);
+    const maxScale = Math.max(splat.scales.x, splat.scales.y, splat.scales.z);
+    scale.add(maxScale > 0 ? Math.log10(maxScale) : SCALE_LOG_MIN);
+    sampled += 1;
+  }
+
+  const percentileMin = [];
+  const percentileMax = [];
+  for (let axis = 0; axis < 3; axis += 1) {
+    const sorted = axes[axis].subarray(0, sampled).sort();
+    percentileMin.push(quantileSorted(sorted, PERCENTILE_LOW));
+    percentileMax.push(quantileSorted(sorted, PERCENTILE_HIGH));
+  }
+
+  return {
+    sampled,
+    sampleStep: step,
+    bounds: {
+      min: roundVec(min),
+      max: roundVec(max),
+      size: roundVec(max.map((value, axis) => value - min[axis])),
+    },
+    percentileBounds: {
+      low: PERCENTILE_LOW,
+      high: PERCENTILE_HIGH,
+      min: roundVec(percentileMin),
+      max: roundVec(percentileMax),
+    },
+    opacityHistogram: opacity.toJSON(),
+    scaleHistogram: { ...scale.toJSON(), unit: "log10(max axis scale)" },
+  };
+};
+
+/**
+ * Rough GPU footprint: the packed splat texture plus any extra SH buffers.
+ * Sort buffers and render targets are not included.
+ * @param {SplatMesh} mesh
+ */
+export const estimateGpuMemory = (mesh) => {
+  const packedSplats = mesh?.packedSplats;
+  if (!packedSplats) return null;
+
+  const packedBytes = packedSplats.packedArray?.byteLength ?? 0;
+  let extraBytes = 0;
+  for (const value of Object.values(packedSplats.extra ?? {})) {
+    if (ArrayBuffer.isView(value)) extraBytes += value.byteLength;
+  }
+
+  return {
+    packedBytes,
+    extraBytes,
+    totalBytes: packedBytes + extraBytes,
+    bytesPerSplat: packedSplats.numSplats
+      ? round((packedBytes + extraBytes) / packedSplats.numSplats, 1)
+      : null,
+  };
+};
+
+const describeCamera = (cameraMetadata) => {
+  if (!cameraMetadata) return null;
+  const { intrinsics, extrinsicCv, colorSpaceIndex } = cameraMetadata;
+  return {
+    intrinsics: intrinsics ?? null,
+    extrinsicCv: extrinsicCv ?? null,
+    colorSpaceIndex: colorSpaceIndex ?? null,
+  };
+};
+
+/**
+ * Build the inspector report for an asset.
+ * @param {Object} asset - Asset from the store
+ * @returns {Promise<Object>}
+ */
+export const inspectAsset = async (asset) => {
+  if (!asset) throw new Error("No asset selected");
+
+  const file = asset.file
+    ? asset.file
+    : typeof asset.loadFile === "function"
+      ? await asset.loadFile()
+      : (isSourceAsset(asset) ? await loadAssetFile(asset) : null);
+  if (!file) throw new Error("Unable to load asset file");
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const resolved = resolveFormatHandler(file, bytes);
+  const handler = resolved?.handler ?? getFormatHandler(file);
+  const entry = getSplatEntry(asset);
+  const mesh = entry?.mesh ?? null;
+
+  let format = null;
+  let formatError = null;
+  if (typeof handler?.inspect === "function") {
+    try {
+      format = await handler.inspect({ file, bytes });
+    } catch (err) {
+      formatError = err?.message || String(err);
+    }
+  }
+
+  const camera = describeCamera(entry?.cameraMetadata);
+
+  return {
+    file: {
+      name: file.name || asset.name,
+      size: file.size,
+      format: handler?.label ?? null,
+      detectedBy: resolved?.detectedBy ?? null,
+    },
+    splatCount: mesh?.packedSplats?.numSplats ?? null,
+    shDegree: format?.shDegree ?? null,
+    colorSpaceIndex: camera?.colorSpaceIndex ?? null,
+    headerComments: entry?.cameraMetadata?.headerComments?.length
+      ? entry.cameraMetadata.headerComments
+      : (format?.headerComments ?? []),
+    camera,
+    formatDetails: format?.details ?? null,
+    formatError,
+    statistics: collectSplatStatistics(mesh),
+    gpuMemory: estimateGpuMemory(mesh),
+    inspectedAt: new Date().toISOString(),
+  };
+};
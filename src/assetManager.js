@@ -3,6 +3,7 @@
  */
 
 import { getSupportedExtensions } from "./formats/index.js";
+import { isZipFile, openZipArchive } from "./utils/zipArchive.js";
 
 // Supported image extensions for preview matching
 const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp", ".gif", ".bmp"];
@@ -113,6 +114,93 @@ const getBaseName = (filename) => {
  */
 const createObjectUrl = (file) => URL.createObjectURL(file);
 
+/**
+ * Expand dropped ZIP archives of splat assets into lazy archive entries.
+ * Splat entries become descriptors ({ name, size, archiveName, loadFile })
+ * that are only inflated when the asset is loaded; only image entries whose
+ * base name matches a splat entry are extracted up front for previews.
+ * Archives without splat assets are left out and reported, flagging
+ * transfer bundles (root manifest.json) so callers can point to the importer.
+ * @param {Array<File>} files
+ * @returns {Promise<{ files: Array<File|Object>, archives: Array<{ name: string, assetCount: number, isTransferBundle: boolean, error?: string }> }>}
+ */
+export const expandAssetArchives = async (files) => {
+  const list = Array.from(files);
+  if (!list.some(isZipFile)) return { files: list, archives: [] };
+
+  const extensions = getSupportedExtensions();
+  const expanded = [];
+  const archives = [];
+
+  for (const file of list) {
+    if (!isZipFile(file)) {
+      expanded.push(file);
+      continue;
+    }
+
+    let archive;
+    try {
+      archive = await openZipArchive(file);
+    } catch (err) {
+      console.warn(`[AssetManager] Failed to read archive ${file.name}:`, err);
+      archives.push({ name: file.name, assetCount: 0, isTransferBundle: false, error: err?.message });
+      continue;
+    }
+
+    const assetEntries = archive.entries.filter((entry) => extensions.includes(getExtension(entry.name)));
+    const assetBaseNames = new Set(assetEntries.map((entry) => getBaseName(entry.name).toLowerCase()));
+    const previewEntries = archive.entries.filter((entry) => (
+      IMAGE_EXTENSIONS.includes(getExtension(entry.name))
+      && assetBaseNames.has(getBaseName(entry.name).toLowerCase())
+    ));
+
+    archives.push({
+      name: file.name,
+      assetCount: assetEntries.length,
+      isTransferBundle: assetEntries.length === 0 && archive.entries.some((entry) => entry.path === 'manifest.json'),
+    });
+
+    for (const entry of assetEntries) {
+      expanded.push({
+        name: entry.name,
+        size: entry.size,
+        archiveName: file.name,
+        loadFile: () => archive.extract(entry),
+      });
+    }
+
+    for (const entry of previewEntries) {
+      try {
+        expanded.push(await archive.extract(entry));
+      } catch (err) {
+        console.warn(`[AssetManager] Failed to extract preview ${entry.path} from ${file.name}:`, err);
+      }
+    }
+  }
+
+  return { files: expanded, archives };
+};
+
+/**
+ * Create an asset list entry from a File or a lazy archive entry.
+ */
+const createAssetEntry = (file, id) => {
+  const entry = {
+    id,
+    file: typeof file.loadFile === 'function' ? null : file,
+    name: file.name,
+    preview: null,
+    previewSource: null,
+    loaded: false,
+  };
+  if (!entry.file) {
+    entry.loadFile = file.loadFile;
+    entry.size = file.size;
+    entry.archiveName = file.archiveName;
+  }
+  return entry;
+};
+
 /**
  * Filter and sort files by supported extensions
  */
@@ -182,14 +270,9 @@ export const addAssets = async (files) => {
   const startId = assetList.length;
   
   // Create new asset entries
-  const newAssets = supportedFiles.map((file, index) => ({
-    id: `asset-${Date.now()}-${startId + index}`,
-    file,
-    name: file.name,
-    preview: null,
-    previewSource: null,
-    loaded: false,
-  }));
+  const newAssets = supportedFiles.map((file, index) => (
+    createAssetEntry(file, `asset-${Date.now()}-${startId + index}`)
+  ));
   
   // Try to match assets with image previews
   if (imageFiles.length > 0) {
@@ -219,14 +302,9 @@ export const setAssetList = async (files) => {
   const imageFiles = findImageFiles(files);
   
   // Create asset entries
-  assetList = supportedFiles.map((file, index) => ({
-    id: `asset-${Date.now()}-${index}`,
-    file,
-    name: file.name,
-    preview: null,
-    previewSource: null,
-    loaded: false,
-  }));
+  assetList = supportedFiles.map((file, index) => (
+    createAssetEntry(file, `asset-${Date.now()}-${index}`)
+  ));
   
   // Try to match assets with image previews
   if (imageFiles.length > 0) {
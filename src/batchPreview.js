@@ -3,7 +3,8 @@
  */
 import { useStore } from './store.js';
 import { clearBackground } from './backgroundManager.js';
-import { savePreviewBlob } from './fileStorage.js';
+import { getFileStorageKey, savePreviewBlob } from './fileStorage.js';
+import { writeBackPreview } from './storage/localFolderWriteBack.js';
 import { ensureSplatEntry, getSplatCache } from './splatManager.js';
 import { isImmersiveModeActive, pauseImmersiveMode, resumeImmersiveMode } from './immersiveMode.js';
 import {
@@ -200,7 +201,8 @@ export const generateAllPreviews = async (options = {}) => {
             width: result.width,
             height: result.height,
             format: result.format,
-          }, asset.previewStorageKey || asset.name);
+          }, asset.previewStorageKey || getFileStorageKey(asset));
+          await writeBackPreview(asset, result.blob);
           const updateIndex = resolveAssetIndexForUpdate(asset, i);
           if (updateIndex >= 0) {
             store.updateAssetPreview(updateIndex, asset.preview);
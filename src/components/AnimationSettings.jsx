@@ -9,7 +9,7 @@ import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faChevronDown, faRotateRight, faPlay, faStop } from '@fortawesome/free-solid-svg-icons';
 import { useStore } from '../store';
 import { setLoadAnimationEnabled, setLoadAnimationIntensity, setLoadAnimationDirection, startLoadZoomAnimation } from '../customAnimations';
-import { saveAnimationSettings, savePreviewBlob, saveCustomAnimationSettings } from '../fileStorage';
+import { getFileStorageKey, saveAnimationSettings, savePreviewBlob, saveCustomAnimationSettings } from '../fileStorage';
 import { scene, renderer, composer, THREE, currentMesh } from '../viewer';
 import { updateCustomAnimationInCache, clearCustomAnimationInCache } from '../splatManager';
 import { startSlideshow, stopSlideshow } from '../slideshowController';
@@ -123,6 +123,7 @@ function AnimationSettings() {
   const customAnimation = useStore((state) => state.customAnimation);
   const fileCustomAnimation = useStore((state) => state.fileCustomAnimation);
   const currentFileName = useStore((state) => state.fileInfo?.name);
+  const currentStorageKey = getFileStorageKey(assets?.[currentAssetIndex]);
 
   // Store actions
   const setAnimationEnabledStore = useStore((state) => state.setAnimationEnabled);
@@ -143,8 +144,8 @@ function AnimationSettings() {
    * Persists current animation settings to IndexedDB.
    */
   const persistAnimationSettings = useCallback((enabled, intensity, direction) => {
-    if (currentFileName && currentFileName !== '-') {
-      saveAnimationSettings(currentFileName, {
+    if (currentStorageKey) {
+      saveAnimationSettings(currentStorageKey, {
         enabled,
         intensity,
         direction,
@@ -152,7 +153,7 @@ function AnimationSettings() {
         console.warn('Failed to save animation settings:', err);
       });
     }
-  }, [currentFileName]);
+  }, [currentStorageKey]);
 
   /**
    * Toggles load animation on/off.
@@ -211,8 +212,8 @@ function AnimationSettings() {
     const currentAssetId = assets?.[currentAssetIndex]?.id;
     const payload = buildCustomAnimationPayload(nextSettings);
 
-    if (currentFileName && currentFileName !== '-') {
-      saveCustomAnimationSettings(currentFileName, payload)
+    if (currentStorageKey) {
+      saveCustomAnimationSettings(currentStorageKey, payload)
         .catch(err => {
           console.warn('Failed to save custom animation settings:', err);
         });
@@ -224,7 +225,7 @@ function AnimationSettings() {
         updateCustomAnimationInCache(currentAssetId, payload);
       }
     }
-  }, [setFileCustomAnimation, currentFileName, assets, currentAssetIndex]);
+  }, [setFileCustomAnimation, currentStorageKey, assets, currentAssetIndex]);
 
   const handleZoomProfileChange = useCallback((e) => {
     const zoomProfile = e.target.value;
@@ -350,7 +351,7 @@ function AnimationSettings() {
                   width: preview.width,
                   height: preview.height,
                   format: preview.format,
-                }, currentAsset?.previewStorageKey || currentFileName).catch(err => {
+                }, currentAsset?.previewStorageKey || getFileStorageKey(currentAsset)).catch(err => {
                   console.warn('Failed to save preview:', err);
                 });
               })
@@ -18,11 +18,26 @@ import useOutsideClick from '../utils/useOutsideClick';
 import useSwipe from '../utils/useSwipe';
 import { initVrSupport } from '../vrMode';
 import { loadR2Settings } from '../storage/r2Settings.js';
+import { isS3SourceLocked } from '../storage/s3Settings.js';
+import { isWebDavSourceLocked } from '../storage/webdavSettings.js';
+import { isSupabaseSignInRequired, isSupabaseSourceLocked } from '../storage/supabaseSettings.js';
+import { onVaultStateChange } from '../storage/credentialVault.js';
+import { setVaultAutoLockPaused } from '../storage/vaultAutoLock.js';
+import {
+  IS_PUBLIC_GALLERY,
+  clearSharedCollectionFromLocation,
+  getSharedCollectionUrlFromLocation,
+  getSource,
+  onSupabaseSessionChange,
+  openPublicGallery,
+  openSharedCollection,
+} from '../storage/index.js';
 import ConnectStorageDialog from './ConnectStorageDialog';
 import ControlsModal from './ControlsModal';
 import { useCollectionUploadFlow } from './useCollectionUploadFlow.js';
 import { useViewerDrop } from './useViewerDrop.jsx';
 import PwaReloadPrompt from './PwaReloadPrompt';
+import SettingsConflictPrompt from './SettingsConflictPrompt';
 import PwaInstallPrompt from './PwaInstallPrompt';
 import SlideshowOptionsModal from './SlideshowOptionsModal';
 import AddDemoCollectionsModal from './AddDemoCollectionsModal';
@@ -38,6 +53,19 @@ import useDemoCollections from './useDemoCollections';
 /** Delay before resize after panel toggle animation completes */
 const PANEL_TRANSITION_MS = 350;
 
+/** True when a source needs the credential vault unlocked (or a Supabase sign-in) before it can load */
+const isVaultLockedSource = (source) => {
+  const r2Settings = loadR2Settings();
+  return (source?.type === 'r2-bucket'
+      && Boolean(r2Settings?.requiresPassword)
+      && r2Settings?.accountId === source?.config?.config?.accountId
+      && r2Settings?.bucket === source?.config?.config?.bucket)
+    || isS3SourceLocked(source)
+    || isWebDavSourceLocked(source)
+    || isSupabaseSourceLocked(source)
+    || isSupabaseSignInRequired(source);
+};
+
 function App() {
   // Store state
   const panelOpen = useStore((state) => state.panelOpen);
@@ -60,8 +88,9 @@ function App() {
   // Local state for viewer initialization
   const [viewerReady, setViewerReady] = useState(false);
   // Landing screen visibility (controls TitleCard fade-in/out)
-  const [landingVisible, setLandingVisible] = useState(() => assets.length === 0 && !activeSourceId);
-  const [hasDefaultSource, setHasDefaultSource] = useState(false);
+  const [landingVisible, setLandingVisible] = useState(() => !IS_PUBLIC_GALLERY && assets.length === 0 && !activeSourceId);
+  // A published gallery never shows the landing screen
+  const [hasDefaultSource, setHasDefaultSource] = useState(IS_PUBLIC_GALLERY);
   const isLandingEmptyState = landingVisible && assets.length === 0 && !activeSourceId;
   
   const defaultLoadAttempted = useRef(false);
@@ -188,13 +217,7 @@ function App() {
     try {
       setLandingVisible(false);
 
-      const r2Settings = loadR2Settings();
-      const isR2Locked = source?.type === 'r2-bucket'
-        && Boolean(r2Settings?.requiresPassword)
-        && r2Settings?.accountId === source?.config?.config?.accountId
-        && r2Settings?.bucket === source?.config?.config?.bucket;
-
-      if (isR2Locked) {
+      if (isVaultLockedSource(source)) {
         setAssets([]);
         setCurrentAssetIndex(-1);
         setActiveSourceId(source.id);
@@ -208,6 +231,33 @@ function App() {
     }
   }, [addLog, setActiveSourceId, setAssets, setCurrentAssetIndex]);
 
+  // A slideshow runs without input; don't idle-lock the vault under it
+  useEffect(() => useStore.subscribe((state) => state.slideshowPlaying, setVaultAutoLockPaused), []);
+
+  // When the vault locks, drop the active collection's assets so the
+  // viewer shows its unlock prompt instead of failing on the next fetch
+  useEffect(() => onVaultStateChange((unlocked) => {
+    if (unlocked) return;
+    const { activeSourceId: sourceId } = useStore.getState();
+    if (sourceId && isVaultLockedSource(getSource(sourceId))) {
+      setAssets([]);
+      setCurrentAssetIndex(-1);
+      addLog('Credential vault locked');
+    }
+  }), [addLog, setAssets, setCurrentAssetIndex]);
+
+  // Same for a private Supabase collection whose session ended
+  useEffect(() => onSupabaseSessionChange((url, session) => {
+    if (session) return;
+    const { activeSourceId: sourceId } = useStore.getState();
+    const source = sourceId ? getSource(sourceId) : null;
+    if (isSupabaseSignInRequired(source) && source.config.config.supabaseUrl.trim() === url) {
+      setAssets([]);
+      setCurrentAssetIndex(-1);
+      addLog('Signed out of Supabase');
+    }
+  }), [addLog, setAssets, setCurrentAssetIndex]);
+
   /**
    * Handle opening cloud GPU dialog from collections modal
    */
@@ -250,8 +300,9 @@ function App() {
     };
   }, []);
 
+  // Galleries can sit in any folder of a static host, so paths are not routes
   useCollectionRouting({
-    viewerReady,
+    viewerReady: viewerReady && !IS_PUBLIC_GALLERY,
     activeSourceId,
     setHasDefaultSource,
     setLandingVisible,
@@ -260,13 +311,38 @@ function App() {
 
   // Detect ?import= query parameter once the viewer is ready
   useEffect(() => {
-    if (!viewerReady) return;
+    if (!viewerReady || IS_PUBLIC_GALLERY) return;
     const url = getImportUrlFromLocation();
     if (url) {
       setPendingImportUrl(url);
     }
   }, [viewerReady]);
 
+  // Open a ?shared= collection link read-only once the viewer is ready
+  useEffect(() => {
+    if (!viewerReady || IS_PUBLIC_GALLERY) return;
+    const manifestUrl = getSharedCollectionUrlFromLocation();
+    if (!manifestUrl) return;
+    clearSharedCollectionFromLocation();
+    openSharedCollection(manifestUrl)
+      .then((source) => handleSelectSource(source))
+      .catch((err) => {
+        setStatus(err?.message || 'Could not open the shared collection');
+        addLog('Shared collection failed: ' + (err?.message || err));
+      });
+  }, [viewerReady, handleSelectSource, setStatus, addLog]);
+
+  // A published gallery opens its own manifest read-only
+  useEffect(() => {
+    if (!viewerReady || !IS_PUBLIC_GALLERY) return;
+    openPublicGallery()
+      .then((source) => handleSelectSource(source))
+      .catch((err) => {
+        setStatus(err?.message || 'Could not open the gallery');
+        addLog('Gallery failed: ' + (err?.message || err));
+      });
+  }, [viewerReady, handleSelectSource, setStatus, addLog]);
+
   // Auto-load the default collection (if any) once the viewer is ready
   useEffect(() => {
     // Routing contract:
@@ -350,6 +426,7 @@ function App() {
         options={demoCollectionOptions}
       />
       <PwaReloadPrompt />
+      <SettingsConflictPrompt />
       <PwaInstallPrompt />
       <ImportFromUrlModal
         isOpen={Boolean(pendingImportUrl)}
@@ -0,0 +1,179 @@
+/**
+ * Asset inspector modal.
+ * Shows header details, SH degree, bounds, histograms and memory estimates
+ * for the current asset, with a copy-as-JSON action for bug reports.
+ */
+
+import { useEffect, useState } from 'preact/hooks';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCopy } from '@fortawesome/free-solid-svg-icons';
+import Modal from './Modal';
+import { inspectAsset } from '../assetInspector.js';
+import { formatBytes } from '../previewManager.js';
+
+const formatVec = (values) => (
+  Array.isArray(values) ? values.map((value) => (value == null ? '-' : value.toFixed(3))).join(', ') : '-'
+);
+
+function InspectorRow({ label, value }) {
+  return (
+    <div class="row">
+      <span>{label}</span>
+      <span title={typeof value === 'string' ? value : undefined}>{value ?? '-'}</span>
+    </div>
+  );
+}
+
+function Histogram({ title, histogram, formatEdge }) {
+  if (!histogram) return null;
+  const peak = Math.max(1, ...histogram.counts);
+  const step = (histogram.max - histogram.min) / histogram.counts.length;
+  return (
+    <div class="inspector-section">
+      <div class="inspector-section-title">{title}</div>
+      <div class="inspector-histogram">
+        {histogram.counts.map((count, index) => (
+          <div
+            key={index}
+            class="inspector-histogram-bar"
+            style={{ height: `${Math.max(2, (count / peak) * 100)}%` }}
+            title={`${formatEdge(histogram.min + step * index)} – ${formatEdge(histogram.min + step * (index + 1))}: ${count}`}
+          />
+        ))}
+      </div>
+      <div class="inspector-histogram-axis">
+        <span>{formatEdge(histogram.min)}</span>
+        <span>{formatEdge(histogram.max)}</span>
+      </div>
+    </div>
+  );
+}
+
+function AssetInspectorModal({ isOpen, onClose, asset }) {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    let cancelled = false;
+    setReport(null);
+    setError('');
+    setCopied(false);
+    inspectAsset(asset)
+      .then((result) => {
+        if (!cancelled) setReport(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err?.message || 'Inspection failed');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, asset]);
+
+  const handleCopy = async () => {
+    if (!report) return;
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+      setCopied(true);
+    } catch (err) {
+      setError(err?.message || 'Clipboard unavailable');
+    }
+  };
+
+  const stats = report?.statistics;
+  const details = report?.formatDetails;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} maxWidth={560}>
+      <h3>Asset inspector</h3>
+      {!report && !error && <p class="modal-note">Inspecting…</p>}
+      {error && <div class="form-error">{error}</div>}
+
+      {report && (
+        <div class="inspector-body">
+          <div class="debug">
+            <InspectorRow label="File" value={report.file.name} />
+            <InspectorRow label="Size" value={formatBytes(report.file.size)} />
+            <InspectorRow label="Format" value={report.file.format ? `${report.file.format} (${report.file.detectedBy})` : '-'} />
+            <InspectorRow label="Splats" value={report.splatCount?.toLocaleString() ?? 'Not loaded'} />
+            <InspectorRow label="SH degree" value={report.shDegree ?? 'Unknown'} />
+            <InspectorRow label="Color space" value={report.colorSpaceIndex ?? '-'} />
+            <InspectorRow label="Camera" value={report.camera?.intrinsics ? `${report.camera.intrinsics.imageWidth}×${report.camera.intrinsics.imageHeight}, fx ${report.camera.intrinsics.fx.toFixed(1)}` : 'None'} />
+            <InspectorRow label="GPU memory" value={report.gpuMemory ? `~${formatBytes(report.gpuMemory.totalBytes)}` : '-'} />
+          </div>
+
+          {stats && (
+            <div class="debug" style={{ marginTop: '12px' }}>
+              <InspectorRow label="AABB min" value={formatVec(stats.bounds.min)} />
+              <InspectorRow label="AABB max" value={formatVec(stats.bounds.max)} />
+              <InspectorRow label={`P${stats.percentileBounds.low * 100} min`} value={formatVec(stats.percentileBounds.min)} />
+              <InspectorRow label={`P${stats.percentileBounds.high * 100} max`} value={formatVec(stats.percentileBounds.max)} />
+              {stats.sampleStep > 1 && (
+                <InspectorRow label="Sampled" value={`${stats.sampled.toLocaleString()} (every ${stats.sampleStep})`} />
+              )}
+            </div>
+          )}
+
+          {stats && (
+            <div class="inspector-histograms">
+              <Histogram title="Opacity" histogram={stats.opacityHistogram} formatEdge={(value) => value.toFixed(1)} />
+              <Histogram title="Scale (log10 max axis)" histogram={stats.scaleHistogram} formatEdge={(value) => value.toFixed(1)} />
+            </div>
+          )}
+
+          {report.headerComments.length > 0 && (
+            <div class="inspector-section">
+              <div class="inspector-section-title">Header comments</div>
+              <pre class="inspector-pre">{report.headerComments.join('\n')}</pre>
+            </div>
+          )}
+
+          {details?.elements && (
+            <div class="inspector-section">
+              <div class="inspector-section-title">PLY elements ({details.encoding})</div>
+              <pre class="inspector-pre">
+                {details.elements.map((element) => (
+                  `${element.name} × ${element.count}\n${element.properties.map((property) => (
+                    property.isList
+                      ? `  list ${property.countType} ${property.type} ${property.name}`
+                      : `  ${property.type} ${property.name}`
+                  )).join('\n')}`
+                )).join('\n')}
+              </pre>
+            </div>
+          )}
+
+          {details?.meta && (
+            <div class="inspector-section">
+              <div class="inspector-section-title">meta.json</div>
+              <pre class="inspector-pre">{JSON.stringify(details.meta, null, 2)}</pre>
+            </div>
+          )}
+
+          {details?.header && (
+            <div class="inspector-section">
+              <div class="inspector-section-title">SPZ header</div>
+              <pre class="inspector-pre">{JSON.stringify(details, null, 2)}</pre>
+            </div>
+          )}
+
+          {report.formatError && (
+            <div class="form-error" style={{ marginTop: '12px' }}>{report.formatError}</div>
+          )}
+        </div>
+      )}
+
+      <div class="modal-actions" style={{ marginTop: '20px' }}>
+        <button onClick={onClose}>Close</button>
+        <button class="modal-confirm-btn" onClick={handleCopy} disabled={!report}>
+          <FontAwesomeIcon icon={faCopy} />
+          {' '}{copied ? 'Copied' : 'Copy as JSON'}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default AssetInspectorModal;
@@ -3,7 +3,7 @@ import useSwipe from '../utils/useSwipe';
 import { useStore } from '../store';
 import { loadAssetByIndex } from '../fileLoader';
 import { removeAsset, clearAssets, getAssetList, getCurrentAssetIndex } from '../assetManager';
-import { deleteFileSettings, clearAllFileSettings, loadPreviewBlob, deletePreviewBlob } from '../fileStorage';
+import { deleteFileSettings, clearAllFileSettings, loadPreviewBlob, deletePreviewBlob, getFileStorageKey } from '../fileStorage';
 import { clearCustomMetadataViewForAsset } from '../customMetadata';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faPlus, faTrash } from '@fortawesome/free-solid-svg-icons';
@@ -177,7 +177,7 @@ function AssetSidebar() {
     console.log(`[AssetSidebar] Current preview URL:`, asset.preview?.substring?.(0, 60));
     
     try {
-      const storedPreview = await loadPreviewBlob(asset.name, asset.previewStorageKey || asset.name);
+      const storedPreview = await loadPreviewBlob(asset.name, asset.previewStorageKey || getFileStorageKey(asset));
       if (storedPreview?.blob) {
         const objectUrl = URL.createObjectURL(storedPreview.blob);
         console.log(`[AssetSidebar] Found stored preview in IndexedDB, created URL: ${objectUrl.substring(0, 50)}...`);
@@ -305,9 +305,8 @@ function AssetSidebar() {
       if (asset?.isProxyView) {
         // Proxy view: remove the view definition from the metadata so it
         // won't be recreated by syncAssetProxyViews on next load.
-        const baseName = asset.baseAssetName || asset.name;
         if (asset.viewId) {
-          await clearCustomMetadataViewForAsset(baseName, asset.viewId);
+          await clearCustomMetadataViewForAsset(getFileStorageKey(asset), asset.viewId);
         }
         // Delete only this view's preview blob, not the whole file settings.
         if (clearMetadata && asset.previewStorageKey) {
@@ -321,7 +320,7 @@ function AssetSidebar() {
           await addRemovedAssetNames(source || asset.sourceId, asset.name);
         }
         if (clearMetadata && asset) {
-          await deleteFileSettings(asset.name);
+          await deleteFileSettings(getFileStorageKey(asset));
         }
       }
       removeAsset(currentAssetIndex);
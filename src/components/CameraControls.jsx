@@ -12,7 +12,7 @@ import { currentMesh, raycaster, SplatMesh, scene } from '../viewer';
 import { updateDollyZoomBaselineFromCamera } from '../viewer';
 import { startAnchorTransition } from '../cameraAnimations';
 import { enableImmersiveMode, disableImmersiveMode, recenterInImmersiveMode, isImmersiveModeActive, pauseImmersiveMode, resumeImmersiveMode, setImmersiveSensitivityMultiplier, setTouchPanEnabled, syncImmersiveBaseline } from '../immersiveMode';
-import { saveFocusDistance, clearFocusDistance } from '../fileStorage';
+import { getFileStorageKey, saveFocusDistance, clearFocusDistance } from '../fileStorage';
 import { updateFocusDistanceInCache, clearFocusDistanceInCache } from '../splatManager';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faChevronDown, faEye, faEyeSlash, faSpinner, faCompressAlt } from '@fortawesome/free-solid-svg-icons';
@@ -53,7 +53,7 @@ const aspectKeyToRatio = (key) => {
 
 const getBaseAssetId = (asset) => asset?.baseAssetId || asset?.id;
 const getBaseAssetName = (asset) => asset?.baseAssetName || asset?.name;
-const makePreviewStorageKey = (assetName, viewId) => `${assetName}::${viewId}`;
+const makePreviewStorageKey = (storageKey, viewId) => `${storageKey}::${viewId}`;
 const makeProxyAssetId = (baseAssetId, viewId) => `${baseAssetId}::view::${viewId}`;
 const viewDisplayName = (assetName, order) => `${assetName} · View ${order + 1}`;
 
@@ -164,6 +164,7 @@ function CameraControls() {
   const currentFileName = useStore((state) => state.fileInfo?.name);
   const assets = useStore((state) => state.assets);
   const currentAssetIndex = useStore((state) => state.currentAssetIndex);
+  const currentStorageKey = getFileStorageKey(assets[currentAssetIndex]);
   const setAssets = useStore((state) => state.setAssets);
   const setCurrentAssetIndex = useStore((state) => state.setCurrentAssetIndex);
   const hasCustomFocus = useStore((state) => state.hasCustomFocus);
@@ -299,8 +300,8 @@ function CameraControls() {
     }
 
     // Persist focus distance for this file
-    if (currentFileName && currentFileName !== '-') {
-      saveFocusDistance(currentFileName, hitDistance).catch(err => {
+    if (currentStorageKey) {
+      saveFocusDistance(currentStorageKey, hitDistance).catch(err => {
         console.warn('Failed to save focus distance:', err);
       });
       const asset = assets[currentAssetIndex];
@@ -316,7 +317,7 @@ function CameraControls() {
     setTimeout(() => {
       setFocusMode(hasCustomFocus ? FOCUS_MODE.CUSTOM : FOCUS_MODE.IDLE);
     }, 1500);
-  }, [addLog, currentFileName, hasCustomFocus, assets, currentAssetIndex, stereoEnabled, setStereoEyeSep, setFocusSettingActive]);
+  }, [addLog, currentStorageKey, hasCustomFocus, assets, currentAssetIndex, stereoEnabled, setStereoEyeSep, setFocusSettingActive]);
 
   /**
    * Activates focus-setting mode.
@@ -363,8 +364,8 @@ function CameraControls() {
       addLog(`Auto eye separation: ${(optimal * 1000).toFixed(0)}mm`);
     }
 
-    if (currentFileName && currentFileName !== '-') {
-      saveFocusDistance(currentFileName, hitDistance).catch(err => {
+    if (currentStorageKey) {
+      saveFocusDistance(currentStorageKey, hitDistance).catch(err => {
         console.warn('Failed to save focus distance:', err);
       });
       const asset = assets[currentAssetIndex];
@@ -380,15 +381,15 @@ function CameraControls() {
     setTimeout(() => {
       setFocusMode(hasCustomFocus ? FOCUS_MODE.CUSTOM : FOCUS_MODE.IDLE);
     }, 1500);
-  }, [anchorActive, anchorDistance, addLog, stereoEnabled, setStereoEyeSep, currentFileName, assets, currentAssetIndex, setHasCustomFocus, setAnchorState, setFocusSettingActive, hasCustomFocus]);
+  }, [anchorActive, anchorDistance, addLog, stereoEnabled, setStereoEyeSep, currentStorageKey, assets, currentAssetIndex, setHasCustomFocus, setAnchorState, setFocusSettingActive, hasCustomFocus]);
 
   /**
    * Clears custom focus distance override.
    * Removes stored focus distance and reloads the file to apply default focus.
    */
   const handleClearCustomFocus = useCallback(async () => {
-    if (currentFileName && currentFileName !== '-') {
-      const success = await clearFocusDistance(currentFileName);
+    if (currentStorageKey) {
+      const success = await clearFocusDistance(currentStorageKey);
       if (success) {
         const asset = assets[currentAssetIndex];
         if (asset?.id) {
@@ -403,7 +404,7 @@ function CameraControls() {
         addLog('Custom focus cleared');
       }
     }
-  }, [currentFileName, addLog, assets, currentAssetIndex]);
+  }, [currentStorageKey, addLog, assets, currentAssetIndex]);
 
   // Set up click listener and cursor when in focus-setting mode
   useEffect(() => {
@@ -722,7 +723,7 @@ function CameraControls() {
       aspectRatio: aspectKeyToRatio(customAspectRatio),
     });
 
-    const result = await saveCustomMetadataViewForAsset(currentFileName, payload, {
+    const result = await saveCustomMetadataViewForAsset(getFileStorageKey(currentAsset), payload, {
       viewId: currentAsset.viewId || null,
     });
     if (!result?.saved) {
@@ -737,7 +738,7 @@ function CameraControls() {
       currentAsset.baseAssetName = getBaseAssetName(currentAsset);
       currentAsset.cacheKey = currentAsset.baseAssetId;
       currentAsset.isProxyView = Boolean(currentAsset.isProxyView);
-      currentAsset.previewStorageKey = makePreviewStorageKey(currentAsset.baseAssetName, nextViewId);
+      currentAsset.previewStorageKey = makePreviewStorageKey(getFileStorageKey(currentAsset), nextViewId);
     }
 
     const previewResult = await captureCurrentAssetPreview();
@@ -747,7 +748,7 @@ function CameraControls() {
           width: previewResult.width,
           height: previewResult.height,
           format: previewResult.format,
-        }, currentAsset.previewStorageKey || currentAsset.name);
+        }, currentAsset.previewStorageKey || getFileStorageKey(currentAsset));
       }
       if (currentAssetIndex >= 0) {
         updateAssetPreview(currentAssetIndex, currentAsset.preview);
@@ -778,7 +779,7 @@ function CameraControls() {
       aspectRatio: aspectKeyToRatio(customAspectRatio),
     });
 
-    const result = await addCustomMetadataViewForAsset(currentFileName, payload, {
+    const result = await addCustomMetadataViewForAsset(getFileStorageKey(currentAsset), payload, {
       insertAfterViewId: currentAsset.viewId || null,
     });
     if (!result?.saved || !result?.viewId) {
@@ -809,7 +810,7 @@ function CameraControls() {
       viewId: result.viewId,
       groupOrder,
       displayName: viewDisplayName(baseAssetName, groupOrder),
-      previewStorageKey: makePreviewStorageKey(baseAssetName, result.viewId),
+      previewStorageKey: makePreviewStorageKey(getFileStorageKey(currentAsset), result.viewId),
       cacheKey: baseAssetId,
       loaded: false,
     };
@@ -834,7 +835,7 @@ function CameraControls() {
         width: previewResult.width,
         height: previewResult.height,
         format: previewResult.format,
-      }, selectedAsset.previewStorageKey || selectedAsset.name);
+      }, selectedAsset.previewStorageKey || getFileStorageKey(selectedAsset));
 
       if (selectedAsset.preview) {
         updateAssetPreview(nextIndex, selectedAsset.preview);
@@ -851,7 +852,7 @@ function CameraControls() {
       const currentAsset = assets[currentAssetIndex];
       if (!currentAsset) return;
 
-      const result = await clearCustomMetadataViewForAsset(currentFileName, currentAsset.viewId || null);
+      const result = await clearCustomMetadataViewForAsset(getFileStorageKey(currentAsset), currentAsset.viewId || null);
       if (!result?.cleared) {
         addLog('Failed to clear custom metadata');
         return;
@@ -890,8 +891,8 @@ function CameraControls() {
       resize();
       addLog('Custom view reset');
 
-      if (!hasRemainingViews && currentFileName && currentFileName !== '-') {
-        const focusCleared = await clearFocusDistance(currentFileName);
+      if (!hasRemainingViews && currentStorageKey) {
+        const focusCleared = await clearFocusDistance(currentStorageKey);
         if (focusCleared && currentAsset?.id) {
           clearFocusDistanceInCache(currentAsset.cacheKey || currentAsset.baseAssetId || currentAsset.id);
         }
@@ -901,7 +902,7 @@ function CameraControls() {
     } finally {
       setIsClearingCustomMetadata(false);
     }
-  }, [currentFileName, isClearingCustomMetadata, addLog, assets, currentAssetIndex, setCustomMetadataAvailable, setMetadataMissing, setCustomMetadataControlsVisible, setCustomModelScale, setCustomAspectRatio, setAssets, setCurrentAssetIndex, setHasCustomFocus]);
+  }, [currentFileName, currentStorageKey, isClearingCustomMetadata, addLog, assets, currentAssetIndex, setCustomMetadataAvailable, setMetadataMissing, setCustomMetadataControlsVisible, setCustomModelScale, setCustomAspectRatio, setAssets, setCurrentAssetIndex, setHasCustomFocus]);
 
   /**
    * Resets view with immersive mode support.
@@ -21,6 +21,7 @@ import {
 } from '../utils/debugTransfer.js';
 import Modal from './Modal';
 import SelectableOptionItem from './SelectableOptionItem';
+import StorageUsagePanel from './StorageUsagePanel';
 
 const iconByKey = {
   clearUrlCollections: faLink,
@@ -32,6 +33,7 @@ const iconByKey = {
   clearSupabaseSettings: faCog,
   clearR2Settings: faCog,
   clearViewerPrefs: faCog,
+  clearStorageBudget: faHardDrive,
   clearFileSettings: faFolder,
   clearFilePreviews: faImage,
   clearAssetCache: faHardDrive,
@@ -63,6 +65,7 @@ const clearDataSections = [
       'clearSupabaseSettings',
       'clearR2Settings',
       'clearViewerPrefs',
+      'clearStorageBudget',
     ],
   },
 ];
@@ -83,6 +86,7 @@ function ClearDataModal({ isOpen, onClose, addLog }) {
   const [busy, setBusy] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [usageRefreshKey, setUsageRefreshKey] = useState(0);
 
   const hasSelection = useMemo(() => Object.values(clearOptions).some(Boolean), [clearOptions]);
 
@@ -129,6 +133,7 @@ function ClearDataModal({ isOpen, onClose, addLog }) {
       addLog?.(`[Debug] Clear data failed: ${message}`);
     } finally {
       setBusy(false);
+      setUsageRefreshKey((key) => key + 1);
     }
   }, [addLog, busy, clearOptions, hasSelection]);
 
@@ -150,6 +155,8 @@ function ClearDataModal({ isOpen, onClose, addLog }) {
         {' '}This action cannot be undone.
       </div>
 
+      <StorageUsagePanel refreshKey={usageRefreshKey} addLog={addLog} />
+
       <div
         style={{
           display: 'flex',
@@ -0,0 +1,228 @@
+/**
+ * Collection doctor modal.
+ * Checks a manifest-first collection (Supabase, R2, S3) against its stored
+ * files, shows the planned manifest diff and writes it on confirmation.
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'preact/hooks';
+import Modal from './Modal';
+import {
+  diagnoseCollection,
+  hasCollectionProblems,
+  planManifestRepair,
+  applyManifestRepair,
+} from '../storage/index.js';
+import { formatBytes } from '../previewManager.js';
+
+const REPAIR_OPTIONS = [
+  { key: 'removeMissing', label: 'Remove entries whose file is missing' },
+  { key: 'addOrphans', label: 'Add stored assets missing from the manifest' },
+  { key: 'fixSizes', label: 'Update sizes to match stored files' },
+  { key: 'fixSidecars', label: 'Relink previews and metadata sidecars' },
+];
+
+const DEFAULT_OPTIONS = {
+  removeMissing: true,
+  addOrphans: true,
+  fixSizes: true,
+  fixSidecars: true,
+};
+
+const CHANGE_PREFIX = { add: '+', remove: '-', update: '~' };
+
+const formatChange = (change) => {
+  const prefix = CHANGE_PREFIX[change.type];
+  if (change.type !== 'update') {
+    return `${prefix} ${change.path} (${change.reason})`;
+  }
+  const format = (value) => {
+    if (value === null || value === undefined) return 'none';
+    return change.field === 'size' ? formatBytes(value) : value;
+  };
+  return `${prefix} ${change.path} ${change.field}: ${format(change.from)} → ${format(change.to)}`;
+};
+
+function DoctorRow({ label, count }) {
+  return (
+    <div class="row">
+      <span>{label}</span>
+      <span style={count > 0 ? { color: '#f6ad55' } : undefined}>{count}</span>
+    </div>
+  );
+}
+
+function DoctorList({ title, lines }) {
+  if (!lines.length) return null;
+  return (
+    <div class="inspector-section">
+      <div class="inspector-section-title">{title} ({lines.length})</div>
+      <pre class="inspector-pre">{lines.join('\n')}</pre>
+    </div>
+  );
+}
+
+function CollectionDoctorModal({ isOpen, onClose, source, onRepaired }) {
+  const [report, setReport] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const [options, setOptions] = useState(DEFAULT_OPTIONS);
+  const [isApplying, setIsApplying] = useState(false);
+  const [appliedCount, setAppliedCount] = useState(null);
+  const [runId, setRunId] = useState(0);
+
+  useEffect(() => {
+    if (!isOpen || !source) return undefined;
+    let cancelled = false;
+    setReport(null);
+    setError('');
+    setProgress(null);
+    diagnoseCollection(source, {
+      onProgress: (next) => {
+        if (!cancelled) setProgress(next);
+      },
+    })
+      .then((result) => {
+        if (!cancelled) setReport(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err?.message || 'Collection check failed');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, source, runId]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setAppliedCount(null);
+      setOptions(DEFAULT_OPTIONS);
+    }
+  }, [isOpen]);
+
+  const plan = useMemo(() => (report ? planManifestRepair(report, options) : null), [report, options]);
+
+  const handleToggle = useCallback((key) => {
+    setOptions((prev) => ({ ...prev, [key]: !prev[key] }));
+  }, []);
+
+  const handleRerun = useCallback(() => {
+    setAppliedCount(null);
+    setRunId((id) => id + 1);
+  }, []);
+
+  const handleApply = useCallback(async () => {
+    if (!plan?.changes.length) return;
+    setIsApplying(true);
+    setError('');
+    try {
+      const result = await applyManifestRepair(source, plan);
+      if (!result.success) {
+        setError(result.error || 'Failed to write manifest');
+        return;
+      }
+      setAppliedCount(result.applied);
+      onRepaired?.();
+      setRunId((id) => id + 1);
+    } finally {
+      setIsApplying(false);
+    }
+  }, [onRepaired, plan, source]);
+
+  const progressLabel = progress?.phase === 'checking'
+    ? `Checking files… ${progress.completed}/${progress.total}`
+    : 'Listing stored files…';
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} maxWidth={600}>
+      <h3>Collection doctor</h3>
+      <p class="modal-note">
+        Compares manifest.json for {source?.name || 'this collection'} with the files in storage.
+      </p>
+      {!report && !error && <p class="modal-note">{progressLabel}</p>}
+      {error && <div class="form-error">{error}</div>}
+      {appliedCount !== null && (
+        <p class="modal-note">Manifest updated ({appliedCount} change{appliedCount === 1 ? '' : 's'}).</p>
+      )}
+
+      {report && (
+        <div class="inspector-body">
+          <div class="debug">
+            <DoctorRow label="Stored files" count={report.totalFiles} />
+            <DoctorRow label="Manifest entries checked" count={report.checked} />
+            <DoctorRow label="Missing files" count={report.missing.length} />
+            <DoctorRow label="Orphaned assets" count={report.orphanedAssets.length} />
+            <DoctorRow label="Orphaned previews/sidecars" count={report.orphanedSidecars.length} />
+            <DoctorRow label="Broken sidecar links" count={report.missingSidecars.length} />
+            <DoctorRow label="Size mismatches" count={report.sizeMismatches.length} />
+            <DoctorRow label="Duplicate names" count={report.duplicateNames.length + report.duplicatePaths.length} />
+          </div>
+
+          {!hasCollectionProblems(report) && (
+            <p class="modal-note" style={{ marginTop: '12px' }}>No problems found.</p>
+          )}
+
+          <DoctorList title="Missing files" lines={report.missing.map((item) => item.path)} />
+          <DoctorList
+            title="Orphaned assets"
+            lines={report.orphanedAssets.map((item) => `${item.path}${item.size !== null ? ` (${formatBytes(item.size)})` : ''}`)}
+          />
+          <DoctorList
+            title="Orphaned previews/sidecars"
+            lines={report.orphanedSidecars.map((item) => `${item.path}${item.assetPath ? ` → ${item.assetPath}` : ''}`)}
+          />
+          <DoctorList
+            title="Broken sidecar links"
+            lines={report.missingSidecars.map((item) => `${item.assetPath}: ${item.kind} ${item.path}`)}
+          />
+          <DoctorList
+            title="Size mismatches"
+            lines={report.sizeMismatches.map((item) => `${item.path}: ${formatBytes(item.manifestSize)} in manifest, ${formatBytes(item.actualSize)} stored`)}
+          />
+          <DoctorList
+            title="Duplicate names"
+            lines={[
+              ...report.duplicateNames.map((item) => `${item.name}: ${item.paths.join(', ')}`),
+              ...report.duplicatePaths.map((path) => `${path} (listed more than once)`),
+            ]}
+          />
+
+          {hasCollectionProblems(report) && (
+            <div class="modal-checkbox" style={{ marginTop: '16px', marginBottom: '12px' }}>
+              {REPAIR_OPTIONS.map((option) => (
+                <label key={option.key} style={{ marginBottom: '8px' }}>
+                  <input
+                    type="checkbox"
+                    checked={options[option.key]}
+                    onChange={() => handleToggle(option.key)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+              <div class="modal-subnote">
+                Duplicate display names are only reported; rename them in the manifest if needed.
+              </div>
+            </div>
+          )}
+
+          {plan?.changes.length > 0 && (
+            <DoctorList title="Manifest changes" lines={plan.changes.map(formatChange)} />
+          )}
+        </div>
+      )}
+
+      <div class="modal-actions" style={{ marginTop: '20px' }}>
+        <button onClick={onClose}>Close</button>
+        <button onClick={handleRerun} disabled={!report && !error}>Check again</button>
+        <button
+          class="modal-confirm-btn"
+          onClick={handleApply}
+          disabled={!plan?.changes.length || isApplying}
+        >
+          {isApplying ? 'Writing…' : `Repair manifest${plan?.changes.length ? ` (${plan.changes.length})` : ''}`}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default CollectionDoctorModal;
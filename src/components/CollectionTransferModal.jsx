@@ -0,0 +1,282 @@
+/**
+ * Collection transfer modal.
+ * Copies or moves a collection into another storage source. A dry run lists
+ * what would be copied, skipped or overwritten; the transfer itself reports
+ * through the upload status overlay and can be resumed after a failure.
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'preact/hooks';
+import Modal from './Modal';
+import {
+  getSourcesArray,
+  canTransferTo,
+  canMoveFrom,
+  loadTransferJob,
+  clearTransferJob,
+  planCollectionTransfer,
+  transferCollection,
+  isAbortError,
+} from '../storage/index.js';
+import { formatBytes } from '../previewManager.js';
+import { useStore } from '../store';
+
+const ACTION_LABELS = {
+  copy: 'copy',
+  overwrite: 'overwrite',
+  skip: 'skip (already in target)',
+  done: 'done in an earlier run',
+};
+
+function TransferList({ title, lines }) {
+  if (!lines.length) return null;
+  return (
+    <div class="inspector-section">
+      <div class="inspector-section-title">{title} ({lines.length})</div>
+      <pre class="inspector-pre">{lines.join('\n')}</pre>
+    </div>
+  );
+}
+
+function CollectionTransferModal({ isOpen, onClose, source, onTransferred }) {
+  const setUploadState = useStore((state) => state.setUploadState);
+  const [targetId, setTargetId] = useState('');
+  const [mode, setMode] = useState('copy');
+  const [policy, setPolicy] = useState('skip');
+  const [plan, setPlan] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [isRunning, setIsRunning] = useState(false);
+
+  const targets = useMemo(() => (
+    isOpen ? getSourcesArray().filter((candidate) => candidate.id !== source?.id && canTransferTo(candidate)) : []
+  ), [isOpen, source?.id]);
+  const target = targets.find((candidate) => candidate.id === targetId) || null;
+  const canMove = canMoveFrom(source);
+  const pendingJob = useMemo(() => (
+    source && target && !isRunning ? loadTransferJob(source.id, target.id) : null
+  ), [source, target, isRunning, result]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setPlan(null);
+      setResult(null);
+      setError('');
+      setMode('copy');
+      setPolicy('skip');
+      return;
+    }
+    if (!targets.some((candidate) => candidate.id === targetId)) {
+      setTargetId(targets[0]?.id || '');
+    }
+  }, [isOpen, targets, targetId]);
+
+  useEffect(() => {
+    setPlan(null);
+    setResult(null);
+    setError('');
+  }, [targetId, policy]);
+
+  useEffect(() => {
+    if (pendingJob) {
+      setMode(pendingJob.mode);
+      setPolicy(pendingJob.policy);
+    }
+  }, [pendingJob]);
+
+  const handleDryRun = useCallback(async () => {
+    if (!target) return;
+    setIsPlanning(true);
+    setError('');
+    setResult(null);
+    try {
+      setPlan(await planCollectionTransfer(source, target, { policy }));
+    } catch (err) {
+      setError(err?.message || 'Could not read the collections');
+    } finally {
+      setIsPlanning(false);
+    }
+  }, [policy, source, target]);
+
+  const handleStartOver = useCallback(() => {
+    if (!target) return;
+    clearTransferJob(source.id, target.id);
+    setPlan(null);
+    setResult(null);
+  }, [source, target]);
+
+  const handleStart = useCallback(async () => {
+    if (!target) return;
+    const controller = new AbortController();
+    const verb = mode === 'move' ? 'Moving' : 'Copying';
+    const reportProgress = (progress) => {
+      setUploadState({
+        isUploading: true,
+        uploadProgress: {
+          uploadKind: 'collection-transfer',
+          stage: 'transfer',
+          transfer: { verb, completed: progress.completed, total: progress.total },
+          message: progress.name || (progress.phase === 'manifest' ? 'Writing manifest' : ''),
+          cancelJob: () => controller.abort(),
+        },
+      });
+    };
+
+    setIsRunning(true);
+    setError('');
+    setResult(null);
+    try {
+      const next = await transferCollection(source, target, {
+        mode,
+        policy,
+        signal: controller.signal,
+        onProgress: reportProgress,
+      });
+      setResult(next);
+      setPlan(next.plan);
+      if (next.transferred.length || next.deleted.length) {
+        onTransferred?.(target, next);
+      }
+      if (next.failed.length) {
+        setUploadState({
+          isUploading: true,
+          uploadProgress: {
+            uploadKind: 'collection-transfer',
+            stage: 'done',
+            done: true,
+            successCount: next.transferred.length,
+            failedCount: next.failed.length,
+            message: 'Open the transfer dialog again to retry the failed assets',
+          },
+        });
+      } else {
+        setUploadState({ isUploading: false, uploadProgress: null });
+      }
+    } catch (err) {
+      if (isAbortError(err)) {
+        setError('Transfer cancelled. Resume to continue with the remaining assets.');
+        setUploadState({ isUploading: false, uploadProgress: null });
+      } else {
+        setError(err?.message || 'Transfer failed');
+        setUploadState({
+          isUploading: true,
+          uploadProgress: {
+            uploadKind: 'collection-transfer',
+            stage: 'error',
+            error: { message: 'Transfer failed', detail: err?.message || String(err) },
+          },
+        });
+      }
+    } finally {
+      setIsRunning(false);
+    }
+  }, [mode, onTransferred, policy, setUploadState, source, target]);
+
+  const planLines = plan
+    ? plan.items.map((item) => `${item.asset.name}: ${ACTION_LABELS[item.action]}`)
+    : [];
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} maxWidth={600}>
+      <h3>Transfer collection</h3>
+      <p class="modal-note">
+        Copies the assets of {source?.name || 'this collection'} with their previews, metadata and manifest fields.
+      </p>
+
+      {!targets.length ? (
+        <p class="modal-note">Connect another writable collection to transfer into.</p>
+      ) : (
+        <div class="form-field">
+          <label>Target collection</label>
+          <select
+            value={targetId}
+            onChange={(e) => setTargetId(e.target.value)}
+            disabled={isRunning}
+          >
+            {targets.map((candidate) => (
+              <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div class="modal-checkbox" style={{ marginTop: '12px', marginBottom: '12px' }}>
+        <label style={{ marginBottom: '8px' }}>
+          <input
+            type="checkbox"
+            checked={mode === 'move'}
+            disabled={!canMove || isRunning}
+            onChange={(e) => setMode(e.target.checked ? 'move' : 'copy')}
+          />
+          Move (delete from {source?.name || 'this collection'} after copying)
+        </label>
+        <label style={{ marginBottom: '8px' }}>
+          <input
+            type="checkbox"
+            checked={policy === 'overwrite'}
+            disabled={isRunning}
+            onChange={(e) => setPolicy(e.target.checked ? 'overwrite' : 'skip')}
+          />
+          Overwrite assets that already exist in the target
+        </label>
+        {!canMove && (
+          <div class="modal-subnote">This collection cannot delete its files, so it can only be copied.</div>
+        )}
+      </div>
+
+      {pendingJob && !result && (
+        <p class="modal-note">
+          An earlier transfer stopped after {pendingJob.completed.length} asset{pendingJob.completed.length === 1 ? '' : 's'}.
+          Resume skips them.
+        </p>
+      )}
+      {error && <div class="form-error">{error}</div>}
+
+      {plan && (
+        <div class="inspector-body">
+          <div class="debug">
+            <div class="row"><span>To copy</span><span>{plan.counts.copy}</span></div>
+            <div class="row"><span>To overwrite</span><span>{plan.counts.overwrite}</span></div>
+            <div class="row"><span>Skipped</span><span>{plan.counts.skip}</span></div>
+            <div class="row"><span>Already done</span><span>{plan.counts.done}</span></div>
+            <div class="row"><span>Data to write</span><span>{formatBytes(plan.bytes)}</span></div>
+          </div>
+          {plan.warnings.map((warning) => (
+            <p key={warning} class="modal-subnote">{warning}</p>
+          ))}
+          {!result && <TransferList title="Dry run" lines={planLines} />}
+        </div>
+      )}
+
+      {result && (
+        <div class="inspector-body">
+          <p class="modal-note">
+            {mode === 'move' ? 'Moved' : 'Copied'} {result.transferred.length} asset{result.transferred.length === 1 ? '' : 's'}
+            {result.skipped.length ? `, skipped ${result.skipped.length}` : ''}
+            {result.manifestWritten ? '; manifest updated' : ''}.
+          </p>
+          <TransferList title="Failed" lines={result.failed.map((item) => `${item.name}: ${item.error}`)} />
+        </div>
+      )}
+
+      <div class="modal-actions" style={{ marginTop: '20px' }}>
+        <button onClick={onClose}>Close</button>
+        {pendingJob && !isRunning && (
+          <button onClick={handleStartOver}>Start over</button>
+        )}
+        <button onClick={handleDryRun} disabled={!target || isPlanning || isRunning}>
+          {isPlanning ? 'Checking…' : 'Dry run'}
+        </button>
+        <button
+          class="modal-confirm-btn"
+          onClick={handleStart}
+          disabled={!target || isRunning}
+        >
+          {isRunning ? 'Transferring…' : pendingJob ? 'Resume' : mode === 'move' ? 'Move' : 'Copy'}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default CollectionTransferModal;
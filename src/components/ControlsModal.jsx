@@ -69,7 +69,7 @@ function ControlsModal({ isOpen, onClose, defaultOpenSubsections = [] }) {
 
             <Section title="Viewer overview" isOpen={isSubsectionOpen('getting-started.viewer-overview')}>
               <ul>
-                <li><strong>View image:</strong> Drag your .ply or .sog files onto the page to create a quick collection. If a cloud GPU is configured, you can add image files and you will be prompted to upload them. You can also click “browse” to search your device.</li>
+                <li><strong>View image:</strong> Drag your .ply, .sog, .spz or .splat files onto the page to create a quick collection. If a cloud GPU is configured, you can add image files and you will be prompted to upload them. You can also click “browse” to search your device.</li>
                 <li><strong>Gallery:</strong> Click, swipe, or hover on the left side of the screen, or click the button in the bottom left corner. Here you can browse, add more images, or delete with additional options.</li>
                 <li><strong>Main Settings:</strong> On desktop or landscape mode on mobile, click, swipe, or hover on the right side of the screen, or click the arrow in the upper right corner. On mobile portrait mode, tap or swipe up on the bottom menu handle.</li>
                 <li><strong>Viewer buttons:</strong> Advance next/back and play/pause slideshow (if slideshow mode is toggled on). Buttons on the right side, from top to bottom, are reset view, expand viewer (coming soon), fullscreen toggle, and immersive mode (on mobile).</li>
@@ -153,7 +153,7 @@ function ControlsModal({ isOpen, onClose, defaultOpenSubsections = [] }) {
                 <li><strong>Local folder:</strong> This allows you to select a folder on your device to use as a collection. Files added to this folder will be added to the viewer, and files deleted from this folder will be removed from the viewer. This is a good option for desktop users who want to manage files locally. This must be given access for each new session.</li>
                 <li><strong>Supabase:</strong> This is easy to setup, and requires only an API key and URL. When you set up policies, if you add "delete" this app can delete locally and in your storage. This solution has a smaller free tier storage, and charges for bandwith after 5gb a month. It does not require payment info to setup.</li>
                 <li><strong>Cloudflare R2:</strong> This is a bit more complex to set up, and requires access key, Account ID, and secret key, but has a much larger free tier storage and bandwidth, and is a great option for large collections. Cloudflare requires payment info to sign up, but does not charge for bandwidth under their free tier.</li>
-                <li><strong>URL List:</strong> This is a read-only option where you can input a list of public URLs to .sog or .ply files. This is a good option for sharing collections, but does not support adding or deleting files from the viewer.</li>
+                <li><strong>URL List:</strong> This is a read-only option where you can input a list of public URLs to .sog, .ply, .spz or .splat files. This is a good option for sharing collections, but does not support adding or deleting files from the viewer.</li>
               </ul>
 
             </Section>
@@ -0,0 +1,179 @@
+/**
+ * Credential vault modal.
+ * Locks the vault on demand, changes the vault password (re-encrypting
+ * every stored credential) and configures auto-lock.
+ */
+
+import { useCallback, useEffect, useState } from 'preact/hooks';
+import Modal from './Modal';
+import {
+  changeVaultPassword,
+  hasVaultPassword,
+  isVaultUnlocked,
+  onVaultStateChange,
+} from '../storage/credentialVault.js';
+import {
+  AUTO_LOCK_MINUTES_OPTIONS,
+  loadVaultSettings,
+  saveVaultSettings,
+} from '../storage/vaultSettings.js';
+import { lockCredentialVault, refreshVaultAutoLock } from '../storage/index.js';
+
+const formatMinutes = (minutes) => {
+  if (!minutes) return 'Never';
+  if (minutes < 60) return `After ${minutes} minutes idle`;
+  const hours = minutes / 60;
+  return `After ${hours} hour${hours === 1 ? '' : 's'} idle`;
+};
+
+const EMPTY_FORM = { current: '', next: '', confirm: '' };
+
+function CredentialVaultModal({ isOpen, onClose }) {
+  const [unlocked, setUnlocked] = useState(isVaultUnlocked);
+  const [settings, setSettings] = useState(loadVaultSettings);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isChanging, setIsChanging] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => onVaultStateChange(setUnlocked), []);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setForm(EMPTY_FORM);
+      setError('');
+      setMessage('');
+      return;
+    }
+    setUnlocked(isVaultUnlocked());
+    setSettings(loadVaultSettings());
+  }, [isOpen]);
+
+  const updateSettings = useCallback((patch) => {
+    const next = { ...loadVaultSettings(), ...patch };
+    saveVaultSettings(next);
+    setSettings(loadVaultSettings());
+    refreshVaultAutoLock();
+  }, []);
+
+  const handleLockNow = useCallback(() => {
+    lockCredentialVault();
+    setMessage('Vault locked. Encrypted collections ask for the password again.');
+  }, []);
+
+  const handleChangePassword = useCallback(async () => {
+    setError('');
+    setMessage('');
+    if (!form.next.trim()) {
+      setError('Enter a new password.');
+      return;
+    }
+    if (form.next !== form.confirm) {
+      setError('New passwords do not match.');
+      return;
+    }
+
+    setIsChanging(true);
+    const result = await changeVaultPassword(form.current, form.next);
+    setIsChanging(false);
+
+    if (!result.success) {
+      setError(result.error || 'Failed to change the vault password.');
+      return;
+    }
+    setForm(EMPTY_FORM);
+    setMessage(`Password changed; re-encrypted ${result.reencrypted} credential${result.reencrypted === 1 ? '' : 's'}.`);
+  }, [form]);
+
+  const vaultExists = hasVaultPassword();
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} maxWidth={480}>
+      <h3>Credential vault</h3>
+      <p class="modal-note">
+        {vaultExists
+          ? `Encrypted keys are ${unlocked ? 'unlocked for this session' : 'locked'}.`
+          : 'No vault password yet. Enable "Encrypt key" in a storage or Cloud GPU form to create one.'}
+      </p>
+
+      {vaultExists && (
+        <>
+          <div class="form-field" style={{ marginTop: '12px' }}>
+            <label>Auto-lock</label>
+            <select
+              value={settings.autoLockMinutes}
+              onChange={(e) => updateSettings({ autoLockMinutes: Number(e.target.value) })}
+            >
+              {AUTO_LOCK_MINUTES_OPTIONS.map((minutes) => (
+                <option key={minutes} value={minutes}>{formatMinutes(minutes)}</option>
+              ))}
+            </select>
+          </div>
+          <div class="modal-checkbox">
+            <label>
+              <input
+                type="checkbox"
+                checked={settings.lockWhenHidden}
+                onChange={(e) => updateSettings({ lockWhenHidden: e.target.checked })}
+              />
+              Lock when this tab is hidden
+            </label>
+          </div>
+
+          <div class="form-field" style={{ marginTop: '16px' }}>
+            <label>Change password</label>
+            <input
+              type="password"
+              placeholder="Current password"
+              value={form.current}
+              disabled={isChanging}
+              onInput={(e) => setForm((prev) => ({ ...prev, current: e.target.value }))}
+            />
+            <input
+              type="password"
+              placeholder="New password"
+              value={form.next}
+              disabled={isChanging}
+              onInput={(e) => setForm((prev) => ({ ...prev, next: e.target.value }))}
+              style={{ marginTop: '8px' }}
+            />
+            <input
+              type="password"
+              placeholder="Confirm new password"
+              value={form.confirm}
+              disabled={isChanging}
+              onInput={(e) => setForm((prev) => ({ ...prev, confirm: e.target.value }))}
+              style={{ marginTop: '8px' }}
+            />
+            <span class="field-hint">
+              Every encrypted key is re-encrypted in one step; if anything fails, the old password keeps working.
+            </span>
+          </div>
+        </>
+      )}
+
+      {error && <div class="form-error">{error}</div>}
+      {message && <p class="modal-note">{message}</p>}
+
+      <div class="modal-actions" style={{ marginTop: '20px' }}>
+        <button onClick={onClose}>Close</button>
+        {vaultExists && (
+          <button onClick={handleLockNow} disabled={!unlocked}>
+            Lock now
+          </button>
+        )}
+        {vaultExists && (
+          <button
+            class="modal-confirm-btn"
+            onClick={handleChangePassword}
+            disabled={isChanging || !form.current.trim() || !form.next.trim()}
+          >
+            {isChanging ? 'Re-encrypting…' : 'Change password'}
+          </button>
+        )}
+      </div>
+    </Modal>
+  );
+}
+
+export default CredentialVaultModal;
@@ -8,19 +8,23 @@ import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faChevronDown } from '@fortawesome/free-solid-svg-icons';
 import { useStore } from '../store';
 import { captureCurrentAssetPreview, getAssetList, getCurrentAssetIndex } from '../assetManager';
-import { savePreviewBlob } from '../fileStorage';
+import { getFileStorageKey, savePreviewBlob } from '../fileStorage';
 import { generateAllPreviews, abortBatchPreview } from '../batchPreview';
 import { loadFromStorageSource, resize } from '../fileLoader';
 import { applyPreviewBackground } from '../backgroundManager.js';
-import { clearCustomMetadataForAsset } from '../customMetadata.js';
-import { requestRender, setStereoEffectEnabled } from '../viewer';
+import { captureEmbeddedCameraFields, clearCustomMetadataForAsset } from '../customMetadata.js';
+import { getFormatHandler, resolveFormatHandler } from '../formats/index.js';
+import { currentMesh, requestRender, setStereoEffectEnabled } from '../viewer';
 import { formatBytes } from '../previewManager.js';
 import { clearRemovedAssets, getSource, isSourceAsset, loadAssetFile } from '../storage/index.js';
+import { canConvertToSog, canUploadToSource, convertPlyToSog, uploadFilesToSource } from '../conversion/index.js';
 import { zipSync } from 'fflate';
 import TransferDataModal from './TransferDataModal';
 import ExportChoiceModal from './ExportChoiceModal';
+import AssetInspectorModal from './AssetInspectorModal';
 import BatchPreviewModal from './BatchPreviewModal';
 import ClearDataModal from './ClearDataModal';
+import CredentialVaultModal from './CredentialVaultModal';
 
 
 function DebugSettings() {
@@ -51,6 +55,7 @@ function DebugSettings() {
   const setCustomMetadataAvailable = useStore((state) => state.setCustomMetadataAvailable);
   const setCustomMetadataControlsVisible = useStore((state) => state.setCustomMetadataControlsVisible);
   const stereoEnabled = useStore((state) => state.stereoEnabled);
+  const currentFov = useStore((state) => state.fov);
   const setStereoEnabled = useStore((state) => state.setStereoEnabled);
 
   const {
@@ -67,7 +72,9 @@ function DebugSettings() {
   const [isRestoringRemoved, setIsRestoringRemoved] = useState(false);
   const [transferModalOpen, setTransferModalOpen] = useState(false);
   const [clearDataModalOpen, setClearDataModalOpen] = useState(false);
+  const [vaultModalOpen, setVaultModalOpen] = useState(false);
   const [exportModalOpen, setExportModalOpen] = useState(false);
+  const [inspectorOpen, setInspectorOpen] = useState(false);
   const [batchPreviewModalOpen, setBatchPreviewModalOpen] = useState(false);
 
   // Debug upload overlay simulation
@@ -81,6 +88,7 @@ function DebugSettings() {
   const collectionInfo = useMemo(() => {
     const source = activeSourceId ? getSource(activeSourceId) : null;
     const collectionName = source?.name || source?.config?.collectionName || 'Current collection';
+    const canUpload = canUploadToSource(source);
     const totalAssets = assets.length;
     const sizeValues = assets.map((asset) => asset?.file?.size ?? asset?.size).filter((size) => Number.isFinite(size));
     const allSizesKnown = totalAssets > 0 && sizeValues.length === totalAssets;
@@ -93,6 +101,7 @@ function DebugSettings() {
 
     return {
       collectionName,
+      canUpload,
       totalAssets,
       allSizesKnown,
       totalSize,
@@ -186,11 +195,12 @@ function DebugSettings() {
   }, [setDebugSparkMaxStdDev, setQualityPreset]);
 
   const handleClearCustomMetadata = useCallback(async () => {
-    if (!currentAssetName || isClearing) return;
+    const storageKey = getFileStorageKey(currentAsset);
+    if (!currentAssetName || !storageKey || isClearing) return;
     
     setIsClearing(true);
     try {
-      await clearCustomMetadataForAsset(currentAssetName);
+      await clearCustomMetadataForAsset(storageKey);
       setCurrentAssetHasCustomMetadata(false);
       resetCustomMetadataState();
       console.log(`Cleared custom metadata for ${currentAssetName}`);
@@ -199,7 +209,7 @@ function DebugSettings() {
     } finally {
       setIsClearing(false);
     }
-  }, [currentAssetName, isClearing, setCurrentAssetHasCustomMetadata, resetCustomMetadataState]);
+  }, [currentAsset, currentAssetName, isClearing, setCurrentAssetHasCustomMetadata, resetCustomMetadataState]);
 
   const handleRestoreRemoved = useCallback(async () => {
     if (!activeSourceId || isRestoringRemoved) return;
@@ -269,7 +279,7 @@ function DebugSettings() {
             width: result.width,
             height: result.height,
             format: result.format,
-          }, asset.previewStorageKey || asset.name);
+          }, asset.previewStorageKey || getFileStorageKey(asset));
           addLog(`[Debug] Preview saved to IndexedDB`);
         }
       } else {
@@ -496,16 +506,115 @@ function DebugSettings() {
     setTimeout(() => URL.revokeObjectURL(url), 1000);
   }, []);
 
-  const handleExportCurrentAsset = useCallback(async () => {
+  const handleExportCurrentAsset = useCallback(async ({ embedCamera = false } = {}) => {
     if (!currentAsset) throw new Error('No current asset available');
     const file = currentAsset.file
       ? currentAsset.file
-      : (isSourceAsset(currentAsset) ? await loadAssetFile(currentAsset) : null);
+      : typeof currentAsset.loadFile === 'function'
+        ? await currentAsset.loadFile()
+        : (isSourceAsset(currentAsset) ? await loadAssetFile(currentAsset) : null);
 
     if (!file) throw new Error('Unable to load current asset file');
-    downloadBlob(file, file.name || sanitizeFileName(currentAsset.name || 'asset'));
-    addLog(`[Export] Downloaded ${file.name || currentAsset.name || 'asset'}`);
-  }, [addLog, currentAsset, downloadBlob, sanitizeFileName]);
+    const filename = file.name || sanitizeFileName(currentAsset.name || 'asset');
+
+    if (!embedCamera) {
+      downloadBlob(file, filename);
+      addLog(`[Export] Downloaded ${file.name || currentAsset.name || 'asset'}`);
+      return;
+    }
+
+    try {
+      const sharpMetadata = captureEmbeddedCameraFields(currentMesh);
+      if (!sharpMetadata) throw new Error('No active view to embed');
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const handler = resolveFormatHandler(file, bytes)?.handler;
+      if (typeof handler?.embedCamera !== 'function') {
+        throw new Error(`${handler?.label ?? 'This'} format cannot carry camera data`);
+      }
+      const output = await handler.embedCamera({ bytes, sharpMetadata });
+      downloadBlob(new Blob([output], { type: file.type || 'application/octet-stream' }), filename);
+      addLog(`[Export] Downloaded ${filename} with embedded camera (fov ${currentFov}°, ${sharpMetadata.image_size.join('x')})`);
+    } catch (err) {
+      setUploadState({
+        isUploading: true,
+        uploadProgress: {
+          stage: 'error',
+          error: {
+            message: err?.message || 'Camera export failed',
+            detail: err?.message || 'Camera export failed',
+          },
+        },
+      });
+      throw err;
+    }
+  }, [addLog, currentAsset, currentFov, downloadBlob, sanitizeFileName, setUploadState]);
+
+  const handleConvertCurrentAsset = useCallback(async (destination = 'download') => {
+    if (!canConvertToSog(currentAsset)) throw new Error('Only PLY assets can be converted to SOG');
+
+    // Rough weight of each worker stage in the overall bar
+    const stageRanges = {
+      reading: [0, 5],
+      parsing: [5, 40],
+      quantizing: [40, 70],
+      encoding: [70, 95],
+      packaging: [95, 100],
+    };
+    const emitConvertProgress = (stage, progress) => {
+      const [start, end] = stageRanges[stage] || [0, 100];
+      const fraction = Math.max(0, Math.min(1, Number(progress) || 0));
+      setUploadState({
+        isUploading: true,
+        uploadProgress: {
+          stage: 'converting',
+          convert: { percent: start + (end - start) * fraction },
+        },
+      });
+    };
+
+    let convertSucceeded = false;
+    try {
+      emitConvertProgress('reading', 0);
+      const file = currentAsset.file
+        ? currentAsset.file
+        : typeof currentAsset.loadFile === 'function'
+          ? await currentAsset.loadFile()
+          : (isSourceAsset(currentAsset) ? await loadAssetFile(currentAsset) : null);
+      if (!file) throw new Error('Unable to load current asset file');
+
+      const result = await convertPlyToSog(file, { onProgress: emitConvertProgress });
+      const ratio = file.size > 0 ? Math.round((result.file.size / file.size) * 100) : null;
+      addLog(`[Convert] ${file.name} → ${result.file.name} (${formatBytes(file.size)} → ${formatBytes(result.file.size)}${ratio != null ? `, ${ratio}%` : ''}${result.hasCamera ? ', camera kept' : ''})`);
+
+      if (destination === 'upload') {
+        const source = activeSourceId ? getSource(activeSourceId) : null;
+        setUploadState({ isUploading: true, uploadProgress: { stage: 'upload' } });
+        const upload = await uploadFilesToSource(source, [result.file]);
+        if (!upload.success) throw new Error(upload.error);
+        addLog(`[Convert] Uploaded ${result.file.name} to ${collectionInfo.collectionName}`);
+        await loadFromStorageSource(source, { preferredIndex: currentAssetIndex });
+      } else {
+        downloadBlob(result.file, result.file.name);
+      }
+      convertSucceeded = true;
+    } catch (err) {
+      setUploadState({
+        isUploading: true,
+        uploadProgress: {
+          stage: 'error',
+          error: {
+            message: err?.message || 'SOG conversion failed',
+            detail: err?.message || 'SOG conversion failed',
+          },
+        },
+      });
+      throw err;
+    } finally {
+      if (convertSucceeded) {
+        setUploadState({ isUploading: false, uploadProgress: null });
+      }
+    }
+  }, [activeSourceId, addLog, collectionInfo.collectionName, currentAsset, currentAssetIndex, downloadBlob, setUploadState]);
 
   const handleExportCollection = useCallback(async () => {
     if (!assets.length) throw new Error('No assets to export');
@@ -535,7 +644,9 @@ function DebugSettings() {
         emitDownloadProgress(i + 1);
         const assetFile = asset?.file
           ? asset.file
-          : (isSourceAsset(asset) ? await loadAssetFile(asset) : null);
+          : typeof asset?.loadFile === 'function'
+            ? await asset.loadFile()
+            : (isSourceAsset(asset) ? await loadAssetFile(asset) : null);
 
         if (!assetFile) {
           throw new Error(`Unable to load asset: ${asset?.name || `#${i + 1}`}`);
@@ -685,6 +796,18 @@ function DebugSettings() {
           <span>Cache</span>
         </div>
 
+        <div class="control-row">
+          <span class="control-label">Inspect asset</span>
+          <button
+            type="button"
+            class="secondary"
+            onClick={() => setInspectorOpen(true)}
+            disabled={!currentAsset}
+          >
+            Inspect...
+          </button>
+        </div>
+
         <div class="control-row">
           <span class="control-label">Export splats</span>
           <button
@@ -792,6 +915,17 @@ function DebugSettings() {
           </button>
         </div>
 
+        <div class="control-row">
+          <span class="control-label">Credential vault</span>
+          <button
+            type="button"
+            class="secondary"
+            onClick={() => setVaultModalOpen(true)}
+          >
+            Manage...
+          </button>
+        </div>
+
         <div class="control-row">
           <span class="control-label">Clear data</span>
           <button
@@ -870,11 +1004,16 @@ function DebugSettings() {
         onClose={() => setClearDataModalOpen(false)}
         addLog={addLog}
       />
+      <CredentialVaultModal
+        isOpen={vaultModalOpen}
+        onClose={() => setVaultModalOpen(false)}
+      />
       <ExportChoiceModal
         isOpen={exportModalOpen}
         onClose={() => setExportModalOpen(false)}
         onExportAsset={handleExportCurrentAsset}
         onExportCollection={handleExportCollection}
+        onConvertAsset={handleConvertCurrentAsset}
         assetTitle={currentAsset?.name || 'Current image'}
         assetSubtitle={`Size: ${formatBytes(currentAssetSize)}`}
         collectionTitle={collectionInfo.collectionName}
@@ -885,6 +1024,14 @@ function DebugSettings() {
         }
         assetDisabled={!currentAsset}
         collectionDisabled={collectionInfo.totalAssets === 0}
+        convertDisabled={!canConvertToSog(currentAsset)}
+        convertSubtitle={
+          canConvertToSog(currentAsset)
+            ? 'Compress the current PLY into a .sog file.'
+            : 'Only available for .ply assets.'
+        }
+        convertUploadLabel={collectionInfo.canUpload ? collectionInfo.collectionName : ''}
+        embedCameraAvailable={Boolean(currentAsset && currentMesh && getFormatHandler(currentAsset.file ?? { name: currentAsset.name })?.embedCamera)}
         note={
           collectionInfo.allSizesKnown
             ? ''
@@ -893,6 +1040,11 @@ function DebugSettings() {
               : '')
         }
       />
+      <AssetInspectorModal
+        isOpen={inspectorOpen}
+        onClose={() => setInspectorOpen(false)}
+        asset={currentAsset}
+      />
       <BatchPreviewModal
         isOpen={batchPreviewModalOpen}
         onClose={() => setBatchPreviewModalOpen(false)}
@@ -1,12 +1,13 @@
 /**
  * Export Choice Modal
- * Lets the user pick between exporting current asset or the current collection.
+ * Lets the user pick between exporting current asset, the current collection,
+ * or (for PLY assets) a SOG conversion of the current asset.
  */
 
 import { useEffect, useMemo, useState } from 'preact/hooks';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faCheck, faDownload } from '@fortawesome/free-solid-svg-icons';
-import { CollectionIcon, ImageIcon } from '../icons/customIcons';
+import { CollectionIcon, CubeIcon, ImageIcon } from '../icons/customIcons';
 import Modal from './Modal';
 
 function ExportOptionItem({ title, subtitle, icon: Icon, selected, onSelect, onConfirm, disabled }) {
@@ -46,15 +47,21 @@ function ExportChoiceModal({
   onClose,
   onExportAsset,
   onExportCollection,
+  onConvertAsset,
   title = 'Export files',
   subtitle = 'Choose what you want to export.',
   assetTitle = 'Current image',
   assetSubtitle,
   collectionTitle = 'Current collection',
   collectionSubtitle,
+  convertTitle = 'Convert to SOG',
+  convertSubtitle = 'Compress the current PLY into a .sog file.',
+  convertUploadLabel = '',
+  embedCameraAvailable = false,
   note = '',
   assetDisabled = false,
   collectionDisabled = false,
+  convertDisabled = false,
 }) {
   const defaultMode = useMemo(() => {
     if (!assetDisabled) return 'asset';
@@ -62,6 +69,9 @@ function ExportChoiceModal({
     return 'asset';
   }, [assetDisabled, collectionDisabled]);
   const [mode, setMode] = useState(defaultMode);
+  const [convertDestination, setConvertDestination] = useState('download');
+  const [embedCamera, setEmbedCamera] = useState(false);
+  const showConvert = typeof onConvertAsset === 'function';
   const [exportBusy, setExportBusy] = useState(false);
   const [exportError, setExportError] = useState('');
 
@@ -73,6 +83,8 @@ function ExportChoiceModal({
 
   useEffect(() => {
     setMode(defaultMode);
+    setConvertDestination('download');
+    setEmbedCamera(false);
     if (!isOpen) {
       setExportBusy(false);
       setExportError('');
@@ -81,12 +93,20 @@ function ExportChoiceModal({
 
   if (!isOpen) return null;
 
+  const disabledByMode = {
+    asset: assetDisabled,
+    collection: collectionDisabled,
+    convert: convertDisabled,
+  };
+
   const handleExport = () => {
     if (exportBusy) return;
     setExportError('');
     setExportBusy(true);
 
-    const exportAction = mode === 'asset' ? onExportAsset : onExportCollection;
+    const exportAction = mode === 'convert'
+      ? () => onConvertAsset?.(convertDestination)
+      : (mode === 'asset' ? () => onExportAsset?.({ embedCamera }) : onExportCollection);
     try {
       const result = exportAction?.();
       if (result && typeof result.then === 'function') {
@@ -129,8 +149,60 @@ function ExportChoiceModal({
           onConfirm={handleExport}
           disabled={collectionDisabled}
         />
+        {showConvert && (
+          <ExportOptionItem
+            title={convertTitle}
+            subtitle={convertSubtitle}
+            icon={CubeIcon}
+            selected={mode === 'convert'}
+            onSelect={() => setMode('convert')}
+            onConfirm={handleExport}
+            disabled={convertDisabled}
+          />
+        )}
       </div>
 
+      {mode === 'asset' && embedCameraAvailable && (
+        <div class="modal-checkbox" style={{ marginTop: '16px', marginBottom: '0' }}>
+          <label>
+            <input
+              type="checkbox"
+              checked={embedCamera}
+              onChange={(e) => setEmbedCamera(e.target.checked)}
+            />
+            Embed current camera view in the file
+          </label>
+          <p class="modal-subnote">
+            Writes the active FOV and pose as ML-Sharp camera data so other viewers open it at the same perspective.
+          </p>
+        </div>
+      )}
+
+      {showConvert && mode === 'convert' && convertUploadLabel && (
+        <div class="modal-options" style={{ marginTop: '16px', marginBottom: '0' }}>
+          <label class="radio-option">
+            <input
+              type="radio"
+              name="convertDestination"
+              value="download"
+              checked={convertDestination === 'download'}
+              onChange={(e) => setConvertDestination(e.target.value)}
+            />
+            Download .sog
+          </label>
+          <label class="radio-option">
+            <input
+              type="radio"
+              name="convertDestination"
+              value="upload"
+              checked={convertDestination === 'upload'}
+              onChange={(e) => setConvertDestination(e.target.value)}
+            />
+            Upload to {convertUploadLabel}
+          </label>
+        </div>
+      )}
+
       {note && (
         <p class="dialog-subtitle" style={{ marginTop: '12px', color: 'var(--text-muted, #888)' }}>
           {note}
@@ -154,11 +226,11 @@ function ExportChoiceModal({
         <button
           class="primary-button"
           onClick={handleExport}
-          disabled={exportBusy || (mode === 'asset' ? assetDisabled : collectionDisabled)}
+          disabled={exportBusy || disabledByMode[mode]}
           style={{ height: '36px', padding: '0 16px' }}
         >
           <FontAwesomeIcon icon={faDownload} />
-          {' '}{exportBusy ? 'Exporting...' : 'Export'}
+          {' '}{exportBusy ? 'Exporting...' : (mode === 'convert' ? 'Convert' : 'Export')}
         </button>
       </div>
     </Modal>
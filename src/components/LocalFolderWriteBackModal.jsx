@@ -0,0 +1,141 @@
+/**
+ * Local folder write-back modal.
+ * Writes stored previews, per-file settings and an optional manifest.json
+ * into a local folder, and toggles automatic write-back for it.
+ */
+
+import { useCallback, useEffect, useState } from 'preact/hooks';
+import Modal from './Modal';
+import {
+  isWriteBackEnabled,
+  setWriteBackEnabled,
+  writeBackFolder,
+} from '../storage/index.js';
+
+const WRITE_OPTIONS = [
+  { key: 'previews', label: 'Previews (<name>.preview.webp)' },
+  { key: 'metadata', label: 'Custom views, focus distance and animation (<name>.meta.json)' },
+  { key: 'manifest', label: 'manifest.json with default views' },
+];
+
+const DEFAULT_OPTIONS = {
+  previews: true,
+  metadata: true,
+  manifest: false,
+};
+
+function LocalFolderWriteBackModal({ isOpen, onClose, source, onWritten }) {
+  const [options, setOptions] = useState(DEFAULT_OPTIONS);
+  const [autoWrite, setAutoWrite] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [isWriting, setIsWriting] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setOptions(DEFAULT_OPTIONS);
+      setProgress(null);
+      setResult(null);
+      setError('');
+      return;
+    }
+    setAutoWrite(isWriteBackEnabled(source));
+  }, [isOpen, source]);
+
+  const handleToggle = useCallback((key) => {
+    setOptions((prev) => ({ ...prev, [key]: !prev[key] }));
+  }, []);
+
+  const handleAutoWriteChange = useCallback(async (e) => {
+    const enabled = e.target.checked;
+    setAutoWrite(enabled);
+    try {
+      await setWriteBackEnabled(source, enabled);
+    } catch (err) {
+      setAutoWrite(!enabled);
+      setError(err?.message || 'Failed to save setting');
+    }
+  }, [source]);
+
+  const handleWrite = useCallback(async () => {
+    setIsWriting(true);
+    setError('');
+    setResult(null);
+    try {
+      const next = await writeBackFolder(source, { ...options, onProgress: setProgress });
+      setResult(next);
+      onWritten?.();
+    } catch (err) {
+      setError(err?.message || 'Failed to write to folder');
+    } finally {
+      setProgress(null);
+      setIsWriting(false);
+    }
+  }, [onWritten, options, source]);
+
+  const hasSelection = Object.values(options).some(Boolean);
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} maxWidth={520}>
+      <h3>Save to folder</h3>
+      <p class="modal-note">
+        Stores what the viewer keeps for {source?.name || 'this folder'} next to its assets, so the folder carries it
+        to other devices.
+      </p>
+
+      <div class="modal-checkbox" style={{ marginTop: '12px', marginBottom: '12px' }}>
+        {WRITE_OPTIONS.map((option) => (
+          <label key={option.key} style={{ marginBottom: '8px' }}>
+            <input
+              type="checkbox"
+              checked={options[option.key]}
+              disabled={isWriting}
+              onChange={() => handleToggle(option.key)}
+            />
+            {option.label}
+          </label>
+        ))}
+        <label style={{ marginTop: '8px' }}>
+          <input type="checkbox" checked={autoWrite} onChange={handleAutoWriteChange} />
+          Keep writing new previews and settings automatically
+        </label>
+        <div class="modal-subnote">
+          Automatic writes run only while the folder has write permission; reconnect it after a browser restart.
+        </div>
+      </div>
+
+      {progress && (
+        <p class="modal-note">Writing {progress.name}… {Math.min(progress.completed + 1, progress.total)}/{progress.total}</p>
+      )}
+      {error && <div class="form-error">{error}</div>}
+      {result && (
+        <div class="inspector-body">
+          <p class="modal-note">
+            Wrote {result.previews} preview{result.previews === 1 ? '' : 's'} and {result.metadata} metadata
+            file{result.metadata === 1 ? '' : 's'}{result.manifestWritten ? ', plus manifest.json' : ''}.
+          </p>
+          {result.failed.length > 0 && (
+            <div class="inspector-section">
+              <div class="inspector-section-title">Failed ({result.failed.length})</div>
+              <pre class="inspector-pre">{result.failed.map((item) => `${item.name}: ${item.error}`).join('\n')}</pre>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div class="modal-actions" style={{ marginTop: '20px' }}>
+        <button onClick={onClose}>Close</button>
+        <button
+          class="modal-confirm-btn"
+          onClick={handleWrite}
+          disabled={!hasSelection || isWriting}
+        >
+          {isWriting ? 'Writing…' : 'Write now'}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default LocalFolderWriteBackModal;
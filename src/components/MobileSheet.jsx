@@ -13,6 +13,7 @@ import StorageSourceList from './StorageSourceList';
 import ConnectStorageDialog from './ConnectStorageDialog';
 import { getFormatAccept } from '../formats/index';
 import { handleMultipleFiles, loadFromStorageSource } from '../fileLoader';
+import { IS_PUBLIC_GALLERY } from '../storage/index.js';
 
 /** File input accept attribute value */
 const formatAccept = getFormatAccept();
@@ -113,12 +114,16 @@ function MobileSheet() {
       <div class="mobile-sheet-content">
         <CameraControls />
         <AnimationSettings />
-        <StorageSourceList 
-          onAddSource={handleOpenStorageDialog}
-          onSelectSource={handleSelectSource}
-          onOpenCloudGpu={handleOpenCloudGpuDialog}
-        />
-                <DebugSettings />
+        {!IS_PUBLIC_GALLERY && (
+          <>
+            <StorageSourceList 
+              onAddSource={handleOpenStorageDialog}
+              onSelectSource={handleSelectSource}
+              onOpenCloudGpu={handleOpenCloudGpuDialog}
+            />
+            <DebugSettings />
+          </>
+        )}
 
         {/* <AssetGallery /> */}
       </div>
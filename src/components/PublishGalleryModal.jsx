@@ -0,0 +1,179 @@
+/**
+ * Publish gallery modal.
+ * Exports a collection as a static web gallery (manifest, assets, previews
+ * and a read-only viewer) into a ZIP download or a folder of a writable
+ * bucket collection. Progress goes through the upload status overlay.
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'preact/hooks';
+import Modal from './Modal';
+import {
+  DEFAULT_GALLERY_PREFIX,
+  canPublishGalleryTo,
+  getSourcesArray,
+  isAbortError,
+  normalizeGalleryPrefix,
+  publishGallery,
+} from '../storage/index.js';
+import { useStore } from '../store';
+
+const ZIP_DESTINATION = 'zip';
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+function PublishGalleryModal({ isOpen, onClose, source }) {
+  const setUploadState = useStore((state) => state.setUploadState);
+  const [destination, setDestination] = useState(ZIP_DESTINATION);
+  const [prefix, setPrefix] = useState(DEFAULT_GALLERY_PREFIX);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [isRunning, setIsRunning] = useState(false);
+
+  const targets = useMemo(() => (
+    isOpen ? getSourcesArray().filter((candidate) => candidate.isConnected() && canPublishGalleryTo(candidate)) : []
+  ), [isOpen]);
+  const target = targets.find((candidate) => candidate.id === destination) || null;
+
+  useEffect(() => {
+    if (!isOpen) {
+      setDestination(ZIP_DESTINATION);
+      setPrefix(DEFAULT_GALLERY_PREFIX);
+      setResult(null);
+      setError('');
+    }
+  }, [isOpen]);
+
+  useEffect(() => {
+    setResult(null);
+    setError('');
+  }, [destination, prefix]);
+
+  const handlePublish = useCallback(async () => {
+    if (target) {
+      try {
+        normalizeGalleryPrefix(prefix);
+      } catch (err) {
+        setError(err.message);
+        return;
+      }
+    }
+
+    const controller = new AbortController();
+    const reportProgress = (progress) => {
+      setUploadState({
+        isUploading: true,
+        uploadProgress: {
+          uploadKind: 'gallery-publish',
+          stage: 'transfer',
+          transfer: { verb: 'Publishing', completed: progress.completed, total: Math.max(1, progress.total) },
+          message: progress.phase === 'packaging' ? 'Packaging ZIP' : (progress.name || ''),
+          cancelJob: () => controller.abort(),
+        },
+      });
+    };
+
+    setIsRunning(true);
+    setError('');
+    setResult(null);
+    try {
+      const published = await publishGallery(source, {
+        target,
+        prefix,
+        signal: controller.signal,
+        onProgress: reportProgress,
+      });
+      if (published.blob) {
+        downloadBlob(published.blob, published.fileName);
+      }
+      setResult(published);
+      setUploadState({ isUploading: false, uploadProgress: null });
+    } catch (err) {
+      if (isAbortError(err)) {
+        setError('Publishing cancelled.');
+        setUploadState({ isUploading: false, uploadProgress: null });
+      } else {
+        setError(err?.message || 'Publishing failed');
+        setUploadState({
+          isUploading: true,
+          uploadProgress: {
+            uploadKind: 'gallery-publish',
+            stage: 'error',
+            error: { message: 'Publishing failed', detail: err?.message || String(err) },
+          },
+        });
+      }
+    } finally {
+      setIsRunning(false);
+    }
+  }, [prefix, setUploadState, source, target]);
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} maxWidth={560}>
+      <h3>Publish gallery</h3>
+      <p class="modal-note">
+        Exports {source?.name || 'this collection'} with a read-only viewer as a static website. Upload the folder
+        to GitHub Pages, Netlify or an S3 website bucket; visitors need no storage settings.
+      </p>
+
+      <div class="form-field">
+        <label>Destination</label>
+        <select value={destination} onChange={(e) => setDestination(e.target.value)} disabled={isRunning}>
+          <option value={ZIP_DESTINATION}>Download ZIP</option>
+          {targets.map((candidate) => (
+            <option key={candidate.id} value={candidate.id}>Folder in {candidate.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {target && (
+        <div class="form-field" style={{ marginTop: '12px' }}>
+          <label>Folder</label>
+          <input
+            type="text"
+            value={prefix}
+            disabled={isRunning}
+            onInput={(e) => setPrefix(e.target.value)}
+          />
+          <span class="field-hint">
+            Written inside the collection next to its manifest. Files already there are replaced.
+          </span>
+        </div>
+      )}
+
+      {error && <div class="form-error">{error}</div>}
+
+      {result && (
+        <div class="inspector-body">
+          <p class="modal-note">
+            Published {result.assetCount} asset{result.assetCount === 1 ? '' : 's'} in {result.fileCount} files
+            {result.blob ? ` as ${result.fileName}` : ` to ${result.prefix}/`}.
+          </p>
+          {result.url && (
+            <div class="form-field">
+              <label>Gallery URL</label>
+              <input type="text" readOnly value={result.url} onFocus={(e) => e.target.select()} />
+            </div>
+          )}
+        </div>
+      )}
+
+      <div class="modal-actions" style={{ marginTop: '20px' }}>
+        <button onClick={onClose}>Close</button>
+        <button class="modal-confirm-btn" onClick={handlePublish} disabled={isRunning || !source}>
+          {isRunning ? 'Publishing…' : 'Publish'}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default PublishGalleryModal;
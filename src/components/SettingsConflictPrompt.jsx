@@ -0,0 +1,111 @@
+/**
+ * Settings sync conflict prompt.
+ * Shown when an asset's settings changed both on this device and in the
+ * collection manifest since they were last synced; the newer side is
+ * preselected but the user decides.
+ */
+
+import { useCallback, useEffect, useState } from 'preact/hooks';
+import Modal from './Modal';
+import {
+  getSettingsConflicts,
+  onSettingsConflictsChange,
+  resolveSettingsConflict,
+} from '../storage/index.js';
+
+const SETTING_LABELS = {
+  focusDistance: 'focus distance',
+  animation: 'load animation',
+  customAnimation: 'custom animation',
+  customMetadata: 'custom views',
+};
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'unknown');
+
+const describeSettings = (settings) => {
+  const keys = Object.keys(SETTING_LABELS).filter((key) => settings?.[key] !== undefined);
+  return keys.length ? keys.map((key) => SETTING_LABELS[key]).join(', ') : 'none';
+};
+
+function SettingsConflictPrompt() {
+  const [conflicts, setConflicts] = useState(getSettingsConflicts);
+  const [isResolving, setIsResolving] = useState(false);
+
+  useEffect(() => onSettingsConflictsChange(setConflicts), []);
+
+  const resolve = useCallback(async (items, pickSide) => {
+    setIsResolving(true);
+    try {
+      for (const conflict of items) {
+        await resolveSettingsConflict(conflict, pickSide(conflict));
+      }
+    } catch (err) {
+      console.warn('[SettingsSync] Failed to resolve conflict:', err);
+    } finally {
+      setIsResolving(false);
+    }
+  }, []);
+
+  const newerSide = (conflict) => (conflict.localAt >= conflict.remoteAt ? 'local' : 'remote');
+
+  return (
+    <Modal isOpen={conflicts.length > 0} showClose={false} maxWidth={560}>
+      <h3>Settings changed on two devices</h3>
+      <p class="modal-note">
+        These assets were edited here and on another device since they were last synced. Choose which settings to keep;
+        they apply the next time the asset is opened.
+      </p>
+      <div class="inspector-body">
+        {conflicts.map((conflict) => {
+          const newer = newerSide(conflict);
+          return (
+            <div key={conflict.id} class="inspector-section">
+              <div class="inspector-section-title">{conflict.assetName} ({conflict.sourceName})</div>
+              <div class="debug">
+                <div class="row">
+                  <span>This device{newer === 'local' ? ' (newer)' : ''}</span>
+                  <span>{formatTime(conflict.localAt)}</span>
+                </div>
+                <div class="modal-subnote">{describeSettings(conflict.local)}</div>
+                <div class="row">
+                  <span>Collection{newer === 'remote' ? ' (newer)' : ''}</span>
+                  <span>{formatTime(conflict.remoteAt)}</span>
+                </div>
+                <div class="modal-subnote">{describeSettings(conflict.remote)}</div>
+              </div>
+              <div class="modal-actions" style={{ marginTop: '8px' }}>
+                <button
+                  class={newer === 'local' ? 'modal-confirm-btn' : undefined}
+                  disabled={isResolving}
+                  onClick={() => resolve([conflict], () => 'local')}
+                >
+                  Keep this device
+                </button>
+                <button
+                  class={newer === 'remote' ? 'modal-confirm-btn' : undefined}
+                  disabled={isResolving}
+                  onClick={() => resolve([conflict], () => 'remote')}
+                >
+                  Use collection
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      {conflicts.length > 1 && (
+        <div class="modal-actions" style={{ marginTop: '16px' }}>
+          <button
+            class="modal-confirm-btn"
+            disabled={isResolving}
+            onClick={() => resolve(conflicts, newerSide)}
+          >
+            Keep newer for all
+          </button>
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+export default SettingsConflictPrompt;
@@ -0,0 +1,194 @@
+/**
+ * Share links modal.
+ * Issues presigned links with a chosen expiry for one asset or the whole
+ * collection (opened read-only on another device), and lists the links
+ * issued for this collection so they can be copied again or revoked.
+ */
+
+import { useCallback, useEffect, useState } from 'preact/hooks';
+import Modal from './Modal';
+import {
+  SHARE_EXPIRY_OPTIONS,
+  canShareCollection,
+  createAssetShareLink,
+  createCollectionShareLink,
+  forgetShareLink,
+  getShareLinks,
+  revokeShareLink,
+} from '../storage/index.js';
+import { useStore } from '../store';
+
+const DEFAULT_EXPIRY_SECONDS = SHARE_EXPIRY_OPTIONS[1].seconds;
+
+const describeState = (link, now) => {
+  if (link.revokedAt) return 'revoked';
+  if (link.expiresAt <= now) return 'expired';
+  return `expires ${new Date(link.expiresAt).toLocaleString()}`;
+};
+
+function ShareLinksModal({ isOpen, onClose, source }) {
+  const [expiresIn, setExpiresIn] = useState(DEFAULT_EXPIRY_SECONDS);
+  const [assetName, setAssetName] = useState('');
+  const [links, setLinks] = useState([]);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [copiedId, setCopiedId] = useState(null);
+  const [latest, setLatest] = useState(null);
+
+  const sourceAssets = isOpen && source ? source.getAssets() : [];
+  const collectionShareable = isOpen && canShareCollection(source);
+
+  useEffect(() => {
+    if (!isOpen || !source) return;
+    setLinks(getShareLinks(source.id));
+    setError('');
+    setCopiedId(null);
+    setLatest(null);
+    // Preselect the asset on screen when it belongs to this collection
+    const { assets, currentAssetIndex } = useStore.getState();
+    const current = assets[currentAssetIndex];
+    const names = source.getAssets().map((asset) => asset.name);
+    setAssetName(current?.sourceId === source.id && names.includes(current.name) ? current.name : (names[0] || ''));
+  }, [isOpen, source]);
+
+  const copy = useCallback(async (link) => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      setCopiedId(link.id);
+    } catch {
+      // clipboard may be unavailable; the link stays visible to copy by hand
+    }
+  }, []);
+
+  const run = useCallback(async (task) => {
+    setIsWorking(true);
+    setError('');
+    try {
+      const link = await task();
+      setLinks(getShareLinks(source.id));
+      if (link) {
+        setLatest(link);
+        await copy(link);
+      }
+    } catch (err) {
+      setError(err?.message || String(err));
+    } finally {
+      setIsWorking(false);
+    }
+  }, [copy, source]);
+
+  const handleShareAsset = useCallback(() => run(() => {
+    const asset = source.getAssets().find((item) => item.name === assetName);
+    if (!asset) throw new Error('Choose an asset to share.');
+    return createAssetShareLink(source, asset, { expiresIn });
+  }), [assetName, expiresIn, run, source]);
+
+  const handleShareCollection = useCallback(
+    () => run(() => createCollectionShareLink(source, { expiresIn })),
+    [expiresIn, run, source]
+  );
+
+  const handleRevoke = useCallback((link) => run(async () => {
+    await revokeShareLink(link.id);
+    return null;
+  }), [run]);
+
+  const handleForget = useCallback((link) => {
+    forgetShareLink(link.id);
+    setLinks(getShareLinks(source.id));
+  }, [source]);
+
+  if (!source) return null;
+  const now = Date.now();
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} maxWidth={560}>
+      <h3>Share {source.name}</h3>
+      <p class="modal-note">
+        Links are presigned, so anyone holding one can open it until it expires. New links are copied to the clipboard.
+      </p>
+
+      <div class="form-field" style={{ marginTop: '12px' }}>
+        <label>Expires after</label>
+        <select value={expiresIn} disabled={isWorking} onChange={(e) => setExpiresIn(Number(e.target.value))}>
+          {SHARE_EXPIRY_OPTIONS.map((option) => (
+            <option key={option.seconds} value={option.seconds}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div class="form-field" style={{ marginTop: '12px' }}>
+        <label>Asset</label>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <select
+            value={assetName}
+            disabled={isWorking || sourceAssets.length === 0}
+            onChange={(e) => setAssetName(e.target.value)}
+            style={{ flex: '2 1 0' }}
+          >
+            {sourceAssets.map((asset) => (
+              <option key={asset.id} value={asset.name}>{asset.name}</option>
+            ))}
+          </select>
+          <button onClick={handleShareAsset} disabled={isWorking || !assetName} style={{ flex: '1 1 0' }}>
+            Link to file
+          </button>
+        </div>
+        <span class="field-hint">A direct download link for the asset file.</span>
+      </div>
+
+      <div class="form-field" style={{ marginTop: '12px' }}>
+        <label>Collection</label>
+        <button class="modal-confirm-btn" onClick={handleShareCollection} disabled={isWorking || !collectionShareable}>
+          {isWorking ? 'Signing…' : 'Link to collection'}
+        </button>
+        <span class="field-hint">
+          {collectionShareable
+            ? 'Opens the whole collection read-only in this viewer on any device. Stores a shared manifest under shares/.'
+            : 'Needs write permission to store the shared manifest.'}
+        </span>
+      </div>
+
+      {error && <div class="form-error">{error}</div>}
+      {latest && (
+        <div class="form-field" style={{ marginTop: '12px' }}>
+          <label>{copiedId === latest.id ? 'Copied to clipboard' : 'New link'}</label>
+          <input type="text" readOnly value={latest.url} onFocus={(e) => e.target.select()} />
+        </div>
+      )}
+
+      {links.length > 0 && (
+        <div class="inspector-section" style={{ marginTop: '16px' }}>
+          <div class="inspector-section-title">Issued links ({links.length})</div>
+          {links.map((link) => {
+            const active = !link.revokedAt && link.expiresAt > now;
+            return (
+              <div key={link.id} class="debug" style={{ marginBottom: '8px' }}>
+                <div class="row">
+                  <span>{link.kind === 'collection' ? 'Collection' : link.assetName}</span>
+                  <span>{describeState(link, now)}</span>
+                </div>
+                <div class="modal-subnote">Created {new Date(link.createdAt).toLocaleString()}</div>
+                <div class="modal-actions" style={{ marginTop: '6px' }}>
+                  {active && (
+                    <button onClick={() => copy(link)}>{copiedId === link.id ? 'Copied' : 'Copy'}</button>
+                  )}
+                  {active && link.kind === 'collection' && (
+                    <button onClick={() => handleRevoke(link)} disabled={isWorking}>Revoke</button>
+                  )}
+                  <button onClick={() => handleForget(link)} disabled={isWorking}>Forget</button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div class="modal-actions" style={{ marginTop: '20px' }}>
+        <button onClick={onClose}>Close</button>
+      </div>
+    </Modal>
+  );
+}
+
+export default ShareLinksModal;
@@ -12,6 +12,7 @@ import DebugSettings from './DebugSettings';
 import StorageSourceList from './StorageSourceList';
 import ConnectStorageDialog from './ConnectStorageDialog';
 import { loadFromStorageSource } from '../fileLoader';
+import { IS_PUBLIC_GALLERY } from '../storage/index.js';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faChevronLeft } from '@fortawesome/free-solid-svg-icons';
 
@@ -116,6 +117,10 @@ function SidePanel() {
               <span>Size</span>
               <span>{fileInfo.size}</span>
             </div>
+            <div class="row">
+              <span>Format</span>
+              <span>{fileInfo.format}</span>
+            </div>
             <div class="row">
               <span>Splats</span>
               <span>{fileInfo.splatCount}</span>
@@ -129,13 +134,17 @@ function SidePanel() {
         {/* Settings panels */}
         <CameraControls />
         <AnimationSettings />
-        {/* Storage sources */}
-        <StorageSourceList 
-          onAddSource={handleOpenStorageDialog}
-          onSelectSource={handleSelectSource}
-          onOpenCloudGpu={handleOpenCloudGpuDialog}
-        />
-        <DebugSettings />
+        {/* Storage sources (a published gallery only has its own) */}
+        {!IS_PUBLIC_GALLERY && (
+          <>
+            <StorageSourceList 
+              onAddSource={handleOpenStorageDialog}
+              onSelectSource={handleSelectSource}
+              onOpenCloudGpu={handleOpenCloudGpuDialog}
+            />
+            <DebugSettings />
+          </>
+        )}
       </div>
       
       {/* Connect to Storage dialog */}
@@ -5,7 +5,7 @@
 
 import { useCallback } from 'preact/hooks';
 import { useStore } from '../store';
-import { saveCustomAnimationSettings } from '../fileStorage';
+import { getFileStorageKey, saveCustomAnimationSettings } from '../fileStorage';
 import { updateCustomAnimationInCache, clearCustomAnimationInCache } from '../splatManager';
 import Modal from './Modal';
 
@@ -74,7 +74,7 @@ function SlideshowOptionsModal({ isOpen, onClose }) {
   const assets = useStore((state) => state.assets);
   const currentAssetIndex = useStore((state) => state.currentAssetIndex);
   const fileCustomAnimation = useStore((state) => state.fileCustomAnimation);
-  const currentFileName = useStore((state) => state.fileInfo?.name);
+  const currentStorageKey = getFileStorageKey(assets?.[currentAssetIndex]);
 
   const setSlideModeStore = useStore((state) => state.setSlideMode);
   const setContinuousMotionSizeStore = useStore((state) => state.setContinuousMotionSize);
@@ -94,8 +94,8 @@ function SlideshowOptionsModal({ isOpen, onClose }) {
     const currentAssetId = assets?.[currentAssetIndex]?.id;
     const payload = buildCustomAnimationPayload(nextSettings);
 
-    if (currentFileName && currentFileName !== '-') {
-      saveCustomAnimationSettings(currentFileName, payload)
+    if (currentStorageKey) {
+      saveCustomAnimationSettings(currentStorageKey, payload)
         .catch(err => {
           console.warn('Failed to save custom animation settings:', err);
         });
@@ -107,7 +107,7 @@ function SlideshowOptionsModal({ isOpen, onClose }) {
         updateCustomAnimationInCache(currentAssetId, payload);
       }
     }
-  }, [setFileCustomAnimation, currentFileName, assets, currentAssetIndex]);
+  }, [setFileCustomAnimation, currentStorageKey, assets, currentAssetIndex]);
 
   const handleZoomProfileChange = useCallback((e) => {
     const zoomProfile = e.target.value;
@@ -21,6 +21,14 @@ import {
   faPen,
   faEllipsisVertical,
   faDatabase,
+  faServer,
+  faStethoscope,
+  faThumbtack,
+  faRightLeft,
+  faFloppyDisk,
+  faArrowsRotate,
+  faShareNodes,
+  faGlobe,
 } from '@fortawesome/free-solid-svg-icons';
 import { SupabaseIcon, CloudFlareIcon } from '../icons/customIcons';
 import {
@@ -32,21 +40,42 @@ import {
   clearCollectionCache,
   loadCollectionManifest,
   getRemovedAssetNames,
+  supportsCollectionDoctor,
+  listCachedAssetPaths,
+  isPathCached,
+  createSpaceReserver,
+  requestPersistentStorage,
+  supportsOfflinePinning,
+  pinCollectionOffline,
+  unpinCollectionOffline,
+  canTransferTo,
+  getSourcesArray,
+  supportsWriteBack,
+  supportsSettingsSync,
+  isSettingsSyncEnabled,
+  setSettingsSyncEnabled,
+  supportsShareLinks,
 } from '../storage/index.js';
 import { resetSplatManager } from '../splatManager';
 import { clearBackground } from '../backgroundManager';
 import { requestRender, setCurrentMesh } from '../viewer';
 import { useStore } from '../store';
 import { getAssetList } from '../assetManager.js';
-import { listCachedFileNames } from '../fileStorage.js';
 import { useCollectionUploadFlow } from './useCollectionUploadFlow.js';
 import Modal from './Modal';
+import CollectionDoctorModal from './CollectionDoctorModal';
+import CollectionTransferModal from './CollectionTransferModal';
+import ShareLinksModal from './ShareLinksModal';
+import PublishGalleryModal from './PublishGalleryModal';
+import LocalFolderWriteBackModal from './LocalFolderWriteBackModal';
 
 const TYPE_ICONS = {
   'local-folder': faFolder,
   'app-storage': faDatabase,
   'supabase-storage': 'supabase',
   'r2-bucket': 'cloudflare',
+  's3-bucket': faCloud,
+  webdav: faServer,
   'public-url': faLink,
 };
 
@@ -55,9 +84,24 @@ const TYPE_LABELS = {
   'app-storage': 'App',
   'supabase-storage': 'Supabase',
   'r2-bucket': 'R2',
+  's3-bucket': 'S3',
+  webdav: 'WebDAV',
   'public-url': 'URL',
 };
 
+const OFFLINE_PIN_LABELS = {
+  queued: 'Queued for offline use',
+  downloading: 'Downloading for offline use',
+  ready: 'Available offline',
+  incomplete: 'Offline copy incomplete',
+};
+
+const formatOfflinePinTitle = (pin) => {
+  const label = OFFLINE_PIN_LABELS[pin.status] || 'Pinned for offline use';
+  const counts = pin.status === 'ready' ? '' : ` (${pin.done}/${pin.total})`;
+  return `${label}${counts}${pin.error && pin.status === 'incomplete' ? `: ${pin.error}` : ''}`;
+};
+
 const formatEta = (seconds) => {
   const remaining = Math.max(0, Math.ceil(seconds));
   const mins = Math.floor(remaining / 60);
@@ -77,6 +121,7 @@ function StorageSourceItem({
   expanded,
   onToggleExpand,
   isActive,
+  offlinePin,
   onOpenCloudGpu,
   listOnly,
 }) {
@@ -90,6 +135,12 @@ function StorageSourceItem({
   const [removeCache, setRemoveCache] = useState(false);
   const [removeRemote, setRemoveRemote] = useState(false);
   const [removeSource, setRemoveSource] = useState(true);
+  const [showDoctorModal, setShowDoctorModal] = useState(false);
+  const [showTransferModal, setShowTransferModal] = useState(false);
+  const [showShareModal, setShowShareModal] = useState(false);
+  const [showPublishModal, setShowPublishModal] = useState(false);
+  const [showWriteBackModal, setShowWriteBackModal] = useState(false);
+  const [settingsSyncOn, setSettingsSyncOn] = useState(() => isSettingsSyncEnabled(source));
 
   const activeSourceId = useStore((state) => state.activeSourceId);
   const clearActiveSource = useStore((state) => state.clearActiveSource);
@@ -101,17 +152,27 @@ function StorageSourceItem({
   const allowImages = true;
   const cacheEnabled = source.type !== 'app-storage' && source.type !== 'local-folder';
   const actionButtonStyle = { minWidth: listOnly ? '100px' : '80px' };
-  const r2Permissions = source.type === 'r2-bucket'
+  const isBucketSource = source.type === 'r2-bucket' || source.type === 's3-bucket';
+  const bucketLabel = source.type === 's3-bucket' ? 'S3' : 'R2';
+  const isWebDav = source.type === 'webdav';
+  const isListingCollection = source.type === 'public-url' && Boolean(source.config?.config?.discoverListing);
+  const r2Permissions = isBucketSource
     ? (source?.config?.config?.permissions || { canRead: true, canWrite: true, canDelete: true })
     : null;
-  const canUploadForSource = source.type === 'r2-bucket'
+  const canUploadForSource = isBucketSource
     ? r2Permissions?.canWrite
     : true;
-  const canDeleteForSource = source.type === 'r2-bucket'
+  const canDeleteForSource = isBucketSource
     ? r2Permissions?.canDelete
     : true;
   const showRefreshAction = true;
   const showEditAction = source.type === 'public-url';
+  const showDoctorAction = supportsCollectionDoctor(source);
+  const canPinOffline = supportsOfflinePinning(source);
+  const showWriteBackAction = supportsWriteBack(source);
+  const showSettingsSyncAction = supportsSettingsSync(source);
+  const showShareAction = supportsShareLinks(source);
+  const showTransferAction = getSourcesArray().some((candidate) => candidate.id !== source.id && canTransferTo(candidate));
 
   const refreshCacheFlagsForSource = useCallback(async () => {
     if (!cacheEnabled) {
@@ -119,8 +180,7 @@ function StorageSourceItem({
       return;
     }
     try {
-      const cachedNames = await listCachedFileNames();
-      const cachedSet = new Set(cachedNames);
+      const cachedSet = new Set(await listCachedAssetPaths(source.id));
       const assetList = getAssetList();
       const removedNames = await getRemovedAssetNames(source.id);
       const removedSet = new Set(removedNames);
@@ -132,7 +192,7 @@ function StorageSourceItem({
         if (asset?.sourceId !== source.id) return;
         if (removedSet.has(asset?.name)) return;
         totalForSource += 1;
-        const next = cachedSet.has(asset.name);
+        const next = isPathCached(cachedSet, asset);
         if (asset.isCached !== next) {
           asset.isCached = next;
           changed = true;
@@ -149,7 +209,7 @@ function StorageSourceItem({
           totalForSource = visibleAssets.length;
           cachedForSource = cachedSet.size === 0
             ? visibleAssets.length
-            : visibleAssets.filter((asset) => cachedSet.has(asset?.name)).length;
+            : visibleAssets.filter((asset) => isPathCached(cachedSet, asset)).length;
           if (!source.isConnected()) {
             setAssetCount(totalForSource);
           }
@@ -171,8 +231,7 @@ function StorageSourceItem({
       return;
     }
     try {
-      const cachedNames = await listCachedFileNames();
-      const cachedSet = new Set(cachedNames);
+      const cachedSet = new Set(await listCachedAssetPaths(source.id));
       const assetList = getAssetList();
       const removedNames = await getRemovedAssetNames(source.id);
       const removedSet = new Set(removedNames);
@@ -183,7 +242,7 @@ function StorageSourceItem({
         if (asset?.sourceId !== source.id) return;
         if (removedSet.has(asset?.name)) return;
         totalForSource += 1;
-        if (cachedSet.has(asset.name)) cachedForSource += 1;
+        if (isPathCached(cachedSet, asset)) cachedForSource += 1;
       });
 
       if (totalForSource === 0) {
@@ -193,7 +252,7 @@ function StorageSourceItem({
           totalForSource = visibleAssets.length;
           cachedForSource = cachedSet.size === 0
             ? visibleAssets.length
-            : visibleAssets.filter((asset) => cachedSet.has(asset?.name)).length;
+            : visibleAssets.filter((asset) => isPathCached(cachedSet, asset)).length;
           if (!source.isConnected()) {
             setAssetCount(totalForSource);
           }
@@ -209,7 +268,7 @@ function StorageSourceItem({
   const refreshAssets = useCallback(async () => {
     setIsLoading(true);
     try {
-      if ((source.type === 'supabase-storage' || source.type === 'r2-bucket') && typeof source.rescan === 'function') {
+      if ((source.type === 'supabase-storage' || isBucketSource || isWebDav || isListingCollection) && typeof source.rescan === 'function') {
         const applied = await source.rescan({ applyChanges: true });
         if (!applied?.success) {
           setStatus('error');
@@ -227,7 +286,7 @@ function StorageSourceItem({
       setStatus('connected');
 
       // Best-effort: sync local cache manifest with remote assets
-      syncCollectionCache(source, visibleAssets)
+      syncCollectionCache(source, visibleAssets, { reserveSpace: createSpaceReserver(source.id) })
         .then(() => refreshCacheFlagsForSource())
         .catch((err) => console.warn('[Storage] Cache sync failed', err));
       return true;
@@ -275,7 +334,9 @@ function StorageSourceItem({
 
       const assets = await source.listAssets();
       setAssetCount(assets.length);
-      await cacheCollectionAssets(source, assets);
+      // Offline copies are only worth keeping if the browser will not clear them
+      await requestPersistentStorage();
+      await cacheCollectionAssets(source, assets, { reserveSpace: createSpaceReserver(source.id) });
       await refreshCacheFlagsForSource();
     } catch (err) {
       console.error('Cache all failed:', err);
@@ -285,6 +346,42 @@ function StorageSourceItem({
     }
   }, [refreshCacheFlagsForSource, source, cacheEnabled]);
 
+  const handleToggleSettingsSync = useCallback(async (e) => {
+    e.stopPropagation();
+    setIsLoading(true);
+    try {
+      const summary = await setSettingsSyncEnabled(source, !settingsSyncOn);
+      setSettingsSyncOn(!settingsSyncOn);
+      if (summary) {
+        console.log(`[Storage] Settings sync on for ${source.name}: ${summary.pushed} pushed, ${summary.pulled} pulled, ${summary.conflicts} conflicts`);
+      }
+    } catch (err) {
+      console.error('Settings sync failed:', err);
+      alert(err?.message || 'Failed to sync settings');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [settingsSyncOn, source]);
+
+  const handleToggleOfflinePin = useCallback(async (e) => {
+    e.stopPropagation();
+    setIsLoading(true);
+    try {
+      if (offlinePin) {
+        await unpinCollectionOffline(source.id);
+      } else {
+        const fileCount = await pinCollectionOffline(source);
+        setAssetCount(source.getAssets().length);
+        console.log(`[Storage] Pinned ${source.name} for offline use (${fileCount} files)`);
+      }
+    } catch (err) {
+      console.error('Offline pin failed:', err);
+      alert(err?.message || 'Failed to pin collection for offline use');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [offlinePin, source]);
+
   // Check connection status on mount
   useEffect(() => {
     let cancelled = false;
@@ -515,7 +612,7 @@ function StorageSourceItem({
 
   const handleConfirmRemove = useCallback(async () => {
     const shouldRemoveCache = removeCache && cachedCount > 0;
-    const canRemoveRemote = source.type === 'supabase-storage' || source.type === 'r2-bucket' || source.type === 'app-storage';
+    const canRemoveRemote = source.type === 'supabase-storage' || isBucketSource || isWebDav || source.type === 'app-storage';
     const shouldRemoveRemote = removeRemote && canRemoveRemote;
     const shouldRemoveSource = removeSource;
 
@@ -542,6 +639,9 @@ function StorageSourceItem({
       }
 
       if (shouldRemoveSource) {
+        if (offlinePin) {
+          await unpinCollectionOffline(source.id);
+        }
         await deleteSource(source.id);
         onRemove?.(source.id);
         if (activeSourceId === source.id) {
@@ -570,7 +670,7 @@ function StorageSourceItem({
       setIsLoading(false);
       setShowRemoveModal(false);
     }
-  }, [cachedCount, onRemove, refreshCacheFlagsForSource, removeCache, removeRemote, removeSource, source]);
+  }, [cachedCount, offlinePin, onRemove, refreshCacheFlagsForSource, removeCache, removeRemote, removeSource, source]);
 
   const handleCancelRemove = useCallback(() => {
     setShowRemoveModal(false);
@@ -627,6 +727,49 @@ function StorageSourceItem({
     }
   }, [isDefault, source?.id]);
 
+  const handleDoctorClick = useCallback((e) => {
+    e.stopPropagation();
+    setShowDoctorModal(true);
+  }, []);
+
+  const handleWriteBackClick = useCallback((e) => {
+    e.stopPropagation();
+    setShowWriteBackModal(true);
+  }, []);
+
+  const handleTransferClick = useCallback((e) => {
+    e.stopPropagation();
+    setShowTransferModal(true);
+  }, []);
+
+  const handleShareClick = useCallback((e) => {
+    e.stopPropagation();
+    setShowShareModal(true);
+  }, []);
+
+  const handlePublishClick = useCallback((e) => {
+    e.stopPropagation();
+    setShowPublishModal(true);
+  }, []);
+
+  // A move removes assets from this collection; refresh its count and cache
+  const handleTransferred = useCallback((_target, result) => {
+    if (!result.deleted.length) return;
+    const assets = source.getAssets();
+    setAssetCount(assets.length);
+    syncCollectionCache(source, assets, { reserveSpace: createSpaceReserver(source.id) })
+      .then(() => refreshCacheFlagsForSource())
+      .catch((err) => console.warn('[Storage] Cache sync failed', err));
+  }, [refreshCacheFlagsForSource, source]);
+
+  const handleDoctorRepaired = useCallback(() => {
+    const assets = source.getAssets();
+    setAssetCount(assets.length);
+    syncCollectionCache(source, assets, { reserveSpace: createSpaceReserver(source.id) })
+      .then(() => refreshCacheFlagsForSource())
+      .catch((err) => console.warn('[Storage] Cache sync failed', err));
+  }, [refreshCacheFlagsForSource, source]);
+
   const handleEditSourceClick = useCallback((e) => {
     e.stopPropagation();
     if (!showEditAction) return;
@@ -671,6 +814,14 @@ function StorageSourceItem({
                     {assetCount}
                   </span>
                 )}
+                {offlinePin && (
+                  <span class={`source-offline-pin ${offlinePin.status}`} title={formatOfflinePinTitle(offlinePin)}>
+                    <FontAwesomeIcon icon={faThumbtack} />
+                    {offlinePin.status !== 'ready' && (
+                      <span>{offlinePin.done}/{offlinePin.total}</span>
+                    )}
+                  </span>
+                )}
               </div>
             </div>
 
@@ -765,6 +916,61 @@ function StorageSourceItem({
                 <span>Edit</span>
               </button>
             )}
+            {showDoctorAction && isConnected && (
+              <button
+                class="source-action-btn"
+                onClick={handleDoctorClick}
+                title="Check manifest against stored files"
+                style={actionButtonStyle}
+              >
+                <FontAwesomeIcon icon={faStethoscope} />
+                <span>Doctor</span>
+              </button>
+            )}
+            {showWriteBackAction && isConnected && (
+              <button
+                class="source-action-btn"
+                onClick={handleWriteBackClick}
+                title="Write previews and settings into the folder"
+                style={actionButtonStyle}
+              >
+                <FontAwesomeIcon icon={faFloppyDisk} />
+                <span>Save to folder</span>
+              </button>
+            )}
+            {showTransferAction && isConnected && (
+              <button
+                class="source-action-btn"
+                onClick={handleTransferClick}
+                title="Copy or move this collection to another source"
+                style={actionButtonStyle}
+              >
+                <FontAwesomeIcon icon={faRightLeft} />
+                <span>Transfer</span>
+              </button>
+            )}
+            {showShareAction && isConnected && (
+              <button
+                class="source-action-btn"
+                onClick={handleShareClick}
+                title="Create time-limited links to assets or the whole collection"
+                style={actionButtonStyle}
+              >
+                <FontAwesomeIcon icon={faShareNodes} />
+                <span>Share</span>
+              </button>
+            )}
+            {isConnected && (
+              <button
+                class="source-action-btn"
+                onClick={handlePublishClick}
+                title="Export as a static web gallery for any web host"
+                style={actionButtonStyle}
+              >
+                <FontAwesomeIcon icon={faGlobe} />
+                <span>Publish</span>
+              </button>
+            )}
             {source.type === 'app-storage' && (
               <button
                 class="source-action-btn"
@@ -780,7 +986,7 @@ function StorageSourceItem({
               <button
                 class="source-action-btn"
                 onClick={handleUploadClick}
-                title={source.type === 'supabase-storage' ? 'Upload files to Supabase' : source.type === 'r2-bucket' ? 'Upload files to R2' : 'Convert images with Cloud GPU'}
+                title={source.type === 'supabase-storage' ? 'Upload files to Supabase' : isBucketSource ? `Upload files to ${bucketLabel}` : isWebDav ? 'Upload files to WebDAV' : 'Convert images with Cloud GPU'}
                 style={actionButtonStyle}
               >
                 <FontAwesomeIcon icon={faUpload} />
@@ -803,6 +1009,30 @@ function StorageSourceItem({
                 )}
               </button>
             )}
+            {canPinOffline && (
+              <button
+                class={`source-action-btn ${offlinePin ? 'default' : ''}`}
+                onClick={handleToggleOfflinePin}
+                title={offlinePin ? 'Unpin and remove the offline copy' : 'Download in the background and keep available offline'}
+                style={actionButtonStyle}
+              >
+                <FontAwesomeIcon icon={faThumbtack} />
+                <span>{offlinePin ? 'Pinned' : 'Pin offline'}</span>
+              </button>
+            )}
+            {showSettingsSyncAction && isConnected && (
+              <button
+                class="source-action-btn"
+                onClick={handleToggleSettingsSync}
+                title={settingsSyncOn
+                  ? 'Stop syncing focus, animation and custom views through the manifest'
+                  : 'Share focus, animation and custom views with other devices through the manifest'}
+                style={actionButtonStyle}
+              >
+                <FontAwesomeIcon icon={faArrowsRotate} />
+                <span>{settingsSyncOn ? 'Syncing settings' : 'Sync settings'}</span>
+              </button>
+            )}
             {canDeleteForSource && (
               <button
                 class="source-action-btn danger"
@@ -828,7 +1058,7 @@ function StorageSourceItem({
           const isAppStorage = source.type === 'app-storage';
           const isUrlCollection = source.type === 'public-url';
           const isSupabase = source.type === 'supabase-storage';
-          const isR2 = source.type === 'r2-bucket';
+          const isR2 = isBucketSource;
 
           if (isLocalCollection) {
             return (
@@ -873,12 +1103,20 @@ function StorageSourceItem({
           if (isR2 && removeRemote) {
             return (
               <p class="modal-note">
-                Selected items will be deleted from the R2 collection and removed from the list.
+                Selected items will be deleted from the {bucketLabel} collection and removed from the list.
               </p>
             );
           }
 
-          if (isSupabase || isR2) {
+          if (isWebDav && removeRemote) {
+            return (
+              <p class="modal-note">
+                Selected items and their preview/metadata sidecars will be deleted from the WebDAV folder.
+              </p>
+            );
+          }
+
+          if (isSupabase || isR2 || isWebDav) {
             return (
               <p class="modal-note">
                 Removing here only disconnects the collection; files remain in storage unless selected below.
@@ -923,7 +1161,7 @@ function StorageSourceItem({
           </div>
         )}
 
-        {(source.type === 'supabase-storage' || (source.type === 'r2-bucket' && canDeleteForSource) || source.type === 'app-storage') && (
+        {(source.type === 'supabase-storage' || (isBucketSource && canDeleteForSource) || isWebDav || source.type === 'app-storage') && (
           <div class="modal-checkbox">
             <label>
               <input
@@ -933,16 +1171,20 @@ function StorageSourceItem({
               />
               {source.type === 'supabase-storage'
                 ? 'Delete from Supabase storage'
-                : source.type === 'r2-bucket'
-                  ? 'Delete from R2 storage'
-                  : 'Delete from app storage'}
+                : isBucketSource
+                  ? `Delete from ${bucketLabel} storage`
+                  : isWebDav
+                    ? 'Delete from WebDAV folder'
+                    : 'Delete from app storage'}
             </label>
             <div class="modal-subnote">
               {source.type === 'supabase-storage'
                 ? 'Removes files and manifest entries from the linked Supabase collection.'
-                : source.type === 'r2-bucket'
-                  ? 'Removes files and manifest entries from the linked R2 collection.'
-                  : 'Removes files stored inside the app for this collection.'}
+                : isBucketSource
+                  ? `Removes files and manifest entries from the linked ${bucketLabel} collection.`
+                  : isWebDav
+                    ? 'Removes files and their sidecars from the linked WebDAV folder.'
+                    : 'Removes files stored inside the app for this collection.'}
             </div>
           </div>
         )}
@@ -959,6 +1201,37 @@ function StorageSourceItem({
         </div>
       </Modal>
 
+      <CollectionDoctorModal
+        isOpen={showDoctorModal}
+        onClose={() => setShowDoctorModal(false)}
+        source={source}
+        onRepaired={handleDoctorRepaired}
+      />
+
+      <LocalFolderWriteBackModal
+        isOpen={showWriteBackModal}
+        onClose={() => setShowWriteBackModal(false)}
+        source={source}
+      />
+
+      <CollectionTransferModal
+        isOpen={showTransferModal}
+        onClose={() => setShowTransferModal(false)}
+        source={source}
+        onTransferred={handleTransferred}
+      />
+
+      <ShareLinksModal
+        isOpen={showShareModal}
+        onClose={() => setShowShareModal(false)}
+        source={source}
+      />
+      <PublishGalleryModal
+        isOpen={showPublishModal}
+        onClose={() => setShowPublishModal(false)}
+        source={source}
+      />
+
       {uploadModal}
     </>
   );
@@ -14,6 +14,9 @@ import {
 import {
   getSourcesArray,
   onSourceChange,
+  listOfflinePins,
+  resumeOfflinePins,
+  onOfflinePinChange,
 } from '../storage/index.js';
 import { useStore } from '../store';
 import ConnectStorageDialog from './ConnectStorageDialog';
@@ -27,6 +30,7 @@ function StorageSourceList({ onAddSource, onSelectSource, onOpenCloudGpu, listOn
   const [expandedId, setExpandedId] = useState(null);
   const [isListExpanded, setIsListExpanded] = useState(true);
   const [editSource, setEditSource] = useState(null);
+  const [offlinePins, setOfflinePins] = useState({});
   const activeSourceId = useStore((state) => state.activeSourceId);
 
   // Load sources on mount and subscribe to changes
@@ -40,6 +44,38 @@ function StorageSourceList({ onAddSource, onSelectSource, onOpenCloudGpu, listOn
     return unsubscribe;
   }, []);
 
+  // Offline pin status comes from the service worker, which keeps
+  // downloading while the page is closed
+  useEffect(() => {
+    let cancelled = false;
+
+    listOfflinePins().then((pins) => {
+      if (cancelled) return;
+      setOfflinePins(Object.fromEntries(pins.map((pin) => [pin.collectionId, pin])));
+    });
+    resumeOfflinePins();
+
+    const unsubscribe = onOfflinePinChange((pin) => {
+      setOfflinePins((prev) => {
+        const next = { ...prev };
+        if (pin.status === 'removed') {
+          delete next[pin.collectionId];
+        } else {
+          next[pin.collectionId] = pin;
+        }
+        return next;
+      });
+    });
+    const handleOnline = () => resumeOfflinePins();
+    window.addEventListener('online', handleOnline);
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+      window.removeEventListener('online', handleOnline);
+    };
+  }, []);
+
   const handleToggleExpand = useCallback((sourceId) => {
     setExpandedId(prev => prev === sourceId ? null : sourceId);
   }, []);
@@ -72,6 +108,7 @@ function StorageSourceList({ onAddSource, onSelectSource, onOpenCloudGpu, listOn
           key={source.id}
           source={source}
           isActive={source.id === activeSourceId}
+          offlinePin={offlinePins[source.id] || null}
           expanded={expandedId === source.id}
           onToggleExpand={() => handleToggleExpand(source.id)}
           onSelect={onSelectSource}
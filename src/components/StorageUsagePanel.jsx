@@ -0,0 +1,198 @@
+/**
+ * Storage usage panel for the clear-data dialog.
+ * Shows browser quota, the cache budget and per-collection cache usage,
+ * with pinning (exempt from eviction) and per-collection clearing.
+ */
+
+import { useCallback, useEffect, useState } from 'preact/hooks';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faThumbtack, faTrash, faSpinner } from '@fortawesome/free-solid-svg-icons';
+import {
+  getStorageUsage,
+  setStorageBudget,
+  requestPersistentStorage,
+  setCollectionPinned,
+  clearCollectionCache,
+} from '../storage/index.js';
+import { formatBytes } from '../previewManager.js';
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+const BUDGET_OPTIONS = [
+  { value: '', label: 'Automatic' },
+  { value: String(250 * MB), label: '250 MB' },
+  { value: String(500 * MB), label: '500 MB' },
+  { value: String(GB), label: '1 GB' },
+  { value: String(2 * GB), label: '2 GB' },
+  { value: String(5 * GB), label: '5 GB' },
+  { value: String(10 * GB), label: '10 GB' },
+];
+
+const iconButtonStyle = {
+  background: 'none',
+  border: 'none',
+  padding: '4px 6px',
+  marginTop: 0,
+  cursor: 'pointer',
+};
+
+function StorageUsagePanel({ refreshKey = 0, addLog }) {
+  const [usage, setUsage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setUsage(await getStorageUsage());
+      setError(null);
+    } catch (err) {
+      console.warn('[Storage] Failed to read storage usage', err);
+      setError(err?.message || 'Failed to read storage usage');
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  const runAndRefresh = useCallback(async (action) => {
+    setBusy(true);
+    let failure = null;
+    try {
+      await action();
+    } catch (err) {
+      failure = err?.message || 'Storage action failed';
+      addLog?.(`[Storage] ${failure}`);
+    }
+    await refresh();
+    // After refresh, which clears the error once usage reads again
+    if (failure) setError(failure);
+    setBusy(false);
+  }, [addLog, refresh]);
+
+  const handleBudgetChange = useCallback((e) => {
+    const value = e.target.value ? Number(e.target.value) : null;
+    runAndRefresh(async () => {
+      const result = await setStorageBudget(value);
+      if (result.evicted) {
+        addLog?.(`[Storage] Evicted ${result.evicted} cached item(s), freed ${formatBytes(result.freedBytes)}`);
+      }
+    });
+  }, [addLog, runAndRefresh]);
+
+  const handlePersist = useCallback(() => {
+    runAndRefresh(async () => {
+      const persisted = await requestPersistentStorage();
+      addLog?.(`[Storage] Persistent storage ${persisted ? 'granted' : 'not granted'}`);
+    });
+  }, [addLog, runAndRefresh]);
+
+  const handleTogglePin = useCallback((collection) => {
+    runAndRefresh(async () => setCollectionPinned(collection.sourceId, !collection.pinned));
+  }, [runAndRefresh]);
+
+  const handleClearCollection = useCallback((collection) => {
+    runAndRefresh(async () => {
+      const { removed } = await clearCollectionCache(collection.sourceId);
+      addLog?.(`[Storage] Cleared ${removed} cached asset(s) from ${collection.name}`);
+    });
+  }, [addLog, runAndRefresh]);
+
+  if (!usage) {
+    return error
+      ? <p class="form-error">{error}</p>
+      : <p class="modal-note">Reading storage usage…</p>;
+  }
+
+  const { estimate } = usage;
+  const budgetLabel = usage.budgetBytes ? formatBytes(usage.budgetBytes) : 'no limit';
+
+  return (
+    <div class="debug" style={{ marginTop: '16px' }}>
+      {error && <p class="form-error">{error}</p>}
+      {estimate?.quota && (
+        <div class="row">
+          <span>Browser storage</span>
+          <span>{formatBytes(estimate.usage ?? 0)} of {formatBytes(estimate.quota)}</span>
+        </div>
+      )}
+      <div class="row">
+        <span>Cache and previews</span>
+        <span>{formatBytes(usage.usedBytes)} of {budgetLabel}</span>
+      </div>
+      <div class="row">
+        <span>Previews ({usage.previewCount})</span>
+        <span>{formatBytes(usage.previewBytes)}</span>
+      </div>
+
+      <div class="control-row select-row">
+        <span class="control-label">Cache budget</span>
+        <select
+          value={usage.budgetSetting ? String(usage.budgetSetting) : ''}
+          onChange={handleBudgetChange}
+          disabled={busy}
+        >
+          {BUDGET_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+          {usage.budgetSetting && !BUDGET_OPTIONS.some((option) => option.value === String(usage.budgetSetting)) && (
+            <option value={String(usage.budgetSetting)}>{formatBytes(usage.budgetSetting)}</option>
+          )}
+        </select>
+      </div>
+
+      <div class="row">
+        <span>Persistent storage</span>
+        {usage.persisted ? (
+          <span>Granted</span>
+        ) : (
+          <button class="link-button" onClick={handlePersist} disabled={busy} style={{ marginTop: 0, padding: '0 10px' }}>
+            Request
+          </button>
+        )}
+      </div>
+
+      {usage.collections.length > 0 && (
+        <div class="settings-divider" style={{ margin: '10px 0 6px' }}>
+          Cached collections
+        </div>
+      )}
+      {usage.collections.map((collection) => {
+        const isAppStorage = collection.type === 'app-storage';
+        return (
+          <div class="row" key={collection.sourceId}>
+            <span title={collection.sharedBytes ? `${formatBytes(collection.sharedBytes)} shared with other collections` : undefined}>
+              {collection.name} ({collection.count})
+            </span>
+            <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+              {formatBytes(collection.bytes)}
+              {!isAppStorage && (
+                <>
+                  <button
+                    onClick={() => handleTogglePin(collection)}
+                    disabled={busy}
+                    title={collection.pinned ? 'Unpin (allow eviction)' : 'Pin (never evict)'}
+                    style={{ ...iconButtonStyle, color: collection.pinned ? '#5bb2d5' : 'inherit', opacity: collection.pinned ? 1 : 0.5 }}
+                  >
+                    <FontAwesomeIcon icon={faThumbtack} />
+                  </button>
+                  <button
+                    onClick={() => handleClearCollection(collection)}
+                    disabled={busy}
+                    title="Clear cached assets"
+                    style={iconButtonStyle}
+                  >
+                    <FontAwesomeIcon icon={busy ? faSpinner : faTrash} spin={busy} />
+                  </button>
+                </>
+              )}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default StorageUsagePanel;
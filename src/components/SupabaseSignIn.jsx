@@ -0,0 +1,149 @@
+/**
+ * Supabase Auth sign-in for private buckets.
+ * Email/password or an emailed magic link; shows the signed-in account
+ * with a sign-out button once a session is stored.
+ */
+
+import { useState } from 'preact/hooks';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSpinner, faExclamationTriangle, faCheck } from '@fortawesome/free-solid-svg-icons';
+import {
+  sendSupabaseMagicLink,
+  signInToSupabase,
+  signOutOfSupabase,
+} from '../storage/index.js';
+
+function SupabaseSignIn({ supabaseUrl, anonKey, session, onSignedIn, onSignedOut }) {
+  const [email, setEmail] = useState(session?.email || '');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(null); // 'password' | 'link' | 'signout'
+  const [error, setError] = useState('');
+  const [linkSentTo, setLinkSentTo] = useState('');
+
+  const params = { supabaseUrl: supabaseUrl.trim(), anonKey: anonKey.trim() };
+  const ready = Boolean(params.supabaseUrl && params.anonKey);
+
+  const handleSignIn = async () => {
+    setBusy('password');
+    setError('');
+    const result = await signInToSupabase(params, { email, password });
+    setBusy(null);
+    if (!result.success) {
+      setError(result.error || 'Sign-in failed.');
+      return;
+    }
+    setPassword('');
+    onSignedIn?.(result.session);
+  };
+
+  const handleSendLink = async () => {
+    setBusy('link');
+    setError('');
+    setLinkSentTo('');
+    const result = await sendSupabaseMagicLink(params, email);
+    setBusy(null);
+    if (!result.success) {
+      setError(result.error || 'Could not send the sign-in link.');
+      return;
+    }
+    setLinkSentTo(email.trim());
+  };
+
+  const handleSignOut = async () => {
+    setBusy('signout');
+    await signOutOfSupabase(params);
+    setBusy(null);
+    onSignedOut?.();
+  };
+
+  if (session?.refreshToken) {
+    return (
+      <div class="form-field">
+        <label>Supabase account</label>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <span class="field-hint" style={{ flex: '2 1 0' }}>
+            Signed in as <strong>{session.email || 'unknown user'}</strong>
+          </span>
+          <button
+            class="secondary-button"
+            onClick={handleSignOut}
+            disabled={busy === 'signout'}
+            style={{ marginTop: 0, flex: '1 1 0' }}
+          >
+            Sign out
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div class="form-field">
+      <label>Sign in to Supabase</label>
+      <input
+        type="email"
+        placeholder="you@example.com"
+        autoComplete="username"
+        value={email}
+        onInput={(e) => setEmail(e.target.value)}
+      />
+      <input
+        type="password"
+        placeholder="Password (leave empty for a magic link)"
+        autoComplete="current-password"
+        value={password}
+        onInput={(e) => setPassword(e.target.value)}
+        style={{ marginTop: '8px' }}
+      />
+      <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+        <button
+          class="secondary-button"
+          onClick={handleSignIn}
+          disabled={!ready || Boolean(busy) || !email.trim() || !password}
+          style={{ marginTop: 0, flex: '1 1 0' }}
+        >
+          {busy === 'password' ? (
+            <>
+              <FontAwesomeIcon icon={faSpinner} spin />
+              {' '}Signing in
+            </>
+          ) : (
+            'Sign in'
+          )}
+        </button>
+        <button
+          class="secondary-button"
+          onClick={handleSendLink}
+          disabled={!ready || Boolean(busy) || !email.trim()}
+          style={{ marginTop: 0, flex: '1 1 0' }}
+        >
+          {busy === 'link' ? (
+            <>
+              <FontAwesomeIcon icon={faSpinner} spin />
+              {' '}Sending
+            </>
+          ) : (
+            'Email me a link'
+          )}
+        </button>
+      </div>
+      {linkSentTo && (
+        <div class="form-success" style={{ marginTop: '8px' }}>
+          <FontAwesomeIcon icon={faCheck} />
+          {' '}Sign-in link sent to {linkSentTo}. Open it in this browser.
+        </div>
+      )}
+      {error && (
+        <div class="form-error" style={{ marginTop: '8px' }}>
+          <FontAwesomeIcon icon={faExclamationTriangle} />
+          {' '}{error}
+        </div>
+      )}
+      <span class="field-hint" style={{ marginTop: '6px', display: 'block' }}>
+        Access follows the bucket's storage policies for this account.
+      </span>
+    </div>
+  );
+}
+
+export default SupabaseSignIn;
@@ -0,0 +1,29 @@
+import SupabaseSignIn from './SupabaseSignIn.jsx';
+
+function SupabaseSignInState({ sourceName, supabaseUrl, anonKey, onSignedIn, onBack }) {
+  return (
+    <div class="viewer-empty-state">
+      <div class="viewer-empty-card" style={{ position: 'relative' }}>
+        <button class="back-button viewer-empty-back" onClick={onBack}>
+          Back
+        </button>
+
+        <h3>Sign in to open {sourceName || 'this collection'}</h3>
+        <p>
+          This collection is in a private Supabase bucket. Sign in with an account its storage policies allow.
+        </p>
+
+        <div style={{ marginTop: '10px', textAlign: 'left' }}>
+          <SupabaseSignIn
+            supabaseUrl={supabaseUrl}
+            anonKey={anonKey}
+            session={null}
+            onSignedIn={onSignedIn}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SupabaseSignInState;
@@ -75,6 +75,7 @@ const resolveStageLabel = ({ stage, phase, currentFile, totalFiles, batchPrefix
 
   if (stage === 'upload') return `${batchPrefix}Uploading`;
   if (stage === 'packaging') return `${batchPrefix}Packaging ZIP`;
+  if (stage === 'converting') return `${batchPrefix}Converting to SOG`;
   if (stage === 'transferring') return `${batchPrefix}Sending results to storage`;
   if (stage === 'warmup') return `${batchPrefix}Warming up GPU`;
   if (stage === 'processing' && totalFiles > 1) {
@@ -474,6 +475,22 @@ function UploadStatusOverlay({ isUploading, uploadProgress, variant = 'default',
       };
     }
 
+    // Converting stage: local worker reports its own percentage
+    if (stage === 'converting') {
+      const convertPercent = Math.max(0, Math.min(100, Math.round(Number(effectiveUploadProgress?.convert?.percent) || 0)));
+      return {
+        stageLabel: `${batchPrefix}Converting to SOG`,
+        showSpinner: false,
+        showErrorIcon: false,
+        showBar: true,
+        etaLabel: `${convertPercent}%`,
+        progressPercent: convertPercent,
+        messageLabel: backendMessage || '',
+        showCancel,
+        cancelPending,
+      };
+    }
+
     // Transferring stage: files done processing, moving to storage
     if (stage === 'transferring' || phase === 'uploading_or_staging_results') {
       return {
@@ -505,6 +522,25 @@ function UploadStatusOverlay({ isUploading, uploadProgress, variant = 'default',
       };
     }
 
+    // Collection transfer: bar by asset count
+    if (stage === 'transfer') {
+      const transfer = effectiveUploadProgress?.transfer || null;
+      const totalAssets = Math.max(1, Number(transfer?.total) || 1);
+      const completedAssets = Math.max(0, Math.min(totalAssets, Number(transfer?.completed) || 0));
+      const transferPercent = Math.round((completedAssets / totalAssets) * 100);
+      return {
+        stageLabel: `${transfer?.verb || 'Copying'} ${Math.min(totalAssets, completedAssets + 1)} of ${totalAssets}`,
+        showSpinner: false,
+        showErrorIcon: false,
+        showBar: true,
+        etaLabel: `${transferPercent}%`,
+        progressPercent: transferPercent,
+        messageLabel: backendMessage || '',
+        showCancel,
+        cancelPending,
+      };
+    }
+
     // Warmup / Processing: bar + countdown timer
     const now = Date.now();
     const liveElapsedMs = getElapsedMs(liveTimer, now);
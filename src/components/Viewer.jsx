@@ -28,18 +28,29 @@ import { startSlideshow, stopSlideshow } from '../slideshowController';
 import { loadFromStorageSource, loadNextAsset, loadPrevAsset, resize } from '../fileLoader';
 import { resetSplatManager } from '../splatManager';
 import { clearBackground } from '../backgroundManager';
+import { formatBytes } from '../previewManager';
 import { getSource } from '../storage/index.js';
 import { loadR2Settings } from '../storage/r2Settings.js';
+import { isS3SourceLocked } from '../storage/s3Settings.js';
+import { isWebDavSourceLocked } from '../storage/webdavSettings.js';
+import { isSupabaseSignInRequired, isSupabaseSourceLocked, loadSupabaseSettings } from '../storage/supabaseSettings.js';
 import { unlockCredentialVault } from '../storage/credentialVault.js';
 import { registerTapListener } from '../utils/tapDetector';
 import ViewerEmptyState from './ViewerEmptyState.jsx';
 import UploadStatusOverlay from './UploadStatusOverlay.jsx';
 import R2UnlockState from './R2UnlockState.jsx';
+import SupabaseSignInState from './SupabaseSignInState.jsx';
 
 
 /** Tags that should not trigger keyboard shortcuts */
 const INPUT_TAGS = new Set(['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON']);
 
+const UNLOCK_PROVIDER_LABELS = {
+  's3-bucket': 'S3',
+  webdav: 'WebDAV',
+  'supabase-storage': 'Supabase',
+};
+
 /**
  * Checks if an event target is an input element.
  * @param {EventTarget} target - Event target to check
@@ -67,6 +78,7 @@ function Viewer({ viewerReady, dropOverlay }) {
   const uploadProgress = useStore((state) => state.uploadProgress);
   const setUploadState = useStore((state) => state.setUploadState);
   const isLoading = useStore((state) => state.isLoading);
+  const loadProgress = useStore((state) => state.loadProgress);
   const assets = useStore((state) => state.assets);
   const currentAssetIndex = useStore((state) => state.currentAssetIndex);
   const activeSourceId = useStore((state) => state.activeSourceId);
@@ -99,7 +111,12 @@ function Viewer({ viewerReady, dropOverlay }) {
     && r2BaseSettings?.requiresPassword
     && r2BaseSettings?.accountId === activeSource?.config?.config?.accountId
     && r2BaseSettings?.bucket === activeSource?.config?.config?.bucket
-  );
+  ) || Boolean(showEmptyState && (
+    isS3SourceLocked(activeSource)
+    || isWebDavSourceLocked(activeSource)
+    || isSupabaseSourceLocked(activeSource)
+  ));
+  const requiresSupabaseSignIn = showEmptyState && !requiresR2Unlock && isSupabaseSignInRequired(activeSource);
 
   const handleDismissUploadError = useCallback(() => {
     setUploadState({ isUploading: false, uploadProgress: null });
@@ -134,6 +151,20 @@ function Viewer({ viewerReady, dropOverlay }) {
     }
   }, [activeSource]);
 
+  const handleSupabaseSignedIn = useCallback(async () => {
+    if (!activeSource) return;
+    const connectResult = await activeSource.connect(false);
+    if (!connectResult?.success) {
+      setStatus(connectResult?.error || 'Failed to reconnect source.');
+      return;
+    }
+    try {
+      await loadFromStorageSource(activeSource);
+    } catch (err) {
+      setStatus(err?.message || String(err));
+    }
+  }, [activeSource, setStatus]);
+
   const handleGoHomeFromR2Lock = useCallback(() => {
     if (window.location.pathname !== '/') {
       window.location.replace('/');
@@ -173,6 +204,15 @@ function Viewer({ viewerReady, dropOverlay }) {
 
   const currentAsset = currentAssetIndex >= 0 ? assets[currentAssetIndex] : null;
   const currentAssetSize = currentAsset?.file?.size ?? currentAsset?.size ?? 0;
+  const currentAssetCacheKey = currentAsset?.cacheKey || currentAsset?.baseAssetId || currentAsset?.id;
+  const currentLoadProgress = loadProgress && loadProgress.assetId === currentAssetCacheKey
+    ? loadProgress
+    : null;
+  const loadProgressLabel = currentLoadProgress?.total
+    ? ` ${Math.min(100, Math.round((currentLoadProgress.loaded / currentLoadProgress.total) * 100))}%`
+    : currentLoadProgress
+      ? ` ${formatBytes(currentLoadProgress.loaded)}`
+      : '';
 
   useEffect(() => {
     if (!showEmptyState) return;
@@ -496,11 +536,21 @@ function Viewer({ viewerReady, dropOverlay }) {
       {requiresR2Unlock && (
         <R2UnlockState
           sourceName={activeSource?.name}
+          providerLabel={UNLOCK_PROVIDER_LABELS[activeSource?.type] || 'R2'}
           onUnlock={handleUnlockR2Collection}
           onBack={handleGoHomeFromR2Lock}
         />
       )}
-      {showEmptyState && !showEmptyUploadStatus && !requiresR2Unlock && (
+      {requiresSupabaseSignIn && (
+        <SupabaseSignInState
+          sourceName={activeSource?.name}
+          supabaseUrl={activeSource.config.config.supabaseUrl}
+          anonKey={activeSource.config.config.anonKey || loadSupabaseSettings()?.anonKey || ''}
+          onSignedIn={handleSupabaseSignedIn}
+          onBack={handleGoHomeFromR2Lock}
+        />
+      )}
+      {showEmptyState && !showEmptyUploadStatus && !requiresR2Unlock && !requiresSupabaseSignIn && (
         <ViewerEmptyState source={activeSource} />
       )}
       {showEmptyUploadStatus && (
@@ -552,10 +602,10 @@ function Viewer({ viewerReady, dropOverlay }) {
           </button>
         </div>
       )}
-      {showLargeFileNotice && (
+      {(showLargeFileNotice || currentLoadProgress) && (
           <div className="metadata-warning" style={{height: "40px", padding: "8px 14px"}}>
             <span className="large-file-spinner" aria-hidden="true" />
-            <span>Loading file...</span>
+            <span>Loading file...{loadProgressLabel}</span>
         </div>
       )}
       <div class="loading-overlay">
@@ -0,0 +1,847 @@
+/**
+ * Shared connect form for access-key bucket providers (Cloudflare R2 and
+ * S3-compatible services). Settings state, vault encryption, permission
+ * detection, collection listing and connect/create flows live here; each
+ * provider form passes a descriptor with its fields, settings storage,
+ * API calls and copy.
+ */
+
+import { useState, useCallback, useMemo } from 'preact/hooks';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faTimes,
+  faCheck,
+  faSpinner,
+  faExclamationTriangle,
+  faInfoCircle,
+  faFolderOpen,
+  faLock,
+} from '@fortawesome/free-solid-svg-icons';
+import {
+  registerSource,
+  saveSource,
+  getSourcesArray,
+} from '../../storage/index.js';
+import {
+  encryptCredentialValue,
+  getVaultSecretIds,
+  hasVaultPassword,
+  isVaultUnlocked,
+  unlockCredentialVault,
+} from '../../storage/credentialVault.js';
+import { getAssetList } from '../../assetManager.js';
+import { getSupportedExtensions } from '../../formats/index.js';
+import { ExistingCollectionItem } from './SharedSections.jsx';
+
+const VAULT_PASSWORD_MISMATCH_ERROR = 'Password does not match the existing vault password.';
+const DEFAULT_PERMISSIONS = { canRead: true, canWrite: false, canDelete: false };
+
+/**
+ * @typedef {Object} BucketField
+ * @property {string} key - Settings key
+ * @property {string} label
+ * @property {'text' | 'password' | 'url' | 'checkbox'} type
+ * @property {string} [placeholder]
+ * @property {string} [hint]
+ */
+
+/**
+ * @typedef {Object} BucketProvider
+ * @property {string} label - Short provider name, e.g. 'R2'
+ * @property {string} sourceType - Source type of the sources it creates
+ * @property {'r2' | 's3'} vaultAlias - Vault secret alias for the secret access key
+ * @property {Object} emptySettings - Field values of an unconfigured form
+ * @property {BucketField[]} fields - Config inputs in display order; the encrypt toggle follows secretAccessKey
+ * @property {string[]} requiredFields
+ * @property {string} requiredMessage - Shown when a required field is empty
+ * @property {string[]} syncedFields - Copied into registered sources that match on save
+ * @property {(fields: Object) => Object} normalize - Trimmed/normalized field values
+ * @property {() => Object | null} loadSettings
+ * @property {(settings: Object) => void} saveSettings
+ * @property {(settings: Object, source: Object) => boolean} matchesSource
+ * @property {(settings: Object) => Promise<Object>} testConnection
+ * @property {(settings: Object) => Promise<{ success: boolean, collections?: Array, error?: string }>} listCollections
+ * @property {(options: Object) => Object} createSource
+ * @property {{ connectTitle: string, connectSubtitle: string, collectionTitle: string, lockedNotice: string,
+ *   vaultHint: string, undetectedHint: string, readOnlyNotice: string }} copy
+ * @property {(settings: Object) => import('preact').ComponentChildren} describeBucket - Summary line of the saved bucket
+ * @property {import('preact').ComponentChildren} [faq] - Help shown before settings are saved
+ * @property {import('preact').ComponentChildren} [footer] - Links shown under the collection view
+ */
+
+const slugify = (value) => {
+  const slug = value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'collection';
+};
+
+function PermissionPills({ permissions }) {
+  return (
+    <div class="permissions-inline">
+      <span class={`permission-pill ${permissions.canRead ? 'is-allowed' : 'is-denied'}`}>
+        <FontAwesomeIcon icon={permissions.canRead ? faCheck : faTimes} />
+        {' '}Read
+      </span>
+      <span class={`permission-pill ${permissions.canWrite ? 'is-allowed' : 'is-denied'}`}>
+        <FontAwesomeIcon icon={permissions.canWrite ? faCheck : faTimes} />
+        {' '}Write
+      </span>
+      <span class={`permission-pill ${permissions.canDelete ? 'is-allowed' : 'is-denied'}`}>
+        <FontAwesomeIcon icon={permissions.canDelete ? faCheck : faTimes} />
+        {' '}Delete
+      </span>
+    </div>
+  );
+}
+
+/**
+ * @param {{ provider: BucketProvider, onConnect: Function, onBack: Function, onClose?: Function }} props
+ */
+function BucketForm({ provider, onConnect, onBack, onClose }) {
+  const { copy } = provider;
+  const logTag = `[${provider.label}Form]`;
+
+  const supportedExtensions = useMemo(() => getSupportedExtensions(), []);
+  const queuedAssets = useMemo(() => getAssetList(), []);
+  const queueFiles = useMemo(() => {
+    return queuedAssets
+      .filter((asset) => asset?.file && asset?.file?.name)
+      .filter((asset) => {
+        const ext = asset.file.name.toLowerCase().match(/\.[^.]+$/)?.[0] || '';
+        return supportedExtensions.includes(ext);
+      })
+      .map((asset) => asset.file);
+  }, [queuedAssets, supportedExtensions]);
+
+  const hasQueueFiles = queueFiles.length > 0;
+
+  const pickFields = useCallback((settings) => Object.fromEntries(
+    Object.entries(provider.emptySettings).map(([key, empty]) => [key, settings?.[key] ?? empty])
+  ), [provider]);
+  const hasRequiredFields = useCallback(
+    (settings) => provider.requiredFields.every((key) => Boolean(settings?.[key])),
+    [provider]
+  );
+
+  const initialSettings = useMemo(
+    () => provider.loadSettings() || { ...provider.emptySettings, permissions: DEFAULT_PERMISSIONS },
+    [provider]
+  );
+  const [savedSettings, setSavedSettings] = useState(initialSettings);
+  const [fields, setFields] = useState(() => pickFields(initialSettings));
+  const [permissions, setPermissions] = useState({ canRead: true, ...(initialSettings.permissions || DEFAULT_PERMISSIONS) });
+  const [hasDetectedPermissions, setHasDetectedPermissions] = useState(
+    () => Boolean(hasRequiredFields(initialSettings) && initialSettings.permissions)
+  );
+  const [collectionName, setCollectionName] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [messageType, setMessageType] = useState('error'); // 'error' | 'info'
+  const [hasManifest, setHasManifest] = useState(null);
+  const [uploadExisting, setUploadExisting] = useState(false);
+  const [encryptSecretKey, setEncryptSecretKey] = useState(Boolean(initialSettings.secretAccessKeyEncrypted));
+  const [unlockPasswordInput, setUnlockPasswordInput] = useState('');
+  const [unlockingVault, setUnlockingVault] = useState(false);
+  const [vaultPasswordExists, setVaultPasswordExists] = useState(() => hasVaultPassword());
+
+  const [existingCollections, setExistingCollections] = useState([]);
+  const [loadingCollections, setLoadingCollections] = useState(false);
+  const [showExisting, setShowExisting] = useState(false);
+  const [showConfig, setShowConfig] = useState(false);
+  const [selectedExisting, setSelectedExisting] = useState(null);
+
+  const setField = useCallback((key, value) => {
+    setFields((current) => ({ ...current, [key]: value }));
+  }, []);
+
+  const applySettingsToForm = useCallback((settings) => {
+    setFields(pickFields(settings));
+    setPermissions({ canRead: true, ...(settings.permissions || DEFAULT_PERMISSIONS) });
+    setEncryptSecretKey(Boolean(settings.secretAccessKeyEncrypted));
+  }, [pickFields]);
+
+  const persistSourceConfig = useCallback(async (source) => {
+    const payload = source.toJSON();
+    if (encryptSecretKey && payload?.config) {
+      payload.config.secretAccessKey = '';
+      payload.config.secretAccessKeyEncrypted = savedSettings.secretAccessKeyEncrypted || null;
+    }
+    await saveSource(payload);
+  }, [encryptSecretKey, savedSettings.secretAccessKeyEncrypted]);
+
+  const hasWritePermission = permissions.canWrite;
+  const hasEncryptedStoredKey = Boolean(savedSettings?.secretAccessKeyEncrypted || savedSettings?.isEncrypted);
+  const passwordLocked = Boolean(savedSettings?.requiresPassword && !fields.secretAccessKey.trim());
+  const vaultLockedForConfigChanges = Boolean(hasEncryptedStoredKey && vaultPasswordExists && !isVaultUnlocked());
+  const showVaultPasswordInput = Boolean(
+    !isVaultUnlocked() && (
+      passwordLocked ||
+      encryptSecretKey ||
+      Boolean(savedSettings?.secretAccessKeyEncrypted)
+    )
+  );
+
+  const isConfigured = Boolean(savedSettings?.permissions?.canRead && hasRequiredFields(savedSettings));
+  const trimmedSettings = useMemo(() => ({
+    ...provider.normalize(fields),
+    permissions: { ...permissions, canRead: true },
+  }), [fields, permissions, provider]);
+  const isSettingsReady = hasRequiredFields(trimmedSettings);
+  const settingsChanged = useMemo(() => {
+    const saved = provider.normalize(pickFields(savedSettings));
+    return Object.keys(provider.emptySettings).some((key) => trimmedSettings[key] !== saved[key])
+      || trimmedSettings.permissions.canWrite !== Boolean(savedSettings.permissions?.canWrite)
+      || trimmedSettings.permissions.canDelete !== Boolean(savedSettings.permissions?.canDelete)
+      || Boolean(encryptSecretKey) !== Boolean(savedSettings.secretAccessKeyEncrypted);
+  }, [encryptSecretKey, pickFields, provider, savedSettings, trimmedSettings]);
+
+  const showError = useCallback((message, type = 'error') => {
+    setMessageType(type);
+    setError(message);
+  }, []);
+
+  const clearError = useCallback(() => {
+    setMessageType('error');
+    setError(null);
+  }, []);
+
+  const loadExistingCollections = useCallback(async (settings = trimmedSettings) => {
+    setLoadingCollections(true);
+    clearError();
+
+    const result = await provider.listCollections(settings);
+
+    setLoadingCollections(false);
+
+    if (result.success) {
+      setExistingCollections(result.collections);
+    } else {
+      showError(result.error);
+    }
+  }, [clearError, provider, showError, trimmedSettings]);
+
+  const handleTestConnection = useCallback(async () => {
+    if (!isSettingsReady) {
+      showError(provider.requiredMessage);
+      return;
+    }
+
+    setStatus('testing');
+    clearError();
+
+    const testResult = await provider.testConnection(trimmedSettings);
+
+    const probeErrorText = testResult.probeErrors?.length
+      ? ` ${testResult.probeErrors.join(' · ')}`
+      : '';
+
+    if (testResult.permissions) {
+      setPermissions({ canRead: true, ...testResult.permissions });
+      setHasDetectedPermissions(true);
+    } else {
+      setPermissions(DEFAULT_PERMISSIONS);
+      setHasDetectedPermissions(false);
+    }
+
+    if (!testResult.success) {
+      showError(`Connection failed: ${testResult.error}${probeErrorText}`);
+    } else if (!testResult.permissions?.canWrite) {
+      showError(copy.readOnlyNotice, 'info');
+    } else if (!testResult.permissions?.canDelete) {
+      showError(`Connected, but delete permission is missing.${probeErrorText}`);
+    } else if (probeErrorText) {
+      showError(`Connection test completed with warnings.${probeErrorText}`);
+    }
+    setStatus('idle');
+  }, [clearError, copy.readOnlyNotice, isSettingsReady, provider, showError, trimmedSettings]);
+
+  const handleSaveSettings = useCallback(async () => {
+    if (!isSettingsReady) {
+      showError(provider.requiredMessage);
+      return;
+    }
+
+    let nextSecretAccessKey = trimmedSettings.secretAccessKey;
+    let nextEncryptedSecret = null;
+    const providedPassword = unlockPasswordInput.trim();
+
+    if (encryptSecretKey) {
+      if (!providedPassword && !isVaultUnlocked()) {
+        showError(vaultPasswordExists
+          ? 'Vault key already set. Enter vault password above.'
+          : 'Create a vault password to encrypt the key.');
+        return;
+      }
+
+      if (vaultPasswordExists && !isVaultUnlocked()) {
+        const unlockResult = await unlockCredentialVault(providedPassword);
+        if (!unlockResult.success) {
+          showError(unlockResult.error || VAULT_PASSWORD_MISMATCH_ERROR);
+          return;
+        }
+      }
+
+      try {
+        nextEncryptedSecret = await encryptCredentialValue(
+          getVaultSecretIds()[provider.vaultAlias],
+          trimmedSettings.secretAccessKey,
+          providedPassword || undefined
+        );
+        setVaultPasswordExists(hasVaultPassword());
+      } catch (err) {
+        showError(err?.message || `Failed to encrypt the ${provider.label} key.`);
+        return;
+      }
+    } else if (savedSettings?.secretAccessKeyEncrypted && !isVaultUnlocked()) {
+      if (!providedPassword) {
+        showError('Enter vault password above to disable encryption.');
+        return;
+      }
+
+      const unlockResult = await unlockCredentialVault(providedPassword);
+      if (!unlockResult.success) {
+        showError(unlockResult.error || VAULT_PASSWORD_MISMATCH_ERROR);
+        return;
+      }
+
+      nextSecretAccessKey = trimmedSettings.secretAccessKey || provider.loadSettings()?.secretAccessKey || '';
+      if (!nextSecretAccessKey) {
+        showError('Unable to decrypt secret key.');
+        return;
+      }
+
+      setField('secretAccessKey', nextSecretAccessKey);
+    }
+
+    const payload = {
+      ...trimmedSettings,
+      secretAccessKey: encryptSecretKey ? '' : nextSecretAccessKey,
+      secretAccessKeyEncrypted: nextEncryptedSecret || null,
+    };
+
+    if (!payload.secretAccessKeyEncrypted) {
+      delete payload.secretAccessKeyEncrypted;
+    }
+
+    provider.saveSettings(payload);
+    setSavedSettings({
+      ...payload,
+      secretAccessKey: nextSecretAccessKey,
+      requiresPassword: false,
+      isEncrypted: Boolean(payload.secretAccessKeyEncrypted),
+    });
+
+    // Update any already-registered sources pointing at this bucket
+    for (const src of getSourcesArray()) {
+      if (src.type === provider.sourceType && provider.matchesSource(payload, src)) {
+        src.config.config.permissions = { ...trimmedSettings.permissions };
+        for (const key of provider.syncedFields) {
+          src.config.config[key] = trimmedSettings[key];
+        }
+        src.config.config.secretAccessKey = nextSecretAccessKey;
+        try { await persistSourceConfig(src); } catch (e) { console.warn(`${logTag} Failed to persist source update`, e); }
+      }
+    }
+
+    setUnlockPasswordInput('');
+    setHasDetectedPermissions(true);
+    setStatus('idle');
+    clearError();
+    await loadExistingCollections({ ...trimmedSettings, secretAccessKey: nextSecretAccessKey });
+  }, [clearError, encryptSecretKey, isSettingsReady, loadExistingCollections, logTag, persistSourceConfig, provider, savedSettings?.secretAccessKeyEncrypted, setField, showError, trimmedSettings, unlockPasswordInput, vaultPasswordExists]);
+
+  const handleUnlockVault = useCallback(async () => {
+    const password = unlockPasswordInput.trim();
+    if (!password) {
+      showError('Enter vault password to unlock encrypted keys.');
+      return;
+    }
+
+    setUnlockingVault(true);
+    clearError();
+    const result = await unlockCredentialVault(password);
+    setUnlockingVault(false);
+
+    if (!result.success) {
+      showError(result.error || VAULT_PASSWORD_MISMATCH_ERROR);
+      return;
+    }
+
+    const unlocked = provider.loadSettings();
+    if (unlocked) {
+      setSavedSettings(unlocked);
+      applySettingsToForm(unlocked);
+    }
+
+    setUnlockPasswordInput('');
+    setVaultPasswordExists(hasVaultPassword());
+  }, [applySettingsToForm, clearError, provider, showError, unlockPasswordInput]);
+
+  const handleChooseExisting = useCallback((collection) => {
+    setSelectedExisting(collection);
+    setHasManifest(null);
+    setStatus('idle');
+    clearError();
+  }, [clearError]);
+
+  const buildSource = useCallback((collectionId, name) => provider.createSource({
+    ...trimmedSettings,
+    collectionId,
+    collectionName: name,
+  }), [provider, trimmedSettings]);
+
+  const handleConnectExisting = useCallback(async ({ switchTo }) => {
+    if (!selectedExisting) return;
+
+    setStatus('connecting');
+    clearError();
+
+    try {
+      const source = buildSource(selectedExisting.id, selectedExisting.name);
+      const result = switchTo
+        ? await source.connect()
+        : await source.connect({ refreshManifest: false, verifyUpload: false });
+
+      if (result.success) {
+        setHasManifest(source.config.config.hasManifest);
+        registerSource(source);
+        await persistSourceConfig(source);
+        setStatus('success');
+        setTimeout(() => (switchTo ? onConnect(source) : onClose?.()), 500);
+      } else {
+        showError(result.error || 'Failed to connect');
+        setStatus('error');
+      }
+    } catch (err) {
+      showError(err.message);
+      setStatus('error');
+    }
+  }, [buildSource, clearError, onClose, onConnect, persistSourceConfig, selectedExisting, showError]);
+
+  const handleCreateNew = useCallback(async () => {
+    if (!isConfigured) {
+      showError(`Configure ${provider.label} first.`);
+      return;
+    }
+
+    const collectionId = slugify(collectionName.trim()) || `collection-${Date.now()}`;
+    setStatus('connecting');
+    clearError();
+
+    try {
+      const source = buildSource(collectionId, collectionName.trim() || undefined);
+      const result = await source.connect();
+
+      if (result.success) {
+        setHasManifest(source.config.config.hasManifest);
+        registerSource(source);
+        await persistSourceConfig(source);
+
+        if (hasWritePermission && uploadExisting && queueFiles.length > 0) {
+          setStatus('uploading');
+          const uploadResult = await source.uploadAssets(queueFiles);
+          if (!uploadResult.success) {
+            const firstError = uploadResult.failed?.[0]?.error;
+            showError(firstError ? `Some uploads failed: ${firstError}` : 'Some uploads failed.');
+          }
+        }
+
+        setStatus('success');
+        setTimeout(() => onConnect(source), 500);
+      } else {
+        showError(result.error || 'Failed to connect');
+        setStatus('error');
+      }
+    } catch (err) {
+      showError(err.message);
+      setStatus('error');
+    }
+  }, [buildSource, clearError, collectionName, hasWritePermission, isConfigured, onConnect, persistSourceConfig, provider.label, queueFiles, showError, uploadExisting]);
+
+  const vaultPasswordField = showVaultPasswordInput && (
+    <div class="form-field" style={{ marginTop: '12px' }}>
+      <label>Vault password</label>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <input
+          type="password"
+          placeholder="Vault password"
+          value={unlockPasswordInput}
+          onInput={(e) => setUnlockPasswordInput(e.target.value)}
+          style={{ flex: '2 1 0' }}
+        />
+        <button
+          class="secondary-button"
+          onClick={handleUnlockVault}
+          disabled={unlockingVault || !unlockPasswordInput.trim()}
+          style={{ marginTop: 0, flex: '1 1 0' }}
+        >
+          {unlockingVault ? (
+            <>
+              <FontAwesomeIcon icon={faSpinner} spin />
+              {' '}Unlocking
+            </>
+          ) : (
+            'Unlock'
+          )}
+        </button>
+      </div>
+      <span class="field-hint" style={{ marginTop: '6px', display: 'block' }}>
+        {copy.vaultHint}
+      </span>
+    </div>
+  );
+
+  const encryptField = (
+    <div class="form-field" key="encrypt-secret">
+      <label class="checkbox-inline" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <input
+          type="checkbox"
+          checked={encryptSecretKey}
+          disabled={vaultLockedForConfigChanges}
+          onChange={(e) => setEncryptSecretKey(e.target.checked)}
+        />
+        <span>Encrypt key</span>
+      </label>
+      <span class="field-hint">
+        {vaultLockedForConfigChanges ? 'Vault key already set. Unlock above to change encryption.' : (vaultPasswordExists ? 'Vault key already set.' : 'No vault key set yet.')}
+      </span>
+    </div>
+  );
+
+  const renderField = (field) => {
+    if (field.type === 'checkbox') {
+      return (
+        <div class="form-field" key={field.key}>
+          <label class="checkbox-inline" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <input
+              type="checkbox"
+              checked={Boolean(fields[field.key])}
+              onChange={(e) => setField(field.key, e.target.checked)}
+            />
+            <span>{field.label}</span>
+          </label>
+          {field.hint && <span class="field-hint">{field.hint}</span>}
+        </div>
+      );
+    }
+    return (
+      <div class="form-field" key={field.key}>
+        <label>{field.label}</label>
+        <input
+          type={field.type}
+          placeholder={field.placeholder}
+          value={fields[field.key]}
+          onInput={(e) => setField(field.key, e.target.value)}
+        />
+        {field.hint && <span class="field-hint">{field.hint}</span>}
+      </div>
+    );
+  };
+
+  const configFields = (
+    <>
+      <div class="form-field">
+        <label>Detected permissions</label>
+        {hasDetectedPermissions ? (
+          <PermissionPills permissions={permissions} />
+        ) : (
+          <span class="field-hint" style={{ fontStyle: 'italic' }}>
+            {copy.undetectedHint}
+          </span>
+        )}
+      </div>
+
+      {provider.fields.flatMap((field) => (
+        field.key === 'secretAccessKey' ? [renderField(field), encryptField] : [renderField(field)]
+      ))}
+    </>
+  );
+
+  const errorMessage = error && (
+    <div class={messageType === 'info' ? 'form-notice' : 'form-error'}>
+      <FontAwesomeIcon icon={messageType === 'info' ? faInfoCircle : faExclamationTriangle} style={{ marginTop: '2px', flexShrink: 0 }} />
+      {' '}{error}
+    </div>
+  );
+
+  if (!isConfigured) {
+    return (
+      <div class="storage-form">
+        <button class="back-button" onClick={onBack}>
+          {'Back'}
+        </button>
+
+        <h3>{copy.connectTitle}</h3>
+        <p class="dialog-subtitle">{copy.connectSubtitle}</p>
+
+        {passwordLocked && (
+          <div class="form-notice" style={{ marginTop: '12px' }}>
+            <FontAwesomeIcon icon={faLock} style={{ marginTop: '2px', flexShrink: 0 }} />
+            {' '}{copy.lockedNotice}
+          </div>
+        )}
+
+        {vaultPasswordField}
+
+        <div class="config-grid" style={{ marginTop: '16px' }}>
+          {configFields}
+        </div>
+
+        {errorMessage}
+
+        <div class="form-actions" style={{ marginTop: '16px', display: 'flex', gap: '8px' }}>
+          <button
+            class="secondary-button"
+            onClick={handleTestConnection}
+            disabled={status === 'testing' || !isSettingsReady}
+            style={{ marginTop: '0px' }}
+          >
+            {status === 'testing' ? (
+              <>
+                <FontAwesomeIcon icon={faSpinner} spin />
+                {' '}Testing...
+              </>
+            ) : (
+              'Test Connection'
+            )}
+          </button>
+
+          <button
+            class="primary-button"
+            onClick={handleSaveSettings}
+            disabled={status === 'testing' || !isSettingsReady}
+            style={{ marginTop: '0px' }}
+          >
+            Save {provider.label} settings
+          </button>
+        </div>
+
+        {provider.faq && (
+          <div class="faq-section" style={{ marginTop: '24px' }}>
+            {provider.faq}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div class="storage-form">
+      <button class="back-button" onClick={onBack}>
+        {'Back'}
+      </button>
+
+      <h3>{copy.collectionTitle}</h3>
+
+      {vaultPasswordField}
+
+      <div class="form-section">
+        <div class="form-row">
+          <div>
+            <strong>{provider.label} settings</strong>
+            <div class="field-hint">
+              {provider.describeBucket(trimmedSettings)}
+            </div>
+          </div>
+          <button class="link-button" onClick={() => setShowConfig(!showConfig)}>
+            {showConfig ? 'Hide config' : 'Edit config'}
+          </button>
+        </div>
+
+        {showConfig && (
+          <div class="config-grid">
+            {configFields}
+
+            <button
+              class="secondary-button"
+              onClick={handleTestConnection}
+              disabled={status === 'testing' || !isSettingsReady}
+            >
+              {status === 'testing' ? 'Testing...' : 'Test Connection'}
+            </button>
+
+            <button
+              class="secondary-button"
+              onClick={handleSaveSettings}
+              disabled={status === 'testing' || !isSettingsReady || !settingsChanged}
+            >
+              Save {provider.label} settings
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div class="form-section" style={{ marginTop: '16px' }}>
+        <div class="form-row">
+          <div>
+            <strong>
+              <FontAwesomeIcon icon={faFolderOpen} style={{ marginRight: '8px' }} />
+              Add Existing Folder
+            </strong>
+          </div>
+          <button
+            class="link-button"
+            onClick={() => {
+              if (!showExisting) loadExistingCollections();
+              setShowExisting(!showExisting);
+            }}
+          >
+            {showExisting ? 'Hide' : 'Browse'}
+          </button>
+        </div>
+
+        {showExisting && (
+          <div class="existing-collections-list">
+            {loadingCollections ? (
+              <div class="collections-loading">
+                <FontAwesomeIcon icon={faSpinner} spin />
+                {' '}Scanning bucket...
+              </div>
+            ) : existingCollections.length === 0 ? (
+              <div class="collections-empty">
+                No existing collections found in this bucket.
+              </div>
+            ) : (
+              existingCollections.map((col) => (
+                <ExistingCollectionItem
+                  key={col.id}
+                  collection={col}
+                  onSelect={handleChooseExisting}
+                  isLoading={status === 'connecting'}
+                  selected={selectedExisting?.id === col.id}
+                />
+              ))
+            )}
+          </div>
+        )}
+      </div>
+
+      {selectedExisting && (
+        <div class="form-section existing-selection-review" style={{ position: 'relative' }}>
+          <button
+            class="modal-close selection-close"
+            title="Clear selected collection"
+            onClick={() => setSelectedExisting(null)}
+            disabled={status === 'connecting'}
+            style={{ position: 'absolute', top: '8px', right: '8px' }}
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+
+          <div class="form-row">
+            <div>
+              <strong>Selected collection</strong>
+              <div class="field-hint">
+                {selectedExisting.name} ({selectedExisting.id}) · {selectedExisting.assetCount} asset{selectedExisting.assetCount !== 1 ? 's' : ''}
+                {selectedExisting.hasManifest && ' · manifest detected'}
+              </div>
+            </div>
+          </div>
+
+          <div class="form-actions" style={{ marginTop: '16px', gap: '8px', display: 'flex' }}>
+            <button
+              class="secondary-button"
+              style={{ marginTop: '0px' }}
+              onClick={() => handleConnectExisting({ switchTo: true })}
+              disabled={status === 'connecting'}
+            >
+              Switch to new collection
+            </button>
+            <button
+              class="primary-button"
+              onClick={() => handleConnectExisting({ switchTo: false })}
+              disabled={status === 'connecting'}
+            >
+              {status === 'connecting' ? (
+                <>
+                  <FontAwesomeIcon icon={faSpinner} spin />
+                  {' '}Connecting...
+                </>
+              ) : (
+                'Done'
+              )}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div class="form-divider">
+        <span>or create new</span>
+      </div>
+
+      <div class="form-field">
+        <label>Collection name</label>
+        <input
+          type="text"
+          placeholder="My splat gallery"
+          value={collectionName}
+          onInput={(e) => setCollectionName(e.target.value)}
+        />
+        <span class="field-hint">
+          Will be stored under collections/{slugify(collectionName) || 'collection-xxx'}/
+        </span>
+      </div>
+
+      {hasWritePermission && hasQueueFiles && (
+        <div class="form-field">
+          <label class="checkbox-inline">
+            <input
+              type="checkbox"
+              checked={uploadExisting}
+              onChange={(e) => setUploadExisting(e.target.checked)}
+            />
+            Upload current images ({queueFiles.length})
+          </label>
+          <span class="field-hint">Uploads start right after the collection is created.</span>
+        </div>
+      )}
+
+      {errorMessage}
+
+      {status === 'success' && hasManifest !== null && (
+        <div class={`form-success ${hasManifest ? '' : 'warning'}`}>
+          <FontAwesomeIcon icon={hasManifest ? faCheck : faExclamationTriangle} />
+          {' '}
+          {hasManifest
+            ? 'Found manifest.json - loading is manifest-first'
+            : 'Manifest was created for you'}
+        </div>
+      )}
+
+      <button
+        class="primary-button"
+        onClick={handleCreateNew}
+        disabled={status === 'connecting' || status === 'uploading'}
+      >
+        {status === 'connecting' ? (
+          <>
+            <FontAwesomeIcon icon={faSpinner} spin />
+            {' '}Creating collection...
+          </>
+        ) : status === 'uploading' ? (
+          <>
+            <FontAwesomeIcon icon={faSpinner} spin />
+            {' '}Uploading...
+          </>
+        ) : status === 'success' ? (
+          <>
+            <FontAwesomeIcon icon={faCheck} />
+            {' '}Connected!
+          </>
+        ) : (
+          'Create New Collection'
+        )}
+      </button>
+
+      {provider.footer && (
+        <p class="form-note" style={{ marginTop: '16px' }}>
+          {provider.footer}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default BucketForm;
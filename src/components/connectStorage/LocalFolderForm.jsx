@@ -7,6 +7,7 @@ import {
   faExclamationTriangle,
 } from '@fortawesome/free-solid-svg-icons';
 import { createLocalFolderSource, registerSource } from '../../storage/index.js';
+import { getSupportedExtensions } from '../../formats/index.js';
 
 function LocalFolderForm({ onConnect, onBack }) {
   const [status, setStatus] = useState('idle');
@@ -58,7 +59,7 @@ function LocalFolderForm({ onConnect, onBack }) {
       </div>
 
       <div class="form-info">
-        <p>Select a folder containing splat files (.ply, .sog).</p>
+        <p>Select a folder containing splat files ({getSupportedExtensions().join(', ')}).</p>
         <ul class="feature-list bullet-list">
           <li> Works offline after selection</li>
           <li> Fast loading from local disk</li>
@@ -0,0 +1,80 @@
+import { createS3BucketSource } from '../../storage/index.js';
+import { loadS3Settings, normalizeS3Endpoint, s3SettingsMatchSource, saveS3Settings } from '../../storage/s3Settings.js';
+import { listExistingS3Collections, testS3Connection } from '../../storage/s3Api.js';
+import BucketForm from './BucketForm.jsx';
+import { FaqItem } from './SharedSections.jsx';
+
+const S3_PROVIDER = {
+  label: 'S3',
+  sourceType: 's3-bucket',
+  vaultAlias: 's3',
+  emptySettings: {
+    endpoint: '',
+    region: '',
+    forcePathStyle: false,
+    accessKeyId: '',
+    secretAccessKey: '',
+    bucket: '',
+    publicBaseUrl: '',
+  },
+  fields: [
+    { key: 'endpoint', label: 'Endpoint URL', type: 'url', placeholder: 'https://minio.example.com:9000', hint: 'Leave blank for AWS S3.' },
+    { key: 'region', label: 'Region', type: 'text', placeholder: 'us-east-1' },
+    { key: 'forcePathStyle', label: 'Path-style addressing', type: 'checkbox', hint: 'Needed for MinIO and most self-hosted endpoints.' },
+    { key: 'accessKeyId', label: 'Access key ID', type: 'text', placeholder: 'Access key ID' },
+    { key: 'secretAccessKey', label: 'Secret access key', type: 'password', placeholder: 'Secret access key' },
+    { key: 'bucket', label: 'Bucket name', type: 'text', placeholder: 'splat-assets' },
+    {
+      key: 'publicBaseUrl',
+      label: 'Public base URL (optional)',
+      type: 'url',
+      placeholder: 'https://cdn.example.com',
+      hint: 'Reads use this URL instead of presigned links, e.g. a CDN in front of the bucket.',
+    },
+  ],
+  requiredFields: ['accessKeyId', 'secretAccessKey', 'bucket'],
+  requiredMessage: 'Access key, secret and bucket are required.',
+  syncedFields: ['region', 'forcePathStyle', 'publicBaseUrl', 'accessKeyId'],
+  normalize: (fields) => ({
+    endpoint: normalizeS3Endpoint(fields.endpoint),
+    region: fields.region.trim(),
+    forcePathStyle: Boolean(fields.forcePathStyle),
+    accessKeyId: fields.accessKeyId.trim(),
+    secretAccessKey: fields.secretAccessKey.trim(),
+    bucket: fields.bucket.trim(),
+    publicBaseUrl: fields.publicBaseUrl.trim().replace(/\/+$/, ''),
+  }),
+  loadSettings: loadS3Settings,
+  saveSettings: saveS3Settings,
+  matchesSource: s3SettingsMatchSource,
+  testConnection: testS3Connection,
+  listCollections: listExistingS3Collections,
+  createSource: createS3BucketSource,
+  copy: {
+    connectTitle: 'Connect to an S3-compatible bucket',
+    connectSubtitle: 'Enter your endpoint and keys, then test to discover read/write/delete permissions automatically.',
+    collectionTitle: 'S3 Collection',
+    lockedNotice: 'This S3 secret is encrypted. Unlock once per browser session.',
+    vaultHint: 'Shared with R2 and Cloud GPU encryption.',
+    undetectedHint: 'Test the connection to detect read/write/delete access.',
+    readOnlyNotice: 'Read-only connection. Credentials are still needed to read collection manifests.',
+  },
+  describeBucket: (settings) => (
+    <>Using bucket <em>{settings.bucket}</em>{settings.endpoint ? <> at <em>{settings.endpoint}</em></> : ' on AWS'}</>
+  ),
+  faq: (
+    <FaqItem question="What does the bucket need?">
+      <ol class="faq-steps">
+        <li>An access key pair with list/read access, plus write/delete for uploads and removal</li>
+        <li>CORS allowing this site's origin for GET, PUT, DELETE and HEAD, exposing the <code>ETag</code> header</li>
+        <li>For MinIO and most self-hosted servers, enable path-style addressing</li>
+      </ol>
+    </FaqItem>
+  ),
+};
+
+function S3Form({ onConnect, onBack, onClose }) {
+  return <BucketForm provider={S3_PROVIDER} onConnect={onConnect} onBack={onBack} onClose={onClose} />;
+}
+
+export default S3Form;
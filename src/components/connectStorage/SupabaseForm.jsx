@@ -1,4 +1,4 @@
-import { useState, useCallback, useMemo } from 'preact/hooks';
+import { useState, useCallback, useEffect, useMemo } from 'preact/hooks';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import {
   faTimes,
@@ -6,17 +6,35 @@ import {
   faSpinner,
   faExclamationTriangle,
   faFolderOpen,
+  faLock,
 } from '@fortawesome/free-solid-svg-icons';
 import {
   createSupabaseStorageSource,
   registerSource,
   saveSource,
+  getSourcesArray,
+  onSupabaseSessionChange,
 } from '../../storage/index.js';
-import { loadSupabaseSettings, saveSupabaseSettings } from '../../storage/supabaseSettings.js';
+import {
+  loadSupabaseSettings,
+  saveSupabaseSettings,
+  supabaseSettingsMatchSource,
+  updateSupabaseSettingsSession,
+} from '../../storage/supabaseSettings.js';
 import { listExistingCollections, testBucketConnection } from '../../storage/supabaseApi.js';
+import {
+  encryptCredentialValue,
+  getVaultSecretIds,
+  hasVaultPassword,
+  isVaultUnlocked,
+  unlockCredentialVault,
+} from '../../storage/credentialVault.js';
 import { getAssetList } from '../../assetManager.js';
 import { getSupportedExtensions } from '../../formats/index.js';
 import { ExistingCollectionItem, FaqItem } from './SharedSections.jsx';
+import SupabaseSignIn from '../SupabaseSignIn.jsx';
+
+const VAULT_PASSWORD_MISMATCH_ERROR = 'Password does not match the existing vault password.';
 
 function SupabaseForm({ onConnect, onBack, onClose }) {
   const supportedExtensions = useMemo(() => getSupportedExtensions(), []);
@@ -45,6 +63,12 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
   const [error, setError] = useState(null);
   const [hasManifest, setHasManifest] = useState(null);
   const [uploadExisting, setUploadExisting] = useState(false);
+  const [encryptAnonKey, setEncryptAnonKey] = useState(Boolean(initialSettings.anonKeyEncrypted));
+  const [unlockPasswordInput, setUnlockPasswordInput] = useState('');
+  const [unlockingVault, setUnlockingVault] = useState(false);
+  const [vaultPasswordExists, setVaultPasswordExists] = useState(() => hasVaultPassword());
+  const [isPrivate, setIsPrivate] = useState(initialSettings.private === true);
+  const [session, setSession] = useState(initialSettings.session || null);
 
   const [existingCollections, setExistingCollections] = useState([]);
   const [loadingCollections, setLoadingCollections] = useState(false);
@@ -52,6 +76,17 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
   const [showSupabaseConfig, setShowSupabaseConfig] = useState(false);
   const [selectedExisting, setSelectedExisting] = useState(null);
 
+  const hasEncryptedStoredKey = Boolean(savedSettings?.anonKeyEncrypted || savedSettings?.isEncrypted);
+  const anonKeyLocked = Boolean(savedSettings?.requiresPassword && !anonKey.trim());
+  const vaultLockedForConfigChanges = Boolean(hasEncryptedStoredKey && vaultPasswordExists && !isVaultUnlocked());
+  const showVaultPasswordInput = Boolean(
+    !isVaultUnlocked() && (
+      anonKeyLocked ||
+      encryptAnonKey ||
+      Boolean(savedSettings?.anonKeyEncrypted)
+    )
+  );
+
   const supabaseConfigured = Boolean(
     savedSettings.supabaseUrl && savedSettings.anonKey && savedSettings.bucket
   );
@@ -71,7 +106,27 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
   const settingsChanged =
     trimmedSettings.supabaseUrl !== trimmedSaved.supabaseUrl ||
     trimmedSettings.anonKey !== trimmedSaved.anonKey ||
-    trimmedSettings.bucket !== trimmedSaved.bucket;
+    trimmedSettings.bucket !== trimmedSaved.bucket ||
+    Boolean(encryptAnonKey) !== Boolean(savedSettings.anonKeyEncrypted) ||
+    isPrivate !== (savedSettings.private === true);
+  const privateSession = isPrivate ? session : null;
+
+  // Token refreshes, sign-out, and magic links opened in another tab
+  useEffect(() => {
+    const unsubscribe = onSupabaseSessionChange((url, next) => {
+      if (url === supabaseUrl.trim()) setSession(next);
+    });
+    const handleStorage = (event) => {
+      if (event.key !== 'supabase-settings') return;
+      const latest = loadSupabaseSettings();
+      if (latest?.supabaseUrl?.trim() === supabaseUrl.trim()) setSession(latest.session || null);
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [supabaseUrl]);
 
   const slugify = useCallback((value) => {
     const slug = value
@@ -91,6 +146,8 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
       supabaseUrl: supabaseUrl.trim(),
       anonKey: anonKey.trim(),
       bucket: bucket.trim(),
+      isPrivate,
+      session: privateSession,
     });
 
     setLoadingCollections(false);
@@ -100,7 +157,7 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
     } else {
       setError(result.error);
     }
-  }, [supabaseConfigured, supabaseUrl, anonKey, bucket]);
+  }, [supabaseConfigured, supabaseUrl, anonKey, bucket, isPrivate, privateSession]);
 
   const handleSaveSettings = useCallback(async () => {
     if (!supabaseUrl.trim() || !anonKey.trim() || !bucket.trim()) {
@@ -108,6 +165,14 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
       return;
     }
 
+    const providedPassword = unlockPasswordInput.trim();
+    if (encryptAnonKey && !providedPassword && !isVaultUnlocked()) {
+      setError(vaultPasswordExists
+        ? 'Vault key already set. Enter vault password above.'
+        : 'Create a vault password to encrypt the key.');
+      return;
+    }
+
     setStatus('testing');
     setError(null);
 
@@ -115,29 +180,115 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
       supabaseUrl: trimmedSettings.supabaseUrl,
       anonKey: trimmedSettings.anonKey,
       bucket: trimmedSettings.bucket,
+      isPrivate,
+      session: privateSession,
     });
 
     if (!testResult.success) {
-      setError(`Connection failed: ${testResult.error}`);
+      setError(testResult.needsSignIn
+        ? 'Sign in to use this private bucket.'
+        : `Connection failed: ${testResult.error}`);
       setStatus('idle');
       return;
     }
 
-    saveSupabaseSettings({
+    let nextEncryptedKey = null;
+    if (encryptAnonKey) {
+      if (vaultPasswordExists && !isVaultUnlocked()) {
+        const unlockResult = await unlockCredentialVault(providedPassword);
+        if (!unlockResult.success) {
+          setError(unlockResult.error || VAULT_PASSWORD_MISMATCH_ERROR);
+          setStatus('idle');
+          return;
+        }
+      }
+
+      try {
+        nextEncryptedKey = await encryptCredentialValue(
+          getVaultSecretIds().supabase,
+          trimmedSettings.anonKey,
+          providedPassword || undefined
+        );
+        setVaultPasswordExists(hasVaultPassword());
+      } catch (err) {
+        setError(err?.message || 'Failed to encrypt the anon key.');
+        setStatus('idle');
+        return;
+      }
+    }
+
+    const payload = {
       supabaseUrl: trimmedSettings.supabaseUrl,
-      anonKey: trimmedSettings.anonKey,
+      anonKey: encryptAnonKey ? '' : trimmedSettings.anonKey,
       bucket: trimmedSettings.bucket,
-    });
+    };
+    if (nextEncryptedKey) {
+      payload.anonKeyEncrypted = nextEncryptedKey;
+    }
+    if (isPrivate) {
+      payload.private = true;
+    }
+
+    saveSupabaseSettings(payload);
+    // Stored separately so it joins the anon key in the vault
+    const keptSession = privateSession
+      ? await updateSupabaseSettingsSession(payload.supabaseUrl, privateSession)
+      : null;
     setSavedSettings({
-      supabaseUrl: trimmedSettings.supabaseUrl,
+      ...payload,
       anonKey: trimmedSettings.anonKey,
-      bucket: trimmedSettings.bucket,
+      session: keptSession,
+      requiresPassword: false,
+      isEncrypted: Boolean(nextEncryptedKey),
     });
 
+    // Re-save matching collections so their stored copy drops or regains the key
+    for (const src of getSourcesArray()) {
+      if (src.type === 'supabase-storage' && supabaseSettingsMatchSource(payload, src)) {
+        src.config.config.anonKey = trimmedSettings.anonKey;
+        src.config.config.private = isPrivate;
+        src.config.config.session = keptSession;
+        try { await saveSource(src.toJSON()); } catch (e) { console.warn('[SupabaseForm] Failed to persist source update', e); }
+      }
+    }
+
+    setUnlockPasswordInput('');
     setStatus('idle');
     setError(null);
     await loadExistingCollections();
-  }, [supabaseUrl, anonKey, bucket, loadExistingCollections, trimmedSettings]);
+  }, [supabaseUrl, anonKey, bucket, encryptAnonKey, isPrivate, privateSession, loadExistingCollections, trimmedSettings, unlockPasswordInput, vaultPasswordExists]);
+
+  const handleUnlockVault = useCallback(async () => {
+    const password = unlockPasswordInput.trim();
+    if (!password) {
+      setError('Enter vault password to unlock encrypted keys.');
+      return;
+    }
+
+    setUnlockingVault(true);
+    setError(null);
+    const result = await unlockCredentialVault(password);
+    setUnlockingVault(false);
+
+    if (!result.success) {
+      setError(result.error || VAULT_PASSWORD_MISMATCH_ERROR);
+      return;
+    }
+
+    const unlocked = loadSupabaseSettings();
+    if (unlocked) {
+      setSavedSettings(unlocked);
+      setSupabaseUrl(unlocked.supabaseUrl || '');
+      setAnonKey(unlocked.anonKey || '');
+      setBucket(unlocked.bucket || '');
+      setEncryptAnonKey(Boolean(unlocked.anonKeyEncrypted));
+      setIsPrivate(unlocked.private === true);
+      setSession(unlocked.session || null);
+    }
+
+    setUnlockPasswordInput('');
+    setVaultPasswordExists(hasVaultPassword());
+  }, [unlockPasswordInput]);
 
   const handleChooseExisting = useCallback((collection) => {
     setSelectedExisting(collection);
@@ -159,6 +310,8 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
         bucket: bucket.trim(),
         collectionId: selectedExisting.id,
         collectionName: selectedExisting.name,
+        isPrivate,
+        session: privateSession,
       });
 
       const result = await source.connect({ refreshManifest: false, verifyUpload: false });
@@ -177,7 +330,7 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
       setError(err.message);
       setStatus('error');
     }
-  }, [supabaseUrl, anonKey, bucket, onClose, selectedExisting]);
+  }, [supabaseUrl, anonKey, bucket, isPrivate, privateSession, onClose, selectedExisting]);
 
   const handleConnectAndSwitch = useCallback(async () => {
     if (!selectedExisting) return;
@@ -192,6 +345,8 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
         bucket: bucket.trim(),
         collectionId: selectedExisting.id,
         collectionName: selectedExisting.name,
+        isPrivate,
+        session: privateSession,
       });
 
       const result = await source.connect({ refreshManifest: false, verifyUpload: false });
@@ -210,7 +365,7 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
       setError(err.message);
       setStatus('error');
     }
-  }, [supabaseUrl, anonKey, bucket, onConnect, selectedExisting]);
+  }, [supabaseUrl, anonKey, bucket, isPrivate, privateSession, onConnect, selectedExisting]);
 
   const handleCreateNew = useCallback(async () => {
     if (!supabaseConfigured) {
@@ -230,6 +385,8 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
         bucket: bucket.trim(),
         collectionId,
         collectionName: collectionName.trim() || undefined,
+        isPrivate,
+        session: privateSession,
       });
 
       const result = await source.connect({ refreshManifest: false, verifyUpload: false });
@@ -258,7 +415,83 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
       setError(err.message);
       setStatus('error');
     }
-  }, [supabaseConfigured, supabaseUrl, anonKey, bucket, collectionName, slugify, onConnect, uploadExisting, queueFiles]);
+  }, [supabaseConfigured, supabaseUrl, anonKey, bucket, isPrivate, privateSession, collectionName, slugify, onConnect, uploadExisting, queueFiles]);
+
+  const vaultPasswordField = showVaultPasswordInput && (
+    <div class="form-field" style={{ marginTop: '12px' }}>
+      <label>Vault password</label>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <input
+          type="password"
+          placeholder="Vault password"
+          value={unlockPasswordInput}
+          onInput={(e) => setUnlockPasswordInput(e.target.value)}
+          style={{ flex: '2 1 0' }}
+        />
+        <button
+          class="secondary-button"
+          onClick={handleUnlockVault}
+          disabled={unlockingVault || !unlockPasswordInput.trim()}
+          style={{ marginTop: 0, flex: '1 1 0' }}
+        >
+          {unlockingVault ? (
+            <>
+              <FontAwesomeIcon icon={faSpinner} spin />
+              {' '}Unlocking
+            </>
+          ) : (
+            'Unlock'
+          )}
+        </button>
+      </div>
+      <span class="field-hint" style={{ marginTop: '6px', display: 'block' }}>
+        Shared with R2, S3, WebDAV and Cloud GPU encryption.
+      </span>
+    </div>
+  );
+
+  const encryptKeyField = (
+    <div class="form-field">
+      <label class="checkbox-inline" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <input
+          type="checkbox"
+          checked={encryptAnonKey}
+          disabled={vaultLockedForConfigChanges}
+          onChange={(e) => setEncryptAnonKey(e.target.checked)}
+        />
+        <span>Encrypt key</span>
+      </label>
+      <span class="field-hint">
+        {vaultLockedForConfigChanges ? 'Vault key already set. Unlock above to change encryption.' : (vaultPasswordExists ? 'Vault key already set.' : 'No vault key set yet.')}
+      </span>
+    </div>
+  );
+
+  const privateBucketField = (
+    <div class="form-field">
+      <label class="checkbox-inline" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <input
+          type="checkbox"
+          checked={isPrivate}
+          onChange={(e) => setIsPrivate(e.target.checked)}
+        />
+        <span>Private bucket</span>
+      </label>
+      <span class="field-hint">
+        Sign in with Supabase Auth; files are served through short-lived signed URLs.
+      </span>
+    </div>
+  );
+
+  const signInField = isPrivate && (
+    <SupabaseSignIn
+      supabaseUrl={supabaseUrl}
+      anonKey={anonKey}
+      session={session}
+      onSignedIn={setSession}
+      onSignedOut={() => setSession(null)}
+    />
+  );
 
   if (!supabaseConfigured) {
     return (
@@ -270,6 +503,15 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
         <h3>Connect to Supabase</h3>
         <p class="dialog-subtitle">Enter your Supabase credentials to get started.</p>
 
+        {anonKeyLocked && (
+          <div class="form-notice" style={{ marginTop: '12px' }}>
+            <FontAwesomeIcon icon={faLock} style={{ marginTop: '2px', flexShrink: 0 }} />
+            {' '}This anon key is encrypted. Unlock once per browser session.
+          </div>
+        )}
+
+        {vaultPasswordField}
+
         <div class="config-grid" style={{ marginTop: '16px' }}>
           <div class="form-field">
             <label>Supabase project URL</label>
@@ -291,6 +533,8 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
             />
           </div>
 
+          {encryptKeyField}
+
           <div class="form-field">
             <label>Bucket name</label>
             <input
@@ -300,6 +544,9 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
               onInput={(e) => setBucket(e.target.value)}
             />
           </div>
+
+          {privateBucketField}
+          {signInField}
         </div>
 
         {error && (
@@ -342,7 +589,7 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
               <li>Create a new project</li>
               <li>Go to <strong>Storage</strong> in the sidebar</li>
               <li>Click <strong>New Bucket</strong>, name it (e.g., "splat-assets")</li>
-              <li>Toggle <strong>Public bucket</strong> on for easy access</li>
+              <li>Toggle <strong>Public bucket</strong> on for easy access, or leave it off and tick <strong>Private bucket</strong> here to sign in with Supabase Auth</li>
               <li>Copy credentials from <strong>Project Settings</strong> → <strong>API</strong></li>
             </ol>
           </FaqItem>
@@ -358,6 +605,9 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
       </button>
 
       <h3>Supabase Collection</h3>
+
+      {vaultPasswordField}
+
       <div class="form-section">
         <div class="form-row">
           <div>
@@ -395,6 +645,8 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
               />
             </div>
 
+            {encryptKeyField}
+
             <div class="form-field">
               <label>Bucket name</label>
               <input
@@ -405,6 +657,8 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
               />
             </div>
 
+            {privateBucketField}
+
             <button
               class="secondary-button"
               onClick={handleSaveSettings}
@@ -418,6 +672,8 @@ function SupabaseForm({ onConnect, onBack, onClose }) {
             </button>
           </div>
         )}
+
+        {signInField}
       </div>
 
       <div class="form-section" style={{ marginTop: '16px' }}>
@@ -7,6 +7,7 @@ import {
   faChevronRight,
   faLink,
   faDatabase,
+  faServer,
 } from '@fortawesome/free-solid-svg-icons';
 import { SupabaseIcon, CloudFlareIcon, CloudGpuIcon } from '../../icons/customIcons';
 import { SOURCE_TIERS } from '../../storage/index.js';
@@ -17,6 +18,7 @@ const ICONS = {
   upload: faUpload,
   link: faLink,
   database: faDatabase,
+  server: faServer,
   supabase: SupabaseIcon,
   cloudflare: CloudFlareIcon,
   'cloud-gpu': CloudGpuIcon,
@@ -10,6 +10,8 @@ import {
   registerSource,
   saveSource,
 } from '../../storage/index.js';
+import { getSupportedExtensions } from '../../formats/index.js';
+import { normalizeDirectoryUrl } from '../../storage/directoryListing.js';
 
 function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false, onSaveEdit }) {
   const initialUrlText = useMemo(() => {
@@ -19,6 +21,13 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
     return '';
   }, [editMode, initialSource]);
   const [urlText, setUrlText] = useState(initialUrlText);
+  const [mode, setMode] = useState(
+    editMode && initialSource?.config?.config?.discoverListing ? 'listing' : 'urls'
+  );
+  const [folderUrl, setFolderUrl] = useState(
+    editMode && initialSource?.config?.config?.discoverListing ? initialSource.config.config.baseUrl : ''
+  );
+  const [recursive, setRecursive] = useState(Boolean(editMode && initialSource?.config?.config?.recursive));
   const [collectionName, setCollectionName] = useState(
     editMode ? (initialSource?.name || initialSource?.config?.name || '') : ''
   );
@@ -28,6 +37,9 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
   useEffect(() => {
     if (editMode && initialSource) {
       setUrlText(initialSource?.config?.config?.assetPaths?.length ? initialSource.config.config.assetPaths.join('\n') : '');
+      setMode(initialSource?.config?.config?.discoverListing ? 'listing' : 'urls');
+      setFolderUrl(initialSource?.config?.config?.discoverListing ? initialSource.config.config.baseUrl : '');
+      setRecursive(Boolean(initialSource?.config?.config?.recursive));
       setCollectionName(initialSource?.name || initialSource?.config?.name || '');
       setStatus('idle');
       setError(null);
@@ -49,6 +61,72 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
     return nonEmpty.length > 0 && nonEmpty.every(u => isValidUrl(u));
   }, [urlText, isValidUrl]);
 
+  const handleConnectListing = useCallback(async () => {
+    if (!isValidUrl(folderUrl)) {
+      setError('Enter an http/https folder URL');
+      return;
+    }
+
+    setStatus('connecting');
+    setError(null);
+
+    try {
+      const baseUrl = normalizeDirectoryUrl(folderUrl);
+
+      if (editMode && initialSource) {
+        const updatedName = collectionName.trim() || initialSource.name;
+        initialSource.name = updatedName;
+        initialSource.config.name = updatedName;
+        initialSource.config.config.baseUrl = baseUrl;
+        initialSource.config.config.manifestUrl = '';
+        initialSource.config.config.assetPaths = [];
+        initialSource.config.config.discoverListing = true;
+        initialSource.config.config.recursive = recursive;
+        initialSource.config.config.customName = Boolean(collectionName.trim());
+
+        const result = await initialSource.rescan();
+        if (!result.success) {
+          setError(result.error || 'Failed to read the directory listing');
+          setStatus('error');
+          return;
+        }
+
+        await saveSource(initialSource.toJSON());
+        registerSource(initialSource);
+        await initialSource.listAssets();
+
+        setStatus('success');
+        const finish = onSaveEdit || onConnect;
+        if (finish) {
+          setTimeout(() => finish(initialSource), 300);
+        }
+        return;
+      }
+
+      const source = createPublicUrlSource({
+        baseUrl,
+        discoverListing: true,
+        recursive,
+        name: collectionName.trim() || undefined,
+      });
+
+      const result = await source.connect();
+
+      if (result.success) {
+        registerSource(source);
+        await saveSource(source.toJSON());
+        setStatus('success');
+        setTimeout(() => onConnect(source), 500);
+      } else {
+        setError(result.error || 'Failed to connect');
+        setStatus('error');
+      }
+    } catch (err) {
+      setError(err.message);
+      setStatus('error');
+    }
+  }, [folderUrl, recursive, collectionName, onConnect, editMode, initialSource, onSaveEdit, isValidUrl]);
+
   const handleConnect = useCallback(async () => {
     const cleaned = urlText.split(/\r?\n/).map((u) => u.trim()).filter(Boolean);
     if (cleaned.length === 0) {
@@ -77,6 +155,7 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
         initialSource.name = updatedName;
         initialSource.config.name = updatedName;
         initialSource.config.config.assetPaths = cleaned;
+        initialSource.config.config.discoverListing = false;
         initialSource.config.config.customName = Boolean(collectionName.trim());
 
         await saveSource(initialSource.toJSON());
@@ -144,18 +223,54 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
       </div>
 
       <div class="form-field">
-        <label>Asset URLs</label>
-        <textarea
-          rows={8}
-          placeholder={'https://example.com/scene-1.sog\nhttps://example.com/scene-2.ply'}
-          value={urlText}
-          onInput={(e) => setUrlText(e.target.value)}
-        />
-        <span class="field-hint">
-          One URL per line. Only direct http/https links to .sog/.ply files are accepted.
-        </span>
+        <label>Assets from</label>
+        <select value={mode} onChange={(e) => { setMode(e.target.value); setError(null); }}>
+          <option value="urls">List of asset URLs</option>
+          <option value="listing">Folder with a directory listing</option>
+        </select>
       </div>
 
+      {mode === 'urls' ? (
+        <div class="form-field">
+          <label>Asset URLs</label>
+          <textarea
+            rows={8}
+            placeholder={'https://example.com/scene-1.sog\nhttps://example.com/scene-2.ply'}
+            value={urlText}
+            onInput={(e) => setUrlText(e.target.value)}
+          />
+          <span class="field-hint">
+            One URL per line. Only direct http/https links to {getSupportedExtensions().join('/')} files are accepted.
+          </span>
+        </div>
+      ) : (
+        <>
+          <div class="form-field">
+            <label>Folder URL</label>
+            <input
+              type="url"
+              placeholder="https://example.com/captures/"
+              value={folderUrl}
+              onInput={(e) => setFolderUrl(e.target.value)}
+            />
+            <span class="field-hint">
+              A folder served with autoindex (nginx, Apache, Caddy browse or python -m http.server). Previews and .meta.json files next to each asset are picked up automatically.
+            </span>
+          </div>
+
+          <div class="form-field">
+            <label class="checkbox-inline">
+              <input
+                type="checkbox"
+                checked={recursive}
+                onChange={(e) => setRecursive(e.target.checked)}
+              />
+              Include subfolders
+            </label>
+          </div>
+        </>
+      )}
+
       {error && (
         <div class="form-error">
           <FontAwesomeIcon icon={faExclamationTriangle} />
@@ -165,8 +280,8 @@ function UrlCollectionForm({ onConnect, onBack, initialSource, editMode = false,
 
       <button
         class="primary-button"
-        onClick={handleConnect}
-        disabled={status === 'connecting' || !allUrlsValid}
+        onClick={mode === 'listing' ? handleConnectListing : handleConnect}
+        disabled={status === 'connecting' || (mode === 'listing' ? !isValidUrl(folderUrl) : !allUrlsValid)}
       >
         {status === 'connecting' ? (
           <>
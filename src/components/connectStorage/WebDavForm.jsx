@@ -0,0 +1,738 @@
+import { useState, useCallback, useMemo } from 'preact/hooks';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faTimes,
+  faCheck,
+  faSpinner,
+  faExclamationTriangle,
+  faInfoCircle,
+  faFolderOpen,
+  faLock,
+} from '@fortawesome/free-solid-svg-icons';
+import {
+  createWebDavSource,
+  registerSource,
+  saveSource,
+  getSourcesArray,
+} from '../../storage/index.js';
+import {
+  loadWebDavSettings,
+  normalizeWebDavUrl,
+  saveWebDavSettings,
+  webdavSettingsMatchSource,
+} from '../../storage/webdavSettings.js';
+import { listWebDavCollections, testWebDavConnection } from '../../storage/webdavApi.js';
+import {
+  encryptCredentialValue,
+  getVaultSecretIds,
+  hasVaultPassword,
+  isVaultUnlocked,
+  unlockCredentialVault,
+} from '../../storage/credentialVault.js';
+import { getAssetList } from '../../assetManager.js';
+import { getSupportedExtensions } from '../../formats/index.js';
+import { ExistingCollectionItem, FaqItem } from './SharedSections.jsx';
+
+const VAULT_PASSWORD_MISMATCH_ERROR = 'Password does not match the existing vault password.';
+
+const EMPTY_SETTINGS = {
+  serverUrl: '',
+  username: '',
+  password: '',
+};
+
+function WebDavForm({ onConnect, onBack, onClose }) {
+  const supportedExtensions = useMemo(() => getSupportedExtensions(), []);
+  const queuedAssets = useMemo(() => getAssetList(), []);
+  const queueFiles = useMemo(() => {
+    return queuedAssets
+      .filter((asset) => asset?.file && asset?.file?.name)
+      .filter((asset) => {
+        const ext = asset.file.name.toLowerCase().match(/\.[^.]+$/)?.[0] || '';
+        return supportedExtensions.includes(ext);
+      })
+      .map((asset) => asset.file);
+  }, [queuedAssets, supportedExtensions]);
+
+  const hasQueueFiles = queueFiles.length > 0;
+
+  const initialSettings = useMemo(() => loadWebDavSettings() || EMPTY_SETTINGS, []);
+  const [savedSettings, setSavedSettings] = useState(initialSettings);
+  const [serverUrl, setServerUrl] = useState(initialSettings.serverUrl || '');
+  const [username, setUsername] = useState(initialSettings.username || '');
+  const [password, setPassword] = useState(initialSettings.password || '');
+  const [collectionName, setCollectionName] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [messageType, setMessageType] = useState('error'); // 'error' | 'info'
+  const [uploadExisting, setUploadExisting] = useState(false);
+  const [encryptPassword, setEncryptPassword] = useState(Boolean(initialSettings.passwordEncrypted));
+  const [unlockPasswordInput, setUnlockPasswordInput] = useState('');
+  const [unlockingVault, setUnlockingVault] = useState(false);
+  const [vaultPasswordExists, setVaultPasswordExists] = useState(() => hasVaultPassword());
+
+  const [existingCollections, setExistingCollections] = useState([]);
+  const [loadingCollections, setLoadingCollections] = useState(false);
+  const [showExisting, setShowExisting] = useState(false);
+  const [showServerConfig, setShowServerConfig] = useState(false);
+  const [selectedExisting, setSelectedExisting] = useState(null);
+
+  const persistSourceConfig = useCallback(async (source) => {
+    const payload = source.toJSON();
+    if (encryptPassword && payload?.config) {
+      payload.config.password = '';
+    }
+    await saveSource(payload);
+  }, [encryptPassword]);
+
+  const hasEncryptedStoredPassword = Boolean(savedSettings?.passwordEncrypted || savedSettings?.isEncrypted);
+  const webdavPasswordLocked = Boolean(savedSettings?.requiresPassword && !password);
+  const vaultLockedForConfigChanges = Boolean(hasEncryptedStoredPassword && vaultPasswordExists && !isVaultUnlocked());
+  const showVaultPasswordInput = Boolean(
+    !isVaultUnlocked() && (
+      webdavPasswordLocked ||
+      encryptPassword ||
+      Boolean(savedSettings?.passwordEncrypted)
+    )
+  );
+
+  const webdavConfigured = Boolean(savedSettings.serverUrl && !savedSettings.requiresPassword);
+  const trimmedSettings = useMemo(() => ({
+    serverUrl: normalizeWebDavUrl(serverUrl),
+    username: username.trim(),
+    password,
+  }), [serverUrl, username, password]);
+  const isSettingsReady = Boolean(trimmedSettings.serverUrl);
+  const settingsChanged =
+    trimmedSettings.serverUrl !== normalizeWebDavUrl(savedSettings.serverUrl) ||
+    trimmedSettings.username !== (savedSettings.username || '') ||
+    trimmedSettings.password !== (savedSettings.password || '') ||
+    Boolean(encryptPassword) !== Boolean(savedSettings.passwordEncrypted);
+
+  const slugify = useCallback((value) => {
+    const slug = value
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    return slug || 'collection';
+  }, []);
+
+  const applySettingsToForm = useCallback((settings) => {
+    setServerUrl(settings.serverUrl || '');
+    setUsername(settings.username || '');
+    setPassword(settings.password || '');
+    setEncryptPassword(Boolean(settings.passwordEncrypted));
+  }, []);
+
+  const loadExistingCollections = useCallback(async (settings = trimmedSettings) => {
+    setLoadingCollections(true);
+    setMessageType('error');
+    setError(null);
+
+    const result = await listWebDavCollections(settings);
+
+    setLoadingCollections(false);
+
+    if (result.success) {
+      setExistingCollections(result.collections);
+    } else {
+      setMessageType('error');
+      setError(result.error);
+    }
+  }, [trimmedSettings]);
+
+  const handleTestConnection = useCallback(async () => {
+    if (!isSettingsReady) {
+      setMessageType('error');
+      setError('Enter the WebDAV server URL.');
+      return;
+    }
+
+    setStatus('testing');
+    setMessageType('error');
+    setError(null);
+
+    const testResult = await testWebDavConnection(trimmedSettings);
+
+    if (!testResult.success) {
+      setMessageType('error');
+      setError(`Connection failed: ${testResult.error}`);
+    } else {
+      setMessageType('info');
+      setError('Connected. Save the settings to browse folders.');
+    }
+    setStatus('idle');
+  }, [isSettingsReady, trimmedSettings]);
+
+  const handleSaveSettings = useCallback(async () => {
+    if (!isSettingsReady) {
+      setMessageType('error');
+      setError('Server URL is required.');
+      return;
+    }
+
+    let nextPassword = trimmedSettings.password;
+    let nextEncryptedPassword = null;
+    const providedPassword = unlockPasswordInput.trim();
+
+    if (encryptPassword) {
+      if (!providedPassword && !isVaultUnlocked()) {
+        setMessageType('error');
+        setError(vaultPasswordExists
+          ? 'Vault key already set. Enter vault password above.'
+          : 'Create a vault password to encrypt the WebDAV password.');
+        return;
+      }
+
+      if (vaultPasswordExists && !isVaultUnlocked()) {
+        const unlockResult = await unlockCredentialVault(providedPassword);
+        if (!unlockResult.success) {
+          setMessageType('error');
+          setError(unlockResult.error || VAULT_PASSWORD_MISMATCH_ERROR);
+          return;
+        }
+      }
+
+      try {
+        nextEncryptedPassword = await encryptCredentialValue(
+          getVaultSecretIds().webdav,
+          trimmedSettings.password,
+          providedPassword || undefined
+        );
+        setVaultPasswordExists(hasVaultPassword());
+      } catch (err) {
+        setMessageType('error');
+        setError(err?.message || 'Failed to encrypt the WebDAV password.');
+        return;
+      }
+    } else if (savedSettings?.passwordEncrypted && !isVaultUnlocked()) {
+      if (!providedPassword) {
+        setMessageType('error');
+        setError('Enter vault password above to disable encryption.');
+        return;
+      }
+
+      const unlockResult = await unlockCredentialVault(providedPassword);
+      if (!unlockResult.success) {
+        setMessageType('error');
+        setError(unlockResult.error || VAULT_PASSWORD_MISMATCH_ERROR);
+        return;
+      }
+
+      nextPassword = trimmedSettings.password || loadWebDavSettings()?.password || '';
+      setPassword(nextPassword);
+    }
+
+    setStatus('testing');
+    const testResult = await testWebDavConnection({ ...trimmedSettings, password: nextPassword });
+    setStatus('idle');
+    if (!testResult.success) {
+      setMessageType('error');
+      setError(`Connection failed: ${testResult.error}`);
+      return;
+    }
+
+    const payload = {
+      serverUrl: trimmedSettings.serverUrl,
+      username: trimmedSettings.username,
+      password: encryptPassword ? '' : nextPassword,
+      passwordEncrypted: nextEncryptedPassword || null,
+    };
+
+    if (!payload.passwordEncrypted) {
+      delete payload.passwordEncrypted;
+    }
+
+    saveWebDavSettings(payload);
+    setSavedSettings({
+      ...payload,
+      password: nextPassword,
+      requiresPassword: false,
+      isEncrypted: Boolean(payload.passwordEncrypted),
+    });
+
+    // Update any already-registered WebDAV sources for this server/user
+    for (const src of getSourcesArray()) {
+      if (src.type === 'webdav' && webdavSettingsMatchSource(payload, src)) {
+        src.config.config.password = nextPassword;
+        try { await persistSourceConfig(src); } catch (e) { console.warn('[WebDavForm] Failed to persist source update', e); }
+      }
+    }
+
+    setUnlockPasswordInput('');
+    setMessageType('error');
+    setError(null);
+    await loadExistingCollections({ ...trimmedSettings, password: nextPassword });
+  }, [encryptPassword, isSettingsReady, loadExistingCollections, persistSourceConfig, savedSettings?.passwordEncrypted, trimmedSettings, unlockPasswordInput, vaultPasswordExists]);
+
+  const handleUnlockVault = useCallback(async () => {
+    const vaultPassword = unlockPasswordInput.trim();
+    if (!vaultPassword) {
+      setMessageType('error');
+      setError('Enter vault password to unlock encrypted credentials.');
+      return;
+    }
+
+    setUnlockingVault(true);
+    setMessageType('error');
+    setError(null);
+    const result = await unlockCredentialVault(vaultPassword);
+    setUnlockingVault(false);
+
+    if (!result.success) {
+      setMessageType('error');
+      setError(result.error || VAULT_PASSWORD_MISMATCH_ERROR);
+      return;
+    }
+
+    const unlocked = loadWebDavSettings();
+    if (unlocked) {
+      setSavedSettings(unlocked);
+      applySettingsToForm(unlocked);
+    }
+
+    setUnlockPasswordInput('');
+    setVaultPasswordExists(hasVaultPassword());
+  }, [applySettingsToForm, unlockPasswordInput]);
+
+  const handleChooseExisting = useCallback((collection) => {
+    setSelectedExisting(collection);
+    setStatus('idle');
+    setMessageType('error');
+    setError(null);
+  }, []);
+
+  const buildSource = useCallback((folderPath, name) => createWebDavSource({
+    ...trimmedSettings,
+    folderPath,
+    collectionName: name,
+  }), [trimmedSettings]);
+
+  const handleConnectExisting = useCallback(async ({ switchTo }) => {
+    if (!selectedExisting) return;
+
+    setStatus('connecting');
+    setMessageType('error');
+    setError(null);
+
+    try {
+      const source = buildSource(selectedExisting.id, selectedExisting.name);
+      const result = await source.connect();
+
+      if (result.success) {
+        registerSource(source);
+        await persistSourceConfig(source);
+        setStatus('success');
+        setTimeout(() => (switchTo ? onConnect(source) : onClose?.()), 500);
+      } else {
+        setMessageType('error');
+        setError(result.error || 'Failed to connect');
+        setStatus('error');
+      }
+    } catch (err) {
+      setMessageType('error');
+      setError(err.message);
+      setStatus('error');
+    }
+  }, [buildSource, onClose, onConnect, persistSourceConfig, selectedExisting]);
+
+  const handleCreateNew = useCallback(async () => {
+    if (!webdavConfigured) {
+      setMessageType('error');
+      setError('Configure the WebDAV server first.');
+      return;
+    }
+
+    const folderPath = slugify(collectionName.trim()) || `collection-${Date.now()}`;
+    setStatus('connecting');
+    setMessageType('error');
+    setError(null);
+
+    try {
+      const source = buildSource(folderPath, collectionName.trim() || undefined);
+      const result = await source.connect({ createIfMissing: true });
+
+      if (result.success) {
+        registerSource(source);
+        await persistSourceConfig(source);
+
+        if (uploadExisting && queueFiles.length > 0) {
+          setStatus('uploading');
+          const uploadResult = await source.uploadAssets(queueFiles);
+          if (!uploadResult.success) {
+            const firstError = uploadResult.failed?.[0]?.error;
+            setMessageType('error');
+            setError(firstError ? `Some uploads failed: ${firstError}` : 'Some uploads failed.');
+          }
+        }
+
+        setStatus('success');
+        setTimeout(() => onConnect(source), 500);
+      } else {
+        setMessageType('error');
+        setError(result.error || 'Failed to connect');
+        setStatus('error');
+      }
+    } catch (err) {
+      setMessageType('error');
+      setError(err.message);
+      setStatus('error');
+    }
+  }, [webdavConfigured, collectionName, slugify, buildSource, onConnect, persistSourceConfig, uploadExisting, queueFiles]);
+
+  const vaultPasswordField = showVaultPasswordInput && (
+    <div class="form-field" style={{ marginTop: '12px' }}>
+      <label>Vault password</label>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <input
+          type="password"
+          placeholder="Vault password"
+          value={unlockPasswordInput}
+          onInput={(e) => setUnlockPasswordInput(e.target.value)}
+          style={{ flex: '2 1 0' }}
+        />
+        <button
+          class="secondary-button"
+          onClick={handleUnlockVault}
+          disabled={unlockingVault || !unlockPasswordInput.trim()}
+          style={{ marginTop: 0, flex: '1 1 0' }}
+        >
+          {unlockingVault ? (
+            <>
+              <FontAwesomeIcon icon={faSpinner} spin />
+              {' '}Unlocking
+            </>
+          ) : (
+            'Unlock'
+          )}
+        </button>
+      </div>
+      <span class="field-hint" style={{ marginTop: '6px', display: 'block' }}>
+        Shared with R2, S3 and Cloud GPU encryption.
+      </span>
+    </div>
+  );
+
+  const configFields = (
+    <>
+      <div class="form-field">
+        <label>Server URL</label>
+        <input
+          type="url"
+          placeholder="https://nas.example.com/remote.php/dav/files/studio/captures"
+          value={serverUrl}
+          onInput={(e) => setServerUrl(e.target.value)}
+        />
+        <span class="field-hint">Folder that holds your collections. Each subfolder is one collection.</span>
+      </div>
+
+      <div class="form-field">
+        <label>Username</label>
+        <input
+          type="text"
+          placeholder="Leave blank for anonymous access"
+          value={username}
+          onInput={(e) => setUsername(e.target.value)}
+        />
+      </div>
+
+      <div class="form-field">
+        <label>Password</label>
+        <input
+          type="password"
+          placeholder="Password or app password"
+          value={password}
+          onInput={(e) => setPassword(e.target.value)}
+        />
+      </div>
+
+      <div class="form-field">
+        <label class="checkbox-inline" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <input
+            type="checkbox"
+            checked={encryptPassword}
+            disabled={vaultLockedForConfigChanges}
+            onChange={(e) => setEncryptPassword(e.target.checked)}
+          />
+          <span>Encrypt password</span>
+        </label>
+        <span class="field-hint">
+          {vaultLockedForConfigChanges ? 'Vault key already set. Unlock above to change encryption.' : (vaultPasswordExists ? 'Vault key already set.' : 'No vault key set yet.')}
+        </span>
+      </div>
+    </>
+  );
+
+  const errorMessage = error && (
+    <div class={messageType === 'info' ? 'form-notice' : 'form-error'}>
+      <FontAwesomeIcon icon={messageType === 'info' ? faInfoCircle : faExclamationTriangle} style={{ marginTop: '2px', flexShrink: 0 }} />
+      {' '}{error}
+    </div>
+  );
+
+  if (!webdavConfigured) {
+    return (
+      <div class="storage-form">
+        <button class="back-button" onClick={onBack}>
+          {'Back'}
+        </button>
+
+        <h3>Connect to a WebDAV server</h3>
+        <p class="dialog-subtitle">Point at the folder that holds your captures on a NAS, Nextcloud or any WebDAV server.</p>
+
+        {webdavPasswordLocked && (
+          <div class="form-notice" style={{ marginTop: '12px' }}>
+            <FontAwesomeIcon icon={faLock} style={{ marginTop: '2px', flexShrink: 0 }} />
+            {' '}This WebDAV password is encrypted. Unlock once per browser session.
+          </div>
+        )}
+
+        {vaultPasswordField}
+
+        <div class="config-grid" style={{ marginTop: '16px' }}>
+          {configFields}
+        </div>
+
+        {errorMessage}
+
+        <div class="form-actions" style={{ marginTop: '16px', display: 'flex', gap: '8px' }}>
+          <button
+            class="secondary-button"
+            onClick={handleTestConnection}
+            disabled={status === 'testing' || !isSettingsReady}
+            style={{ marginTop: '0px' }}
+          >
+            {status === 'testing' ? (
+              <>
+                <FontAwesomeIcon icon={faSpinner} spin />
+                {' '}Testing...
+              </>
+            ) : (
+              'Test Connection'
+            )}
+          </button>
+
+          <button
+            class="primary-button"
+            onClick={handleSaveSettings}
+            disabled={status === 'testing' || !isSettingsReady}
+            style={{ marginTop: '0px' }}
+          >
+            Save WebDAV settings
+          </button>
+        </div>
+
+        <div class="faq-section" style={{ marginTop: '24px' }}>
+          <FaqItem question="What does the server need?">
+            <ol class="faq-steps">
+              <li>CORS allowing this site's origin for <code>PROPFIND</code>, <code>GET</code>, <code>PUT</code>, <code>DELETE</code> and <code>MKCOL</code>, with the <code>Authorization</code>, <code>Depth</code>, <code>Range</code> and <code>If-None-Match</code> request headers</li>
+              <li>On Nextcloud, use an app password and the <code>/remote.php/dav/files/&lt;user&gt;/</code> URL</li>
+              <li>Previews and metadata are read from <code>scene.preview.jpg</code> and <code>scene.meta.json</code> next to <code>scene.sog</code></li>
+            </ol>
+          </FaqItem>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div class="storage-form">
+      <button class="back-button" onClick={onBack}>
+        {'Back'}
+      </button>
+
+      <h3>WebDAV Collection</h3>
+
+      {vaultPasswordField}
+
+      <div class="form-section">
+        <div class="form-row">
+          <div>
+            <strong>WebDAV settings</strong>
+            <div class="field-hint">
+              Using <em>{serverUrl}</em>{username ? <> as <em>{username}</em></> : ''}
+            </div>
+          </div>
+          <button class="link-button" onClick={() => setShowServerConfig(!showServerConfig)}>
+            {showServerConfig ? 'Hide config' : 'Edit config'}
+          </button>
+        </div>
+
+        {showServerConfig && (
+          <div class="config-grid">
+            {configFields}
+
+            <button
+              class="secondary-button"
+              onClick={handleTestConnection}
+              disabled={status === 'testing' || !isSettingsReady}
+            >
+              {status === 'testing' ? 'Testing...' : 'Test Connection'}
+            </button>
+
+            <button
+              class="secondary-button"
+              onClick={handleSaveSettings}
+              disabled={status === 'testing' || !isSettingsReady || !settingsChanged}
+            >
+              Save WebDAV settings
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div class="form-section" style={{ marginTop: '16px' }}>
+        <div class="form-row">
+          <div>
+            <strong>
+              <FontAwesomeIcon icon={faFolderOpen} style={{ marginRight: '8px' }} />
+              Add Existing Folder
+            </strong>
+          </div>
+          <button
+            class="link-button"
+            onClick={() => {
+              if (!showExisting) loadExistingCollections();
+              setShowExisting(!showExisting);
+            }}
+          >
+            {showExisting ? 'Hide' : 'Browse'}
+          </button>
+        </div>
+
+        {showExisting && (
+          <div class="existing-collections-list">
+            {loadingCollections ? (
+              <div class="collections-loading">
+                <FontAwesomeIcon icon={faSpinner} spin />
+                {' '}Scanning server...
+              </div>
+            ) : existingCollections.length === 0 ? (
+              <div class="collections-empty">
+                No folders found under this URL.
+              </div>
+            ) : (
+              existingCollections.map((col) => (
+                <ExistingCollectionItem
+                  key={col.id}
+                  collection={col}
+                  onSelect={handleChooseExisting}
+                  isLoading={status === 'connecting'}
+                  selected={selectedExisting?.id === col.id}
+                />
+              ))
+            )}
+          </div>
+        )}
+      </div>
+
+      {selectedExisting && (
+        <div class="form-section existing-selection-review" style={{ position: 'relative' }}>
+          <button
+            class="modal-close selection-close"
+            title="Clear selected folder"
+            onClick={() => setSelectedExisting(null)}
+            disabled={status === 'connecting'}
+            style={{ position: 'absolute', top: '8px', right: '8px' }}
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+
+          <div class="form-row">
+            <div>
+              <strong>Selected folder</strong>
+              <div class="field-hint">
+                {selectedExisting.name} · {selectedExisting.assetCount} asset{selectedExisting.assetCount !== 1 ? 's' : ''}
+              </div>
+            </div>
+          </div>
+
+          <div class="form-actions" style={{ marginTop: '16px', gap: '8px', display: 'flex' }}>
+            <button
+              class="secondary-button"
+              style={{ marginTop: '0px' }}
+              onClick={() => handleConnectExisting({ switchTo: true })}
+              disabled={status === 'connecting'}
+            >
+              Switch to new collection
+            </button>
+            <button
+              class="primary-button"
+              onClick={() => handleConnectExisting({ switchTo: false })}
+              disabled={status === 'connecting'}
+            >
+              {status === 'connecting' ? (
+                <>
+                  <FontAwesomeIcon icon={faSpinner} spin />
+                  {' '}Connecting...
+                </>
+              ) : (
+                'Done'
+              )}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div class="form-divider">
+        <span>or create new</span>
+      </div>
+
+      <div class="form-field">
+        <label>Collection name</label>
+        <input
+          type="text"
+          placeholder="My splat gallery"
+          value={collectionName}
+          onInput={(e) => setCollectionName(e.target.value)}
+        />
+        <span class="field-hint">
+          Will be created as the folder {slugify(collectionName) || 'collection-xxx'}/
+        </span>
+      </div>
+
+      {hasQueueFiles && (
+        <div class="form-field">
+          <label class="checkbox-inline">
+            <input
+              type="checkbox"
+              checked={uploadExisting}
+              onChange={(e) => setUploadExisting(e.target.checked)}
+            />
+            Upload current images ({queueFiles.length})
+          </label>
+          <span class="field-hint">Uploads start right after the folder is created.</span>
+        </div>
+      )}
+
+      {errorMessage}
+
+      <button
+        class="primary-button"
+        onClick={handleCreateNew}
+        disabled={status === 'connecting' || status === 'uploading'}
+      >
+        {status === 'connecting' ? (
+          <>
+            <FontAwesomeIcon icon={faSpinner} spin />
+            {' '}Creating collection...
+          </>
+        ) : status === 'uploading' ? (
+          <>
+            <FontAwesomeIcon icon={faSpinner} spin />
+            {' '}Uploading...
+          </>
+        ) : status === 'success' ? (
+          <>
+            <FontAwesomeIcon icon={faCheck} />
+            {' '}Connected!
+          </>
+        ) : (
+          'Create New Collection'
+        )}
+      </button>
+    </div>
+  );
+}
+
+export default WebDavForm;
@@ -1,9 +1,21 @@
 import { useCallback, useEffect, useRef } from 'preact/hooks';
 import { useStore } from '../store';
-import { loadFromStorageSource } from '../fileLoader';
+import { loadAssetByIndex, loadFromStorageSource } from '../fileLoader';
+import { controls } from '../viewer';
+import { startSlideshow } from '../slideshowController';
 import { getSource, getSourcesArray } from '../storage/index.js';
 import { loadR2Settings } from '../storage/r2Settings.js';
+import { isS3SourceLocked } from '../storage/s3Settings.js';
+import { isWebDavSourceLocked } from '../storage/webdavSettings.js';
+import { isSupabaseSignInRequired, isSupabaseSourceLocked } from '../storage/supabaseSettings.js';
 import { resetLandingView } from '../utils/resetLandingView.js';
+import {
+  applyDeepLinkCamera,
+  captureDeepLinkCamera,
+  hasCameraOverride,
+  readDeepLinkParams,
+  writeDeepLinkParams,
+} from '../utils/deepLink.js';
 
 const normalizeBasePath = (value) => {
   const text = String(value || '/').trim();
@@ -69,18 +81,55 @@ const getCollectionPathFromSource = (source) => {
   return buildAppPath(encodeURIComponent(slug));
 };
 
-const getSinglePathSegment = (pathname) => {
+const decodeRouteSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Split the path into its collection and optional asset segments.
+ * @returns {{ collection: string, asset: string | null } | null | '__invalid__' | '__out_of_scope__'}
+ */
+const getRouteSegments = (pathname) => {
   const relativePath = stripAppBase(pathname);
   if (relativePath == null) return '__out_of_scope__';
 
   const trimmed = String(relativePath || '/').replace(/^\/+|\/+$/g, '');
   if (!trimmed) return null;
-  if (trimmed.includes('/')) return '__invalid__';
-  try {
-    return decodeURIComponent(trimmed);
-  } catch {
-    return '__invalid__';
-  }
+
+  const parts = trimmed.split('/');
+  if (parts.length > 2) return '__invalid__';
+
+  const [collection, asset = null] = parts.map(decodeRouteSegment);
+  if (collection == null || (parts.length === 2 && !asset)) return '__invalid__';
+  return { collection, asset };
+};
+
+// Proxy views share their base asset's route; the view travels as ?view=
+const getAssetRouteName = (asset) => asset?.baseAssetName || asset?.name || '';
+
+const getRoutePath = (source, asset) => {
+  const collectionPath = getCollectionPathFromSource(source);
+  const assetSlug = asset?.sourceId === source?.id ? normalizeRouteSegment(getAssetRouteName(asset)) : '';
+  if (!assetSlug || collectionPath === buildAppPath()) return collectionPath;
+  return `${collectionPath}/${encodeURIComponent(assetSlug)}`;
+};
+
+const matchesAssetRouteSegment = (segment) => {
+  const normalizedSegment = normalizeRouteSegment(segment);
+  return (asset) => {
+    if (asset?.isProxyView) return false;
+    const name = getAssetRouteName(asset);
+    if (name === segment) return true;
+    const fileName = name.split('/').pop();
+    return normalizedSegment !== ''
+      && (normalizeRouteSegment(name) === normalizedSegment
+        || normalizeRouteSegment(fileName) === normalizedSegment
+        || normalizeRouteSegment(fileName.replace(/\.[^.]+$/, '')) === normalizedSegment);
+  };
 };
 
 const findSourceByRouteSegment = (segment, sources) => {
@@ -103,6 +152,8 @@ export const useCollectionRouting = ({
 }) => {
   const routeReadyRef = useRef(false);
   const routeSyncInFlightRef = useRef(false);
+  const currentAsset = useStore((state) => state.assets[state.currentAssetIndex]);
+  const slideshowPlaying = useStore((state) => state.slideshowPlaying);
 
   const navigateHome = useCallback((replace = false) => {
     const homePath = buildAppPath();
@@ -129,50 +180,110 @@ export const useCollectionRouting = ({
     });
   }, [setHasDefaultSource, setLandingVisible]);
 
+  // Camera framing written to the address bar for the asset on screen
+  const cameraParamsRef = useRef(null);
+
   const syncPathToActiveSource = useCallback((source, replace = false) => {
-    const targetPath = source ? getCollectionPathFromSource(source) : buildAppPath();
-    if (normalizeComparablePath(window.location.pathname) === normalizeComparablePath(targetPath)) return;
+    let targetPath = buildAppPath();
+    let deepLink = {};
+    if (source) {
+      const { assets, currentAssetIndex, slideshowPlaying } = useStore.getState();
+      const current = assets[currentAssetIndex];
+      const asset = current?.sourceId === source.id ? current : null;
+      const cameraParams = asset && cameraParamsRef.current?.assetId === asset.id ? cameraParamsRef.current : null;
+      targetPath = getRoutePath(source, asset);
+      deepLink = {
+        viewId: asset?.isProxyView ? asset.viewId : null,
+        pose: cameraParams?.pose,
+        fov: cameraParams?.fov,
+        autoplay: Boolean(asset) && slideshowPlaying,
+      };
+    }
+    const targetSearch = writeDeepLinkParams(window.location.search, deepLink);
+
+    if (normalizeComparablePath(window.location.pathname) === normalizeComparablePath(targetPath)
+      && window.location.search === targetSearch) return;
     if (!isWithinAppBase(targetPath)) return;
 
     const state = { ...window.history.state };
     if (replace) {
-      window.history.replaceState(state, '', targetPath);
+      window.history.replaceState(state, '', targetPath + targetSearch);
     } else {
-      window.history.pushState(state, '', targetPath);
+      window.history.pushState(state, '', targetPath + targetSearch);
     }
   }, []);
 
+  const rememberCameraParams = useCallback(() => {
+    const { assets, currentAssetIndex } = useStore.getState();
+    const asset = assets[currentAssetIndex];
+    const captured = captureDeepLinkCamera();
+    cameraParamsRef.current = asset && captured ? { assetId: asset.id, ...captured } : null;
+  }, []);
+
+  const applyDeepLink = useCallback(async (deepLink) => {
+    const state = useStore.getState();
+    const current = state.assets[state.currentAssetIndex];
+    if (!current) return;
+
+    if (deepLink.viewId && current.viewId !== deepLink.viewId) {
+      const baseAssetId = current.baseAssetId || current.id;
+      const viewIndex = state.assets.findIndex((asset) => (
+        (asset.baseAssetId || asset.id) === baseAssetId && asset.viewId === deepLink.viewId
+      ));
+      if (viewIndex >= 0) {
+        await loadAssetByIndex(viewIndex);
+      } else {
+        addLog(`Saved view "${deepLink.viewId}" not found for ${current.name}`);
+      }
+    }
+
+    if (hasCameraOverride(deepLink)) {
+      applyDeepLinkCamera(deepLink);
+      rememberCameraParams();
+    }
+
+    if (deepLink.autoplay && state.assets.length > 1) {
+      state.setSlideshowMode(true);
+      startSlideshow();
+    }
+  }, [addLog, rememberCameraParams]);
+
   const applyPathRoute = useCallback(async (replaceInvalid = true) => {
-    const segment = getSinglePathSegment(window.location.pathname);
-    if (segment === '__out_of_scope__') {
+    const route = getRouteSegments(window.location.pathname);
+    if (route === '__out_of_scope__') {
       navigateHome(replaceInvalid);
       return;
     }
-    if (segment === '__invalid__') {
+    if (route === '__invalid__') {
       navigateHome(replaceInvalid);
       return;
     }
 
-    if (!segment) {
+    if (!route) {
       navigateHome(replaceInvalid);
       return;
     }
 
     const sources = getSourcesArray();
-    const matchedSource = findSourceByRouteSegment(segment, sources);
+    const matchedSource = findSourceByRouteSegment(route.collection, sources);
     if (!matchedSource) {
       navigateHome(replaceInvalid);
       return;
     }
 
     const r2Settings = loadR2Settings();
-    const isR2Locked = matchedSource?.type === 'r2-bucket'
-      && Boolean(r2Settings?.requiresPassword)
-      && r2Settings?.accountId === matchedSource?.config?.config?.accountId
-      && r2Settings?.bucket === matchedSource?.config?.config?.bucket;
+    const isR2Locked = (matchedSource?.type === 'r2-bucket'
+        && Boolean(r2Settings?.requiresPassword)
+        && r2Settings?.accountId === matchedSource?.config?.config?.accountId
+        && r2Settings?.bucket === matchedSource?.config?.config?.bucket)
+      || isS3SourceLocked(matchedSource)
+      || isWebDavSourceLocked(matchedSource)
+      || isSupabaseSourceLocked(matchedSource)
+      || isSupabaseSignInRequired(matchedSource);
 
     try {
       routeSyncInFlightRef.current = true;
+      cameraParamsRef.current = null;
       setLandingVisible(false);
 
       if (isR2Locked) {
@@ -194,7 +305,16 @@ export const useCollectionRouting = ({
         }
       }
 
-      await loadFromStorageSource(matchedSource);
+      const deepLink = readDeepLinkParams(window.location.search);
+      const matchesRouteAsset = route.asset ? matchesAssetRouteSegment(route.asset) : null;
+      await loadFromStorageSource(matchedSource, { findPreferredAsset: matchesRouteAsset });
+
+      const { assets, currentAssetIndex } = useStore.getState();
+      if (matchesRouteAsset && !matchesRouteAsset(assets[currentAssetIndex])) {
+        addLog(`Asset "${route.asset}" not found in ${matchedSource.name}`);
+      } else {
+        await applyDeepLink(deepLink);
+      }
       syncPathToActiveSource(matchedSource, true);
     } catch (err) {
       addLog('Failed to load route collection: ' + (err?.message || err));
@@ -202,7 +322,7 @@ export const useCollectionRouting = ({
     } finally {
       routeSyncInFlightRef.current = false;
     }
-  }, [addLog, navigateHome, setLandingVisible, syncPathToActiveSource]);
+  }, [addLog, applyDeepLink, navigateHome, setLandingVisible, syncPathToActiveSource]);
 
   useEffect(() => {
     if (!viewerReady || routeReadyRef.current) return;
@@ -232,6 +352,37 @@ export const useCollectionRouting = ({
     if (!source) return;
     syncPathToActiveSource(source, false);
   }, [activeSourceId, syncPathToActiveSource]);
+
+  // Follow asset navigation (arrows, swipes, slideshow) in the address bar
+  useEffect(() => {
+    if (!routeReadyRef.current || routeSyncInFlightRef.current || !activeSourceId) return;
+    const source = getSource(activeSourceId);
+    if (!source) return;
+    if (cameraParamsRef.current?.assetId !== currentAsset?.id) {
+      cameraParamsRef.current = null;
+    }
+    syncPathToActiveSource(source, true);
+  }, [activeSourceId, currentAsset, slideshowPlaying, syncPathToActiveSource]);
+
+  // Record the framing once the user finishes orbiting, panning or zooming
+  useEffect(() => {
+    if (!viewerReady || !controls) return;
+
+    const handleControlsEnd = () => {
+      if (!routeReadyRef.current || routeSyncInFlightRef.current) return;
+      const state = useStore.getState();
+      if (state.slideshowPlaying || !state.activeSourceId) return;
+      const source = getSource(state.activeSourceId);
+      if (!source) return;
+      rememberCameraParams();
+      syncPathToActiveSource(source, true);
+    };
+
+    controls.addEventListener('end', handleControlsEnd);
+    return () => {
+      controls.removeEventListener('end', handleControlsEnd);
+    };
+  }, [viewerReady, rememberCameraParams, syncPathToActiveSource]);
 };
 
 export default useCollectionRouting;
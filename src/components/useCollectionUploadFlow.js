@@ -127,6 +127,30 @@ const getCollectionUploadCopy = (source) => {
     };
   }
 
+  if (type === 's3-bucket') {
+    return {
+      title: 'Upload to S3',
+      subtitle: `Choose what you want to upload to "${collectionName}".`,
+      assetTitle: '3dgs asset upload',
+      assetSubtitle: 'Uploads supported 3DGS assets to the S3 bucket.',
+      imageTitle: 'Images to convert',
+      imageSubtitle: 'Sends images to cloud GPU and uploads the results to the S3 bucket.',
+      note: '',
+    };
+  }
+
+  if (type === 'webdav') {
+    return {
+      title: 'Upload to WebDAV',
+      subtitle: `Choose what you want to upload to "${collectionName}".`,
+      assetTitle: '3dgs asset upload',
+      assetSubtitle: 'Uploads supported 3DGS assets to the WebDAV folder.',
+      imageTitle: 'Images to convert',
+      imageSubtitle: 'Sends images to cloud GPU and uploads the results to the WebDAV folder.',
+      note: '',
+    };
+  }
+
   if (type === 'app-storage') {
     return {
       title: 'Add to app storage',
@@ -170,7 +194,7 @@ const getCollectionPrefix = (source) => {
 
 const sourceCanWrite = (source) => {
   if (!source) return true;
-  if (source.type !== 'r2-bucket') return true;
+  if (source.type !== 'r2-bucket' && source.type !== 's3-bucket') return true;
   const permissions = source?.config?.config?.permissions || {};
   return permissions.canWrite === true;
 };
@@ -281,15 +305,15 @@ export function useCollectionUploadFlow({
 
     const type = resolvedSource?.type;
 
-    if (type === 'r2-bucket' && !sourceCanWrite(resolvedSource)) {
+    if (!sourceCanWrite(resolvedSource)) {
       onStatus?.('error');
-      reportError('Upload is disabled for this R2 source (write permission is off).');
+      reportError(`Upload is disabled for this ${type === 's3-bucket' ? 'S3' : 'R2'} source (write permission is off).`);
       return;
     }
 
     onLoadingChange?.(true);
     try {
-      if ((type === 'supabase-storage' || type === 'r2-bucket') && typeof resolvedSource?.uploadAssets === 'function') {
+      if ((type === 'supabase-storage' || type === 'r2-bucket' || type === 's3-bucket' || type === 'webdav') && typeof resolvedSource?.uploadAssets === 'function') {
         const result = await resolvedSource.uploadAssets(valid);
         if (!result?.success) {
           onStatus?.('error');
@@ -338,14 +362,15 @@ export function useCollectionUploadFlow({
     const cloudGpuSettings = loadCloudGpuSettings();
     const cloudGpuShowDetailedStatus = cloudGpuSettings?.showDetailedStatus !== false;
 
-    if (type === 'r2-bucket' && !sourceCanWrite(resolvedSource)) {
+    if (!sourceCanWrite(resolvedSource)) {
       onStatus?.('error');
-      reportError('Upload is disabled for this R2 source (write permission is off).');
+      reportError(`Upload is disabled for this ${type === 's3-bucket' ? 'S3' : 'R2'} source (write permission is off).`);
       return;
     }
     const prefix = type === 'supabase-storage' || type === 'r2-bucket' ? getCollectionPrefix(resolvedSource) : undefined;
     const returnMode = type === 'supabase-storage' || type === 'r2-bucket' ? undefined : 'direct';
-    const downloadMode = type === 'app-storage' || (!resolvedSource && !prepareOnly) || prepareOnly ? 'store' : undefined;
+    // S3 and WebDAV results come back to the browser and are uploaded with the source's own client
+    const downloadMode = type === 'app-storage' || type === 's3-bucket' || type === 'webdav' || (!resolvedSource && !prepareOnly) || prepareOnly ? 'store' : undefined;
     const imageBatches = [imageFiles];
     const totalBatches = imageBatches.length;
 
@@ -563,6 +588,20 @@ export function useCollectionUploadFlow({
           continue;
         }
 
+        if ((type === 's3-bucket' || type === 'webdav') && batchStoredFiles.length > 0 && typeof resolvedSource?.uploadAssets === 'function') {
+          const uploadResult = await resolvedSource.uploadAssets(batchStoredFiles);
+          if (!uploadResult?.success) {
+            onStatus?.('error');
+            reportError(uploadResult?.error || uploadResult?.failed?.[0]?.error || 'Failed to upload converted files');
+          } else {
+            await onRefreshAssets?.();
+          }
+          await onAssetsUpdated?.({ mode: 'images', source: resolvedSource, files: batchStoredFiles });
+          const addedCount = uploadResult?.uploaded?.length ?? batchStoredFiles.length;
+          scheduleAutoReload(resolvedSource, getPreferredIndex(addedCount));
+          continue;
+        }
+
         if ((type === 'supabase-storage' || type === 'r2-bucket') && batchSuccessCount > 0) {
           await onRefreshAssets?.();
           await onAssetsUpdated?.({ mode: 'images', source: resolvedSource, files: batchFiles });
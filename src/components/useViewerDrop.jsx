@@ -3,7 +3,8 @@ import { collectDroppedFiles, handleAddFiles, handleMultipleFiles } from '../fil
 import { getSource } from '../storage/index.js';
 import { loadCloudGpuSettings } from '../storage/cloudGpuSettings.js';
 import { isImageFile, isSupportedFile, SUPPORTED_EXTENSIONS } from './useCollectionUploadFlow.js';
-import { getAssetList } from '../assetManager.js';
+import { expandAssetArchives, getAssetList } from '../assetManager.js';
+import { isZipFile } from '../utils/zipArchive.js';
 import Modal from './Modal';
 
 function ConfirmDropModal({
@@ -43,6 +44,19 @@ function ConfirmDropModal({
   );
 }
 
+const CLOUD_SOURCE_TYPES = ['supabase-storage', 'r2-bucket', 's3-bucket', 'webdav'];
+const UPLOAD_SOURCE_TYPES = [...CLOUD_SOURCE_TYPES, 'app-storage'];
+
+// Uploads need real files, so archive entries are inflated one by one
+const extractArchiveAssets = async (archives) => {
+  const { files } = await expandAssetArchives(archives);
+  const extracted = [];
+  for (const file of files) {
+    extracted.push(typeof file.loadFile === 'function' ? await file.loadFile() : file);
+  }
+  return extracted;
+};
+
 export function useViewerDrop({ activeSourceId, setStatus, handleAssets, handleImages }) {
   const [isViewerDragging, setIsViewerDragging] = useState(false);
   const [dropModalOpen, setDropModalOpen] = useState(false);
@@ -64,7 +78,9 @@ export function useViewerDrop({ activeSourceId, setStatus, handleAssets, handleI
     setPendingDrop(null);
 
     if (action === 'upload-assets') {
-      await handleAssets(pendingDrop.files);
+      await handleAssets(pendingDrop.mode === 'archives'
+        ? await extractArchiveAssets(pendingDrop.files)
+        : pendingDrop.files);
       return;
     }
 
@@ -117,17 +133,37 @@ export function useViewerDrop({ activeSourceId, setStatus, handleAssets, handleI
       const files = await collectDroppedFiles(event);
       if (!files.length) return;
 
+      const activeSource = activeSourceId ? getSource(activeSourceId) : null;
+      const sourceType = activeSource?.type;
+
+      // Archives of splat assets are browsed in place as an ad-hoc collection,
+      // or unpacked and uploaded when a writable collection is active
+      const archiveFiles = files.filter(isZipFile);
+      if (archiveFiles.length > 0) {
+        if (archiveFiles.length < files.length) {
+          setStatus('Drop a .zip archive on its own, then drop other files separately.');
+          return;
+        }
+        if (!UPLOAD_SOURCE_TYPES.includes(sourceType)) {
+          await handleSessionOnlyDrop(archiveFiles);
+          return;
+        }
+        setPendingDrop({ files: archiveFiles, mode: 'archives', source: activeSource });
+        setDropModalOpen(true);
+        return;
+      }
+
       const splatFiles = files.filter(isSupportedFile);
       const imageFiles = files.filter(isImageFile);
       const unsupportedFiles = files.filter((file) => !isSupportedFile(file) && !isImageFile(file));
 
       if (unsupportedFiles.length > 0) {
-        setStatus(`Unsupported files. Supported: ${SUPPORTED_EXTENSIONS.join(', ')} or common image formats.`);
+        setStatus(`Unsupported files. Supported: ${SUPPORTED_EXTENSIONS.join(', ')}, a .zip of them, or common image formats.`);
         return;
       }
 
       if (splatFiles.length > 0 && imageFiles.length > 0) {
-        setStatus('Drop either splat files (.ply/.sog) or images, not both.');
+        setStatus(`Drop either splat files (${SUPPORTED_EXTENSIONS.join('/')}) or images, not both.`);
         return;
       }
 
@@ -139,11 +175,9 @@ export function useViewerDrop({ activeSourceId, setStatus, handleAssets, handleI
         return;
       }
 
-      const activeSource = activeSourceId ? getSource(activeSourceId) : null;
       const fileList = splatFiles.length > 0 ? splatFiles : imageFiles;
       const mode = splatFiles.length > 0 ? 'splats' : 'images';
 
-      const sourceType = activeSource?.type;
       const isLocalOnlySession = !activeSource || sourceType === 'local-folder';
 
       if (mode === 'splats' && isLocalOnlySession) {
@@ -198,18 +232,21 @@ export function useViewerDrop({ activeSourceId, setStatus, handleAssets, handleI
       })()}
       detail={(() => {
         if (!pendingDrop) return null;
-        const isCloud = ['supabase-storage', 'r2-bucket'].includes(pendingDrop.source?.type);
+        const isCloud = CLOUD_SOURCE_TYPES.includes(pendingDrop.source?.type);
         if (pendingDrop.mode === 'images') {
           return isCloud
             ? 'Results will be uploaded to the active cloud collection.'
             : 'Results will be added locally for this session.';
         }
+        if (pendingDrop.mode === 'archives') {
+          return 'Uploading unpacks the splat files into the collection. Session only browses the archive in place.';
+        }
         return null;
       })()}
       actions={(() => {
         if (!pendingDrop) return [];
         const sourceType = pendingDrop.source?.type;
-        const isCloud = ['supabase-storage', 'r2-bucket'].includes(sourceType);
+        const isCloud = CLOUD_SOURCE_TYPES.includes(sourceType);
         const isAppStorage = sourceType === 'app-storage';
         const isUrl = sourceType === 'public-url';
 
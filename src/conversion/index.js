@@ -0,0 +1,142 @@
+/**
+ * Conversion Module
+ *
+ * Turns the current PLY asset into a compressed SOG off the main thread and
+ * hands the result back as a File ready for download or upload.
+ */
+
+import { readPlyCameraFields } from "../plyCamera.js";
+
+const SOG_MIME_TYPE = "application/zip";
+
+let nextRequestId = 1;
+
+const isPlyName = (name) => /\.ply$/i.test(String(name || "").split(/[?#]/)[0]);
+
+/**
+ * Whether an asset can be fed to convertPlyToSog.
+ * @param {Object | null} asset
+ */
+export const canConvertToSog = (asset) => {
+  if (!asset) return false;
+  return isPlyName(asset.file?.name || asset.name || asset.path);
+};
+
+/**
+ * Output name for a converted asset ("scene.ply" -> "scene.sog").
+ */
+export const getSogFileName = (name) => {
+  const base = String(name || "asset").split(/[\\/]/).pop().replace(/\.ply$/i, "");
+  return `${base || "asset"}.sog`;
+};
+
+/**
+ * Camera fields in the shape readSogMetadata expects under `sharp_metadata`.
+ * Returns null when the PLY carries no usable intrinsics.
+ */
+const extractSharpMetadata = async (bytes) => {
+  try {
+    const raw = await readPlyCameraFields(bytes);
+    if (!raw?.intrinsic?.length) return null;
+    const sharpMetadata = { intrinsic: raw.intrinsic };
+    if (raw.extrinsic) sharpMetadata.extrinsic = raw.extrinsic;
+    if (raw.image_size) sharpMetadata.image_size = raw.image_size;
+    if (raw.color_space) sharpMetadata.color_space = raw.color_space;
+    return sharpMetadata;
+  } catch (err) {
+    console.warn("[Conversion] Failed to read PLY camera", err);
+    return null;
+  }
+};
+
+const runInWorker = (bytes, sharpMetadata, onProgress) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL("./sogWorker.js", import.meta.url), { type: "module" });
+  const id = nextRequestId++;
+
+  const finish = () => worker.terminate();
+
+  worker.onmessage = (event) => {
+    const message = event.data || {};
+    if (message.id !== id) return;
+    if (message.type === "progress") {
+      onProgress?.(message.stage, message.progress);
+      return;
+    }
+    finish();
+    if (message.type === "done") {
+      resolve({ bytes: new Uint8Array(message.bytes), count: message.count });
+    } else {
+      reject(new Error(message.message || "SOG conversion failed"));
+    }
+  };
+  worker.onerror = (event) => {
+    finish();
+    reject(new Error(event?.message || "SOG conversion worker crashed"));
+  };
+
+  // The buffer is transferred, so the caller's copy is detached afterwards.
+  worker.postMessage({ id, bytes: bytes.buffer, sharpMetadata }, [bytes.buffer]);
+});
+
+/**
+ * Convert a PLY file to SOG in a Web Worker.
+ * Camera elements (intrinsic/extrinsic/image_size/color_space) are carried
+ * over into meta.json `sharp_metadata`.
+ * @param {File} file - Source PLY
+ * @param {Object} [options]
+ * @param {(stage: string, progress: number) => void} [options.onProgress]
+ * @returns {Promise<{ file: File, count: number, hasCamera: boolean }>}
+ */
+export const convertPlyToSog = async (file, { onProgress } = {}) => {
+  if (!file) throw new Error("No file to convert");
+  if (!isPlyName(file.name)) throw new Error("Only .ply assets can be converted to SOG");
+
+  onProgress?.("reading", 0);
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const sharpMetadata = await extractSharpMetadata(bytes);
+
+  let result;
+  if (typeof Worker === "undefined") {
+    const { encodePlyToSog } = await import("./sogEncoder.js");
+    result = encodePlyToSog(bytes, { sharpMetadata, onProgress });
+  } else {
+    result = await runInWorker(bytes, sharpMetadata, onProgress);
+  }
+
+  const sogFile = new File([result.bytes], getSogFileName(file.name), { type: SOG_MIME_TYPE });
+  return { file: sogFile, count: result.count, hasCamera: Boolean(sharpMetadata) };
+};
+
+/**
+ * Whether converted files can be written into this source.
+ * @param {Object | null} source
+ */
+export const canUploadToSource = (source) => {
+  if (!source) return false;
+  if (source.type === "supabase-storage" || source.type === "webdav") return typeof source.uploadAssets === "function";
+  if (source.type === "r2-bucket" || source.type === "s3-bucket") {
+    const permissions = source?.config?.config?.permissions || {};
+    return permissions.canWrite === true && typeof source.uploadAssets === "function";
+  }
+  if (source.type === "app-storage" || source.type === "local-folder") {
+    return typeof source.importFiles === "function";
+  }
+  return false;
+};
+
+/**
+ * Write files into a writable source using its native upload/import path.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export const uploadFilesToSource = async (source, files) => {
+  if (!canUploadToSource(source)) {
+    return { success: false, error: "This collection does not accept uploads" };
+  }
+  const result = source.type === "supabase-storage" || source.type === "r2-bucket" || source.type === "s3-bucket" || source.type === "webdav"
+    ? await source.uploadAssets(files)
+    : await source.importFiles(files);
+  if (!result?.success) {
+    return { success: false, error: result?.error || "Upload failed" };
+  }
+  return { success: true };
+};
@@ -0,0 +1,79 @@
+/**
+ * Lossless RGBA8 PNG encoder.
+ * Canvas encoders premultiply alpha, which would corrupt the packed data SOG
+ * stores in the alpha channel, so the bytes are written by hand here.
+ */
+
+import { zlibSync } from "fflate";
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const writeChunk = (type, data) => {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i += 1) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+};
+
+/**
+ * Encode tightly packed RGBA8 pixels (row-major, top row first) as a PNG.
+ * @param {Uint8Array} rgba
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array}
+ */
+export const encodePng = (rgba, width, height) => {
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 8; // bit depth
+  header[9] = 6; // color type: RGBA
+  // compression, filter and interlace methods stay 0
+
+  const rowBytes = width * 4;
+  const raw = new Uint8Array((rowBytes + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    // Filter type 0 (none) keeps the encoder trivial; deflate does the rest.
+    raw.set(rgba.subarray(y * rowBytes, (y + 1) * rowBytes), y * (rowBytes + 1) + 1);
+  }
+
+  const chunks = [
+    Uint8Array.from(PNG_SIGNATURE),
+    writeChunk("IHDR", header),
+    writeChunk("IDAT", zlibSync(raw, { level: 6 })),
+    writeChunk("IEND", new Uint8Array(0)),
+  ];
+
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const png = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    png.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return png;
+};
@@ -0,0 +1,287 @@
+/**
+ * PLY -> SOG (PlayCanvas "PC-SOGS" v2) encoder.
+ * Pure JS with no Spark/DOM dependencies so it can run inside a Web Worker.
+ *
+ * Layout written (one texel per splat, row-major from the top-left):
+ *   means_l.png / means_u.png  16-bit log-space positions split into low/high bytes
+ *   scales.png                 per-axis indices into a 256-entry log-scale codebook
+ *   quats.png                  smallest-three quaternion, alpha = 252 + largest index
+ *   sh0.png                    per-channel indices into a 256-entry DC codebook, alpha = opacity
+ *
+ * Higher-order SH (f_rest_*) is dropped; ML-Sharp output is degree 0.
+ */
+
+import { strToU8, zipSync } from "fflate";
+import { getPlyVertexLayout, parsePlyHeader } from "../formats/plyLayout.js";
+import { encodePng } from "./pngEncoder.js";
+
+const SH_C0 = 0.28209479177387814;
+const CODEBOOK_SIZE = 256;
+const CODEBOOK_SAMPLE_LIMIT = 1 << 18;
+const CODEBOOK_ITERATIONS = 6;
+
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+const logTransform = (value) => Math.sign(value) * Math.log(Math.abs(value) + 1);
+const clampByte = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+/**
+ * Pull the columns the encoder needs out of a binary PLY.
+ */
+const readPlyColumns = (bytes, onProgress) => {
+  const header = parsePlyHeader(bytes);
+  if (!header) throw new Error("Incomplete PLY header");
+  const layout = getPlyVertexLayout(header);
+  const { count, stride, field, has } = layout;
+
+  const bodyStart = header.headerLength;
+  if (bodyStart + count * stride > bytes.byteLength) {
+    throw new Error("PLY file is truncated");
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const positions = new Float32Array(count * 3);
+  const scales = new Float32Array(count * 3);
+  const rotations = new Float32Array(count * 4);
+  const colors = new Float32Array(count * 3);
+  const opacities = new Float32Array(count);
+
+  const hasShColor = has("f_dc_0");
+  const hasScale = has("scale_0");
+  const hasRotation = has("rot_0");
+  const hasOpacity = has("opacity");
+  const reportEvery = Math.max(1, Math.floor(count / 20));
+
+  for (let i = 0; i < count; i += 1) {
+    const row = bodyStart + i * stride;
+    positions[i * 3] = field(view, row, "x", 0);
+    positions[i * 3 + 1] = field(view, row, "y", 0);
+    positions[i * 3 + 2] = field(view, row, "z", 0);
+
+    scales[i * 3] = hasScale ? field(view, row, "scale_0", 0) : Math.log(0.01);
+    scales[i * 3 + 1] = hasScale ? field(view, row, "scale_1", 0) : Math.log(0.01);
+    scales[i * 3 + 2] = hasScale ? field(view, row, "scale_2", 0) : Math.log(0.01);
+
+    rotations[i * 4] = hasRotation ? field(view, row, "rot_0", 1) : 1;
+    rotations[i * 4 + 1] = hasRotation ? field(view, row, "rot_1", 0) : 0;
+    rotations[i * 4 + 2] = hasRotation ? field(view, row, "rot_2", 0) : 0;
+    rotations[i * 4 + 3] = hasRotation ? field(view, row, "rot_3", 0) : 0;
+
+    if (hasShColor) {
+      colors[i * 3] = field(view, row, "f_dc_0", 0);
+      colors[i * 3 + 1] = field(view, row, "f_dc_1", 0);
+      colors[i * 3 + 2] = field(view, row, "f_dc_2", 0);
+    } else {
+      colors[i * 3] = (field(view, row, "red", 255) / 255 - 0.5) / SH_C0;
+      colors[i * 3 + 1] = (field(view, row, "green", 255) / 255 - 0.5) / SH_C0;
+      colors[i * 3 + 2] = (field(view, row, "blue", 255) / 255 - 0.5) / SH_C0;
+    }
+
+    opacities[i] = hasOpacity ? sigmoid(field(view, row, "opacity", 0)) : 1;
+
+    if (i % reportEvery === 0) onProgress?.(i / count);
+  }
+
+  return { count, positions, scales, rotations, colors, opacities };
+};
+
+/**
+ * Index of the nearest entry in a sorted codebook.
+ */
+const nearestIndex = (codebook, value) => {
+  let lo = 0;
+  let hi = codebook.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (codebook[mid] <= value) lo = mid;
+    else hi = mid;
+  }
+  return Math.abs(value - codebook[lo]) <= Math.abs(codebook[hi] - value) ? lo : hi;
+};
+
+/**
+ * 1-D k-means over a sample of the values, seeded from quantiles.
+ * Returns a sorted codebook of CODEBOOK_SIZE entries.
+ */
+const buildCodebook = (values) => {
+  const step = Math.max(1, Math.floor(values.length / CODEBOOK_SAMPLE_LIMIT));
+  const sample = new Float32Array(Math.ceil(values.length / step));
+  let sampleCount = 0;
+  for (let i = 0; i < values.length; i += step) {
+    if (Number.isFinite(values[i])) sample[sampleCount++] = values[i];
+  }
+  const sorted = sample.subarray(0, sampleCount).sort();
+  if (sorted.length === 0) return new Array(CODEBOOK_SIZE).fill(0);
+
+  let codebook = new Float64Array(CODEBOOK_SIZE);
+  for (let k = 0; k < CODEBOOK_SIZE; k += 1) {
+    const position = ((k + 0.5) / CODEBOOK_SIZE) * (sorted.length - 1);
+    codebook[k] = sorted[Math.round(position)];
+  }
+
+  const sums = new Float64Array(CODEBOOK_SIZE);
+  const counts = new Uint32Array(CODEBOOK_SIZE);
+  for (let iteration = 0; iteration < CODEBOOK_ITERATIONS; iteration += 1) {
+    sums.fill(0);
+    counts.fill(0);
+    for (let i = 0; i < sorted.length; i += 1) {
+      const index = nearestIndex(codebook, sorted[i]);
+      sums[index] += sorted[i];
+      counts[index] += 1;
+    }
+    for (let k = 0; k < CODEBOOK_SIZE; k += 1) {
+      if (counts[k] > 0) codebook[k] = sums[k] / counts[k];
+    }
+    codebook = codebook.sort();
+  }
+
+  return Array.from(codebook);
+};
+
+const encodeMeans = (columns, width, height) => {
+  const { count, positions } = columns;
+  const mins = [Infinity, Infinity, Infinity];
+  const maxs = [-Infinity, -Infinity, -Infinity];
+  const logged = new Float32Array(count * 3);
+  for (let i = 0; i < count * 3; i += 1) {
+    const axis = i % 3;
+    const value = logTransform(positions[i]);
+    logged[i] = value;
+    if (value < mins[axis]) mins[axis] = value;
+    if (value > maxs[axis]) maxs[axis] = value;
+  }
+
+  const lower = new Uint8Array(width * height * 4);
+  const upper = new Uint8Array(width * height * 4);
+  for (let i = 0; i < count; i += 1) {
+    for (let axis = 0; axis < 3; axis += 1) {
+      const range = maxs[axis] - mins[axis];
+      const normalized = range > 0 ? (logged[i * 3 + axis] - mins[axis]) / range : 0;
+      const quantized = Math.max(0, Math.min(65535, Math.round(normalized * 65535)));
+      lower[i * 4 + axis] = quantized & 0xff;
+      upper[i * 4 + axis] = quantized >> 8;
+    }
+    lower[i * 4 + 3] = 255;
+    upper[i * 4 + 3] = 255;
+  }
+
+  return {
+    meta: { mins, maxs, files: ["means_l.png", "means_u.png"] },
+    images: { "means_l.png": lower, "means_u.png": upper },
+  };
+};
+
+const encodeScales = (columns, width, height) => {
+  const { count, scales } = columns;
+  const codebook = buildCodebook(scales);
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < count; i += 1) {
+    pixels[i * 4] = nearestIndex(codebook, scales[i * 3]);
+    pixels[i * 4 + 1] = nearestIndex(codebook, scales[i * 3 + 1]);
+    pixels[i * 4 + 2] = nearestIndex(codebook, scales[i * 3 + 2]);
+    pixels[i * 4 + 3] = 255;
+  }
+  return {
+    meta: { codebook, files: ["scales.png"] },
+    images: { "scales.png": pixels },
+  };
+};
+
+const encodeQuats = (columns, width, height) => {
+  const { count, rotations } = columns;
+  const pixels = new Uint8Array(width * height * 4);
+  const q = [0, 0, 0, 0];
+  for (let i = 0; i < count; i += 1) {
+    // PLY stores rot_0..rot_3 as w, x, y, z.
+    q[0] = rotations[i * 4];
+    q[1] = rotations[i * 4 + 1];
+    q[2] = rotations[i * 4 + 2];
+    q[3] = rotations[i * 4 + 3];
+    const length = Math.hypot(q[0], q[1], q[2], q[3]) || 1;
+
+    let largest = 0;
+    for (let c = 1; c < 4; c += 1) {
+      if (Math.abs(q[c]) > Math.abs(q[largest])) largest = c;
+    }
+    const sign = q[largest] < 0 ? -1 : 1;
+
+    let slot = 0;
+    for (let c = 0; c < 4; c += 1) {
+      if (c === largest) continue;
+      const value = (sign * q[c]) / length;
+      pixels[i * 4 + slot] = clampByte((value * Math.SQRT1_2 + 0.5) * 255);
+      slot += 1;
+    }
+    pixels[i * 4 + 3] = 252 + largest;
+  }
+  return {
+    meta: { files: ["quats.png"] },
+    images: { "quats.png": pixels },
+  };
+};
+
+const encodeSh0 = (columns, width, height) => {
+  const { count, colors, opacities } = columns;
+  const codebook = buildCodebook(colors);
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < count; i += 1) {
+    pixels[i * 4] = nearestIndex(codebook, colors[i * 3]);
+    pixels[i * 4 + 1] = nearestIndex(codebook, colors[i * 3 + 1]);
+    pixels[i * 4 + 2] = nearestIndex(codebook, colors[i * 3 + 2]);
+    pixels[i * 4 + 3] = clampByte(opacities[i] * 255);
+  }
+  return {
+    meta: { codebook, files: ["sh0.png"] },
+    images: { "sh0.png": pixels },
+  };
+};
+
+/**
+ * Encode a binary little-endian 3DGS PLY as a SOG zip.
+ * @param {Uint8Array} bytes - PLY file contents
+ * @param {Object} [options]
+ * @param {Object | null} [options.sharpMetadata] - Raw ML-Sharp camera fields stored as meta.json `sharp_metadata`
+ * @param {(stage: string, progress: number) => void} [options.onProgress]
+ * @returns {{ bytes: Uint8Array, count: number }}
+ */
+export const encodePlyToSog = (bytes, { sharpMetadata = null, onProgress } = {}) => {
+  const columns = readPlyColumns(bytes, (progress) => onProgress?.("parsing", progress));
+  if (columns.count === 0) throw new Error("PLY contains no splats");
+
+  const width = Math.ceil(Math.sqrt(columns.count));
+  const height = Math.ceil(columns.count / width);
+
+  const sections = [
+    ["means", encodeMeans],
+    ["scales", encodeScales],
+    ["quats", encodeQuats],
+    ["sh0", encodeSh0],
+  ];
+
+  const meta = { version: 2, count: columns.count, antialias: false };
+  const images = {};
+  sections.forEach(([key, encode], index) => {
+    onProgress?.("quantizing", index / sections.length);
+    const section = encode(columns, width, height);
+    meta[key] = section.meta;
+    Object.assign(images, section.images);
+  });
+
+  if (sharpMetadata) {
+    meta.sharp_metadata = sharpMetadata;
+  }
+
+  const entries = {};
+  const imageNames = Object.keys(images);
+  imageNames.forEach((name, index) => {
+    onProgress?.("encoding", index / imageNames.length);
+    // PNG data is already deflated; storing avoids a second pass.
+    entries[name] = [encodePng(images[name], width, height), { level: 0 }];
+  });
+  entries["meta.json"] = strToU8(JSON.stringify(meta));
+
+  onProgress?.("packaging", 0);
+  const zipped = zipSync(entries, { level: 6 });
+  onProgress?.("packaging", 1);
+
+  return { bytes: zipped, count: columns.count };
+};
@@ -0,0 +1,25 @@
+/**
+ * Web Worker entry for PLY -> SOG conversion.
+ * Request:  { id, bytes: ArrayBuffer, sharpMetadata }
+ * Replies:  { id, type: 'progress', stage, progress }
+ *           { id, type: 'done', bytes: ArrayBuffer, count }
+ *           { id, type: 'error', message }
+ */
+
+import { encodePlyToSog } from "./sogEncoder.js";
+
+self.onmessage = (event) => {
+  const { id, bytes, sharpMetadata } = event.data || {};
+  try {
+    const result = encodePlyToSog(new Uint8Array(bytes), {
+      sharpMetadata,
+      onProgress: (stage, progress) => {
+        self.postMessage({ id, type: "progress", stage, progress });
+      },
+    });
+    const buffer = result.bytes.buffer;
+    self.postMessage({ id, type: "done", bytes: buffer, count: result.count }, [buffer]);
+  } catch (error) {
+    self.postMessage({ id, type: "error", message: error?.message || String(error) });
+  }
+};
@@ -8,6 +8,7 @@ import {
   controls,
   requestRender,
   updateDollyZoomBaselineFromCamera,
+  THREE,
 } from "./viewer.js";
 import { makeAxisFlipCvToGl } from "./cameraUtils.js";
 import {
@@ -24,6 +25,7 @@ const DEFAULT_MODEL_SCALE = 1.0;
 const DEFAULT_ASPECT_RATIO = null;
 const DEFAULT_VIEW_ID = 'view-1';
 const CUSTOM_METADATA_SCHEMA_VERSION = 3;
+const EMBEDDED_IMAGE_HEIGHT = 1024;
 
 /**
  * Clamp scale to valid range
@@ -218,6 +220,53 @@ export const captureCustomMetadataPayload = (overrides = {}) => {
   };
 };
 
+/**
+ * Express the live view as ML-Sharp camera elements (intrinsic, extrinsic,
+ * image_size) in the mesh's file coordinates, so a file written with them
+ * opens through applyMetadataCamera at the same perspective.
+ *
+ * applyMetadataCamera places the camera at inverse(F · E · F) with the mesh
+ * at F (the CV→GL flip), so E = F · V · M where V is the current view matrix
+ * and M the mesh world matrix. Model scale is folded into the translation,
+ * which leaves the projected image unchanged.
+ *
+ * @param {THREE.Object3D} mesh - The splat mesh currently on screen
+ * @returns {{ intrinsic: number[], extrinsic: number[], image_size: number[] } | null}
+ */
+export const captureEmbeddedCameraFields = (mesh) => {
+  if (!mesh || !camera) return null;
+
+  mesh.updateMatrixWorld(true);
+  camera.updateMatrixWorld(true);
+
+  const cvToGl = makeAxisFlipCvToGl();
+  const view = new THREE.Matrix4().copy(camera.matrixWorld).invert();
+  const extrinsic = new THREE.Matrix4()
+    .multiplyMatrices(cvToGl, view)
+    .multiply(mesh.matrixWorld);
+
+  const scale = Math.cbrt(Math.abs(extrinsic.determinant()));
+  if (!Number.isFinite(scale) || scale <= 0) return null;
+  const e = extrinsic.elements;
+  // Column-major: divide the top three rows (rotation + translation).
+  for (let col = 0; col < 4; col += 1) {
+    for (let row = 0; row < 3; row += 1) {
+      e[col * 4 + row] /= scale;
+    }
+  }
+
+  const height = EMBEDDED_IMAGE_HEIGHT;
+  const width = Math.max(1, Math.round(height * (camera.aspect || 1)));
+  const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / (camera.zoom || 1);
+  const focal = height / (2 * Math.max(1e-6, tanHalfFov));
+
+  return {
+    intrinsic: [focal, 0, width / 2, 0, focal, height / 2, 0, 0, 1],
+    extrinsic: new THREE.Matrix4().copy(extrinsic).transpose().toArray(),
+    image_size: [width, height],
+  };
+};
+
 const makeViewId = () => `view-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
 const normalizeViewRecord = (view, fallbackId) => {
@@ -21,7 +21,7 @@ import {
   THREE,
 } from "./viewer.js";
 import { applyPreviewBackground, crossFadePreviewBackground, fadeOutBackground, captureAndApplyBackground, clearBackground, hasBackgroundForPreview } from "./backgroundManager.js";
-import { savePreviewBlob, listCachedFileNames } from "./fileStorage.js";
+import { getFileStorageKey, savePreviewBlob } from "./fileStorage.js";
 import {
   fitViewToMesh,
   applyMetadataCamera,
@@ -64,6 +64,27 @@ export const setNavigationLocked = (locked) => {
   isNavigationLocked = locked;
 };
 
+/** Asset most recently passed to loadSplatFile (its download may still be running) */
+let activeLoadAsset = null;
+/** Navigation requested while the lock was held by a download we aborted */
+let queuedNavigation = null;
+
+/**
+ * Navigating away from an asset that is still downloading aborts it and
+ * queues the new navigation to run once the aborted load has unwound.
+ * Loads that are past the download (parsing, transitions) are not interrupted.
+ */
+const interruptActiveLoad = (navigate) => {
+  if (!activeLoadAsset || !cancelSplatLoad(activeLoadAsset)) return;
+  queuedNavigation = navigate;
+};
+
+const runQueuedNavigation = () => {
+  const navigate = queuedNavigation;
+  queuedNavigation = null;
+  navigate?.();
+};
+
 /** Track if this is the very first asset load (no previous mesh) */
 let hasLoadedFirstAsset = false;
 
@@ -80,6 +101,7 @@ import {
   prevAsset,
   captureCurrentAssetPreview,
   addAssets,
+  expandAssetArchives,
 } from "./assetManager.js";
 import {
   activateSplatEntry,
@@ -88,7 +110,10 @@ import {
   resetSplatManager,
   isSplatCached,
   getSplatCache,
+  cancelSplatLoad,
 } from "./splatManager.js";
+import { isAbortError } from "./storage/download.js";
+import { writeBackPreview } from "./storage/localFolderWriteBack.js";
 
 /** Warmup frames for renderer stabilization (fresh load) */
 const WARMUP_FRAMES = 120;
@@ -112,6 +137,9 @@ const DEBUG_ZOOM_MULTIPLIER = 6; // how much farther to push camera back
 /** Accesses Zustand store state */
 const getStoreState = () => useStore.getState();
 
+/** Incremented per loadSplatFile call so stale streaming previews are ignored */
+let splatLoadGeneration = 0;
+
 /** Supported file extensions for display */
 const supportedExtensions = getSupportedExtensions();
 const supportedExtensionsText = supportedExtensions.join(", ");
@@ -190,6 +218,10 @@ const normalizeAssetCandidate = (candidate) => {
     }
     return candidate;
   }
+  // Archive entry - extracted lazily from its ZIP
+  if (typeof candidate.loadFile === "function" && candidate.id) {
+    return candidate;
+  }
   // Storage source asset - file will be loaded lazily
   if (candidate.sourceId && candidate._remoteAsset) {
     if (!candidate.id) {
@@ -215,7 +247,7 @@ export { getBaseAssetId };
 const getBaseAssetName = (asset) => asset?.baseAssetName || asset?.name;
 const isProxyViewAsset = (asset) => Boolean(asset?.isProxyView && asset?.baseAssetId && asset?.viewId);
 const makeProxyAssetId = (baseAssetId, viewId) => `${baseAssetId}::view::${viewId}`;
-const makePreviewStorageKey = (assetName, viewId) => `${assetName}::${viewId}`;
+const makePreviewStorageKey = (storageKey, viewId) => `${storageKey}::${viewId}`;
 
 const getViewDisplayName = (assetName, view, order) => {
   const viewName = typeof view?.name === 'string' && view.name.trim() ? view.name.trim() : `View ${order + 1}`;
@@ -245,7 +277,7 @@ const buildProxyViewAsset = (baseAsset, view, order) => {
     viewId: view.id,
     groupOrder: order,
     displayName: getViewDisplayName(baseName, view, order),
-    previewStorageKey: makePreviewStorageKey(baseName, view.id),
+    previewStorageKey: makePreviewStorageKey(getFileStorageKey(baseAsset), view.id),
     cacheKey: baseId,
     loaded: false,
     // Clear inherited preview so hydrateAssetPreviewFromStorage can load the
@@ -268,8 +300,8 @@ const ensureBaseAssetViewFields = (asset, view, order = 0) => {
     ? getViewDisplayName(baseName, view, order)
     : baseName;
   asset.previewStorageKey = view?.id
-    ? makePreviewStorageKey(baseName, view.id)
-    : baseName;
+    ? makePreviewStorageKey(getFileStorageKey(asset), view.id)
+    : getFileStorageKey(asset);
   asset.cacheKey = asset.baseAssetId;
 };
 
@@ -367,7 +399,7 @@ const syncProxyViewsForAssetList = async (store, { onlyBaseIds } = {}) => {
 
     try {
       // eslint-disable-next-line no-await-in-loop
-      const metadata = await loadCustomMetadataForAsset(assetName);
+      const metadata = await loadCustomMetadataForAsset(getFileStorageKey(asset));
       const views = metadata?.views ?? [];
       if (!views.length) continue;
       // eslint-disable-next-line no-await-in-loop
@@ -379,9 +411,9 @@ const syncProxyViewsForAssetList = async (store, { onlyBaseIds } = {}) => {
 };
 
 const resolveAssetView = async (asset) => {
-  const assetName = getBaseAssetName(asset);
-  if (!assetName) return { metadata: null, views: [], selectedView: null };
-  const metadata = await loadCustomMetadataForAsset(assetName);
+  const storageKey = getFileStorageKey(asset);
+  if (!storageKey) return { metadata: null, views: [], selectedView: null };
+  const metadata = await loadCustomMetadataForAsset(storageKey);
   const views = metadata?.views ?? [];
   let selectedView = null;
   if (views.length > 0) {
@@ -527,7 +559,7 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
   const asset = normalizeAssetCandidate(assetOrFile);
   // Allow assets with file OR storage source (file loaded lazily)
   if (!asset) return;
-  const hasFileOrSource = asset.file || (asset.sourceId && asset._remoteAsset);
+  const hasFileOrSource = asset.file || asset.loadFile || (asset.sourceId && asset._remoteAsset);
   if (!hasFileOrSource) return;
 
   await hydrateAssetPreviewFromStorage(asset);
@@ -556,13 +588,42 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
     viewerEl.classList.add('slide-out');
   }
 
+  // Streamed loads hand over a partially filled mesh; show it once nothing
+  // else is on screen (first load, or after the outgoing slide finished).
+  const loadGeneration = ++splatLoadGeneration;
+  const transitionDirection = slideDirection ?? 'next';
+  const shouldRunTransition = currentMesh && (slideDirection || forceFadeForNonSequential);
+  let streamingPreviewAllowed = !shouldRunTransition;
+  let streamingPreviewShown = false;
+  let pendingStreamingPreview = null;
+  const showStreamingPreview = (mesh) => {
+    pendingStreamingPreview = mesh;
+    if (!streamingPreviewAllowed || streamingPreviewShown) return;
+    if (loadGeneration !== splatLoadGeneration || !mesh.parent) return;
+    streamingPreviewShown = true;
+    getSplatCache().forEach((cached) => {
+      cached.mesh.visible = false;
+    });
+    applyCustomModelTransform(mesh, { applyCoordinateFlip: true });
+    mesh.visible = true;
+    viewerEl.classList.remove('slide-out');
+    spark?.update?.({ scene });
+    requestRender();
+  };
+  // Hand the viewer back to the normal reveal animation
+  const endStreamingPreview = () => {
+    if (streamingPreviewShown && loadGeneration === splatLoadGeneration) {
+      viewerEl.classList.add('slide-out');
+    }
+    streamingPreviewAllowed = false;
+  };
+
   // Preload entry early (reused later to avoid duplicate loads)
-  const entryPromise = ensureSplatEntry(asset);
+  activeLoadAsset = asset;
+  const entryPromise = ensureSplatEntry(asset, { onPartialMesh: showStreamingPreview });
   let aspectApplied = false;
   
   // For transitions (slides or random asset clicks), start fade/slide-out and entry prep in parallel
-  const transitionDirection = slideDirection ?? 'next';
-  const shouldRunTransition = currentMesh && (slideDirection || forceFadeForNonSequential);
   let preloadedEntry = null;
   if (shouldRunTransition) {
     const slideOutAmount = resolveSlideAmountWithPerFileRange(
@@ -575,12 +636,16 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
       mode: outgoingSlideMode,
       preset: 'transition',
       amount: slideOutAmount,
+    }).then(() => {
+      streamingPreviewAllowed = true;
+      if (pendingStreamingPreview) showStreamingPreview(pendingStreamingPreview);
     });
     const prepPromise = entryPromise.catch((err) => {
-      console.warn('Failed to preload during transition:', err);
+      if (!isAbortError(err)) console.warn('Failed to preload during transition:', err);
       return null;
     });
     const [, entry] = await Promise.all([slideOutPromise, prepPromise]);
+    endStreamingPreview();
     if (entry) {
       applyIntrinsicsAspect(entry);
       aspectApplied = true;
@@ -624,6 +689,7 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
     if (!entry) {
       try {
         entry = await entryPromise;
+        endStreamingPreview();
         // Toggle visibility now that the entry is loaded
         if (entry) {
           if (!aspectApplied) {
@@ -637,6 +703,7 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
           requestRender();
         }
       } catch (error) {
+        endStreamingPreview();
         if (error?.code === "UNSUPPORTED_FORMAT") {
           store.setStatus(`Only ${supportedExtensionsText} 3DGS files are supported`);
           viewerEl.classList.remove("loading");
@@ -646,6 +713,16 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
           }
           return;
         }
+        if (isAbortError(error)) {
+          // The user navigated away mid-download; the queued navigation takes over
+          store.setStatus(`Skipped ${asset.name}`);
+          viewerEl.classList.remove("loading");
+          store.setIsLoading(false);
+          if (wasImmersiveModeActive) {
+            resumeImmersiveMode();
+          }
+          return;
+        }
         throw error;
       }
     } else {
@@ -676,11 +753,12 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
         ensureSplatEntry(neighbor)
           .then(() => spark?.update?.({ scene }))
           .catch((err) => {
+            if (isAbortError(err)) return;
             console.warn(`[SplatManager] Failed to preload ${neighbor.name}:`, err);
           });
       });
 
-    const { cameraMetadata, storedSettings, focusDistanceOverride, formatLabel } = entry;
+    const { cameraMetadata, storedSettings, focusDistanceOverride, formatLabel, formatDetectedBy } = entry;
     const { views: customViews, selectedView } = await resolveAssetView(asset);
     const hasCustomMetadata = Boolean(selectedView?.cameraPose);
 
@@ -1016,9 +1094,10 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
                     width: previewResult.width,
                     height: previewResult.height,
                     format: previewResult.format,
-                  }, asset.previewStorageKey || asset.name).catch((err) => {
+                  }, asset.previewStorageKey || getFileStorageKey(asset)).catch((err) => {
                     console.warn('Failed to save preview:', err);
                   });
+                  await writeBackPreview(asset, previewResult.blob);
                 })
                 .catch((err) => {
                   console.warn('Preview capture failed', err);
@@ -1041,6 +1120,7 @@ export const loadSplatFile = async (assetOrFile, options = {}) => {
       size: formatBytes(asset.file?.size ?? asset.size),
       splatCount: entry.mesh?.packedSplats?.numSplats ?? "-",
       loadTime: `${loadMs.toFixed(1)} ms`,
+      format: formatLabel ? `${formatLabel} (${formatDetectedBy ?? "extension"})` : "-",
     });
 
     // Remove loading state immediately for cached, short delay for fresh loads
@@ -1214,9 +1294,28 @@ const processEntries = async (entries) => {
   return files;
 };
 
+/**
+ * Status line for a drop that produced no assets, pointing transfer bundles
+ * at the importer instead of listing supported extensions.
+ */
+const getNoAssetsStatus = (archives) => {
+  const bundle = archives.find((archive) => archive.isTransferBundle);
+  if (bundle) {
+    return `${bundle.name} is a transfer bundle. Import it from Connect storage → Import configs.`;
+  }
+  return `No supported files found. Supported: ${supportedExtensionsText}, or a .zip of them`;
+};
+
+const logArchiveSummary = (store, archives) => {
+  archives
+    .filter((archive) => archive.assetCount > 0)
+    .forEach((archive) => store.addLog(`Opened ${archive.name}: ${archive.assetCount} assets`));
+};
+
 /**
  * Processes multiple files from drag/drop or file picker.
  * Filters supported formats, updates asset gallery, and loads first file.
+ * ZIP archives of splat assets are browsed in place, extracting each entry on load.
  * Called from SidePanel (file picker) and initDragDrop (drag/drop).
  * 
  * @param {File[]} files - Array of File objects to process
@@ -1225,12 +1324,14 @@ export const handleMultipleFiles = async (files) => {
   if (!files || files.length === 0) return;
   const store = getStoreState();
   store.clearActiveSource();
-  const result = await setAssetListManager(files);
+  const { files: expandedFiles, archives } = await expandAssetArchives(files);
+  const result = await setAssetListManager(expandedFiles);
   
   if (result.count === 0) {
-    store.setStatus(`No supported files found. Supported: ${supportedExtensionsText}`);
+    store.setStatus(getNoAssetsStatus(archives));
     return;
   }
+  logArchiveSummary(store, archives);
   
   resetSplatManager();
   setCurrentMesh(null);
@@ -1297,12 +1398,14 @@ export const handleAddFiles = async (files, options = {}) => {
   const store = getStoreState();
   store.clearActiveSource();
   
-  const result = await addAssets(files);
+  const { files: expandedFiles, archives } = await expandAssetArchives(files);
+  const result = await addAssets(expandedFiles);
   
   if (result.added === 0) {
-    store.setStatus(`No supported files found. Supported: ${supportedExtensionsText}`);
+    store.setStatus(getNoAssetsStatus(archives));
     return;
   }
+  logArchiveSummary(store, archives);
   
   // Update store with new assets list
   const allAssets = getAssetList();
@@ -1551,7 +1654,10 @@ export const loadAssetByIndex = async (index) => {
   const prevAsset = getAssetByIndex(prevIndex);
   const asset = getAssetByIndex(index);
   if (!asset) return;
-  if (isNavigationLocked) return;
+  if (isNavigationLocked) {
+    interruptActiveLoad(() => loadAssetByIndex(index));
+    return;
+  }
   
   isNavigationLocked = true;
   
@@ -1587,6 +1693,7 @@ export const loadAssetByIndex = async (index) => {
     if (wasImmersive) {
       resumeImmersiveMode();
     }
+    runQueuedNavigation();
   }
 };
 
@@ -1595,10 +1702,14 @@ export const loadAssetByIndex = async (index) => {
  * Replaces current asset list with assets from the source.
  * 
  * @param {import('./storage/AssetSource.js').AssetSource} source
+ * @param {Object} [options]
+ * @param {number} [options.preferredIndex] - Asset to load first
+ * @param {(asset: Object) => boolean} [options.findPreferredAsset] - Picks the
+ *   asset to load first once the list is known; wins over preferredIndex
  */
 export const loadFromStorageSource = async (source, options = {}) => {
   const store = getStoreState();
-  const { preferredIndex } = options || {};
+  const { preferredIndex, findPreferredAsset } = options || {};
 
   store.setIsLoading(true);
 
@@ -1606,7 +1717,7 @@ export const loadFromStorageSource = async (source, options = {}) => {
     store.setStatus(`Loading assets from ${source.name}...`);
     
     // Import storage adapter
-    const { loadSourceAssets, loadAssetPreview } = await import('./storage/index.js');
+    const { loadSourceAssets, loadAssetPreview, listCachedAssetPaths, isPathCached } = await import('./storage/index.js');
     const { setAdaptedAssets } = await import('./assetManager.js');
     
     // Get assets from source
@@ -1647,12 +1758,11 @@ export const loadFromStorageSource = async (source, options = {}) => {
     // Set the adapted assets in the asset manager
     const result = setAdaptedAssets(adaptedAssets);
 
-    // Hydrate cached flags from IndexedDB settings
+    // Hydrate cached flags from the asset cache
     try {
-      const cachedNames = await listCachedFileNames();
-      const cachedSet = new Set(cachedNames);
+      const cachedPaths = new Set(await listCachedAssetPaths(source.id));
       result.assets.forEach((asset) => {
-        asset.isCached = cachedSet.has(asset.name);
+        asset.isCached = isPathCached(cachedPaths, asset);
       });
     } catch (err) {
       console.warn('[FileLoader] Failed to hydrate cache flags', err);
@@ -1691,7 +1801,12 @@ export const loadFromStorageSource = async (source, options = {}) => {
     // Load preferred asset (fallback to first)
     if (result.assets.length > 0) {
       const fallbackIndex = 0;
-      const candidate = Number.isInteger(preferredIndex) ? preferredIndex : fallbackIndex;
+      const foundIndex = typeof findPreferredAsset === 'function'
+        ? result.assets.findIndex(findPreferredAsset)
+        : -1;
+      const candidate = foundIndex >= 0
+        ? foundIndex
+        : (Number.isInteger(preferredIndex) ? preferredIndex : fallbackIndex);
       const indexToLoad = candidate >= 0 && candidate < result.assets.length ? candidate : fallbackIndex;
       setCurrentAssetIndexManager(indexToLoad);
       store.setCurrentAssetIndex(indexToLoad);
@@ -1720,7 +1835,10 @@ export const loadFromStorageSource = async (source, options = {}) => {
  */
 export const loadNextAsset = async (options = {}) => {
   if (!hasMultipleAssets()) return;
-  if (isNavigationLocked) return;
+  if (isNavigationLocked) {
+    interruptActiveLoad(() => loadNextAsset(options));
+    return;
+  }
   
   isNavigationLocked = true;
   if (!options.skipTimerReset) {
@@ -1761,6 +1879,7 @@ export const loadNextAsset = async (options = {}) => {
     if (wasImmersive) {
       resumeImmersiveMode();
     }
+    runQueuedNavigation();
   }
 };
 
@@ -1773,7 +1892,10 @@ export const loadNextAsset = async (options = {}) => {
  */
 export const loadPrevAsset = async (options = {}) => {
   if (!hasMultipleAssets()) return;
-  if (isNavigationLocked) return;
+  if (isNavigationLocked) {
+    interruptActiveLoad(() => loadPrevAsset(options));
+    return;
+  }
   
   isNavigationLocked = true;
   if (!options.skipTimerReset) {
@@ -1814,6 +1936,7 @@ export const loadPrevAsset = async (options = {}) => {
     if (wasImmersive) {
       resumeImmersiveMode();
     }
+    runQueuedNavigation();
   }
 };
 
@@ -2,8 +2,13 @@
  * File-based persistent storage module using IndexedDB.
  * Stores per-file settings (animation, focus distance) and binary preview blobs.
  * Preview images are persisted as Blobs (WebP preferred) to avoid base64 bloat.
+ *
+ * Records are keyed by getFileStorageKey(): source id + path for assets from
+ * a storage source, the bare file name for files opened without one.
  */
 
+import { getCacheIdentity } from './storage/assetCache.js';
+
 /** Database name */
 const DB_NAME = 'radia-viewer-storage';
 
@@ -22,14 +27,13 @@ const PREVIEW_VERSION = 2;
 /**
  * File settings schema.
  * @typedef {Object} FileSettings
- * @property {string} fileName - Original file name (used as key)
+ * @property {string} fileName - Storage key (see getFileStorageKey)
  * @property {number} version - Schema version for migration
  * @property {number} lastModified - Timestamp of last update
  * @property {AnimationSettings} [animation] - Load animation preferences
  * @property {Object} [customAnimation] - Per-file custom animation overrides
  * @property {number} [focusDistance] - Optional user-set focus distance override
  * @property {CustomCameraMetadata} [customMetadata] - Optional user-set camera metadata override
- * @property {boolean} [isCached] - Whether this file is cached in IndexedDB
  */
 
 /**
@@ -68,6 +72,54 @@ const SCHEMA_VERSION = 1;
 /** Database instance cache */
 let dbInstance = null;
 
+/** Listeners notified with a file name after its settings change */
+const settingsListeners = new Set();
+
+const notifySettingsChange = (fileName) => {
+  settingsListeners.forEach((listener) => {
+    try {
+      listener(fileName);
+    } catch (error) {
+      console.warn('File settings listener failed:', error);
+    }
+  });
+};
+
+/**
+ * Subscribe to per-file settings changes (saves and clears).
+ * @param {(fileName: string) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export const onFileSettingsChange = (listener) => {
+  settingsListeners.add(listener);
+  return () => settingsListeners.delete(listener);
+};
+
+/** Listeners notified with a preview's storage key after it is saved */
+const previewListeners = new Set();
+
+/**
+ * Subscribe to preview saves.
+ * @param {(storageKey: string) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export const onPreviewBlobSaved = (listener) => {
+  previewListeners.add(listener);
+  return () => previewListeners.delete(listener);
+};
+
+/**
+ * Key for an asset's settings and preview records. Assets from a source use
+ * the asset cache's `${sourceId}::${path}` identity, so same-named files in
+ * different collections keep their own settings; other files use their name.
+ * Per-view previews append `::${viewId}` to this key.
+ * @param {Object} asset - Adapted asset or remote descriptor
+ * @returns {string | null}
+ */
+export const getFileStorageKey = (asset) => {
+  return getCacheIdentity(asset)?.key || asset?.baseAssetName || asset?.name || null;
+};
+
 /**
  * Opens or creates the IndexedDB database.
  * @returns {Promise<IDBDatabase>} Database instance
@@ -181,7 +233,10 @@ export const saveFileSettings = async (fileName, settings) => {
       const store = transaction.objectStore(STORE_NAME);
       const request = store.put(updated);
 
-      request.onsuccess = () => resolve(true);
+      request.onsuccess = () => {
+        notifySettingsChange(fileName);
+        resolve(true);
+      };
       request.onerror = () => reject(new Error(`Failed to save settings for ${fileName}`));
     });
   } catch (error) {
@@ -230,26 +285,6 @@ export const saveCustomMetadata = async (fileName, customMetadata) => {
   return await saveFileSettings(fileName, { customMetadata });
 };
 
-/**
- * Saves cached status for a file.
- * @param {string} fileName - File name
- * @param {boolean} isCached - Cached flag
- * @returns {Promise<boolean>} Success status
- */
-export const saveCachedStatus = async (fileName, isCached) => {
-  return await saveFileSettings(fileName, { isCached: Boolean(isCached) });
-};
-
-/**
- * Loads cached status for a file.
- * @param {string} fileName - File name
- * @returns {Promise<boolean>}
- */
-export const loadCachedStatus = async (fileName) => {
-  const settings = await loadFileSettings(fileName);
-  return Boolean(settings?.isCached);
-};
-
 /**
  * Loads custom camera metadata for a file.
  * @param {string} fileName - File name
@@ -270,12 +305,17 @@ export const clearCustomMetadata = async (fileName) => {
     const existing = await loadFileSettings(fileName);
     if (existing && existing.customMetadata !== undefined) {
       delete existing.customMetadata;
+      // Settings sync reads a clear as a change like any other
+      existing.lastModified = Date.now();
       const db = await openDatabase();
       return new Promise((resolve, reject) => {
         const transaction = db.transaction([STORE_NAME], 'readwrite');
         const store = transaction.objectStore(STORE_NAME);
         const request = store.put(existing);
-        request.onsuccess = () => resolve(true);
+        request.onsuccess = () => {
+          notifySettingsChange(fileName);
+          resolve(true);
+        };
         request.onerror = () => reject(new Error(`Failed to clear custom metadata for ${fileName}`));
       });
     }
@@ -296,12 +336,16 @@ export const clearFocusDistance = async (fileName) => {
     const existing = await loadFileSettings(fileName);
     if (existing && existing.focusDistance !== undefined) {
       delete existing.focusDistance;
+      existing.lastModified = Date.now();
       const db = await openDatabase();
       return new Promise((resolve, reject) => {
         const transaction = db.transaction([STORE_NAME], 'readwrite');
         const store = transaction.objectStore(STORE_NAME);
         const request = store.put(existing);
-        request.onsuccess = () => resolve(true);
+        request.onsuccess = () => {
+          notifySettingsChange(fileName);
+          resolve(true);
+        };
         request.onerror = () => reject(new Error(`Failed to clear focus distance for ${fileName}`));
       });
     }
@@ -326,7 +370,10 @@ export const deleteFileSettings = async (fileName) => {
       const store = transaction.objectStore(STORE_NAME);
       const request = store.delete(fileName);
 
-      request.onsuccess = () => resolve(true);
+      request.onsuccess = () => {
+        notifySettingsChange(fileName);
+        resolve(true);
+      };
       request.onerror = () => reject(new Error(`Failed to delete settings for ${fileName}`));
     });
   } catch (error) {
@@ -379,15 +426,6 @@ export const listAllFileSettings = async () => {
   }
 };
 
-/**
- * Lists all file names marked as cached.
- * @returns {Promise<string[]>}
- */
-export const listCachedFileNames = async () => {
-  const settings = await listAllFileSettings();
-  return settings.filter((item) => item?.isCached).map((item) => item.fileName);
-};
-
 /**
  * Clears all stored file settings.
  * @returns {Promise<number>} Number of entries deleted
@@ -429,9 +467,23 @@ const normalizePreviewRecord = (record) => {
   return record;
 };
 
+// Recency only orders eviction, so a minute of slack saves a write per view
+const PREVIEW_TOUCH_INTERVAL_MS = 60 * 1000;
+
+const touchPreviewRecord = (db, record) => {
+  const now = Date.now();
+  if (now - (record.lastViewed || 0) < PREVIEW_TOUCH_INTERVAL_MS) return;
+  try {
+    const transaction = db.transaction([PREVIEW_STORE_NAME], 'readwrite');
+    transaction.objectStore(PREVIEW_STORE_NAME).put({ ...record, lastViewed: now });
+  } catch (error) {
+    console.warn(`Failed to record preview view for ${record.fileName}:`, error);
+  }
+};
+
 /**
  * Lists all preview records (including blobs).
- * @returns {Promise<Array<{fileName:string, blob:Blob, width?:number, height?:number, format?:string, updated?:number, version:number}>>}
+ * @returns {Promise<Array<{fileName:string, blob:Blob, width?:number, height?:number, format?:string, updated?:number, lastViewed?:number, version:number}>>}
  */
 export const listPreviewRecords = async () => {
   try {
@@ -474,15 +526,24 @@ export const savePreviewBlob = async (fileName, blob, metadata = {}, storageKey
       height: metadata.height,
       format: metadata.format,
       updated: Date.now(),
+      lastViewed: Date.now(),
     };
 
-    return new Promise((resolve, reject) => {
+    const saved = await new Promise((resolve, reject) => {
       const transaction = db.transaction([PREVIEW_STORE_NAME], 'readwrite');
       const store = transaction.objectStore(PREVIEW_STORE_NAME);
       const request = store.put(record);
       request.onsuccess = () => resolve(true);
       request.onerror = () => reject(new Error(`Failed to save preview for ${key}`));
     });
+    previewListeners.forEach((listener) => {
+      try {
+        listener(key);
+      } catch (error) {
+        console.warn('Preview listener failed:', error);
+      }
+    });
+    return saved;
   } catch (error) {
     console.error(`Failed to save preview for ${storageKey || fileName}:`, error);
     return false;
@@ -490,8 +551,8 @@ export const savePreviewBlob = async (fileName, blob, metadata = {}, storageKey
 };
 
 /**
- * Loads a preview Blob for a file.
- * @returns {Promise<{fileName:string, blob:Blob, width?:number, height?:number, format?:string, updated?:number, version:number}|null>}
+ * Loads a preview Blob for a file and records the view for eviction order.
+ * @returns {Promise<{fileName:string, blob:Blob, width?:number, height?:number, format?:string, updated?:number, lastViewed?:number, version:number}|null>}
  */
 export const loadPreviewBlob = async (fileName, storageKey = null) => {
   try {
@@ -504,7 +565,9 @@ export const loadPreviewBlob = async (fileName, storageKey = null) => {
       const request = store.get(key);
 
       request.onsuccess = () => {
-        resolve(normalizePreviewRecord(request.result));
+        const record = normalizePreviewRecord(request.result);
+        if (record) touchPreviewRecord(db, record);
+        resolve(record);
       };
 
       request.onerror = () => reject(new Error(`Failed to load preview for ${key}`));
@@ -553,3 +616,70 @@ export const clearAllPreviewBlobs = async () => {
     return false;
   }
 };
+
+/**
+ * Move settings and previews saved under a bare file name (before records
+ * were keyed per source) to the source/path keys of the given assets. Every
+ * asset that shares the name gets a copy unless it already has its own
+ * record; the name-keyed originals are then removed.
+ * @param {Object[]} assets - Adapted source assets
+ * @returns {Promise<void>}
+ */
+export const migrateNameKeyedRecords = async (assets) => {
+  const keysByName = new Map();
+  for (const asset of assets || []) {
+    const key = getFileStorageKey(asset);
+    if (!asset?.name || !key || key === asset.name) continue;
+    if (!keysByName.has(asset.name)) keysByName.set(asset.name, []);
+    keysByName.get(asset.name).push(key);
+  }
+  if (!keysByName.size) return;
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction([STORE_NAME, PREVIEW_STORE_NAME], 'readwrite');
+
+    // Copy `record` to `key` unless that key already holds a record
+    const moveRecord = (store, record, key) => {
+      const existing = store.getKey(key);
+      existing.onsuccess = () => {
+        if (existing.result === undefined) {
+          store.put({ ...record, fileName: key });
+        }
+      };
+    };
+
+    for (const [name, keys] of keysByName) {
+      const settingsStore = transaction.objectStore(STORE_NAME);
+      const settingsRequest = settingsStore.get(name);
+      settingsRequest.onsuccess = () => {
+        const record = settingsRequest.result;
+        if (!record) return;
+        keys.forEach((key) => moveRecord(settingsStore, record, key));
+        settingsStore.delete(name);
+      };
+
+      // The asset's own preview plus its per-view previews (`name::viewId`)
+      const previewStore = transaction.objectStore(PREVIEW_STORE_NAME);
+      const ranges = [IDBKeyRange.only(name), IDBKeyRange.bound(`${name}::`, `${name}::\uffff`)];
+      for (const range of ranges) {
+        const previewRequest = previewStore.getAll(range);
+        previewRequest.onsuccess = () => {
+          for (const record of previewRequest.result || []) {
+            const suffix = record.fileName.slice(name.length);
+            keys.forEach((key) => moveRecord(previewStore, record, `${key}${suffix}`));
+            previewStore.delete(record.fileName);
+          }
+        };
+      }
+    }
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error('Failed to migrate name-keyed records'));
+      transaction.onabort = () => reject(new Error('Failed to migrate name-keyed records'));
+    });
+  } catch (error) {
+    console.error('Failed to migrate name-keyed records:', error);
+  }
+};
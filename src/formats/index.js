@@ -1,7 +1,9 @@
 import { plyFormat } from "./ply.js";
 import { sogFormat } from "./sog.js";
+import { splatFormat } from "./splat.js";
+import { spzFormat } from "./spz.js";
 
-const formats = [plyFormat, sogFormat];
+const formats = [plyFormat, sogFormat, spzFormat, splatFormat];
 
 const getExtension = (fileName) => {
   const dotIndex = fileName.lastIndexOf(".");
@@ -17,6 +19,35 @@ export const getFormatHandler = (file) => {
   return formats.find((format) => format.extensions.includes(extension)) ?? null;
 };
 
+/**
+ * Find a handler by probing the file's leading bytes.
+ * @param {Uint8Array} bytes
+ */
+export const sniffFormatHandler = (bytes) =>
+  formats.find((format) => format.sniff?.(bytes)) ?? null;
+
+/**
+ * Resolve the handler for a file, preferring the extension and falling back
+ * to content sniffing when the extension is missing or contradicted by the bytes.
+ * @param {File} file
+ * @param {Uint8Array} bytes
+ * @returns {{ handler: object, detectedBy: 'extension' | 'content' } | null}
+ */
+export const resolveFormatHandler = (file, bytes) => {
+  const byExtension = getFormatHandler(file);
+  if (byExtension?.sniff?.(bytes)) {
+    return { handler: byExtension, detectedBy: "extension" };
+  }
+
+  const byContent = sniffFormatHandler(bytes);
+  if (byContent) {
+    return { handler: byContent, detectedBy: "content" };
+  }
+
+  // Formats without a signature (e.g. raw .splat) can only be trusted by extension.
+  return byExtension ? { handler: byExtension, detectedBy: "extension" } : null;
+};
+
 export const getSupportedExtensions = () =>
   uniq(formats.flatMap((format) => format.extensions.map((ext) => `.${ext}`)));
 
@@ -1,10 +1,21 @@
 import { SplatMesh, SplatFileType } from "@sparkjsdev/spark";
-import { readPlyCamera } from "../plyCamera.js";
+import { readPlyCamera, readPlyStructure, writePlyCamera } from "../plyCamera.js";
+import { createPlyProgressiveDecoder } from "./progressive.js";
+
+const PLY_MAGIC = [0x70, 0x6c, 0x79]; // "ply"
+
+// f_rest_* count (all channels) -> SH degree
+const SH_DEGREE_BY_REST_COUNT = { 0: 0, 9: 1, 24: 2, 45: 3 };
 
 export const plyFormat = {
   id: "ply",
   label: "PLY",
   extensions: ["ply"],
+  sniff(bytes) {
+    if (!bytes || bytes.byteLength < 4) return false;
+    if (!PLY_MAGIC.every((value, index) => bytes[index] === value)) return false;
+    return bytes[3] === 0x0a || (bytes[3] === 0x0d && bytes[4] === 0x0a);
+  },
   async loadData({ file, bytes }) {
     const mesh = new SplatMesh({
       fileBytes: bytes,
@@ -17,4 +28,23 @@ export const plyFormat = {
   async loadMetadata({ bytes }) {
     return readPlyCamera(bytes);
   },
+  async embedCamera({ bytes, sharpMetadata }) {
+    return writePlyCamera(bytes, sharpMetadata);
+  },
+  async inspect({ bytes }) {
+    const structure = await readPlyStructure(bytes);
+    const vertex = structure.elements.find((element) => element.name === "vertex");
+    const restCount = vertex?.properties.filter((property) => property.name.startsWith("f_rest_")).length ?? 0;
+    return {
+      shDegree: SH_DEGREE_BY_REST_COUNT[restCount] ?? null,
+      headerComments: structure.comments,
+      details: {
+        encoding: structure.littleEndian ? "binary_little_endian" : "binary_big_endian",
+        elements: structure.elements,
+      },
+    };
+  },
+  createProgressiveDecoder() {
+    return createPlyProgressiveDecoder();
+  },
 };
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * Minimal, dependency-free PLY header parsing shared by the streaming
+ * decoder and the SOG converter (which runs in a Web Worker).
+ */
+
+const PLY_HEADER_END = "end_header";
+const PLY_MAX_HEADER_BYTES = 64 * 1024;
+
+const PLY_BASE_READERS = {
+  char: { bytes: 1, read: (view, offset) => view.getInt8(offset) },
+  uchar: { bytes: 1, read: (view, offset) => view.getUint8(offset) },
+  short: { bytes: 2, read: (view, offset) => view.getInt16(offset, true) },
+  ushort: { bytes: 2, read: (view, offset) => view.getUint16(offset, true) },
+  int: { bytes: 4, read: (view, offset) => view.getInt32(offset, true) },
+  uint: { bytes: 4, read: (view, offset) => view.getUint32(offset, true) },
+  float: { bytes: 4, read: (view, offset) => view.getFloat32(offset, true) },
+  double: { bytes: 8, read: (view, offset) => view.getFloat64(offset, true) },
+};
+
+// Sized type names that many PLY writers emit instead of the classic ones
+export const PLY_SCALAR_READERS = {
+  ...PLY_BASE_READERS,
+  int8: PLY_BASE_READERS.char,
+  uint8: PLY_BASE_READERS.uchar,
+  int16: PLY_BASE_READERS.short,
+  uint16: PLY_BASE_READERS.ushort,
+  int32: PLY_BASE_READERS.int,
+  uint32: PLY_BASE_READERS.uint,
+  float32: PLY_BASE_READERS.float,
+  float64: PLY_BASE_READERS.double,
+};
+
+const textDecoder = new TextDecoder("utf-8");
+
+/**
+ * Parse an ASCII PLY header. Returns null if the header is incomplete.
+ * @param {Uint8Array} bytes
+ * @returns {{ format: string | null, elements: Array, comments: string[], headerLength: number } | null}
+ */
+export const parsePlyHeader = (bytes) => {
+  const scanLength = Math.min(bytes.byteLength, PLY_MAX_HEADER_BYTES);
+  const text = textDecoder.decode(bytes.subarray(0, scanLength));
+  const endIndex = text.indexOf(PLY_HEADER_END);
+  if (endIndex < 0) {
+    if (bytes.byteLength >= PLY_MAX_HEADER_BYTES) {
+      throw new Error("PLY header too large");
+    }
+    return null;
+  }
+  const newlineIndex = text.indexOf("\n", endIndex);
+  if (newlineIndex < 0) return null;
+
+  const headerLength = new TextEncoder().encode(text.slice(0, newlineIndex + 1)).byteLength;
+  const lines = text.slice(0, endIndex).split(/\r?\n/).map((line) => line.trim());
+
+  let format = null;
+  const elements = [];
+  const comments = [];
+  for (const line of lines) {
+    const parts = line.split(/\s+/);
+    if (parts[0] === "format") {
+      format = parts[1];
+    } else if (parts[0] === "comment") {
+      comments.push(line.slice("comment".length).trim());
+    } else if (parts[0] === "element") {
+      elements.push({ name: parts[1], count: Number.parseInt(parts[2], 10), properties: [] });
+    } else if (parts[0] === "property" && elements.length > 0) {
+      const current = elements[elements.length - 1];
+      if (parts[1] === "list") {
+        current.properties.push({ name: parts[4], type: parts[3], countType: parts[2], isList: true });
+      } else {
+        current.properties.push({ name: parts[2], type: parts[1], isList: false });
+      }
+    }
+  }
+
+  return { format, elements, comments, headerLength };
+};
+
+/**
+ * Describe the fixed-stride layout of the leading "vertex" element of a
+ * binary little-endian PLY.
+ * @returns {{ count: number, stride: number, has: (name: string) => boolean, field: (view: DataView, rowOffset: number, name: string, fallback: number) => number }}
+ */
+export const getPlyVertexLayout = (header) => {
+  if (header.format !== "binary_little_endian") {
+    throw new Error(`Unsupported PLY format: ${header.format}`);
+  }
+  const vertex = header.elements[0];
+  if (!vertex || vertex.name !== "vertex") {
+    throw new Error("PLY vertex element must come first");
+  }
+
+  const offsets = {};
+  let stride = 0;
+  for (const property of vertex.properties) {
+    const reader = property.isList ? null : PLY_SCALAR_READERS[property.type];
+    if (!reader) {
+      throw new Error(`Unsupported PLY vertex property: ${property.name}`);
+    }
+    offsets[property.name] = { offset: stride, read: reader.read };
+    stride += reader.bytes;
+  }
+
+  if (!offsets.x || !offsets.y || !offsets.z) {
+    throw new Error("PLY vertex element has no position");
+  }
+
+  return {
+    count: vertex.count,
+    stride,
+    has: (name) => Boolean(offsets[name]),
+    field: (view, rowOffset, name, fallback) => {
+      const entry = offsets[name];
+      return entry ? entry.read(view, rowOffset + entry.offset) : fallback;
+    },
+  };
+};
@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import { PLY_SCALAR_READERS, getPlyVertexLayout, parsePlyHeader } from "./plyLayout.js";
+
+const encodeHeader = (lines) => new TextEncoder().encode(`${lines.join("\n")}\n`);
+
+describe("parsePlyHeader", () => {
+  it("parses format, elements, properties and comments", () => {
+    const header = parsePlyHeader(encodeHeader([
+      "ply",
+      "format binary_little_endian 1.0",
+      "comment generated by test",
+      "element vertex 3",
+      "property float x",
+      "property list uchar int vertex_indices",
+      "end_header",
+    ]));
+    expect(header.format).toBe("binary_little_endian");
+    expect(header.comments).toEqual(["generated by test"]);
+    expect(header.elements).toEqual([{
+      name: "vertex",
+      count: 3,
+      properties: [
+        { name: "x", type: "float", isList: false },
+        { name: "vertex_indices", type: "int", countType: "uchar", isList: true },
+      ],
+    }]);
+  });
+
+  it("returns null until end_header and its newline have arrived", () => {
+    expect(parsePlyHeader(new TextEncoder().encode("ply\nformat binary_little_endian 1.0\n"))).toBeNull();
+    expect(parsePlyHeader(new TextEncoder().encode("ply\nend_header"))).toBeNull();
+  });
+
+  it("reports the header length in bytes", () => {
+    const bytes = encodeHeader(["ply", "format binary_little_endian 1.0", "end_header"]);
+    expect(parsePlyHeader(bytes).headerLength).toBe(bytes.byteLength);
+  });
+});
+
+describe("PLY_SCALAR_READERS", () => {
+  it.each([
+    ["int8", "char"],
+    ["uint8", "uchar"],
+    ["int16", "short"],
+    ["uint16", "ushort"],
+    ["int32", "int"],
+    ["uint32", "uint"],
+    ["float32", "float"],
+    ["float64", "double"],
+  ])("reads %s like %s", (sized, classic) => {
+    expect(PLY_SCALAR_READERS[sized]).toBe(PLY_SCALAR_READERS[classic]);
+  });
+});
+
+describe("getPlyVertexLayout", () => {
+  const layoutFor = (properties) => getPlyVertexLayout({
+    format: "binary_little_endian",
+    elements: [{ name: "vertex", count: 2, properties }],
+  });
+
+  it("computes stride and offsets for sized types", () => {
+    const layout = layoutFor([
+      { name: "x", type: "float32", isList: false },
+      { name: "y", type: "float32", isList: false },
+      { name: "z", type: "float32", isList: false },
+      { name: "red", type: "uint8", isList: false },
+      { name: "nx", type: "float64", isList: false },
+    ]);
+    expect(layout.stride).toBe(4 * 3 + 1 + 8);
+
+    const view = new DataView(new ArrayBuffer(layout.stride));
+    view.setFloat32(8, 2.5, true);
+    view.setUint8(12, 200);
+    view.setFloat64(13, -1.25, true);
+    expect(layout.field(view, 0, "z", 0)).toBe(2.5);
+    expect(layout.field(view, 0, "red", 0)).toBe(200);
+    expect(layout.field(view, 0, "nx", 0)).toBe(-1.25);
+    expect(layout.field(view, 0, "opacity", 7)).toBe(7);
+    expect(layout.has("red")).toBe(true);
+    expect(layout.has("opacity")).toBe(false);
+  });
+
+  it("rejects unknown property types", () => {
+    expect(() => layoutFor([{ name: "x", type: "half", isList: false }])).toThrow(/Unsupported PLY vertex property/);
+  });
+
+  it("rejects ASCII files and missing positions", () => {
+    expect(() => getPlyVertexLayout({ format: "ascii", elements: [] })).toThrow(/Unsupported PLY format/);
+    expect(() => layoutFor([{ name: "x", type: "float", isList: false }])).toThrow(/no position/);
+  });
+});
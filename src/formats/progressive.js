@@ -0,0 +1,230 @@
+import { PackedSplats, SplatMesh, setPackedSplat } from "@sparkjsdev/spark";
+import { getPlyVertexLayout, parsePlyHeader } from "./plyLayout.js";
+
+/**
+ * Progressive decoders turn a byte stream into a SplatMesh that fills in as
+ * chunks arrive. They only decode what is needed for a rough preview (DC color,
+ * no higher-order SH); the final mesh is still built from the full bytes by the
+ * format handler's loadData().
+ */
+
+const SH_C0 = 0.28209479177387814;
+const SPLAT_ROW_BYTES = 32;
+const DEFAULT_INITIAL_SPLATS = 65536;
+
+const concatBytes = (a, b) => {
+  if (!a?.byteLength) return b;
+  if (!b?.byteLength) return a;
+  const merged = new Uint8Array(a.byteLength + b.byteLength);
+  merged.set(a, 0);
+  merged.set(b, a.byteLength);
+  return merged;
+};
+
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+
+/**
+ * Wraps a SplatMesh whose PackedSplats buffer is written directly.
+ */
+const createProgressiveMesh = (initialSplats) => {
+  const packedSplats = new PackedSplats({ maxSplats: Math.max(1, initialSplats) });
+  const mesh = new SplatMesh({ packedSplats });
+  packedSplats.ensureSplats(Math.max(1, initialSplats));
+  mesh.userData.isStreamingPreview = true;
+
+  return {
+    mesh,
+    get count() {
+      return packedSplats.numSplats;
+    },
+    setSplat(index, x, y, z, sx, sy, sz, qx, qy, qz, qw, opacity, r, g, b) {
+      const packedArray = packedSplats.ensureSplats(index + 1);
+      setPackedSplat(
+        packedArray, index,
+        x, y, z,
+        sx, sy, sz,
+        qx, qy, qz, qw,
+        opacity, r, g, b,
+        packedSplats.splatEncoding,
+      );
+    },
+    commit(count) {
+      packedSplats.numSplats = count;
+      packedSplats.needsUpdate = true;
+    },
+  };
+};
+
+/**
+ * Build a row decoder for the leading "vertex" element of a binary
+ * little-endian 3DGS PLY.
+ */
+const createPlyVertexLayout = (header) => {
+  const layout = getPlyVertexLayout(header);
+  const field = layout.field;
+
+  const hasShColor = layout.has("f_dc_0");
+  const hasScale = layout.has("scale_0");
+  const hasRotation = layout.has("rot_0");
+  const hasOpacity = layout.has("opacity");
+
+  const decodeRow = (view, rowOffset, index, target) => {
+    const x = field(view, rowOffset, "x", 0);
+    const y = field(view, rowOffset, "y", 0);
+    const z = field(view, rowOffset, "z", 0);
+
+    const sx = hasScale ? Math.exp(field(view, rowOffset, "scale_0", 0)) : 0.01;
+    const sy = hasScale ? Math.exp(field(view, rowOffset, "scale_1", 0)) : 0.01;
+    const sz = hasScale ? Math.exp(field(view, rowOffset, "scale_2", 0)) : 0.01;
+
+    let qw = 1;
+    let qx = 0;
+    let qy = 0;
+    let qz = 0;
+    if (hasRotation) {
+      qw = field(view, rowOffset, "rot_0", 1);
+      qx = field(view, rowOffset, "rot_1", 0);
+      qy = field(view, rowOffset, "rot_2", 0);
+      qz = field(view, rowOffset, "rot_3", 0);
+      const length = Math.hypot(qw, qx, qy, qz) || 1;
+      qw /= length;
+      qx /= length;
+      qy /= length;
+      qz /= length;
+    }
+
+    const opacity = hasOpacity ? sigmoid(field(view, rowOffset, "opacity", 0)) : 1;
+
+    let r;
+    let g;
+    let b;
+    if (hasShColor) {
+      r = 0.5 + SH_C0 * field(view, rowOffset, "f_dc_0", 0);
+      g = 0.5 + SH_C0 * field(view, rowOffset, "f_dc_1", 0);
+      b = 0.5 + SH_C0 * field(view, rowOffset, "f_dc_2", 0);
+    } else {
+      r = field(view, rowOffset, "red", 255) / 255;
+      g = field(view, rowOffset, "green", 255) / 255;
+      b = field(view, rowOffset, "blue", 255) / 255;
+    }
+
+    target.setSplat(index, x, y, z, sx, sy, sz, qx, qy, qz, qw, opacity, r, g, b);
+  };
+
+  return { count: layout.count, stride: layout.stride, decodeRow };
+};
+
+/**
+ * Shared chunk bookkeeping for fixed-stride row formats.
+ */
+const createRowStreamer = ({ stride, maxRows, decodeRow, target }) => {
+  let carry = null;
+  let rows = 0;
+
+  return (chunk) => {
+    const bytes = concatBytes(carry, chunk);
+    const available = Math.floor(bytes.byteLength / stride);
+    const toDecode = Number.isFinite(maxRows) ? Math.min(available, maxRows - rows) : available;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    for (let i = 0; i < toDecode; i += 1) {
+      decodeRow(view, i * stride, rows + i, target);
+    }
+    rows += toDecode;
+    carry = bytes.slice(toDecode * stride);
+    target.commit(rows);
+    return rows;
+  };
+};
+
+/**
+ * Progressive decoder for binary little-endian PLY.
+ * @returns {{ push: (chunk: Uint8Array) => void, mesh: SplatMesh | null, splatCount: number }}
+ */
+export const createPlyProgressiveDecoder = () => {
+  let head = null;
+  let streamRows = null;
+  let progressiveMesh = null;
+
+  return {
+    get mesh() {
+      return progressiveMesh?.mesh ?? null;
+    },
+    get splatCount() {
+      return progressiveMesh?.count ?? 0;
+    },
+    push(chunk) {
+      if (streamRows) {
+        streamRows(chunk);
+        return;
+      }
+
+      head = concatBytes(head, chunk);
+      const header = parsePlyHeader(head);
+      if (!header) return;
+
+      const layout = createPlyVertexLayout(header);
+      progressiveMesh = createProgressiveMesh(layout.count);
+      streamRows = createRowStreamer({
+        stride: layout.stride,
+        maxRows: layout.count,
+        decodeRow: layout.decodeRow,
+        target: progressiveMesh,
+      });
+      const body = head.subarray(header.headerLength);
+      head = null;
+      streamRows(body);
+    },
+  };
+};
+
+const decodeSplatRow = (view, rowOffset, index, target) => {
+  const x = view.getFloat32(rowOffset, true);
+  const y = view.getFloat32(rowOffset + 4, true);
+  const z = view.getFloat32(rowOffset + 8, true);
+  const sx = view.getFloat32(rowOffset + 12, true);
+  const sy = view.getFloat32(rowOffset + 16, true);
+  const sz = view.getFloat32(rowOffset + 20, true);
+  const r = view.getUint8(rowOffset + 24) / 255;
+  const g = view.getUint8(rowOffset + 25) / 255;
+  const b = view.getUint8(rowOffset + 26) / 255;
+  const opacity = view.getUint8(rowOffset + 27) / 255;
+  let qw = (view.getUint8(rowOffset + 28) - 128) / 128;
+  let qx = (view.getUint8(rowOffset + 29) - 128) / 128;
+  let qy = (view.getUint8(rowOffset + 30) - 128) / 128;
+  let qz = (view.getUint8(rowOffset + 31) - 128) / 128;
+  const length = Math.hypot(qw, qx, qy, qz) || 1;
+  qw /= length;
+  qx /= length;
+  qy /= length;
+  qz /= length;
+  target.setSplat(index, x, y, z, sx, sy, sz, qx, qy, qz, qw, opacity, r, g, b);
+};
+
+/**
+ * Progressive decoder for the headerless 32-byte .splat layout.
+ * @param {Object} [options]
+ * @param {number | null} [options.totalBytes] - Expected size, used to presize the buffer
+ */
+export const createSplatProgressiveDecoder = ({ totalBytes } = {}) => {
+  const expectedRows = Number.isFinite(totalBytes) && totalBytes > 0
+    ? Math.floor(totalBytes / SPLAT_ROW_BYTES)
+    : null;
+  const progressiveMesh = createProgressiveMesh(expectedRows ?? DEFAULT_INITIAL_SPLATS);
+  const streamRows = createRowStreamer({
+    stride: SPLAT_ROW_BYTES,
+    maxRows: expectedRows ?? Number.POSITIVE_INFINITY,
+    decodeRow: decodeSplatRow,
+    target: progressiveMesh,
+  });
+
+  return {
+    mesh: progressiveMesh.mesh,
+    get splatCount() {
+      return progressiveMesh.count;
+    },
+    push(chunk) {
+      streamRows(chunk);
+    },
+  };
+};
@@ -1,4 +1,5 @@
 import { SplatMesh, SplatFileType } from "@sparkjsdev/spark";
+import { strFromU8, strToU8, unzipSync, zipSync } from "fflate";
 import { buildCameraMetadata } from "../cameraMetadata.js";
 
 const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
@@ -108,10 +109,43 @@ const readSogMetadata = async (bytes) => {
   return buildCameraMetadata(sharpMetadata);
 };
 
+/**
+ * Rewrite the SOG zip with `sharp_metadata` set in meta.json.
+ * Image entries are stored as-is; they are already compressed.
+ */
+const writeSogMetadata = (bytes, sharpMetadata) => {
+  const entries = unzipSync(bytes);
+  const metaName = Object.keys(entries).find(
+    (name) => name.split(/[\\/]/).pop()?.toLowerCase() === "meta.json",
+  );
+  if (!metaName) throw new Error("SOG archive has no meta.json");
+
+  let meta;
+  try {
+    meta = JSON.parse(strFromU8(entries[metaName]));
+  } catch (error) {
+    throw new Error(`Invalid meta.json: ${error?.message ?? error}`);
+  }
+  meta.sharp_metadata = sharpMetadata;
+
+  const output = {};
+  for (const [name, data] of Object.entries(entries)) {
+    output[name] = name === metaName
+      ? strToU8(JSON.stringify(meta))
+      : [data, { level: 0 }];
+  }
+  return zipSync(output, { level: 6 });
+};
+
 export const sogFormat = {
   id: "sog",
   label: "SOG",
   extensions: ["sog"],
+  sniff(bytes) {
+    if (!bytes || bytes.byteLength < 4) return false;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, 4);
+    return view.getUint32(0, true) === ZIP_LOCAL_FILE_HEADER;
+  },
   async loadData({ file, bytes }) {
     const mesh = new SplatMesh({
       fileBytes: bytes,
@@ -124,4 +158,15 @@ export const sogFormat = {
   async loadMetadata({ bytes }) {
     return readSogMetadata(bytes);
   },
+  async embedCamera({ bytes, sharpMetadata }) {
+    return writeSogMetadata(bytes, sharpMetadata);
+  },
+  async inspect({ bytes }) {
+    const meta = await readSogMetaJson(bytes);
+    return {
+      shDegree: meta?.shN ? (meta.shN.bands ?? null) : 0,
+      headerComments: [],
+      details: { meta },
+    };
+  },
 };
\ No newline at end of file
@@ -0,0 +1,41 @@
+import { SplatMesh, SplatFileType } from "@sparkjsdev/spark";
+import { createSplatProgressiveDecoder } from "./progressive.js";
+
+// antimatter15 layout: float32 position[3], float32 scale[3], uint8 rgba[4], uint8 quat[4]
+const SPLAT_ROW_BYTES = 32;
+
+export const splatFormat = {
+  id: "splat",
+  label: "SPLAT",
+  extensions: ["splat"],
+  sniff() {
+    // Headerless layout with no magic bytes; only the extension can identify it.
+    return false;
+  },
+  async loadData({ file, bytes }) {
+    if (!bytes.byteLength || bytes.byteLength % SPLAT_ROW_BYTES !== 0) {
+      throw new Error(`Invalid .splat file: size is not a multiple of ${SPLAT_ROW_BYTES} bytes`);
+    }
+    const mesh = new SplatMesh({
+      fileBytes: bytes,
+      fileType: SplatFileType.SPLAT,
+      fileName: file?.name,
+    });
+    await mesh.initialized;
+    return mesh;
+  },
+  async loadMetadata() {
+    // Raw .splat files carry no header, so there is no camera metadata to read.
+    return null;
+  },
+  async inspect({ bytes }) {
+    return {
+      shDegree: 0,
+      headerComments: [],
+      details: { rows: Math.floor(bytes.byteLength / SPLAT_ROW_BYTES), rowBytes: SPLAT_ROW_BYTES },
+    };
+  },
+  createProgressiveDecoder({ totalBytes } = {}) {
+    return createSplatProgressiveDecoder({ totalBytes });
+  },
+};
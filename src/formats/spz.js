@@ -0,0 +1,124 @@
+import { SplatMesh, SplatFileType } from "@sparkjsdev/spark";
+import { buildCameraMetadata } from "../cameraMetadata.js";
+
+const SPZ_MAGIC = 0x5053474e; // "NGSP"
+const SPZ_HEADER_SIZE = 16;
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+// Number of spherical-harmonic coefficients per color channel, by degree.
+const SH_COEFFS_BY_DEGREE = { 0: 0, 1: 3, 2: 8, 3: 15 };
+
+const textDecoder = new TextDecoder("utf-8");
+
+const gunzip = async (data) => {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("DecompressionStream is not available");
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("gzip"));
+  const buffer = await new Response(stream).arrayBuffer();
+  return new Uint8Array(buffer);
+};
+
+export const readSpzHeader = (bytes) => {
+  if (bytes.byteLength < SPZ_HEADER_SIZE) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(0, true) !== SPZ_MAGIC) return null;
+  return {
+    version: view.getUint32(4, true),
+    numPoints: view.getUint32(8, true),
+    shDegree: view.getUint8(12),
+    fractionalBits: view.getUint8(13),
+    flags: view.getUint8(14),
+  };
+};
+
+/**
+ * Size of the splat payload that follows the header.
+ * v1 stores positions as float16 (6 bytes), v2+ as 24-bit fixed point
+ * (9 bytes); v3+ stores rotations as 4 bytes (smallest three) instead of 3.
+ * @param {{ version: number, numPoints: number, shDegree: number }} header
+ * @returns {number}
+ */
+export const getSpzPayloadSize = (header) => {
+  const shCoeffs = SH_COEFFS_BY_DEGREE[header.shDegree];
+  if (shCoeffs === undefined) {
+    throw new Error(`Unsupported SPZ SH degree: ${header.shDegree}`);
+  }
+  const n = header.numPoints;
+  const positionBytes = header.version === 1 ? 6 : 9;
+  const rotationBytes = header.version >= 3 ? 4 : 3;
+  // positions, alpha, rgb, scales, rotations, SH
+  return n * (positionBytes + 1 + 3 + 3 + rotationBytes + shCoeffs * 3);
+};
+
+/**
+ * ML-Sharp camera data is carried as a UTF-8 JSON block appended after the
+ * splat payload inside the gzip stream. The block is either the raw camera
+ * fields ({ image_size, intrinsic, extrinsic, color_space }) or the same
+ * `{ sharp_metadata: {...} }` wrapper used by SOG meta.json.
+ */
+export const readSpzCameraBlock = (decompressed) => {
+  const header = readSpzHeader(decompressed);
+  if (!header) {
+    throw new Error("Invalid SPZ file: missing NGSP header");
+  }
+  const trailerStart = SPZ_HEADER_SIZE + getSpzPayloadSize(header);
+  if (trailerStart >= decompressed.byteLength) return null;
+
+  const text = textDecoder.decode(decompressed.subarray(trailerStart)).replace(/\0+$/, "").trim();
+  if (!text.startsWith("{")) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid SPZ camera block: ${error?.message ?? error}`);
+  }
+  const raw = parsed?.sharp_metadata ?? parsed;
+  return raw && typeof raw === "object" ? raw : null;
+};
+
+const readSpzMetadata = async (bytes) => {
+  const decompressed = await gunzip(bytes);
+  const raw = readSpzCameraBlock(decompressed);
+  if (!raw) return null;
+  return buildCameraMetadata(raw);
+};
+
+export const spzFormat = {
+  id: "spz",
+  label: "SPZ",
+  extensions: ["spz"],
+  sniff(bytes) {
+    if (!bytes || bytes.byteLength < GZIP_MAGIC.length) return false;
+    return GZIP_MAGIC.every((value, index) => bytes[index] === value);
+  },
+  async loadData({ file, bytes }) {
+    // Spark inflates the gzip container itself and stops reading after the
+    // splat payload, so an appended camera block does not disturb loading.
+    const mesh = new SplatMesh({
+      fileBytes: bytes,
+      fileType: SplatFileType.SPZ,
+      fileName: file?.name,
+    });
+    await mesh.initialized;
+    return mesh;
+  },
+  async loadMetadata({ bytes }) {
+    return readSpzMetadata(bytes);
+  },
+  async inspect({ bytes }) {
+    const decompressed = await gunzip(bytes);
+    const header = readSpzHeader(decompressed);
+    if (!header) throw new Error("Invalid SPZ file: missing NGSP header");
+    return {
+      shDegree: header.shDegree,
+      headerComments: [],
+      details: {
+        header,
+        decompressedBytes: decompressed.byteLength,
+        cameraBlock: readSpzCameraBlock(decompressed),
+      },
+    };
+  },
+};
@@ -0,0 +1,73 @@
+import { describe, expect, it, vi } from "vitest";
+
+// Spark needs WebGL at import time; these tests only cover header parsing
+vi.mock("@sparkjsdev/spark", () => ({ SplatMesh: class {}, SplatFileType: {} }));
+
+const { getSpzPayloadSize, readSpzCameraBlock, readSpzHeader } = await import("./spz.js");
+
+const SPZ_MAGIC = 0x5053474e;
+
+const buildSpz = ({ version, numPoints, shDegree = 0, payloadSize, trailer = "" }) => {
+  const trailerBytes = new TextEncoder().encode(trailer);
+  const bytes = new Uint8Array(16 + payloadSize + trailerBytes.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, SPZ_MAGIC, true);
+  view.setUint32(4, version, true);
+  view.setUint32(8, numPoints, true);
+  view.setUint8(12, shDegree);
+  view.setUint8(13, 12);
+  bytes.set(trailerBytes, 16 + payloadSize);
+  return bytes;
+};
+
+describe("readSpzHeader", () => {
+  it("reads the NGSP header fields", () => {
+    const header = readSpzHeader(buildSpz({ version: 2, numPoints: 7, shDegree: 1, payloadSize: 0 }));
+    expect(header).toMatchObject({ version: 2, numPoints: 7, shDegree: 1, fractionalBits: 12 });
+  });
+
+  it("rejects other data", () => {
+    expect(readSpzHeader(new Uint8Array(32))).toBeNull();
+    expect(readSpzHeader(new Uint8Array(4))).toBeNull();
+  });
+});
+
+describe("getSpzPayloadSize", () => {
+  it("uses float16 positions for v1", () => {
+    expect(getSpzPayloadSize({ version: 1, numPoints: 10, shDegree: 0 })).toBe(10 * (6 + 1 + 3 + 3 + 3));
+  });
+
+  it("uses 24-bit positions for v2", () => {
+    expect(getSpzPayloadSize({ version: 2, numPoints: 10, shDegree: 0 })).toBe(10 * (9 + 1 + 3 + 3 + 3));
+  });
+
+  it("uses 4-byte rotations from v3 and counts SH coefficients", () => {
+    expect(getSpzPayloadSize({ version: 3, numPoints: 2, shDegree: 3 })).toBe(2 * (9 + 1 + 3 + 3 + 4 + 45));
+  });
+
+  it("throws on an unknown SH degree", () => {
+    expect(() => getSpzPayloadSize({ version: 2, numPoints: 1, shDegree: 4 })).toThrow(/SH degree/);
+  });
+});
+
+describe("readSpzCameraBlock", () => {
+  const camera = { image_size: [640, 480] };
+
+  it.each([1, 2, 3])("finds the block after a v%i payload", (version) => {
+    const header = { version, numPoints: 5, shDegree: 1 };
+    const bytes = buildSpz({ ...header, payloadSize: getSpzPayloadSize(header), trailer: JSON.stringify(camera) });
+    expect(readSpzCameraBlock(bytes)).toEqual(camera);
+  });
+
+  it("unwraps sharp_metadata", () => {
+    const header = { version: 2, numPoints: 1, shDegree: 0 };
+    const trailer = JSON.stringify({ sharp_metadata: camera });
+    const bytes = buildSpz({ ...header, payloadSize: getSpzPayloadSize(header), trailer });
+    expect(readSpzCameraBlock(bytes)).toEqual(camera);
+  });
+
+  it("returns null without a block", () => {
+    const header = { version: 1, numPoints: 3, shDegree: 0 };
+    expect(readSpzCameraBlock(buildSpz({ ...header, payloadSize: getSpzPayloadSize(header) }))).toBeNull();
+  });
+});
@@ -8,17 +8,20 @@ import App from './components/App';
 import './style.css';
 
 // Initialize storage sources from IndexedDB on startup
-import { initializeSources } from './storage/index.js';
+import { initializeSources, IS_PUBLIC_GALLERY } from './storage/index.js';
 
 // Initialize storage sources first, then render the app
 const startApp = async () => {
-  try {
-    const sources = await initializeSources();
-    if (sources.length > 0) {
-      console.log(`[Storage] Restored ${sources.length} storage source(s)`);
+  // A published gallery only shows its own collection (see App)
+  if (!IS_PUBLIC_GALLERY) {
+    try {
+      const sources = await initializeSources();
+      if (sources.length > 0) {
+        console.log(`[Storage] Restored ${sources.length} storage source(s)`);
+      }
+    } catch (err) {
+      console.warn('[Storage] Failed to restore sources:', err);
     }
-  } catch (err) {
-    console.warn('[Storage] Failed to restore sources:', err);
   }
 
   // Render the Preact app after sources are loaded
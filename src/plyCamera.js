@@ -149,7 +149,37 @@ const readSinglePropertyElement = (element, dataView, elementOffset, littleEndia
   return { propertyName, values, nextOffset: offset };
 };
 
-export const readPlyCamera = async (fileBytes) => {
+/**
+ * Describe the PLY header: every element with its count and property list.
+ * @returns {Promise<{ littleEndian: boolean, elements: Array, comments: string[] }>}
+ */
+export const readPlyStructure = async (fileBytes) => {
+  const ply = new PlyReader({ fileBytes });
+  await ply.parseHeader();
+
+  const elements = Object.entries(ply.elements).map(([name, element]) => ({
+    name,
+    count: element.count,
+    properties: Object.entries(element.properties).map(([propertyName, property]) => (
+      property.isList
+        ? { name: propertyName, type: property.type, countType: property.countType, isList: true }
+        : { name: propertyName, type: property.type }
+    )),
+  }));
+
+  return {
+    littleEndian: ply.littleEndian,
+    elements,
+    comments: ply.comments ?? [],
+  };
+};
+
+/**
+ * Read the raw ML-Sharp camera elements (intrinsic, extrinsic, image_size,
+ * color_space) from a PLY without interpreting them.
+ * @returns {Promise<Object | null>}
+ */
+export const readPlyCameraFields = async (fileBytes) => {
   const ply = new PlyReader({ fileBytes });
   await ply.parseHeader();
 
@@ -172,8 +202,102 @@ export const readPlyCamera = async (fileBytes) => {
     offset = skipElement(element, ply.data, offset, ply.littleEndian);
   }
 
-  return buildCameraMetadata({
+  return {
     ...raw,
     headerComments: ply.comments ?? [],
-  });
+  };
+};
+
+export const readPlyCamera = async (fileBytes) => {
+  const raw = await readPlyCameraFields(fileBytes);
+  if (!raw) return null;
+  return buildCameraMetadata(raw);
+};
+
+const CAMERA_ELEMENT_TYPES = {
+  intrinsic: "float",
+  extrinsic: "float",
+  image_size: "uint",
+};
+
+const writeScalar = (dataView, offset, type, value, littleEndian) => {
+  if (type === "uint") {
+    dataView.setUint32(offset, Math.max(0, Math.round(value)), littleEndian);
+  } else {
+    dataView.setFloat32(offset, value, littleEndian);
+  }
+};
+
+/**
+ * Rewrite a binary PLY so it carries ML-Sharp camera elements.
+ * Existing intrinsic/extrinsic/image_size elements are replaced; every other
+ * element (including color_space) is copied through untouched.
+ * @param {Uint8Array} fileBytes
+ * @param {{ intrinsic: number[], extrinsic: number[], image_size: number[] }} raw
+ * @returns {Promise<Uint8Array>}
+ */
+export const writePlyCamera = async (fileBytes, raw) => {
+  // PlyReader builds its DataView from offset 0 of the buffer.
+  const ownedBytes = fileBytes.byteOffset === 0 && fileBytes.byteLength === fileBytes.buffer.byteLength
+    ? fileBytes
+    : fileBytes.slice();
+  const ply = new PlyReader({ fileBytes: ownedBytes });
+  await ply.parseHeader();
+
+  if (!ply.data) throw new Error("PLY has no data section");
+  if (/^format\s+ascii/m.test(ply.header)) {
+    throw new Error("ASCII PLY files are not supported");
+  }
+
+  const written = Object.keys(CAMERA_ELEMENT_TYPES).filter((name) => Array.isArray(raw?.[name]));
+  const replaced = new Set(written);
+
+  const keptRanges = [];
+  let offset = 0;
+  for (const [elementName, element] of Object.entries(ply.elements)) {
+    const nextOffset = skipElement(element, ply.data, offset, ply.littleEndian);
+    if (!replaced.has(elementName)) {
+      keptRanges.push([offset, nextOffset]);
+    }
+    offset = nextOffset;
+  }
+
+  const headerLines = [];
+  let skipping = false;
+  for (const line of ply.header.trim().split("\n")) {
+    const trimmed = line.trim();
+    const [keyword, name] = trimmed.split(/\s+/);
+    if (keyword === "end_header") continue;
+    if (keyword === "element") skipping = replaced.has(name);
+    if (skipping && (keyword === "element" || keyword === "property")) continue;
+    headerLines.push(trimmed);
+  }
+  for (const name of written) {
+    headerLines.push(`element ${name} ${raw[name].length}`);
+    headerLines.push(`property ${CAMERA_ELEMENT_TYPES[name]} ${name}`);
+  }
+  headerLines.push("end_header");
+  const headerBytes = new TextEncoder().encode(`${headerLines.join("\n")}\n`);
+
+  const keptLength = keptRanges.reduce((sum, [start, end]) => sum + (end - start), 0);
+  const cameraLength = written.reduce((sum, name) => sum + raw[name].length * 4, 0);
+  const output = new Uint8Array(headerBytes.byteLength + keptLength + cameraLength);
+  output.set(headerBytes, 0);
+
+  const body = new Uint8Array(ply.data.buffer, ply.data.byteOffset, ply.data.byteLength);
+  let cursor = headerBytes.byteLength;
+  for (const [start, end] of keptRanges) {
+    output.set(body.subarray(start, end), cursor);
+    cursor += end - start;
+  }
+
+  const outputView = new DataView(output.buffer);
+  for (const name of written) {
+    for (const value of raw[name]) {
+      writeScalar(outputView, cursor, CAMERA_ELEMENT_TYPES[name], value, ply.littleEndian);
+      cursor += 4;
+    }
+  }
+
+  return output;
 };
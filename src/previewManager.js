@@ -1,7 +1,7 @@
 /**
  * Preview management: hydration, encoding, capture registration.
  */
-import { loadPreviewBlob } from "./fileStorage.js";
+import { getFileStorageKey, loadPreviewBlob } from "./fileStorage.js";
 import { setCapturePreviewFn } from "./assetManager.js";
 import { scene, renderer, composer, currentMesh, forceRenderNow, THREE, bgImageUrl } from "./viewer.js";
 
@@ -36,10 +36,11 @@ export const replacePreviewUrl = (asset, url) => {
 
 export const hydrateAssetPreviewFromStorage = async (asset) => {
   if (!asset || asset.preview) return null;
-  const preferredKey = asset.previewStorageKey || asset.name;
+  const baseKey = getFileStorageKey(asset);
+  const preferredKey = asset.previewStorageKey || baseKey;
   let storedPreview = await loadPreviewBlob(asset.name, preferredKey);
-  if (!storedPreview && preferredKey !== asset.name) {
-    storedPreview = await loadPreviewBlob(asset.name, asset.name);
+  if (!storedPreview && preferredKey !== baseKey) {
+    storedPreview = await loadPreviewBlob(asset.name, baseKey);
   }
   if (storedPreview?.blob) {
     const objectUrl = URL.createObjectURL(storedPreview.blob);
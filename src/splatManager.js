@@ -5,12 +5,17 @@
  */
 
 import { scene, THREE } from "./viewer.js";
-import { getFormatHandler } from "./formats/index.js";
-import { loadFileSettings } from "./fileStorage.js";
+import { resolveFormatHandler } from "./formats/index.js";
+import { getFileStorageKey, loadFileSettings } from "./fileStorage.js";
+import { useStore } from "./store.js";
 
 let splatGroup = null;
 const cache = new Map();
 const loading = new Map();
+// cacheKey -> { mesh, listeners } for partially streamed meshes
+const streamingPreviews = new Map();
+// cacheKey -> AbortController while the asset's bytes are downloading
+const downloads = new Map();
 
 const getCacheKey = (asset) => asset?.cacheKey || asset?.baseAssetId || asset?.id;
 
@@ -47,27 +52,176 @@ const disposeMesh = (mesh) => {
 const disposeEntry = (entry) => {
   if (!entry) return;
   disposeMesh(entry.mesh);
+  // Archive entries can be re-extracted, so drop the inflated bytes too
+  if (typeof entry.asset?.loadFile === "function") {
+    entry.asset.file = null;
+  }
 };
 
 /**
  * Ensure asset has a File object.
- * For storage source assets, loads the file lazily.
+ * For archive entries and storage source assets, loads the file lazily.
  */
-const ensureAssetFile = async (asset) => {
+const ensureAssetFile = async (asset, { signal, onProgress } = {}) => {
   if (asset.file) return asset.file;
+
+  if (typeof asset.loadFile === "function") {
+    return asset.loadFile();
+  }
   
   // Check if this is a storage source asset
   if (asset.sourceId && asset._remoteAsset) {
     const { loadAssetFile } = await import("./storage/sourceAssetAdapter.js");
-    return loadAssetFile(asset);
+    return loadAssetFile(asset, { signal, onProgress });
   }
   
   throw new Error("Asset has no file and no source");
 };
 
+const getStreamingPreview = (cacheKey) => {
+  if (!streamingPreviews.has(cacheKey)) {
+    streamingPreviews.set(cacheKey, { mesh: null, listeners: new Set() });
+  }
+  return streamingPreviews.get(cacheKey);
+};
+
+const publishStreamingPreview = (cacheKey, mesh) => {
+  const preview = getStreamingPreview(cacheKey);
+  if (preview.mesh === mesh) return;
+  preview.mesh = mesh;
+  preview.listeners.forEach((listener) => {
+    try {
+      listener(mesh);
+    } catch (err) {
+      console.warn("[SplatManager] Streaming preview listener failed", err);
+    }
+  });
+};
+
+/**
+ * Download a storage asset through its ReadableStream, feeding the format's
+ * progressive decoder (if any) so a partial mesh fills in while bytes arrive.
+ */
+const streamAssetWithPreview = async (asset, cacheKey, signal) => {
+  const { streamAssetFile } = await import("./storage/sourceAssetAdapter.js");
+  const store = useStore.getState();
+  let decoder = null;
+  let decoderDisabled = false;
+  let previewMesh = null;
+
+  const dropPreview = () => {
+    decoderDisabled = true;
+    decoder = null;
+    if (previewMesh) {
+      const preview = streamingPreviews.get(cacheKey);
+      if (preview?.mesh === previewMesh) preview.mesh = null;
+      disposeMesh(previewMesh);
+      previewMesh = null;
+    }
+  };
+
+  const handleChunk = (chunk, { loaded, total }) => {
+    if (!decoder && !decoderDisabled) {
+      const handler = resolveFormatHandler({ name: asset.name }, chunk)?.handler;
+      decoder = handler?.createProgressiveDecoder?.({ totalBytes: total }) ?? null;
+      decoderDisabled = !decoder;
+    }
+
+    if (decoder) {
+      try {
+        decoder.push(chunk);
+        if (decoder.mesh && !previewMesh) {
+          previewMesh = decoder.mesh;
+          previewMesh.visible = false;
+          previewMesh.userData.assetId = cacheKey;
+          ensureGroup().add(previewMesh);
+          publishStreamingPreview(cacheKey, previewMesh);
+        }
+      } catch (err) {
+        console.warn(`[SplatManager] Progressive decode stopped for ${asset.name}:`, err);
+        dropPreview();
+      }
+    }
+
+    store.setLoadProgress({
+      assetId: cacheKey,
+      loaded,
+      total,
+      splats: decoder?.splatCount ?? null,
+    });
+  };
+
+  try {
+    const onProgress = ({ loaded, total }) => {
+      store.setLoadProgress({ assetId: cacheKey, loaded, total, splats: null });
+    };
+    const file = await streamAssetFile(asset, { onChunk: handleChunk, onProgress, signal });
+    return { file, previewMesh };
+  } catch (err) {
+    dropPreview();
+    throw err;
+  } finally {
+    if (useStore.getState().loadProgress?.assetId === cacheKey) {
+      store.setLoadProgress(null);
+    }
+  }
+};
+
+const fetchEntryFile = async (asset, cacheKey, signal) => {
+  const store = useStore.getState();
+  const onProgress = ({ loaded, total }) => {
+    store.setLoadProgress({ assetId: cacheKey, loaded, total, splats: null });
+  };
+
+  try {
+    return { file: await ensureAssetFile(asset, { signal, onProgress }), previewMesh: null };
+  } finally {
+    if (useStore.getState().loadProgress?.assetId === cacheKey) {
+      store.setLoadProgress(null);
+    }
+  }
+};
+
+const loadEntryFile = async (asset, cacheKey, signal) => {
+  const canStream = !asset.file && asset.sourceId && asset._remoteAsset;
+  if (!canStream) {
+    return fetchEntryFile(asset, cacheKey, signal);
+  }
+
+  try {
+    return await streamAssetWithPreview(asset, cacheKey, signal);
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    // Fall back to the all-at-once fetch
+    console.warn(`[SplatManager] Streaming load failed for ${asset.name}, retrying in full:`, err);
+    return fetchEntryFile(asset, cacheKey, signal);
+  }
+};
+
 const createEntry = async (asset) => {
-  // Get file - may need to load from storage source
-  const file = await ensureAssetFile(asset);
+  const cacheKey = getCacheKey(asset);
+  const controller = new AbortController();
+  downloads.set(cacheKey, controller);
+
+  try {
+    // Get file - may need to load (and stream) from storage source
+    let loaded;
+    try {
+      loaded = await loadEntryFile(asset, cacheKey, controller.signal);
+    } finally {
+      // Parsing is not cancellable; only the download is
+      if (downloads.get(cacheKey) === controller) downloads.delete(cacheKey);
+    }
+    return await buildEntry(asset, loaded.file, loaded.previewMesh);
+  } finally {
+    // Failed and cancelled downloads too, so a retry starts without stale
+    // listeners or a partial mesh
+    disposeMesh(streamingPreviews.get(cacheKey)?.mesh);
+    streamingPreviews.delete(cacheKey);
+  }
+};
+
+const buildEntry = async (asset, file, previewMesh) => {
   if (!file) {
     const err = new Error("Missing file reference for asset");
     err.code = "MISSING_FILE";
@@ -77,14 +231,16 @@ const createEntry = async (asset) => {
   // Update asset's file reference
   asset.file = file;
 
-  const formatHandler = getFormatHandler(file);
-  if (!formatHandler) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+
+  // Extension first, then magic bytes for extension-less or mislabelled assets
+  const resolved = resolveFormatHandler(file, bytes);
+  if (!resolved) {
     const err = new Error(`Unsupported file: ${asset.name}`);
     err.code = "UNSUPPORTED_FORMAT";
     throw err;
   }
-
-  const bytes = new Uint8Array(await file.arrayBuffer());
+  const { handler: formatHandler, detectedBy: formatDetectedBy } = resolved;
 
   let cameraMetadata = null;
   try {
@@ -105,13 +261,24 @@ const createEntry = async (asset) => {
   }
 
   const mesh = await formatHandler.loadData({ file, bytes });
-  mesh.visible = false;
+  // Take over from the streaming preview without a blank frame
+  mesh.visible = Boolean(previewMesh?.visible);
   mesh.userData.assetId = getCacheKey(asset);
   ensureGroup().add(mesh);
 
+  // Bring in settings synced from another device before reading them
+  if (asset.sourceId) {
+    try {
+      const { pullAssetSettings } = await import("./storage/settingsSync.js");
+      await pullAssetSettings(asset);
+    } catch (err) {
+      console.warn(`[SplatManager] Settings sync failed for ${asset.name}:`, err);
+    }
+  }
+
   let storedSettings = null;
   try {
-    storedSettings = await loadFileSettings(asset.name);
+    storedSettings = await loadFileSettings(getFileStorageKey(asset));
   } catch (err) {
     console.warn(`[SplatManager] Failed to read stored settings for ${asset.name}:`, err);
   }
@@ -133,6 +300,15 @@ const createEntry = async (asset) => {
     if (sourceMetadata.focusDistance !== undefined && storedSettings.focusDistance === undefined) {
       storedSettings.focusDistance = sourceMetadata.focusDistance;
     }
+    // Custom views are read from IndexedDB, so store them there
+    if (sourceMetadata.customMetadata && !storedSettings.customMetadata) {
+      try {
+        const { seedSettingsFromSidecar } = await import("./storage/settingsSidecar.js");
+        await seedSettingsFromSidecar(getFileStorageKey(asset), sourceMetadata);
+      } catch (err) {
+        console.warn(`[SplatManager] Failed to store custom views for ${asset.name}:`, err);
+      }
+    }
   }
 
   return {
@@ -140,22 +316,46 @@ const createEntry = async (asset) => {
     asset,
     mesh,
     cameraMetadata: cameraMetadata ?? null,
+    formatId: formatHandler.id,
     formatLabel: formatHandler.label,
+    formatDetectedBy,
     storedSettings,
     focusDistanceOverride: storedSettings?.focusDistance,
   };
 };
 
+/**
+ * Cached entry for an asset, or null if it has not been loaded.
+ */
+export const getSplatEntry = (asset) => {
+  const cacheKey = getCacheKey(asset);
+  if (!cacheKey) return null;
+  return cache.get(cacheKey) ?? null;
+};
+
 export const isSplatCached = (asset) => {
   const cacheKey = getCacheKey(asset);
   if (!cacheKey) return false;
   return cache.has(cacheKey);
 };
 
-export const ensureSplatEntry = async (asset) => {
+/**
+ * @param {Object} asset
+ * @param {Object} [options]
+ * @param {(mesh: import("@sparkjsdev/spark").SplatMesh) => void} [options.onPartialMesh]
+ *   Called once a streamed load has a partially filled mesh in the scene.
+ */
+export const ensureSplatEntry = async (asset, { onPartialMesh } = {}) => {
   const cacheKey = getCacheKey(asset);
   if (!cacheKey) return null;
   if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+  if (onPartialMesh) {
+    const preview = getStreamingPreview(cacheKey);
+    preview.listeners.add(onPartialMesh);
+    if (preview.mesh) onPartialMesh(preview.mesh);
+  }
+
   if (loading.has(cacheKey)) return loading.get(cacheKey);
 
   const promise = createEntry(asset)
@@ -231,12 +431,34 @@ export const activateSplatEntry = async (asset) => {
   return entry;
 };
 
+/**
+ * Abort the download of an asset that is still fetching its bytes.
+ * The pending ensureSplatEntry() promise rejects with an AbortError; bytes
+ * already streamed are kept so a later load resumes where this one stopped.
+ * @returns {boolean} true if a download was aborted
+ */
+export const cancelSplatLoad = (asset) => {
+  const cacheKey = getCacheKey(asset);
+  const controller = cacheKey ? downloads.get(cacheKey) : null;
+  if (!controller) return false;
+  downloads.delete(cacheKey);
+  controller.abort();
+  return true;
+};
+
 export const retainOnlySplats = (assetIds) => {
   if (!assetIds || assetIds.size === 0) {
     resetSplatManager();
     return;
   }
 
+  downloads.forEach((controller, id) => {
+    if (!assetIds.has(id)) {
+      downloads.delete(id);
+      controller.abort();
+    }
+  });
+
   cache.forEach((entry, id) => {
     if (!assetIds.has(id)) {
       disposeEntry(entry);
@@ -246,9 +468,12 @@ export const retainOnlySplats = (assetIds) => {
 };
 
 export const resetSplatManager = () => {
+  downloads.forEach((controller) => controller.abort());
+  downloads.clear();
   cache.forEach(disposeEntry);
   cache.clear();
   loading.clear();
+  streamingPreviews.clear();
   if (splatGroup) {
     splatGroup.clear();
     if (!scene.children.includes(splatGroup)) {
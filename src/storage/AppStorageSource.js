@@ -7,6 +7,8 @@
 
 import { AssetSource } from './AssetSource.js';
 import { createSourceId, MANIFEST_VERSION } from './types.js';
+import { upgradeManifest, readManifestAssetFields, sortByManifestOrder } from './manifest.js';
+import { throwIfAborted } from './download.js';
 import { saveSource } from './sourceManager.js';
 import {
   loadCollectionManifest,
@@ -64,7 +66,8 @@ export class AppStorageSource extends AssetSource {
     return manifest;
   }
 
-  async _saveManifest(manifest) {
+  async _saveManifest(rawManifest) {
+    const manifest = upgradeManifest(rawManifest);
     this._manifest = manifest;
     await saveCollectionManifest(manifest);
     await saveSource(this.toJSON());
@@ -102,30 +105,35 @@ export class AppStorageSource extends AssetSource {
         sourceType: this.type,
         preview: null,
         previewSource: null,
+        ...readManifestAssetFields(asset, manifest),
         loaded: false,
         size: asset.size ?? null,
       }));
 
-    this._assets = assets;
-    return assets;
+    this._assets = sortByManifestOrder(assets);
+    return this._assets;
   }
 
-  async fetchAssetData(asset) {
+  async fetchAssetData(asset, { signal, onProgress } = {}) {
     const fileName = asset?.name || getFilename(asset?.path || '');
     if (!fileName) {
       throw new Error('Missing asset name');
     }
 
-    const record = await loadCachedAssetBlob(fileName);
+    throwIfAborted(signal);
+    const record = await loadCachedAssetBlob({ sourceId: this.id, path: asset?.path || fileName, name: fileName });
     if (!record?.blob) {
       throw new Error(`Cached asset not found: ${fileName}`);
     }
 
-    return record.blob.arrayBuffer();
+    const data = await record.blob.arrayBuffer();
+    throwIfAborted(signal);
+    onProgress?.({ loaded: data.byteLength, total: data.byteLength });
+    return data;
   }
 
-  async fetchAssetFile(asset) {
-    const data = await this.fetchAssetData(asset);
+  async fetchAssetFile(asset, options = {}) {
+    const data = await this.fetchAssetData(asset, options);
     const name = asset.name || getFilename(asset.path);
     return new File([data], name, { type: 'application/octet-stream' });
   }
@@ -148,9 +156,8 @@ export class AppStorageSource extends AssetSource {
     const failed = [];
 
     for (const path of toDelete) {
-      const fileName = getFilename(path);
       try {
-        const removedOk = await deleteCachedAssetBlob(fileName);
+        const removedOk = await deleteCachedAssetBlob({ sourceId: this.id, path });
         if (!removedOk) {
           failed.push({ path, error: 'Failed to remove cached asset' });
           continue;
@@ -187,7 +194,11 @@ export class AppStorageSource extends AssetSource {
 
     for (const file of files) {
       if (!file?.name) continue;
-      const ok = await saveCachedAssetBlob(file.name, file, { size: file.size, type: file.type });
+      const ok = await saveCachedAssetBlob(
+        { sourceId: this.id, path: file.name, name: file.name },
+        file,
+        { size: file.size, type: file.type },
+      );
       if (ok) {
         imported += 1;
         const existing = (manifest.assets || []).find((asset) => asset?.name === file.name);
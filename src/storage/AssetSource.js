@@ -9,6 +9,7 @@
  * @typedef {import('./types.js').SourceConfig} SourceConfig
  * @typedef {import('./types.js').SourceCapabilities} SourceCapabilities
  * @typedef {import('./types.js').RemoteAssetDescriptor} RemoteAssetDescriptor
+ * @typedef {import('./download.js').DownloadOptions} DownloadOptions
  */
 
 /**
@@ -75,21 +76,38 @@ export class AssetSource {
 
   /**
    * Fetch asset data as ArrayBuffer or ReadableStream.
+   * Implementations must stop the transfer when `signal` aborts (rejecting
+   * with an AbortError) and report bytes received through `onProgress`.
    * @param {RemoteAssetDescriptor} asset
+   * @param {DownloadOptions} [options]
    * @returns {Promise<ArrayBuffer | ReadableStream>}
    */
-  async fetchAssetData(asset) {
+  async fetchAssetData(asset, options = {}) {
     throw new Error('fetchAssetData() must be implemented by subclass');
   }
 
+  /**
+   * Fetch asset bytes as a stream, starting at `offset`.
+   * Only called when getCapabilities().canStream is true. A non-zero offset
+   * is served with an HTTP Range request and must throw when the server
+   * answers with the full body, so interrupted downloads resume safely.
+   * @param {RemoteAssetDescriptor} asset
+   * @param {{ offset?: number, signal?: AbortSignal }} [options]
+   * @returns {Promise<ReadableStream<Uint8Array>>}
+   */
+  async fetchAssetStream(asset, options = {}) {
+    throw new Error('fetchAssetStream() is not supported by this source');
+  }
+
   /**
    * Fetch asset data as a Blob (for File-like usage).
    * Default implementation uses fetchAssetData().
    * @param {RemoteAssetDescriptor} asset
+   * @param {DownloadOptions} [options]
    * @returns {Promise<Blob>}
    */
-  async fetchAssetBlob(asset) {
-    const data = await this.fetchAssetData(asset);
+  async fetchAssetBlob(asset, options = {}) {
+    const data = await this.fetchAssetData(asset, options);
     if (data instanceof ReadableStream) {
       const response = new Response(data);
       return response.blob();
@@ -100,10 +118,11 @@ export class AssetSource {
   /**
    * Fetch a File-like object for compatibility with existing loaders.
    * @param {RemoteAssetDescriptor} asset
+   * @param {DownloadOptions} [options]
    * @returns {Promise<File>}
    */
-  async fetchAssetFile(asset) {
-    const blob = await this.fetchAssetBlob(asset);
+  async fetchAssetFile(asset, options = {}) {
+    const blob = await this.fetchAssetBlob(asset, options);
     return new File([blob], asset.name, { type: blob.type });
   }
 
@@ -6,7 +6,9 @@
  */
 
 import { AssetSource } from './AssetSource.js';
-import { createSourceId, isFileSystemAccessSupported } from './types.js';
+import { createSourceId, isFileSystemAccessSupported, SUPPORTED_MANIFEST_VERSIONS } from './types.js';
+import { readManifestAssetFields, sortByManifestOrder, upgradeManifest } from './manifest.js';
+import { throwIfAborted } from './download.js';
 import {
   saveSource,
   saveDirectoryHandle,
@@ -14,28 +16,18 @@ import {
   deleteDirectoryHandle,
 } from './sourceManager.js';
 import { getSupportedExtensions } from '../formats/index.js';
+import {
+  METADATA_SUFFIXES,
+  PREVIEW_SUFFIX,
+  PREVIEW_TYPE_EXTENSIONS,
+  getExtension,
+  getMetadataSuffix,
+  getSidecarKey,
+  stripExtension,
+} from './fileNames.js';
 
 const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
-
-/**
- * Get file extension in lowercase with dot
- * @param {string} filename
- * @returns {string}
- */
-const getExtension = (filename) => {
-  const parts = filename.split('.');
-  return parts.length > 1 ? `.${parts.pop().toLowerCase()}` : '';
-};
-
-/**
- * Get base filename without extension
- * @param {string} filename
- * @returns {string}
- */
-const getBaseName = (filename) => {
-  const lastDot = filename.lastIndexOf('.');
-  return lastDot > 0 ? filename.slice(0, lastDot) : filename;
-};
+const MANIFEST_FILENAME = 'manifest.json';
 
 /**
  * Local folder asset source using File System Access API.
@@ -50,13 +42,14 @@ export class LocalFolderSource extends AssetSource {
     this._handle = handle;
     this._fileHandles = new Map(); // Map of asset path to FileSystemFileHandle
     this._previewHandles = new Map(); // Map of asset base name to preview file handle
+    this._metadataHandles = new Map(); // Map of asset base name to .meta.json file handle
   }
 
   getCapabilities() {
     return {
       canList: true,
       canStream: false, // File API doesn't support streaming
-      canReadMetadata: false, // Could be extended to read .meta.json files
+      canReadMetadata: true, // .meta.json sidecars
       canReadPreviews: true, // Can read matching image files
       persistent: true,
       writable: true,
@@ -300,32 +293,50 @@ export class LocalFolderSource extends AssetSource {
 
     const supportedExtensions = getSupportedExtensions();
     const assets = [];
-    const imageFiles = new Map(); // baseName -> file handle
+    const imageFiles = new Map(); // sidecar key -> file handle
 
     this._fileHandles.clear();
     this._previewHandles.clear();
+    this._metadataHandles.clear();
+
+    let manifestHandle = null;
 
     // First pass: collect all files
     for await (const entry of this._handle.values()) {
       if (entry.kind !== 'file') continue;
 
+      if (entry.name.toLowerCase() === MANIFEST_FILENAME) {
+        manifestHandle = entry;
+        continue;
+      }
+
       const ext = getExtension(entry.name);
-      const baseName = getBaseName(entry.name).toLowerCase();
+      const key = getSidecarKey(entry.name);
 
       if (supportedExtensions.includes(ext)) {
         this._fileHandles.set(entry.name, entry);
+      } else if (getMetadataSuffix(entry.name)) {
+        this._metadataHandles.set(key, entry);
       } else if (IMAGE_EXTENSIONS.includes(ext)) {
-        imageFiles.set(baseName, entry);
+        // Written previews (scene.preview.webp) win over plain images
+        if (!imageFiles.has(key) || stripExtension(entry.name).toLowerCase().endsWith(PREVIEW_SUFFIX)) {
+          imageFiles.set(key, entry);
+        }
       }
     }
 
+    const manifest = await this._readManifest(manifestHandle);
+    const manifestItems = new Map((manifest?.assets || [])
+      .filter((item) => item?.path)
+      .map((item) => [item.path.replace(/^\.?\//, ''), item]));
+
     // Second pass: create asset descriptors with preview matching
     for (const [filename, fileHandle] of this._fileHandles) {
-      const baseName = getBaseName(filename).toLowerCase();
-      const previewHandle = imageFiles.get(baseName);
+      const key = getSidecarKey(filename);
+      const previewHandle = imageFiles.get(key);
 
       if (previewHandle) {
-        this._previewHandles.set(baseName, previewHandle);
+        this._previewHandles.set(key, previewHandle);
       }
 
       const asset = {
@@ -336,26 +347,52 @@ export class LocalFolderSource extends AssetSource {
         sourceType: this.type,
         preview: null,
         previewSource: previewHandle ? 'pending' : null,
+        ...readManifestAssetFields(manifestItems.get(filename), manifest),
         loaded: false,
       };
 
       assets.push(asset);
     }
 
-    // Sort by name
+    // Sort by name, then by explicit manifest order when the folder has one
     assets.sort((a, b) => a.name.localeCompare(b.name));
-    this._assets = assets;
+    this._assets = sortByManifestOrder(assets);
 
-    return assets;
+    return this._assets;
+  }
+
+  /**
+   * Read an optional manifest.json next to the assets. Only the v2
+   * presentation fields (tags, order, captions, ...) are used; the folder
+   * contents stay the source of truth for which assets exist.
+   * @param {FileSystemFileHandle | null} handle
+   * @returns {Promise<import('./types.js').AssetManifest | null>}
+   */
+  async _readManifest(handle) {
+    if (!handle) return null;
+    try {
+      const file = await handle.getFile();
+      const manifest = JSON.parse(await file.text());
+      if (!SUPPORTED_MANIFEST_VERSIONS.includes(manifest?.version) || !Array.isArray(manifest.assets)) {
+        console.warn('[LocalFolder] Ignoring manifest.json with unsupported version or shape');
+        return null;
+      }
+      return manifest;
+    } catch (error) {
+      console.warn('[LocalFolder] Failed to read manifest.json:', error.message);
+      return null;
+    }
   }
 
   /**
    * Import files into the local folder (write to disk).
    * Requires readwrite permission on the directory handle.
    * @param {File[]} files
+   * @param {{ prompt?: boolean }} [options] - prompt=false fails instead of asking
+   *   for permission, for writes that do not run in a user gesture
    * @returns {Promise<{success: boolean, imported?: number, error?: string}>}
    */
-  async importFiles(files = []) {
+  async importFiles(files = [], { prompt = true } = {}) {
     if (!isFileSystemAccessSupported()) {
       return { success: false, error: 'File System Access API is not supported in this browser' };
     }
@@ -371,7 +408,7 @@ export class LocalFolderSource extends AssetSource {
 
     try {
       let permission = await handle.queryPermission({ mode: 'readwrite' });
-      if (permission !== 'granted') {
+      if (permission !== 'granted' && prompt) {
         permission = await handle.requestPermission({ mode: 'readwrite' });
       }
 
@@ -398,32 +435,100 @@ export class LocalFolderSource extends AssetSource {
   }
 
   /**
-   * Fetch asset data as ArrayBuffer.
+   * Write manifest.json next to the assets. Only its v2 presentation fields
+   * are read back; the folder contents still decide which assets exist.
+   * @param {import('./types.js').AssetManifest} manifest
+   * @param {{ prompt?: boolean }} [options]
+   */
+  async writeManifest(manifest, { prompt = true } = {}) {
+    const payload = JSON.stringify(upgradeManifest(manifest), null, 2);
+    const file = new File([payload], MANIFEST_FILENAME, { type: 'application/json' });
+    const result = await this.importFiles([file], { prompt });
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to write manifest');
+    }
+    await this.listAssets();
+  }
+
+  /**
+   * Current manifest.json, or null when the folder has none.
+   * @returns {Promise<import('./types.js').AssetManifest | null>}
+   */
+  async getManifest() {
+    const handle = await this.getHandle();
+    if (!handle) return null;
+    try {
+      return await this._readManifest(await handle.getFileHandle(MANIFEST_FILENAME));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Write `<name>.preview.<ext>` next to an asset.
    * @param {import('./types.js').RemoteAssetDescriptor} asset
-   * @returns {Promise<ArrayBuffer>}
+   * @param {Blob} blob - WebP, PNG or JPEG
+   * @param {{ prompt?: boolean }} [options]
    */
-  async fetchAssetData(asset) {
-    const fileHandle = this._fileHandles.get(asset.path);
-    if (!fileHandle) {
-      throw new Error(`File not found: ${asset.path}`);
+  async writePreview(asset, blob, { prompt = true } = {}) {
+    const extension = PREVIEW_TYPE_EXTENSIONS[blob?.type];
+    if (!extension) {
+      throw new Error(`Unsupported preview type: ${blob?.type || 'unknown'}`);
     }
+    const name = `${stripExtension(asset.path)}${PREVIEW_SUFFIX}${extension}`;
+    await this._writeSidecar(new File([blob], name, { type: blob.type }), this._previewHandles, { prompt });
+  }
 
-    const file = await fileHandle.getFile();
+  /**
+   * Write `<name>.meta.json` next to an asset.
+   * @param {import('./types.js').RemoteAssetDescriptor} asset
+   * @param {Object} metadata
+   * @param {{ prompt?: boolean }} [options]
+   */
+  async writeMetadata(asset, metadata, { prompt = true } = {}) {
+    const name = `${stripExtension(asset.path)}${METADATA_SUFFIXES[0]}`;
+    const payload = JSON.stringify(metadata, null, 2);
+    await this._writeSidecar(new File([payload], name, { type: 'application/json' }), this._metadataHandles, { prompt });
+  }
+
+  async _writeSidecar(file, handles, { prompt }) {
+    const result = await this.importFiles([file], { prompt });
+    if (!result.success) {
+      throw new Error(result.error || `Failed to write ${file.name}`);
+    }
+    // Re-point the lookup without re-listing the whole folder
+    handles.set(getSidecarKey(file.name), await this._handle.getFileHandle(file.name));
+  }
+
+  /**
+   * Fetch asset data as ArrayBuffer.
+   * @param {import('./types.js').RemoteAssetDescriptor} asset
+   * @param {import('./download.js').DownloadOptions} [options]
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async fetchAssetData(asset, options = {}) {
+    const file = await this.fetchAssetFile(asset, options);
     return file.arrayBuffer();
   }
 
   /**
    * Fetch asset as File object.
    * @param {import('./types.js').RemoteAssetDescriptor} asset
+   * @param {import('./download.js').DownloadOptions} [options]
    * @returns {Promise<File>}
    */
-  async fetchAssetFile(asset) {
+  async fetchAssetFile(asset, { signal, onProgress } = {}) {
     const fileHandle = this._fileHandles.get(asset.path);
     if (!fileHandle) {
       throw new Error(`File not found: ${asset.path}`);
     }
 
-    return fileHandle.getFile();
+    // Local reads are effectively instant; only honour an abort that already happened
+    throwIfAborted(signal);
+    const file = await fileHandle.getFile();
+    throwIfAborted(signal);
+    onProgress?.({ loaded: file.size, total: file.size });
+    return file;
   }
 
   /**
@@ -432,8 +537,7 @@ export class LocalFolderSource extends AssetSource {
    * @returns {Promise<string | null>} Data URL
    */
   async fetchPreview(asset) {
-    const baseName = getBaseName(asset.path).toLowerCase();
-    const previewHandle = this._previewHandles.get(baseName);
+    const previewHandle = this._previewHandles.get(getSidecarKey(asset.path));
 
     if (!previewHandle) {
       return null;
@@ -453,6 +557,24 @@ export class LocalFolderSource extends AssetSource {
     }
   }
 
+  /**
+   * Read the asset's .meta.json sidecar.
+   * @param {import('./types.js').RemoteAssetDescriptor} asset
+   * @returns {Promise<Object | null>}
+   */
+  async fetchMetadata(asset) {
+    const metadataHandle = this._metadataHandles.get(getSidecarKey(asset.path));
+    if (!metadataHandle) return null;
+
+    try {
+      const file = await metadataHandle.getFile();
+      return JSON.parse(await file.text());
+    } catch (error) {
+      console.warn(`Failed to load metadata for ${asset.name}:`, error);
+      return null;
+    }
+  }
+
   toJSON() {
     return {
       ...super.toJSON(),
@@ -468,6 +590,7 @@ export class LocalFolderSource extends AssetSource {
     super.disconnect();
     this._fileHandles.clear();
     this._previewHandles.clear();
+    this._metadataHandles.clear();
     // Keep handle for potential reconnection
   }
 }
@@ -2,23 +2,28 @@
  * Public URL Source Adapter
  * 
  * Loads assets from any public HTTP endpoint.
- * Supports manifest.json for asset discovery or direct URL lists.
+ * Supports manifest.json for asset discovery, direct URL lists, or the
+ * directory listing served at baseUrl (nginx/Apache/Caddy autoindex).
  */
 
 import { AssetSource } from './AssetSource.js';
 import { createSourceId, MANIFEST_VERSION, SUPPORTED_MANIFEST_VERSIONS } from './types.js';
+import { readManifestAssetFields, sortByManifestOrder } from './manifest.js';
+import { fetchStreamFrom, fetchWithProgress } from './download.js';
 import { saveSource } from './sourceManager.js';
 import { getSupportedExtensions } from '../formats/index.js';
+import {
+  discoverDirectoryListing,
+  loadDirectoryListingCache,
+  saveDirectoryListingCache,
+} from './directoryListing.js';
 
 /**
- * Get file extension in lowercase with dot
- * @param {string} filename
+ * Strip query string and fragment (e.g. presigned URL signatures)
+ * @param {string} path
  * @returns {string}
  */
-const getExtension = (filename) => {
-  const parts = filename.split('.');
-  return parts.length > 1 ? `.${parts.pop().toLowerCase()}` : '';
-};
+const stripQuery = (path) => path.split(/[?#]/)[0];
 
 /**
  * Get filename from path
@@ -26,10 +31,20 @@ const getExtension = (filename) => {
  * @returns {string}
  */
 const getFilename = (path) => {
-  const parts = path.split('/');
+  const parts = stripQuery(path).split('/');
   return parts[parts.length - 1] || path;
 };
 
+/**
+ * Get file extension in lowercase with dot
+ * @param {string} filename
+ * @returns {string}
+ */
+const getExtension = (filename) => {
+  const parts = getFilename(filename).split('.');
+  return parts.length > 1 ? `.${parts.pop().toLowerCase()}` : '';
+};
+
 /**
  * Normalize URL by ensuring it has a trailing slash
  * @param {string} url
@@ -40,12 +55,14 @@ const normalizeBaseUrl = (url) => {
 };
 
 /**
- * Join base URL with path
+ * Join base URL with path. Absolute paths (e.g. presigned URLs in a shared
+ * manifest) are returned unchanged.
  * @param {string} base
  * @param {string} path
  * @returns {string}
  */
 const joinUrl = (base, path) => {
+  if (/^https?:\/\//i.test(path)) return path;
   const normalizedBase = normalizeBaseUrl(base);
   const normalizedPath = path.startsWith('/') ? path.slice(1) : path;
   return normalizedBase + normalizedPath;
@@ -63,9 +80,9 @@ export class PublicUrlSource extends AssetSource {
 
   getCapabilities() {
     return {
-      canList: !!this.config.config.manifestUrl || !!this.config.config.assetPaths?.length,
+      canList: !!this.config.config.manifestUrl || !!this.config.config.assetPaths?.length || !!this.config.config.discoverListing,
       canStream: true, // HTTP supports range requests
-      canReadMetadata: false, // Simple URL source doesn't parse metadata
+      canReadMetadata: !!this._manifest, // Manifest or discovered sidecars
       canReadPreviews: !!this._manifest, // Only if manifest provides preview URLs
       persistent: true,
       writable: false,
@@ -77,12 +94,18 @@ export class PublicUrlSource extends AssetSource {
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   async connect() {
-    const { baseUrl, manifestUrl, assetPaths } = this.config.config;
+    const { baseUrl, manifestUrl, assetPaths, discoverListing } = this.config.config;
 
     if (!baseUrl && !manifestUrl && (!assetPaths || assetPaths.length === 0)) {
       return { success: false, error: 'No URL configured' };
     }
 
+    // Shared collection links carry the expiry of their presigned URLs
+    const { expiresAt } = this.config.config;
+    if (expiresAt && Date.now() > expiresAt) {
+      return { success: false, error: `This shared link expired on ${new Date(expiresAt).toLocaleString()}` };
+    }
+
     try {
       // If manifest URL is provided, try to fetch it
       if (manifestUrl) {
@@ -90,6 +113,11 @@ export class PublicUrlSource extends AssetSource {
         if (!manifestResult.success) {
           return manifestResult;
         }
+      } else if (baseUrl && discoverListing) {
+        const listingResult = await this._discoverListing();
+        if (!listingResult.success) {
+          return listingResult;
+        }
       } else if (baseUrl) {
         // Just validate base URL is accessible
         const response = await fetch(baseUrl, { method: 'HEAD' });
@@ -154,7 +182,10 @@ export class PublicUrlSource extends AssetSource {
       }
 
       this._manifest = manifest;
-      
+      if (manifest.expiresAt) {
+        this.config.config.expiresAt = manifest.expiresAt;
+      }
+
       // Update source name if manifest provides one
       if (manifest.name && !this.config.config.customName) {
         this.name = manifest.name;
@@ -167,6 +198,82 @@ export class PublicUrlSource extends AssetSource {
     }
   }
 
+  /**
+   * Build a manifest from the directory listing at baseUrl.
+   * Cache-first like the Supabase/R2 manifest caches; a stale cache is used
+   * when the server cannot be reached.
+   * @param {{ bypassCache?: boolean }} [options]
+   * @returns {Promise<{success: boolean, error?: string, offline?: boolean}>}
+   */
+  async _discoverListing({ bypassCache = false } = {}) {
+    const { baseUrl, recursive } = this.config.config;
+    const cacheParams = { baseUrl, recursive: !!recursive };
+    const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    if (!bypassCache || isOffline) {
+      const cachedManifest = isOffline
+        ? loadDirectoryListingCache(cacheParams, { maxAgeMs: -1 })
+        : loadDirectoryListingCache(cacheParams);
+      if (cachedManifest) {
+        this._manifest = cachedManifest;
+        return { success: true, offline: isOffline };
+      }
+      if (isOffline) {
+        return { success: false, error: 'Offline and no cached listing available', offline: true };
+      }
+    }
+
+    try {
+      const assets = await discoverDirectoryListing(baseUrl, { recursive: !!recursive });
+      if (assets.length === 0) {
+        return { success: false, error: 'No supported assets found in the directory listing' };
+      }
+
+      const manifest = { version: MANIFEST_VERSION, assets };
+      this._manifest = manifest;
+      saveDirectoryListingCache(cacheParams, manifest);
+      return { success: true };
+    } catch (error) {
+      const staleManifest = loadDirectoryListingCache(cacheParams, { maxAgeMs: -1 });
+      if (staleManifest) {
+        console.warn('[PublicUrl] Directory listing failed, using cached listing:', error.message);
+        this._manifest = staleManifest;
+        return { success: true, offline: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Re-read the directory listing, bypassing the cache.
+   * Only meaningful for directory-listing collections.
+   */
+  async rescan() {
+    if (!this.config.config.discoverListing) {
+      return { success: true, added: [], missing: [], hasManifest: !!this._manifest, applied: false };
+    }
+
+    const previousPaths = new Set((this._manifest?.assets || []).map((item) => item.path));
+    try {
+      const result = await this._discoverListing({ bypassCache: true });
+      if (!result.success) return result;
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    this._connected = true;
+
+    const assets = this._manifest?.assets || [];
+    const currentPaths = new Set(assets.map((item) => item.path));
+    return {
+      success: true,
+      added: assets.filter((item) => !previousPaths.has(item.path)),
+      missing: Array.from(previousPaths).filter((path) => !currentPaths.has(path)),
+      hasManifest: false,
+      totalFiles: assets.length,
+      applied: true,
+    };
+  }
+
   /**
    * List all available assets.
    * @returns {Promise<import('./types.js').RemoteAssetDescriptor[]>}
@@ -177,10 +284,10 @@ export class PublicUrlSource extends AssetSource {
     }
 
     const supportedExtensions = getSupportedExtensions();
-    const { baseUrl, assetPaths } = this.config.config;
+    const { baseUrl, manifestUrl, assetPaths, discoverListing } = this.config.config;
     const assets = [];
 
-    if (this._manifest) {
+    if (this._manifest && (manifestUrl || discoverListing)) {
       // Use manifest assets
       for (const item of this._manifest.assets) {
         const ext = getExtension(item.path);
@@ -196,15 +303,17 @@ export class PublicUrlSource extends AssetSource {
           preview: item.preview ? joinUrl(baseUrl || '', item.preview) : null,
           previewSource: item.preview ? 'remote' : null,
           metadata: item.metadata,
+          ...readManifestAssetFields(item, this._manifest),
           loaded: false,
         };
         assets.push(asset);
       }
     } else if (assetPaths && assetPaths.length > 0) {
-      // Use direct asset paths
+      // Use direct asset paths. Extension-less URLs are kept and identified
+      // by content sniffing when loaded.
       for (const path of assetPaths) {
         const ext = getExtension(path);
-        if (!supportedExtensions.includes(ext)) continue;
+        if (ext && !supportedExtensions.includes(ext)) continue;
 
         const asset = {
           id: `${this.id}/${path}`,
@@ -220,8 +329,8 @@ export class PublicUrlSource extends AssetSource {
       }
     }
 
-    this._assets = assets;
-    return assets;
+    this._assets = sortByManifestOrder(assets);
+    return this._assets;
   }
 
   /**
@@ -238,33 +347,21 @@ export class PublicUrlSource extends AssetSource {
   /**
    * Fetch asset data as ArrayBuffer.
    * @param {import('./types.js').RemoteAssetDescriptor} asset
+   * @param {import('./download.js').DownloadOptions} [options]
    * @returns {Promise<ArrayBuffer>}
    */
-  async fetchAssetData(asset) {
-    const url = this.getAssetUrl(asset.path);
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch asset: ${response.status} ${response.statusText}`);
-    }
-
-    return response.arrayBuffer();
+  async fetchAssetData(asset, { signal, onProgress } = {}) {
+    return fetchWithProgress(this.getAssetUrl(asset.path), { signal, onProgress, total: asset.size });
   }
 
   /**
    * Fetch asset as a streaming response (for large files).
    * @param {import('./types.js').RemoteAssetDescriptor} asset
+   * @param {{ offset?: number, signal?: AbortSignal }} [options] - `offset` resumes with a Range request
    * @returns {Promise<ReadableStream>}
    */
-  async fetchAssetStream(asset) {
-    const url = this.getAssetUrl(asset.path);
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch asset: ${response.status} ${response.statusText}`);
-    }
-
-    return response.body;
+  async fetchAssetStream(asset, { offset = 0, signal } = {}) {
+    return fetchStreamFrom(this.getAssetUrl(asset.path), { offset, signal });
   }
 
   /**
@@ -313,11 +410,13 @@ export class PublicUrlSource extends AssetSource {
  * @param {string} [options.baseUrl] - Base URL for assets
  * @param {string} [options.manifestUrl] - Manifest.json URL
  * @param {string[]} [options.assetPaths] - Direct list of asset paths
+ * @param {boolean} [options.discoverListing] - Discover assets from the directory listing at baseUrl
+ * @param {boolean} [options.recursive] - Recurse into subfolders when discovering
  * @param {string} [options.name] - Custom display name
  * @param {string} [options.id] - Optional custom id (for defaults)
  * @returns {PublicUrlSource}
  */
-export const createPublicUrlSource = ({ baseUrl, manifestUrl, assetPaths, name, id }) => {
+export const createPublicUrlSource = ({ baseUrl, manifestUrl, assetPaths, discoverListing, recursive, name, id }) => {
   const sourceId = id || createSourceId('public-url');
   
   // Derive display name from URL if not provided
@@ -342,6 +441,8 @@ export const createPublicUrlSource = ({ baseUrl, manifestUrl, assetPaths, name,
       baseUrl: baseUrl || '',
       manifestUrl: manifestUrl || '',
       assetPaths: assetPaths || [],
+      discoverListing: !!discoverListing,
+      recursive: !!recursive,
       customName: !!name,
     },
   };
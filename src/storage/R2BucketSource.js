@@ -9,18 +9,30 @@
 import {
 	ListObjectsV2Command,
 	GetObjectCommand,
+	HeadObjectCommand,
 	PutObjectCommand,
 	DeleteObjectsCommand,
 } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { AssetSource } from './AssetSource.js';
 import { createSourceId, MANIFEST_VERSION, SUPPORTED_MANIFEST_VERSIONS } from './types.js';
+import { upgradeManifest, readManifestAssetFields, sortByManifestOrder } from './manifest.js';
+import { fetchStreamFrom, fetchWithProgress } from './download.js';
 import { saveSource } from './sourceManager.js';
 import { getSupportedExtensions } from '../formats/index.js';
 import { getR2Client, buildR2Endpoint } from './r2Client.js';
 import { loadR2ManifestCache, loadR2Settings, saveR2ManifestCache } from './r2Settings.js';
 
 const METADATA_SUFFIXES = ['.meta.json', '.metadata.json'];
+const PREVIEW_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// SigV4 presigned URLs are valid for at most 7 days
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+const OFFLINE_URL_TTL_SECONDS = MAX_PRESIGN_SECONDS;
+// New uploads never change under their URL; a replaced file must not be
+// served from a year-long cache
+const UPLOAD_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+const REPLACE_CACHE_CONTROL = 'no-cache';
 
 const isMetadataFile = (filename) => METADATA_SUFFIXES.some((suffix) => filename.toLowerCase().endsWith(suffix));
 
@@ -138,6 +150,15 @@ export class R2BucketSource extends AssetSource {
 		return this.config.config.bucket;
 	}
 
+	/** Scope for the localStorage manifest cache. */
+	_manifestCacheParams() {
+		return {
+			accountId: this.config.config.accountId,
+			bucket: this.config.config.bucket,
+			collectionId: this.config.config.collectionId,
+		};
+	}
+
 	_basePrefix() {
 		return `collections/${this.config.config.collectionId}`;
 	}
@@ -150,13 +171,18 @@ export class R2BucketSource extends AssetSource {
 		return `${this._basePrefix()}/${stripLeadingSlash(relative)}`;
 	}
 
-	async _signedUrlFor(relativePath) {
+	async _signedUrlFor(relativePath, { expiresIn = 900 } = {}) {
 		const client = this._client();
 		const command = new GetObjectCommand({
 			Bucket: this._bucket(),
 			Key: this._toStoragePath(relativePath),
 		});
-		return getSignedUrl(client, command, { expiresIn: 900 });
+		return getSignedUrl(client, command, { expiresIn });
+	}
+
+	/** URL used for reads; subclasses may serve from a public base URL instead. */
+	async _readUrlFor(relativePath, options) {
+		return this._signedUrlFor(relativePath, options);
 	}
 
 	getCapabilities() {
@@ -165,7 +191,7 @@ export class R2BucketSource extends AssetSource {
 			canList: permissions.canRead,
 			canStream: true,
 			canReadMetadata: true,
-			canReadPreviews: false,
+			canReadPreviews: true,
 			persistent: true,
 			writable: this._canWrite(),
 		};
@@ -222,11 +248,7 @@ export class R2BucketSource extends AssetSource {
 	}
 
 	async _loadManifest({ bypassCache = false, allowStale = false } = {}) {
-		const cacheKey = {
-			accountId: this.config.config.accountId,
-			bucket: this.config.config.bucket,
-			collectionId: this.config.config.collectionId,
-		};
+		const cacheKey = this._manifestCacheParams();
 		const isOffline = this._isOffline();
 
 		if (!bypassCache) {
@@ -284,7 +306,8 @@ export class R2BucketSource extends AssetSource {
 		}
 	}
 
-	async _saveManifest(manifest) {
+	async _saveManifest(rawManifest) {
+		const manifest = upgradeManifest(rawManifest);
 		const payload = JSON.stringify(manifest, null, 2);
 		const manifestKey = this._toStoragePath('manifest.json');
 		const client = this._client();
@@ -297,11 +320,7 @@ export class R2BucketSource extends AssetSource {
 		}));
 		this._manifest = manifest;
 		this.config.config.hasManifest = true;
-		saveR2ManifestCache({
-			accountId: this.config.config.accountId,
-			bucket: this.config.config.bucket,
-			collectionId: this.config.config.collectionId,
-		}, manifest);
+		saveR2ManifestCache(this._manifestCacheParams(), manifest);
 		await saveSource(this.toJSON());
 	}
 
@@ -370,6 +389,24 @@ export class R2BucketSource extends AssetSource {
 		};
 	}
 
+	/**
+	 * ETags of the stored assets by relative path, from one listing. The
+	 * manifest has no ETags, and the asset cache needs them to notice a
+	 * file that was replaced without changing size.
+	 * @returns {Promise<Map<string, string>>}
+	 */
+	async _listAssetEtags() {
+		try {
+			const objects = await listAllObjects(this._client(), this._bucket(), { Prefix: `${this._assetPrefix()}/` });
+			return new Map(objects
+				.filter((obj) => obj.Key && obj.ETag)
+				.map((obj) => [toRelativeFromBase(obj.Key, this._basePrefix()), obj.ETag]));
+		} catch (error) {
+			console.warn('[R2] Failed to list asset ETags:', error.message);
+			return new Map();
+		}
+	}
+
 	async listAssets() {
 		if (!this._connected) {
 			throw new Error('Not connected');
@@ -384,6 +421,8 @@ export class R2BucketSource extends AssetSource {
 			return [];
 		}
 
+		const etagByPath = await this._listAssetEtags();
+
 		for (const item of this._manifest.assets || []) {
 			const ext = getExtension(item.path);
 			if (!supportedExtensions.includes(ext)) continue;
@@ -395,38 +434,58 @@ export class R2BucketSource extends AssetSource {
 				sourceId: this.id,
 				sourceType: this.type,
 				size: item.size,
+				etag: etagByPath.get(item.path) ?? null,
 				preview: null,
 				previewSource: null,
+				_previewPath: item.preview || null,
 				_metadataPath: typeof item.metadata === 'string' ? item.metadata : null,
 				_inlineMetadata: typeof item.metadata === 'object' ? item.metadata : null,
+				...readManifestAssetFields(item, this._manifest),
 				loaded: false,
 			});
 		}
 
-		this._assets = assets;
-		return assets;
+		this._assets = sortByManifestOrder(assets);
+		return this._assets;
 	}
 
-	async fetchAssetData(asset) {
-		const url = await this._signedUrlFor(asset.path);
-		const response = await fetch(url);
-		if (!response.ok) {
-			throw new Error(`Failed to fetch asset: ${response.status} ${response.statusText}`);
-		}
-		return response.arrayBuffer();
+	async fetchAssetData(asset, { signal, onProgress } = {}) {
+		const url = await this._readUrlFor(asset.path);
+		return fetchWithProgress(url, { signal, onProgress, total: asset.size });
 	}
 
-	async fetchAssetStream(asset) {
-		const url = await this._signedUrlFor(asset.path);
-		const response = await fetch(url);
-		if (!response.ok) {
-			throw new Error(`Failed to fetch asset: ${response.status} ${response.statusText}`);
-		}
-		return response.body;
+	async fetchAssetStream(asset, { offset = 0, signal } = {}) {
+		// Presigned URLs are signed for GET only; Range is an unsigned header so resuming still works
+		const url = await this._readUrlFor(asset.path);
+		return fetchStreamFrom(url, { offset, signal });
 	}
 
 	async fetchPreview(asset) {
-		return null;
+		if (asset.preview) return asset.preview;
+		if (!asset._previewPath) return null;
+		return this._readUrlFor(asset._previewPath);
+	}
+
+	/**
+	 * URLs the service worker downloads to pin this collection offline.
+	 * Presigned for a week so a background download can outlive the page;
+	 * the worker matches them without the signature query.
+	 * @returns {Promise<import('./offlinePins.js').OfflineEntry[]>}
+	 */
+	async getOfflineEntries() {
+		const options = { expiresIn: OFFLINE_URL_TTL_SECONDS };
+		// The SDK's GetObject for the manifest hits the same object URL
+		const entries = [{ url: await this._signedUrlFor('manifest.json', options), kind: 'manifest' }];
+		for (const asset of this._assets) {
+			entries.push({ url: await this._readUrlFor(asset.path, options), kind: 'asset' });
+			if (asset._previewPath) {
+				entries.push({ url: await this._readUrlFor(asset._previewPath, options), kind: 'preview' });
+			}
+			if (asset._metadataPath) {
+				entries.push({ url: await this._readUrlFor(asset._metadataPath, options), kind: 'metadata' });
+			}
+		}
+		return entries;
 	}
 
 	async fetchMetadata(asset) {
@@ -435,7 +494,7 @@ export class R2BucketSource extends AssetSource {
 		}
 
 		if (asset._metadataPath) {
-			const url = await this._signedUrlFor(asset._metadataPath);
+			const url = await this._readUrlFor(asset._metadataPath);
 			const response = await fetch(url);
 			if (response.ok) {
 				return response.json();
@@ -507,7 +566,137 @@ export class R2BucketSource extends AssetSource {
 		};
 	}
 
-	async uploadAssets(files) {
+	// Collection doctor hooks (see collectionDoctor.js)
+
+	/**
+	 * @param {{ fresh?: boolean }} [options] - fresh skips the manifest cache, for read-modify-write
+	 * @returns {Promise<import('./types.js').AssetManifest | null>}
+	 */
+	async getManifest({ fresh = false } = {}) {
+		if (!this._connected) {
+			const result = await this.connect({ refreshManifest: true });
+			if (!result.success) throw new Error(result.error);
+		}
+		if (fresh) {
+			await this._loadManifest({ bypassCache: true });
+		} else {
+			await this._ensureManifestLoaded();
+		}
+		return this._manifest;
+	}
+
+	async listCollectionFiles() {
+		const client = this._client();
+		const objects = await listAllObjects(client, this._bucket(), { Prefix: `${this._assetPrefix()}/` });
+		return objects
+			.filter((obj) => obj.Key)
+			.map((obj) => ({
+				path: toRelativeFromBase(obj.Key, this._basePrefix()),
+				size: obj.Size ?? null,
+			}));
+	}
+
+	async headCollectionFile(relativePath) {
+		try {
+			const response = await this._client().send(new HeadObjectCommand({
+				Bucket: this._bucket(),
+				Key: this._toStoragePath(relativePath),
+			}));
+			return { exists: true, size: response.ContentLength ?? null };
+		} catch (error) {
+			if (error?.name === 'NotFound' || error?.$metadata?.httpStatusCode === 404) {
+				return { exists: false, size: null };
+			}
+			throw error;
+		}
+	}
+
+	async writeManifest(manifest) {
+		await this._saveManifest(manifest);
+		await this.listAssets();
+	}
+
+	// Share links (see shareLinks.js)
+
+	/**
+	 * Presigned GET URL for use outside the app. Always signed, even when
+	 * reads go through a public base URL, so the link expires.
+	 * @param {string} relativePath
+	 * @param {{ expiresIn: number }} options - Seconds, capped at 7 days
+	 * @returns {Promise<string>}
+	 */
+	async createShareUrl(relativePath, { expiresIn }) {
+		return this._signedUrlFor(relativePath, { expiresIn: Math.min(expiresIn, MAX_PRESIGN_SECONDS) });
+	}
+
+	/**
+	 * Store a shared copy of the manifest under shares/ and presign it.
+	 * @param {string} shareId
+	 * @param {Object} manifest - Manifest with presigned asset URLs
+	 * @param {{ expiresIn: number }} options
+	 * @returns {Promise<string>} Presigned manifest URL
+	 */
+	async writeShareManifest(shareId, manifest, { expiresIn }) {
+		if (!this._canWrite()) {
+			throw new Error('Write permission is disabled for this source');
+		}
+		const relativePath = `shares/${shareId}.json`;
+		await this._client().send(new PutObjectCommand({
+			Bucket: this._bucket(),
+			Key: this._toStoragePath(relativePath),
+			Body: JSON.stringify(manifest, null, 2),
+			ContentType: 'application/json',
+			CacheControl: 'no-store',
+		}));
+		return this.createShareUrl(relativePath, { expiresIn });
+	}
+
+	/**
+	 * Delete a shared manifest so its collection link stops opening.
+	 * @param {string} shareId
+	 */
+	async deleteShareManifest(shareId) {
+		if (!this._canDelete()) {
+			throw new Error('Delete permission is disabled for this source');
+		}
+		const response = await this._client().send(new DeleteObjectsCommand({
+			Bucket: this._bucket(),
+			Delete: { Objects: [{ Key: this._toStoragePath(`shares/${shareId}.json`) }], Quiet: true },
+		}));
+		const failure = response?.Errors?.[0];
+		if (failure) {
+			throw new Error(failure.Message || failure.Code || 'Delete failed');
+		}
+	}
+
+	// Static gallery files (see staticGallery.js)
+
+	/**
+	 * Write any file under the collection, outside the manifest.
+	 * @param {string} relativePath
+	 * @param {Blob} body
+	 * @param {{ contentType?: string }} [options]
+	 */
+	async writeStaticFile(relativePath, body, { contentType } = {}) {
+		if (!this._canWrite()) {
+			throw new Error('Write permission is disabled for this source');
+		}
+		await this._client().send(new PutObjectCommand({
+			Bucket: this._bucket(),
+			Key: this._toStoragePath(relativePath),
+			Body: body,
+			ContentType: contentType || body.type || 'application/octet-stream',
+			CacheControl: 'no-cache',
+		}));
+	}
+
+	/**
+	 * Upload files and add them to the manifest. Existing objects are kept
+	 * (If-None-Match: *) unless `overwrite` is set, like the other sources.
+	 * @param {File[]} files
+	 * @param {{ overwrite?: boolean }} [options]
+	 */
+	async uploadAssets(files, { overwrite = false } = {}) {
 		if (!this._canWrite()) {
 			return { success: false, error: 'Write permission is disabled for this source' };
 		}
@@ -536,7 +725,7 @@ export class R2BucketSource extends AssetSource {
 			const base = getBaseName(file.name).toLowerCase();
 			const metadataBase = getMetadataAssetBase(file.name);
 
-			if (!supportedExtensions.includes(ext) && !isMetadataFile(file.name)) {
+			if (!supportedExtensions.includes(ext) && !PREVIEW_EXTENSIONS.includes(ext) && !isMetadataFile(file.name)) {
 				results.failed.push({ name: file.name, error: 'Unsupported file type' });
 				continue;
 			}
@@ -551,10 +740,12 @@ export class R2BucketSource extends AssetSource {
 					Key: targetPath,
 					Body: new Uint8Array(arrayBuffer),
 					ContentType: file.type || 'application/octet-stream',
-					CacheControl: 'public, max-age=31536000, immutable',
+					CacheControl: overwrite ? REPLACE_CACHE_CONTROL : UPLOAD_CACHE_CONTROL,
+					...(overwrite ? {} : { IfNoneMatch: '*' }),
 				}));
 			} catch (error) {
-				results.failed.push({ name: file.name, error: error.message });
+				const exists = error?.$metadata?.httpStatusCode === 412;
+				results.failed.push({ name: file.name, error: exists ? 'A file with this name already exists.' : error.message });
 				continue;
 			}
 
@@ -575,6 +766,12 @@ export class R2BucketSource extends AssetSource {
 					existing.name = file.name;
 					existing.size = file.size;
 				}
+			} else if (PREVIEW_EXTENSIONS.includes(ext)) {
+				// scene.webp and scene.preview.jpg pair with scene.ply
+				const previewBase = base.replace(/\.preview$/, '');
+				for (const asset of assetsByBase.get(previewBase) || []) {
+					asset.preview = relative;
+				}
 			} else if (metadataBase) {
 				const matched = assetsByBase.get(metadataBase) || [];
 				for (const asset of matched) {
@@ -625,6 +822,9 @@ export class R2BucketSource extends AssetSource {
 			if (manifestEntry?.metadata) {
 				targetPaths.add(this._toStoragePath(manifestEntry.metadata));
 			}
+			if (manifestEntry?.preview) {
+				targetPaths.add(this._toStoragePath(manifestEntry.preview));
+			}
 
 			targetPaths.add(this._toStoragePath(relativePath));
 		}
@@ -673,7 +873,7 @@ export class R2BucketSource extends AssetSource {
 				Key: probeName,
 				Body: 'ok',
 				ContentType: 'text/plain',
-				CacheControl: 'public, max-age=31536000, immutable',
+				CacheControl: UPLOAD_CACHE_CONTROL,
 			}));
 			await client.send(new DeleteObjectsCommand({
 				Bucket: this._bucket(),
@@ -0,0 +1,119 @@
+/**
+ * Generic S3-compatible Storage Source Adapter
+ * Same manifest-first layout as R2, against any S3 endpoint (AWS S3, MinIO, ...).
+ * Layout (required):
+ * {bucket}/collections/{collectionId}/manifest.json
+ * {bucket}/collections/{collectionId}/assets/*
+ *
+ * When a public base URL is configured, reads go straight to
+ * {publicBaseUrl}/collections/{collectionId}/... instead of presigned URLs.
+ */
+
+import { R2BucketSource } from './R2BucketSource.js';
+import { createSourceId } from './types.js';
+import { getS3Client } from './r2Client.js';
+import { getS3CacheScope, loadS3Settings, normalizeS3Endpoint, s3SettingsMatchSource } from './s3Settings.js';
+
+const DEFAULT_PERMISSIONS = {
+	canRead: true,
+	canWrite: true,
+	canDelete: true,
+};
+
+const encodeKeyPath = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+export class S3BucketSource extends R2BucketSource {
+	_client() {
+		const fallbackSettings = loadS3Settings();
+		const fallbackSecret = s3SettingsMatchSource(fallbackSettings, this)
+			? fallbackSettings.secretAccessKey
+			: '';
+
+		return getS3Client({
+			endpoint: this.config.config.endpoint,
+			region: this.config.config.region,
+			forcePathStyle: this.config.config.forcePathStyle,
+			accessKeyId: this.config.config.accessKeyId,
+			secretAccessKey: this.config.config.secretAccessKey || fallbackSecret,
+		});
+	}
+
+	_manifestCacheParams() {
+		return {
+			accountId: getS3CacheScope(this.config.config),
+			bucket: this.config.config.bucket,
+			collectionId: this.config.config.collectionId,
+		};
+	}
+
+	async _readUrlFor(relativePath, options) {
+		const publicBaseUrl = this.config.config.publicBaseUrl;
+		if (!publicBaseUrl) {
+			return this._signedUrlFor(relativePath, options);
+		}
+		return `${publicBaseUrl}/${encodeKeyPath(this._toStoragePath(relativePath))}`;
+	}
+
+	/**
+	 * Public URL of a file written with writeStaticFile(), e.g. a published
+	 * gallery's index.html. Null without a public base URL.
+	 * @param {string} relativePath
+	 * @returns {string | null}
+	 */
+	getStaticFileUrl(relativePath) {
+		const publicBaseUrl = this.config.config.publicBaseUrl;
+		return publicBaseUrl ? `${publicBaseUrl}/${encodeKeyPath(this._toStoragePath(relativePath))}` : null;
+	}
+}
+
+export const createS3BucketSource = ({
+	endpoint,
+	region,
+	forcePathStyle,
+	publicBaseUrl,
+	accessKeyId,
+	secretAccessKey,
+	bucket,
+	collectionId,
+	name,
+	collectionName,
+	permissions,
+}) => {
+	const id = createSourceId('s3-bucket');
+	const displayName = name || collectionName || `S3: ${bucket ? `${bucket}/` : ''}${collectionId}`;
+	const normalizedPermissions = {
+		...DEFAULT_PERMISSIONS,
+		...(permissions || {}),
+	};
+	normalizedPermissions.canRead = true;
+
+	const config = {
+		id,
+		type: 's3-bucket',
+		name: displayName,
+		createdAt: Date.now(),
+		lastAccessed: Date.now(),
+		isDefault: false,
+		config: {
+			endpoint: normalizeS3Endpoint(endpoint),
+			region: String(region || '').trim(),
+			forcePathStyle: Boolean(forcePathStyle),
+			publicBaseUrl: String(publicBaseUrl || '').trim().replace(/\/+$/, ''),
+			accessKeyId: String(accessKeyId || '').trim(),
+			secretAccessKey: String(secretAccessKey || '').trim(),
+			bucket: String(bucket || '').trim(),
+			collectionId: String(collectionId || '').trim(),
+			collectionName: collectionName || displayName,
+			permissions: normalizedPermissions,
+			hasManifest: false,
+		},
+	};
+
+	return new S3BucketSource(config);
+};
+
+export const restoreS3BucketSource = (config) => {
+	return new S3BucketSource(config);
+};
+
+export default S3BucketSource;
@@ -1,7 +1,7 @@
 /**
  * Supabase Storage Source Adapter
  *
- * Manifest-first storage for public Supabase buckets.
+ * Manifest-first storage for Supabase buckets.
  * Layout (required):
  * {bucket}/collections/{collectionId}/manifest.json
  * {bucket}/collections/{collectionId}/assets/*
@@ -9,18 +9,53 @@
  * - manifest.json is the source of truth
  * - Rescans are explicit (no implicit crawling)
  * - Uploads update manifest deterministically
+ *
+ * Private buckets are read as the signed-in Supabase Auth user (see
+ * supabaseAuth.js): assets and sidecars through short-lived signed URLs,
+ * previews and the manifest through authenticated downloads.
  */
 
 import { AssetSource } from './AssetSource.js';
 import { createSourceId, MANIFEST_VERSION, SUPPORTED_MANIFEST_VERSIONS } from './types.js';
+import { upgradeManifest, readManifestAssetFields, sortByManifestOrder } from './manifest.js';
+import { blobToDataUrl, fetchStreamFrom, fetchWithProgress } from './download.js';
 import { saveSource } from './sourceManager.js';
 import { getSupportedExtensions } from '../formats/index.js';
-import { loadSupabaseManifestCache, saveSupabaseManifestCache } from './supabaseSettings.js';
+import {
+  getSupabaseSourceSession,
+  loadSupabaseManifestCache,
+  loadSupabaseSettings,
+  saveSupabaseManifestCache,
+  supabaseSettingsMatchSource,
+} from './supabaseSettings.js';
 import { getSupabaseClient } from './supabaseClient.js';
+import { restoreSupabaseSession } from './supabaseAuth.js';
 
 const PREVIEW_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
 const METADATA_SUFFIXES = ['.meta.json', '.metadata.json'];
 
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+// Re-sign before a URL could expire mid-download
+const SIGNED_URL_MIN_REMAINING_MS = 5 * 60 * 1000;
+// Long enough for a background pin download to finish after the page closes
+const OFFLINE_URL_TTL_SECONDS = 24 * 60 * 60;
+// New uploads never change under their URL; a replaced file must not be
+// served from a year-long cache
+const UPLOAD_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+const REPLACE_CACHE_CONTROL = 'no-cache';
+
+const isPermissionError = (error) => {
+  const status = Number(error?.statusCode || error?.status);
+  return status === 401 || status === 403 || /row-level security|unauthorized|not allowed/i.test(error?.message || '');
+};
+
+const isNotFoundError = (error) => {
+  const status = Number(error?.statusCode || error?.status || error?.originalError?.status);
+  return status === 400 || status === 404 || /not.?found/i.test(error?.message || '');
+};
+
+const PERMISSION_DENIED = 'Permission denied by the bucket\'s access policies';
+
 const getExtension = (filename) => {
   const parts = filename.split('.');
   return parts.length > 1 ? `.${parts.pop().toLowerCase()}` : '';
@@ -53,10 +88,23 @@ export class SupabaseStorageSource extends AssetSource {
   constructor(config) {
     super(config);
     this._manifest = null;
+    this._signedUrls = new Map(); // storage path -> { url, expiresAt }
+    this._writeDenied = false;
+  }
+
+  _isPrivate() {
+    return this.config.config.private === true;
+  }
+
+  _anonKey() {
+    if (this.config.config.anonKey) return this.config.config.anonKey;
+    // Vault-encrypted keys are not persisted with the source
+    const fallbackSettings = loadSupabaseSettings();
+    return supabaseSettingsMatchSource(fallbackSettings, this) ? fallbackSettings.anonKey : '';
   }
 
   _ensureClient() {
-    return getSupabaseClient(this.config.config.supabaseUrl, this.config.config.anonKey);
+    return getSupabaseClient(this.config.config.supabaseUrl, this._anonKey());
   }
 
   _storage() {
@@ -81,6 +129,61 @@ export class SupabaseStorageSource extends AssetSource {
     return data?.publicUrl || '';
   }
 
+  /**
+   * Readable URL for a collection file: public, or signed for private
+   * buckets. Signing goes through the session, which refreshes an expired
+   * access token first, so long slideshows keep working.
+   * @param {string} relativePath
+   * @param {{ expiresIn?: number }} [options]
+   * @returns {Promise<string>}
+   */
+  async _readUrlFor(relativePath, { expiresIn = SIGNED_URL_TTL_SECONDS } = {}) {
+    if (!this._isPrivate()) return this._publicUrlFor(relativePath);
+
+    const path = this._toStoragePath(relativePath);
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      // Pinned copies are matched without the token query, so the bare path is enough
+      const { supabaseUrl, bucket } = this.config.config;
+      return `${String(supabaseUrl).replace(/\/+$/, '')}/storage/v1/object/sign/${bucket}/${path}`;
+    }
+
+    const useCache = expiresIn === SIGNED_URL_TTL_SECONDS;
+    const cached = useCache ? this._signedUrls.get(path) : null;
+    if (cached && cached.expiresAt - Date.now() > SIGNED_URL_MIN_REMAINING_MS) {
+      return cached.url;
+    }
+
+    const { data, error } = await this._storage().createSignedUrl(path, expiresIn);
+    if (error || !data?.signedUrl) {
+      throw new Error(`Could not sign ${relativePath}: ${error?.message || 'no URL returned'}`);
+    }
+    if (useCache) {
+      this._signedUrls.set(path, { url: data.signedUrl, expiresAt: Date.now() + expiresIn * 1000 });
+    }
+    return data.signedUrl;
+  }
+
+  /**
+   * The authenticated object URL storage-js downloads from; offline pins
+   * are matched against it.
+   */
+  _objectUrlFor(relativePath) {
+    const { supabaseUrl, bucket } = this.config.config;
+    return `${String(supabaseUrl).replace(/\/+$/, '')}/storage/v1/object/${bucket}/${this._toStoragePath(relativePath)}`;
+  }
+
+  /**
+   * Sign in with the stored session before touching a private bucket.
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async _ensureSession() {
+    if (!this._isPrivate()) return { success: true };
+    return restoreSupabaseSession(
+      { supabaseUrl: this.config.config.supabaseUrl, anonKey: this._anonKey() },
+      getSupabaseSourceSession(this),
+    );
+  }
+
   getCapabilities() {
     return {
       canList: true,
@@ -88,7 +191,7 @@ export class SupabaseStorageSource extends AssetSource {
       canReadMetadata: true,
       canReadPreviews: true,
       persistent: true,
-      writable: true,
+      writable: !this._writeDenied,
     };
   }
 
@@ -117,6 +220,12 @@ export class SupabaseStorageSource extends AssetSource {
 
     // Try network connectivity check, but fall back to cache on failure
     try {
+      const session = await this._ensureSession();
+      if (!session.success) {
+        this._connected = false;
+        return { success: false, error: session.error, needsSignIn: true };
+      }
+
       const storage = this._storage();
       const { error: listError } = await storage.list(this._basePrefix(), { limit: 1 });
       
@@ -162,6 +271,13 @@ export class SupabaseStorageSource extends AssetSource {
     }
   }
 
+  disconnect() {
+    super.disconnect();
+    // Signed URLs and write access belong to the signed-in user
+    this._signedUrls.clear();
+    this._writeDenied = false;
+  }
+
   async _loadManifest({ bypassCache = false, allowStale = false } = {}) {
     const cacheKey = {
       supabaseUrl: this.config.config.supabaseUrl,
@@ -229,7 +345,8 @@ export class SupabaseStorageSource extends AssetSource {
     }
   }
 
-  async _saveManifest(manifest) {
+  async _saveManifest(rawManifest) {
+    const manifest = upgradeManifest(rawManifest);
     const payload = JSON.stringify(manifest, null, 2);
     const blob = new Blob([payload], { type: 'application/json' });
     const manifestPath = this._toStoragePath('manifest.json');
@@ -264,6 +381,23 @@ export class SupabaseStorageSource extends AssetSource {
     return this._manifest;
   }
 
+  /**
+   * ETags of the stored assets by relative path. The manifest has no ETags,
+   * and the asset cache needs them to notice a replaced file.
+   * @returns {Promise<Map<string, string>>}
+   */
+  async _listAssetEtags() {
+    try {
+      const entries = await this._walkFileEntries(this._assetPrefix());
+      return new Map(entries
+        .filter((entry) => entry.etag)
+        .map((entry) => [toRelativeFromBase(entry.path, this._basePrefix()), entry.etag]));
+    } catch (error) {
+      console.warn('[Supabase] Failed to list asset ETags:', error.message);
+      return new Map();
+    }
+  }
+
   async listAssets() {
     if (!this._connected) {
       throw new Error('Not connected');
@@ -278,6 +412,8 @@ export class SupabaseStorageSource extends AssetSource {
       return [];
     }
 
+    const etagByPath = await this._listAssetEtags();
+
     for (const item of this._manifest.assets || []) {
       const ext = getExtension(item.path);
       if (!supportedExtensions.includes(ext)) continue;
@@ -289,40 +425,76 @@ export class SupabaseStorageSource extends AssetSource {
         sourceId: this.id,
         sourceType: this.type,
         size: item.size,
-        preview: item.preview ? this._publicUrlFor(item.preview) : null,
-        previewSource: item.preview ? 'remote' : null,
+        etag: etagByPath.get(item.path) ?? null,
+        // Private previews are downloaded on demand in fetchPreview
+        preview: item.preview && !this._isPrivate() ? this._publicUrlFor(item.preview) : null,
+        previewSource: item.preview && !this._isPrivate() ? 'remote' : null,
+        _previewPath: item.preview || null,
         _metadataPath: typeof item.metadata === 'string' ? item.metadata : null,
         _inlineMetadata: typeof item.metadata === 'object' ? item.metadata : null,
+        ...readManifestAssetFields(item, this._manifest),
         loaded: false,
       };
       assets.push(asset);
     }
 
-    this._assets = assets;
-    return assets;
+    this._assets = sortByManifestOrder(assets);
+    return this._assets;
   }
 
-  async fetchAssetData(asset) {
-    const url = this._publicUrlFor(asset.path);
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch asset: ${response.status} ${response.statusText}`);
-    }
-    return response.arrayBuffer();
+  async fetchAssetData(asset, { signal, onProgress } = {}) {
+    const url = await this._readUrlFor(asset.path);
+    return fetchWithProgress(url, { signal, onProgress, total: asset.size });
   }
 
-  async fetchAssetStream(asset) {
-    const url = this._publicUrlFor(asset.path);
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch asset: ${response.status} ${response.statusText}`);
-    }
-    return response.body;
+  async fetchAssetStream(asset, { offset = 0, signal } = {}) {
+    const url = await this._readUrlFor(asset.path);
+    return fetchStreamFrom(url, { offset, signal });
   }
 
   async fetchPreview(asset) {
     if (asset.preview) return asset.preview;
-    return null;
+    if (!asset._previewPath) return null;
+
+    const { data, error } = await this._storage().download(this._toStoragePath(asset._previewPath));
+    if (error) {
+      console.warn(`Failed to load preview for ${asset.name}:`, error.message);
+      return null;
+    }
+    return blobToDataUrl(data);
+  }
+
+  /**
+   * URLs the service worker downloads to pin this collection offline.
+   * The manifest (and, for private buckets, previews) is read through the
+   * authenticated object endpoint, so it is downloaded from a public or
+   * signed URL and matched against that endpoint. Signed URLs get a longer
+   * lifetime so a background download can outlive the page.
+   * @returns {Promise<import('./offlinePins.js').OfflineEntry[]>}
+   */
+  async getOfflineEntries() {
+    const options = { expiresIn: OFFLINE_URL_TTL_SECONDS };
+    const entries = [{
+      url: await this._readUrlFor('manifest.json', options),
+      match: this._objectUrlFor('manifest.json'),
+      kind: 'manifest',
+    }];
+    for (const asset of this._assets) {
+      entries.push({ url: await this._readUrlFor(asset.path, options), kind: 'asset' });
+      if (asset._previewPath) {
+        entries.push(this._isPrivate()
+          ? {
+            url: await this._readUrlFor(asset._previewPath, options),
+            match: this._objectUrlFor(asset._previewPath),
+            kind: 'preview',
+          }
+          : { url: this._publicUrlFor(asset._previewPath), kind: 'preview' });
+      }
+      if (asset._metadataPath) {
+        entries.push({ url: await this._readUrlFor(asset._metadataPath, options), kind: 'metadata' });
+      }
+    }
+    return entries;
   }
 
   async fetchMetadata(asset) {
@@ -331,7 +503,7 @@ export class SupabaseStorageSource extends AssetSource {
     }
 
     if (asset._metadataPath) {
-      const url = this._publicUrlFor(asset._metadataPath);
+      const url = await this._readUrlFor(asset._metadataPath);
       const response = await fetch(url);
       if (response.ok) {
         return response.json();
@@ -342,6 +514,15 @@ export class SupabaseStorageSource extends AssetSource {
   }
 
   async _walkFiles(prefix) {
+    const entries = await this._walkFileEntries(prefix);
+    return entries.map((entry) => entry.path);
+  }
+
+  /**
+   * Recursive listing with object sizes and ETags.
+   * @returns {Promise<Array<{ path: string, size: number, etag: string | null }>>} Full storage paths
+   */
+  async _walkFileEntries(prefix) {
     const storage = this._storage();
     const files = [];
     const pageSize = 100;
@@ -360,9 +541,9 @@ export class SupabaseStorageSource extends AssetSource {
       for (const entry of data) {
         const fullPath = `${stripLeadingSlash(prefix)}/${entry.name}`;
         if (entry.metadata && typeof entry.metadata.size === 'number') {
-          files.push(fullPath);
+          files.push({ path: fullPath, size: entry.metadata.size, etag: entry.metadata.eTag || null });
         } else {
-          const nested = await this._walkFiles(fullPath);
+          const nested = await this._walkFileEntries(fullPath);
           files.push(...nested);
         }
       }
@@ -456,7 +637,90 @@ export class SupabaseStorageSource extends AssetSource {
     };
   }
 
-  async uploadAssets(files) {
+  // Collection doctor hooks (see collectionDoctor.js)
+
+  /**
+   * @param {{ fresh?: boolean }} [options] - fresh skips the manifest cache, for read-modify-write
+   * @returns {Promise<import('./types.js').AssetManifest | null>}
+   */
+  async getManifest({ fresh = false } = {}) {
+    if (!this._connected) {
+      const result = await this.connect({ refreshManifest: true });
+      if (!result.success) throw new Error(result.error);
+    }
+    if (fresh) {
+      await this._loadManifest({ bypassCache: true });
+    } else {
+      await this._ensureManifestLoaded();
+    }
+    return this._manifest;
+  }
+
+  async listCollectionFiles() {
+    const entries = await this._walkFileEntries(this._assetPrefix());
+    return entries.map((entry) => ({
+      path: toRelativeFromBase(entry.path, this._basePrefix()),
+      size: entry.size,
+    }));
+  }
+
+  async headCollectionFile(relativePath) {
+    if (this._isPrivate()) {
+      const { data, error } = await this._storage().info(this._toStoragePath(relativePath));
+      if (error) {
+        if (isNotFoundError(error)) return { exists: false, size: null };
+        throw new Error(`HEAD failed: ${error.message}`);
+      }
+      return { exists: true, size: typeof data?.size === 'number' ? data.size : null };
+    }
+
+    const response = await fetch(this._publicUrlFor(relativePath), { method: 'HEAD', cache: 'no-store' });
+    if (response.status === 404 || response.status === 400) {
+      return { exists: false, size: null };
+    }
+    if (!response.ok) {
+      throw new Error(`HEAD failed: ${response.status} ${response.statusText}`);
+    }
+    const length = Number(response.headers.get('content-length'));
+    return { exists: true, size: Number.isFinite(length) && response.headers.has('content-length') ? length : null };
+  }
+
+  async writeManifest(manifest) {
+    await this._saveManifest(manifest);
+    await this.listAssets();
+  }
+
+  // Static gallery files (see staticGallery.js)
+
+  /**
+   * Write any file under the collection, outside the manifest.
+   * @param {string} relativePath
+   * @param {Blob} body
+   * @param {{ contentType?: string }} [options]
+   */
+  async writeStaticFile(relativePath, body, { contentType } = {}) {
+    if (this._writeDenied) throw new Error(PERMISSION_DENIED);
+    const { error } = await this._storage().upload(this._toStoragePath(relativePath), body, {
+      upsert: true,
+      contentType: contentType || body.type || 'application/octet-stream',
+      cacheControl: '60',
+    });
+    if (error) {
+      if (isPermissionError(error)) {
+        this._writeDenied = true;
+        throw new Error(PERMISSION_DENIED);
+      }
+      throw new Error(error.message);
+    }
+  }
+
+  /**
+   * Upload files and add them to the manifest. Existing files are kept
+   * unless `overwrite` is set, which replaces them in place (upsert).
+   * @param {File[]} files
+   * @param {{ overwrite?: boolean }} [options]
+   */
+  async uploadAssets(files, { overwrite = false } = {}) {
     if (!this._connected) {
       const result = await this.connect({ refreshManifest: true });
       if (!result.success) return { success: false, error: result.error };
@@ -470,6 +734,12 @@ export class SupabaseStorageSource extends AssetSource {
     const existingByPath = new Map(manifest.assets.map((a) => [a.path, a]));
 
     for (const file of files) {
+      if (this._writeDenied) {
+        // Policies apply to the whole bucket; don't retry each file
+        results.failed.push({ name: file.name, error: PERMISSION_DENIED });
+        continue;
+      }
+
       const ext = getExtension(file.name);
       const base = getBaseName(file.name).toLowerCase();
 
@@ -481,12 +751,17 @@ export class SupabaseStorageSource extends AssetSource {
       const targetPath = `${this._assetPrefix()}/${file.name}`;
       const relative = toRelativeFromBase(targetPath, this._basePrefix());
       const { error } = await storage.upload(targetPath, file, {
-        upsert: false,
+        upsert: overwrite,
         contentType: file.type || 'application/octet-stream',
-        cacheControl: 'public, max-age=31536000, immutable',
+        cacheControl: overwrite ? REPLACE_CACHE_CONTROL : UPLOAD_CACHE_CONTROL,
       });
       if (error) {
-        results.failed.push({ name: file.name, error: error.message });
+        if (isPermissionError(error)) {
+          this._writeDenied = true;
+          results.failed.push({ name: file.name, error: PERMISSION_DENIED });
+        } else {
+          results.failed.push({ name: file.name, error: error.message });
+        }
         continue;
       }
 
@@ -498,6 +773,10 @@ export class SupabaseStorageSource extends AssetSource {
             size: file.size,
           });
           existingByPath.set(relative, manifest.assets[manifest.assets.length - 1]);
+        } else {
+          const existing = existingByPath.get(relative);
+          existing.name = file.name;
+          existing.size = file.size;
         }
       } else if (PREVIEW_EXTENSIONS.includes(ext)) {
         // Attach preview to matching asset if present
@@ -507,8 +786,11 @@ export class SupabaseStorageSource extends AssetSource {
           }
         }
       } else if (METADATA_SUFFIXES.some((suffix) => file.name.toLowerCase().endsWith(suffix))) {
+        // scene.meta.json pairs with scene.ply
+        const suffix = METADATA_SUFFIXES.find((candidate) => file.name.toLowerCase().endsWith(candidate));
+        const metadataBase = file.name.slice(0, -suffix.length).toLowerCase();
         for (const asset of manifest.assets) {
-          if (getBaseName(asset.path).toLowerCase() === base) {
+          if (getBaseName(asset.path).toLowerCase() === metadataBase) {
             asset.metadata = relative;
           }
         }
@@ -517,7 +799,19 @@ export class SupabaseStorageSource extends AssetSource {
       results.uploaded.push({ name: file.name, path: relative });
     }
 
-    await this._saveManifest(manifest);
+    if (results.uploaded.length === 0) {
+      const error = this._writeDenied ? `${PERMISSION_DENIED}; this account can only view the collection.` : undefined;
+      return { success: false, ...(error ? { error } : {}), ...results };
+    }
+
+    try {
+      await this._saveManifest(manifest);
+    } catch (error) {
+      // The files are in the bucket; a rescan by someone allowed to write the manifest picks them up
+      if (isPermissionError(error)) this._writeDenied = true;
+      await this.listAssets();
+      return { success: false, error: error.message, ...results };
+    }
     await this.listAssets();
     return { success: results.failed.length === 0, ...results };
   }
@@ -564,14 +858,34 @@ export class SupabaseStorageSource extends AssetSource {
       return { success: false, error: 'No valid paths to delete', failed: failures };
     }
 
-    const { error } = await this._storage().remove(Array.from(targetPaths));
+    const { data: deleted, error } = await this._storage().remove(Array.from(targetPaths));
     if (error) {
-      return { success: false, error: error.message, failed: failures };
+      if (isPermissionError(error)) this._writeDenied = true;
+      return { success: false, error: isPermissionError(error) ? PERMISSION_DENIED : error.message, failed: failures };
+    }
+
+    // Row-level security skips objects silently: anything not reported as
+    // deleted that still exists was refused, and stays in the manifest
+    const deletedPaths = new Set((deleted || []).map((object) => object.name));
+    for (const relativePath of Array.from(removedPaths)) {
+      if (deletedPaths.has(this._toStoragePath(relativePath))) continue;
+      const { exists } = await this.headCollectionFile(relativePath).catch(() => ({ exists: true }));
+      if (exists) {
+        removedPaths.delete(relativePath);
+        failures.push({ path: relativePath, error: PERMISSION_DENIED });
+        this._writeDenied = true;
+      }
     }
 
     if (removedPaths.size > 0) {
       manifest.assets = manifest.assets.filter((a) => !removedPaths.has(a.path));
-      await this._saveManifest(manifest);
+      try {
+        await this._saveManifest(manifest);
+      } catch (saveError) {
+        if (isPermissionError(saveError)) this._writeDenied = true;
+        await this.listAssets();
+        return { success: false, error: saveError.message, removed: Array.from(removedPaths), failed: failures };
+      }
       await this.listAssets();
     }
 
@@ -591,7 +905,7 @@ export class SupabaseStorageSource extends AssetSource {
       const { error: uploadError } = await storage.upload(probeName, blob, {
         upsert: false,
         contentType: 'text/plain',
-        cacheControl: 'public, max-age=31536000, immutable',
+        cacheControl: UPLOAD_CACHE_CONTROL,
       });
       if (uploadError) {
         return { success: false, error: `Upload permission failed: ${uploadError.message}` };
@@ -610,7 +924,16 @@ export class SupabaseStorageSource extends AssetSource {
   }
 }
 
-export const createSupabaseStorageSource = ({ supabaseUrl, anonKey, bucket, collectionId, name, collectionName }) => {
+export const createSupabaseStorageSource = ({
+  supabaseUrl,
+  anonKey,
+  bucket,
+  collectionId,
+  name,
+  collectionName,
+  isPrivate = false,
+  session = null,
+}) => {
   const id = createSourceId('supabase-storage');
 
   const displayName = name || collectionName || `Supabase: ${bucket}/${collectionId}`;
@@ -629,6 +952,7 @@ export const createSupabaseStorageSource = ({ supabaseUrl, anonKey, bucket, coll
       collectionId: collectionId.trim(),
       collectionName: collectionName || displayName,
       hasManifest: false,
+      ...(isPrivate ? { private: true, session } : {}),
     },
   };
 
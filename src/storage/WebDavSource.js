@@ -0,0 +1,480 @@
+/**
+ * WebDAV Source Adapter
+ *
+ * Folder-based storage on any WebDAV server (Nextcloud, Synology, Apache mod_dav, ...).
+ * Layout:
+ * {serverUrl}/{folderPath}/scene.sog
+ * {serverUrl}/{folderPath}/scene.preview.jpg   (optional preview sidecar)
+ * {serverUrl}/{folderPath}/scene.meta.json     (optional metadata sidecar)
+ *
+ * - Listing walks the folder with PROPFIND (Depth: 1 per level)
+ * - Reads use GET, with Range for partial/resumed reads
+ * - Uploads and deletes use PUT/DELETE next to the existing files
+ * - Basic auth; the password can live in the credential vault
+ */
+
+import { AssetSource } from './AssetSource.js';
+import { createSourceId, SUPPORTED_MANIFEST_VERSIONS } from './types.js';
+import { readManifestAssetFields, sortByManifestOrder, upgradeManifest } from './manifest.js';
+import { assertRangeResponse, blobToDataUrl, readResponseWithProgress } from './download.js';
+import { saveSource } from './sourceManager.js';
+import { getSupportedExtensions } from '../formats/index.js';
+import {
+  PREVIEW_EXTENSIONS,
+  PREVIEW_SUFFIX,
+  getExtension,
+  getMetadataSuffix,
+  getSidecarKey,
+  stripExtension,
+} from './fileNames.js';
+import {
+  buildBasicAuthHeader,
+  describeWebDavStatus,
+  ensureWebDavFolder,
+  joinWebDavUrl,
+  propfind,
+  walkWebDavFiles,
+  webdavRequest,
+} from './webdavApi.js';
+import { loadWebDavSettings, normalizeWebDavUrl, webdavSettingsMatchSource } from './webdavSettings.js';
+
+const MANIFEST_FILENAME = 'manifest.json';
+
+const stripLeadingSlash = (value) => value.replace(/^\/+/, '');
+
+const NETWORK_ERROR = 'Could not reach the WebDAV server. Check the URL and that it allows CORS from this site.';
+
+export class WebDavSource extends AssetSource {
+  constructor(config) {
+    super(config);
+    this._previewByBase = new Map();
+    this._metadataByBase = new Map();
+  }
+
+  _password() {
+    if (this.config.config.password) {
+      return this.config.config.password;
+    }
+    const fallbackSettings = loadWebDavSettings();
+    return webdavSettingsMatchSource(fallbackSettings, this) ? fallbackSettings.password : '';
+  }
+
+  _auth() {
+    return buildBasicAuthHeader(this.config.config.username, this._password());
+  }
+
+  _folderUrl() {
+    return joinWebDavUrl(this.config.config.serverUrl, this.config.config.folderPath);
+  }
+
+  _urlFor(relativePath) {
+    return joinWebDavUrl(this._folderUrl(), relativePath);
+  }
+
+  _isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  getCapabilities() {
+    return {
+      canList: true,
+      canStream: true,
+      canReadMetadata: true,
+      canReadPreviews: true,
+      persistent: true,
+      writable: true,
+    };
+  }
+
+  /**
+   * Verify the collection folder is reachable with the stored credentials.
+   * @param {boolean | { createIfMissing?: boolean }} [options]
+   * @returns {Promise<{success: boolean, error?: string, offline?: boolean}>}
+   */
+  async connect(options = {}) {
+    const { createIfMissing = false } = typeof options === 'boolean' ? {} : options;
+
+    if (this._isOffline()) {
+      return { success: false, error: 'Offline', offline: true };
+    }
+
+    if (this.config.config.username && !this._password()) {
+      return { success: false, error: 'WebDAV password is locked. Unlock the credential vault first.' };
+    }
+
+    const auth = this._auth();
+    try {
+      await propfind(this._folderUrl(), { auth, depth: 0 });
+    } catch (error) {
+      if (error instanceof TypeError) {
+        return { success: false, error: NETWORK_ERROR };
+      }
+      if (error.status !== 404 || !createIfMissing) {
+        return { success: false, error: error.message };
+      }
+      try {
+        await ensureWebDavFolder(this._folderUrl(), { auth });
+      } catch (createError) {
+        return { success: false, error: `Failed to create folder: ${createError.message}` };
+      }
+    }
+
+    this._connected = true;
+    await this._save();
+    return { success: true };
+  }
+
+  /**
+   * Persist the source config; a vault-encrypted password stays out of
+   * IndexedDB.
+   */
+  async _save() {
+    const json = this.toJSON();
+    const settings = loadWebDavSettings();
+    if (settings?.isEncrypted && webdavSettingsMatchSource(settings, this)) {
+      json.config = { ...json.config, password: '' };
+    }
+    await saveSource(json);
+  }
+
+  _buildPreviewAndMetadataMaps(filePaths) {
+    const previewByBase = new Map();
+    const metadataByBase = new Map();
+
+    for (const path of filePaths) {
+      if (getMetadataSuffix(path)) {
+        metadataByBase.set(getSidecarKey(path), path);
+      } else if (PREVIEW_EXTENSIONS.includes(getExtension(path))) {
+        const key = getSidecarKey(path);
+        // Prefer explicit `.preview.*` sidecars over a same-named image
+        if (!previewByBase.has(key) || stripExtension(path).toLowerCase().endsWith(PREVIEW_SUFFIX)) {
+          previewByBase.set(key, path);
+        }
+      }
+    }
+
+    return { previewByBase, metadataByBase };
+  }
+
+  async listAssets() {
+    if (!this._connected) {
+      throw new Error('Not connected');
+    }
+
+    const files = await walkWebDavFiles(this._folderUrl(), { auth: this._auth() });
+    const supportedExtensions = getSupportedExtensions();
+    const { previewByBase, metadataByBase } = this._buildPreviewAndMetadataMaps(files.map((file) => file.path));
+    this._previewByBase = previewByBase;
+    this._metadataByBase = metadataByBase;
+
+    const manifest = files.some((file) => file.path === MANIFEST_FILENAME) ? await this._readManifest() : null;
+    const manifestItems = new Map((manifest?.assets || [])
+      .filter((item) => item?.path)
+      .map((item) => [item.path.replace(/^\.?\//, ''), item]));
+
+    const assets = files
+      .filter((file) => supportedExtensions.includes(getExtension(file.name)))
+      .map((file) => {
+        const key = getSidecarKey(file.path);
+        return {
+          id: `${this.id}/${file.path}`,
+          name: file.name,
+          path: file.path,
+          sourceId: this.id,
+          sourceType: this.type,
+          size: file.size,
+          etag: file.etag,
+          preview: null,
+          previewSource: previewByBase.has(key) ? 'pending' : null,
+          _metadataPath: metadataByBase.get(key) || null,
+          ...readManifestAssetFields(manifestItems.get(file.path), manifest),
+          loaded: false,
+        };
+      });
+
+    assets.sort((a, b) => a.path.localeCompare(b.path));
+    this._assets = sortByManifestOrder(assets);
+    return this._assets;
+  }
+
+  /**
+   * Read an optional manifest.json at the folder root for the v2
+   * presentation fields. The folder listing still decides which assets exist.
+   * @returns {Promise<import('./types.js').AssetManifest | null>}
+   */
+  async _readManifest() {
+    try {
+      const response = await this._fetchFile(MANIFEST_FILENAME);
+      const manifest = await response.json();
+      if (!SUPPORTED_MANIFEST_VERSIONS.includes(manifest?.version) || !Array.isArray(manifest.assets)) {
+        console.warn('[WebDAV] Ignoring manifest.json with unsupported version or shape');
+        return null;
+      }
+      return manifest;
+    } catch (error) {
+      console.warn('[WebDAV] Failed to read manifest.json:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * GET a file, optionally as a byte range (inclusive `end`, open-ended when null).
+   * @returns {Promise<Response>}
+   */
+  async _fetchFile(relativePath, { start = 0, end = null, signal } = {}) {
+    const wantsRange = start > 0 || end !== null;
+    const response = await webdavRequest(this._urlFor(relativePath), {
+      auth: this._auth(),
+      headers: wantsRange ? { Range: `bytes=${start}-${end ?? ''}` } : {},
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch asset: ${describeWebDavStatus(response.status)}`);
+    }
+    return response;
+  }
+
+  async fetchAssetData(asset, { signal, onProgress } = {}) {
+    const response = await this._fetchFile(asset.path, { signal });
+    return readResponseWithProgress(response, { signal, onProgress, total: asset.size });
+  }
+
+  /**
+   * Stream an asset, resuming from `offset` with a Range request.
+   * @param {import('./types.js').RemoteAssetDescriptor} asset
+   * @param {{ offset?: number }} [options]
+   * @returns {Promise<ReadableStream>}
+   */
+  async fetchAssetStream(asset, { offset = 0, signal } = {}) {
+    const response = await this._fetchFile(asset.path, { start: offset, signal });
+    assertRangeResponse(response, offset);
+    return response.body;
+  }
+
+  /**
+   * Read bytes [start, end] of an asset. Falls back to slicing the full
+   * body when the server ignores Range.
+   * @param {import('./types.js').RemoteAssetDescriptor} asset
+   * @param {number} start
+   * @param {number} end - Inclusive end offset
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async fetchAssetRange(asset, start, end) {
+    const response = await this._fetchFile(asset.path, { start, end });
+    const buffer = await response.arrayBuffer();
+    return response.status === 206 ? buffer : buffer.slice(start, end + 1);
+  }
+
+  async fetchPreview(asset) {
+    if (asset.preview) return asset.preview;
+
+    const previewPath = this._previewByBase.get(getSidecarKey(asset.path));
+    if (!previewPath) return null;
+
+    try {
+      const response = await this._fetchFile(previewPath);
+      return blobToDataUrl(await response.blob());
+    } catch (error) {
+      console.warn(`Failed to load preview for ${asset.name}:`, error);
+      return null;
+    }
+  }
+
+  async fetchMetadata(asset) {
+    const metadataPath = asset._metadataPath || this._metadataByBase.get(getSidecarKey(asset.path));
+    if (!metadataPath) return null;
+
+    try {
+      const response = await this._fetchFile(metadataPath);
+      return response.json();
+    } catch (error) {
+      console.warn(`Failed to load metadata for ${asset.name}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Re-list the folder. There is no manifest, so changes always apply.
+   */
+  async rescan() {
+    if (!this._connected) {
+      const result = await this.connect();
+      if (!result.success) return { success: false, error: result.error };
+    }
+
+    const previousPaths = new Set(this._assets.map((asset) => asset.path));
+    const assets = await this.listAssets();
+    const currentPaths = new Set(assets.map((asset) => asset.path));
+
+    return {
+      success: true,
+      added: assets
+        .filter((asset) => !previousPaths.has(asset.path))
+        .map((asset) => ({ path: asset.path, name: asset.name })),
+      missing: Array.from(previousPaths).filter((path) => !currentPaths.has(path)),
+      hasManifest: false,
+      totalFiles: assets.length,
+      applied: true,
+    };
+  }
+
+  /**
+   * PUT files into the folder. Existing files are kept (If-None-Match: *)
+   * unless `overwrite` is set.
+   * @param {File[]} files
+   * @param {{ overwrite?: boolean }} [options]
+   */
+  async uploadAssets(files, { overwrite = false } = {}) {
+    if (!this._connected) {
+      const result = await this.connect({ createIfMissing: true });
+      if (!result.success) return { success: false, error: result.error };
+    }
+
+    const supportedExtensions = getSupportedExtensions();
+    const auth = this._auth();
+    const results = { uploaded: [], failed: [] };
+
+    for (const file of files) {
+      const ext = getExtension(file.name);
+      if (!supportedExtensions.includes(ext) && !PREVIEW_EXTENSIONS.includes(ext) && !getMetadataSuffix(file.name)) {
+        results.failed.push({ name: file.name, error: 'Unsupported file type' });
+        continue;
+      }
+
+      try {
+        const response = await webdavRequest(this._urlFor(file.name), {
+          method: 'PUT',
+          auth,
+          headers: {
+            'Content-Type': file.type || 'application/octet-stream',
+            ...(overwrite ? {} : { 'If-None-Match': '*' }),
+          },
+          body: file,
+        });
+        if (!response.ok) {
+          results.failed.push({ name: file.name, error: describeWebDavStatus(response.status) });
+          continue;
+        }
+        results.uploaded.push({ name: file.name, path: file.name });
+      } catch (error) {
+        results.failed.push({ name: file.name, error: error instanceof TypeError ? NETWORK_ERROR : error.message });
+      }
+    }
+
+    await this.listAssets();
+    return { success: results.failed.length === 0, ...results };
+  }
+
+  /**
+   * Write manifest.json at the folder root. Only its v2 presentation fields
+   * are read back; the folder listing still decides which assets exist.
+   * @param {import('./types.js').AssetManifest} manifest
+   */
+  async writeManifest(manifest) {
+    const response = await webdavRequest(this._urlFor(MANIFEST_FILENAME), {
+      method: 'PUT',
+      auth: this._auth(),
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(upgradeManifest(manifest), null, 2),
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to write manifest: ${describeWebDavStatus(response.status)}`);
+    }
+    await this.listAssets();
+  }
+
+  async deleteAssets(items) {
+    if (!this._connected) {
+      const result = await this.connect();
+      if (!result.success) return { success: false, error: result.error };
+    }
+
+    const normalized = Array.isArray(items) ? items : [items];
+    const auth = this._auth();
+    const removedPaths = [];
+    const failures = [];
+
+    for (const item of normalized) {
+      const rawPath = typeof item === 'string'
+        ? item
+        : item?.path || item?._remoteAsset?.path;
+
+      if (!rawPath) {
+        failures.push({ path: null, error: 'Missing path' });
+        continue;
+      }
+
+      const relativePath = stripLeadingSlash(rawPath);
+      const key = getSidecarKey(relativePath);
+      const targets = [
+        relativePath,
+        this._previewByBase.get(key),
+        this._metadataByBase.get(key),
+      ].filter(Boolean);
+
+      let failed = false;
+      for (const target of targets) {
+        try {
+          const response = await webdavRequest(this._urlFor(target), { method: 'DELETE', auth });
+          if (!response.ok && response.status !== 404) {
+            failures.push({ path: target, error: describeWebDavStatus(response.status) });
+            failed = failed || target === relativePath;
+          }
+        } catch (error) {
+          failures.push({ path: target, error: error.message });
+          failed = failed || target === relativePath;
+        }
+      }
+
+      if (!failed) {
+        removedPaths.push(relativePath);
+      }
+    }
+
+    if (removedPaths.length === 0 && failures.length > 0) {
+      return { success: false, error: failures[0].error, failed: failures };
+    }
+
+    await this.listAssets();
+    return { success: failures.length === 0, removed: removedPaths, failed: failures };
+  }
+}
+
+/**
+ * Create a new WebDavSource for a folder under a server URL.
+ * @returns {WebDavSource}
+ */
+export const createWebDavSource = ({ serverUrl, folderPath, username, password, name, collectionName }) => {
+  const id = createSourceId('webdav');
+  const normalizedFolder = String(folderPath || '').trim().replace(/^\/+|\/+$/g, '');
+  const displayName = name || collectionName || `WebDAV: ${normalizedFolder || serverUrl}`;
+
+  const config = {
+    id,
+    type: 'webdav',
+    name: displayName,
+    createdAt: Date.now(),
+    lastAccessed: Date.now(),
+    isDefault: false,
+    config: {
+      serverUrl: normalizeWebDavUrl(serverUrl),
+      folderPath: normalizedFolder,
+      username: String(username || '').trim(),
+      password: String(password || ''),
+      collectionName: collectionName || displayName,
+    },
+  };
+
+  return new WebDavSource(config);
+};
+
+/**
+ * Restore a WebDavSource from persisted config.
+ * @param {Object} config - Persisted source config
+ * @returns {WebDavSource}
+ */
+export const restoreWebDavSource = (config) => {
+  return new WebDavSource(config);
+};
+
+export default WebDavSource;
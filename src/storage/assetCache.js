@@ -2,19 +2,90 @@
  * Asset Cache Module
  *
  * Persists cached asset blobs in IndexedDB and tracks per-collection cache manifests.
- * This cache is name-based (file name only) and independent from preview storage.
+ *
+ * Entries are keyed by source id + path and remember the ETag, size and
+ * SHA-256 they were cached with; a lookup whose descriptor disagrees is a
+ * miss, so a changed remote file is fetched again. Blobs live in a separate
+ * content store keyed by their SHA-256, so identical bytes cached from
+ * several collections are stored once.
  */
 
-import { loadFileSettings, saveFileSettings } from '../fileStorage.js';
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex } from '@noble/hashes/utils';
 
 const DB_NAME = 'radia-viewer-asset-cache';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 
-const ASSET_STORE = 'asset-blobs';
+// v1 store keyed by file name only; migrated into ENTRY_STORE/CONTENT_STORE
+const LEGACY_ASSET_STORE = 'asset-blobs';
+const ENTRY_STORE = 'asset-entries';
+const CONTENT_STORE = 'asset-content';
 const MANIFEST_STORE = 'collection-manifests';
 
 let dbInstance = null;
 
+const stripLeadingSlash = (value) => (value || '').replace(/^\/+/, '');
+
+const getEntryKey = (sourceId, path) => `${sourceId}::${path}`;
+
+/**
+ * Move v1 name-keyed blobs to source/path entries. The cache manifests are the
+ * only record of which collection a blob came from; blobs no manifest lists
+ * could not be looked up by collection anyway and are dropped.
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ */
+const migrateLegacyBlobs = (transaction) => {
+  const db = transaction.db;
+  const blobsRequest = transaction.objectStore(LEGACY_ASSET_STORE).getAll();
+
+  blobsRequest.onsuccess = () => {
+    const records = new Map((blobsRequest.result || []).map((record) => [record.fileName, record]));
+    const manifestsRequest = transaction.objectStore(MANIFEST_STORE).getAll();
+
+    manifestsRequest.onsuccess = () => {
+      const entryStore = transaction.objectStore(ENTRY_STORE);
+      const contentStore = transaction.objectStore(CONTENT_STORE);
+      const migrated = new Set();
+
+      for (const manifest of manifestsRequest.result || []) {
+        for (const asset of manifest?.assets || []) {
+          const record = records.get(asset?.name);
+          const path = stripLeadingSlash(asset?.path || asset?.name);
+          if (!manifest.sourceId || !record?.blob || !path) continue;
+
+          // Without a hash, the old name is the only content identity we have
+          const contentKey = `legacy:${record.fileName}`;
+          if (!migrated.has(contentKey)) {
+            migrated.add(contentKey);
+            contentStore.put({
+              contentKey,
+              blob: record.blob,
+              size: record.size ?? record.blob.size ?? null,
+              type: record.type ?? null,
+              updated: record.updated ?? Date.now(),
+            });
+          }
+          entryStore.put({
+            key: getEntryKey(manifest.sourceId, path),
+            sourceId: manifest.sourceId,
+            path,
+            fileName: asset.name,
+            etag: null,
+            size: record.size ?? record.blob.size ?? null,
+            sha256: null,
+            contentKey,
+            type: record.type ?? null,
+            updated: record.updated ?? Date.now(),
+            lastViewed: record.updated ?? Date.now(),
+          });
+        }
+      }
+
+      db.deleteObjectStore(LEGACY_ASSET_STORE);
+    };
+  };
+};
+
 const openDatabase = () => {
   if (dbInstance) return Promise.resolve(dbInstance);
 
@@ -33,9 +104,16 @@ const openDatabase = () => {
     request.onupgradeneeded = (event) => {
       const db = event.target.result;
 
-      if (!db.objectStoreNames.contains(ASSET_STORE)) {
-        const store = db.createObjectStore(ASSET_STORE, { keyPath: 'fileName' });
+      if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+        const store = db.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+        store.createIndex('sourceId', 'sourceId', { unique: false });
+        store.createIndex('contentKey', 'contentKey', { unique: false });
         store.createIndex('updated', 'updated', { unique: false });
+        store.createIndex('lastViewed', 'lastViewed', { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(CONTENT_STORE)) {
+        const store = db.createObjectStore(CONTENT_STORE, { keyPath: 'contentKey' });
         store.createIndex('size', 'size', { unique: false });
       }
 
@@ -43,6 +121,10 @@ const openDatabase = () => {
         const store = db.createObjectStore(MANIFEST_STORE, { keyPath: 'sourceId' });
         store.createIndex('updated', 'updated', { unique: false });
       }
+
+      if (db.objectStoreNames.contains(LEGACY_ASSET_STORE)) {
+        migrateLegacyBlobs(event.target.transaction);
+      }
     };
   });
 };
@@ -76,77 +158,323 @@ const buildEmptyManifest = (sourceId, sourceName = '', sourceType = '') => {
   };
 };
 
-export const loadCachedAssetBlob = async (fileName) => {
-  if (!fileName) return null;
+/**
+ * @typedef {Object} CacheIdentity
+ * @property {string} key - `${sourceId}::${path}`
+ * @property {string} sourceId
+ * @property {string} path - Path within the source
+ * @property {string} fileName
+ * @property {string | null} etag
+ * @property {number | null} size
+ * @property {string | null} sha256 - From the manifest checksum, when present
+ */
+
+/**
+ * Cache identity of a remote descriptor or an adapted asset.
+ * @param {Object} asset - RemoteAssetDescriptor or adapted asset (uses `_remoteAsset`)
+ * @returns {CacheIdentity | null}
+ */
+export const getCacheIdentity = (asset) => {
+  const remote = asset?._remoteAsset || asset;
+  const sourceId = remote?.sourceId || asset?.sourceId;
+  const path = stripLeadingSlash(remote?.path || remote?.name);
+  if (!sourceId || !path) return null;
+  return {
+    key: getEntryKey(sourceId, path),
+    sourceId,
+    path,
+    fileName: remote.name || path.split('/').pop(),
+    etag: remote.etag || null,
+    size: Number.isFinite(remote.size) ? remote.size : null,
+    sha256: remote.checksum?.sha256 || null,
+  };
+};
+
+// Strongest validator both sides know wins; entries with nothing to compare are trusted
+const isEntryCurrent = (entry, identity) => {
+  if (identity.sha256 && entry.sha256) return identity.sha256 === entry.sha256;
+  if (identity.etag && entry.etag) return identity.etag === entry.etag;
+  if (identity.size !== null && entry.size !== null) return identity.size === entry.size;
+  return true;
+};
+
+// Hash in slices so multi-GB assets never sit in memory twice
+const HASH_CHUNK_BYTES = 8 * 1024 * 1024;
+
+const computeSha256 = async (blob) => {
+  try {
+    const hash = sha256.create();
+    for (let offset = 0; offset < blob.size; offset += HASH_CHUNK_BYTES) {
+      const chunk = await blob.slice(offset, offset + HASH_CHUNK_BYTES).arrayBuffer();
+      hash.update(new Uint8Array(chunk));
+    }
+    return bytesToHex(hash.digest());
+  } catch (err) {
+    console.warn('[AssetCache] Failed to hash asset', err);
+    return null;
+  }
+};
+
+const requestToPromise = (request, message) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(new Error(message));
+});
+
+const transactionDone = (tx, message) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(new Error(message));
+  tx.onabort = () => reject(new Error(message));
+});
+
+// Drop content no entry points at any more. Must run inside a readwrite
+// transaction over both stores.
+const releaseContent = (tx, contentKey) => {
+  if (!contentKey) return;
+  const countRequest = tx.objectStore(ENTRY_STORE).index('contentKey').count(contentKey);
+  countRequest.onsuccess = () => {
+    if (countRequest.result === 0) {
+      tx.objectStore(CONTENT_STORE).delete(contentKey);
+    }
+  };
+};
+
+const loadEntry = async (key) => {
+  const db = await openDatabase();
+  const tx = db.transaction([ENTRY_STORE], 'readonly');
+  return requestToPromise(tx.objectStore(ENTRY_STORE).get(key), `Failed to load cache entry: ${key}`);
+};
+
+// Recency only orders eviction, so a minute of slack saves a write per view
+const VIEW_TOUCH_INTERVAL_MS = 60 * 1000;
+
+const touchEntry = async (entry) => {
+  const now = Date.now();
+  if (now - (entry.lastViewed || 0) < VIEW_TOUCH_INTERVAL_MS) return;
   try {
     const db = await openDatabase();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction([ASSET_STORE], 'readonly');
-      const store = tx.objectStore(ASSET_STORE);
-      const request = store.get(fileName);
-      request.onsuccess = () => resolve(request.result || null);
-      request.onerror = () => reject(new Error(`Failed to load cached asset: ${fileName}`));
-    });
+    const tx = db.transaction([ENTRY_STORE], 'readwrite');
+    tx.objectStore(ENTRY_STORE).put({ ...entry, lastViewed: now });
+    await transactionDone(tx, `Failed to update cache entry: ${entry.key}`);
+  } catch (err) {
+    console.warn('[AssetCache] Failed to record asset view', err);
+  }
+};
+
+/**
+ * Load the cached record for an asset.
+ * @param {Object} asset - RemoteAssetDescriptor or adapted asset
+ * @returns {Promise<{ blob: Blob, size: number | null, type: string | null, sha256: string | null, etag: string | null, updated: number } | null>}
+ *   null when nothing is cached or the cached copy is stale
+ */
+export const loadCachedAssetBlob = async (asset) => {
+  const identity = getCacheIdentity(asset);
+  if (!identity) return null;
+  try {
+    const entry = await loadEntry(identity.key);
+    if (!entry || !isEntryCurrent(entry, identity)) return null;
+
+    const db = await openDatabase();
+    const tx = db.transaction([CONTENT_STORE], 'readonly');
+    const content = await requestToPromise(
+      tx.objectStore(CONTENT_STORE).get(entry.contentKey),
+      `Failed to load cached asset: ${identity.path}`,
+    );
+    if (!content?.blob) return null;
+    touchEntry(entry);
+    return {
+      blob: content.blob,
+      size: entry.size ?? content.size ?? null,
+      type: entry.type ?? content.type ?? null,
+      sha256: entry.sha256,
+      etag: entry.etag,
+      updated: entry.updated,
+    };
   } catch (err) {
     console.warn('[AssetCache] Failed to load cached asset', err);
     return null;
   }
 };
 
-export const hasCachedAsset = async (fileName) => {
-  const record = await loadCachedAssetBlob(fileName);
-  return !!record?.blob;
+export const hasCachedAsset = async (asset) => {
+  const identity = getCacheIdentity(asset);
+  if (!identity) return false;
+  try {
+    const entry = await loadEntry(identity.key);
+    return Boolean(entry && isEntryCurrent(entry, identity));
+  } catch (err) {
+    console.warn('[AssetCache] Failed to check cached asset', err);
+    return false;
+  }
 };
 
-export const loadCachedAssetFile = async (fileName) => {
-  const record = await loadCachedAssetBlob(fileName);
+export const loadCachedAssetFile = async (asset) => {
+  const record = await loadCachedAssetBlob(asset);
   if (!record?.blob) return null;
+  const identity = getCacheIdentity(asset);
   const type = record.blob.type || 'application/octet-stream';
-  return new File([record.blob], fileName, { type });
+  return new File([record.blob], identity.fileName, { type });
 };
 
-export const saveCachedAssetBlob = async (fileName, blob, metadata = {}) => {
-  if (!fileName || !blob) return false;
+/**
+ * Cache an asset's bytes. Identical bytes already cached for another
+ * collection are reused rather than stored again.
+ * @param {Object} asset - RemoteAssetDescriptor or adapted asset
+ * @param {Blob} blob
+ * @param {{ size?: number, type?: string }} [metadata]
+ * @returns {Promise<boolean>}
+ */
+export const saveCachedAssetBlob = async (asset, blob, metadata = {}) => {
+  const identity = getCacheIdentity(asset);
+  if (!identity || !blob) return false;
   try {
+    const sha256 = await computeSha256(blob);
+    if (sha256 && identity.sha256 && sha256 !== identity.sha256) {
+      console.warn(`[AssetCache] ${identity.path} does not match its manifest checksum`);
+    }
+    const contentKey = sha256 ? `sha256:${sha256}` : `entry:${identity.key}`;
+    const size = metadata.size ?? blob.size ?? null;
+    const type = metadata.type ?? blob.type ?? null;
+    const now = Date.now();
+
     const db = await openDatabase();
-    const record = {
-      fileName,
-      blob,
-      size: metadata.size ?? blob.size ?? null,
-      type: metadata.type ?? blob.type ?? null,
-      updated: Date.now(),
+    const tx = db.transaction([ENTRY_STORE, CONTENT_STORE], 'readwrite');
+    const entryStore = tx.objectStore(ENTRY_STORE);
+    const contentStore = tx.objectStore(CONTENT_STORE);
+
+    const contentRequest = contentStore.getKey(contentKey);
+    contentRequest.onsuccess = () => {
+      if (contentRequest.result === undefined || contentKey.startsWith('entry:')) {
+        contentStore.put({ contentKey, blob, size, type, updated: now });
+      }
     };
 
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction([ASSET_STORE], 'readwrite');
-      const store = tx.objectStore(ASSET_STORE);
-      const request = store.put(record);
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(new Error(`Failed to save cached asset: ${fileName}`));
-    });
+    const previousRequest = entryStore.get(identity.key);
+    previousRequest.onsuccess = () => {
+      const previous = previousRequest.result;
+      const putRequest = entryStore.put({
+        key: identity.key,
+        sourceId: identity.sourceId,
+        path: identity.path,
+        fileName: identity.fileName,
+        etag: identity.etag,
+        size,
+        sha256,
+        contentKey,
+        type,
+        updated: now,
+        lastViewed: now,
+      });
+      if (previous?.contentKey && previous.contentKey !== contentKey) {
+        putRequest.onsuccess = () => releaseContent(tx, previous.contentKey);
+      }
+    };
+
+    await transactionDone(tx, `Failed to save cached asset: ${identity.path}`);
+    return true;
   } catch (err) {
     console.warn('[AssetCache] Failed to save cached asset', err);
     return false;
   }
 };
 
-export const deleteCachedAssetBlob = async (fileName) => {
-  if (!fileName) return false;
+export const deleteCachedAssetBlob = async (asset) => {
+  const identity = getCacheIdentity(asset);
+  if (!identity) return false;
   try {
     const db = await openDatabase();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction([ASSET_STORE], 'readwrite');
-      const store = tx.objectStore(ASSET_STORE);
-      const request = store.delete(fileName);
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(new Error(`Failed to delete cached asset: ${fileName}`));
-    });
+    const tx = db.transaction([ENTRY_STORE, CONTENT_STORE], 'readwrite');
+    const entryStore = tx.objectStore(ENTRY_STORE);
+    const entryRequest = entryStore.get(identity.key);
+    entryRequest.onsuccess = () => {
+      const entry = entryRequest.result;
+      if (!entry) return;
+      entryStore.delete(identity.key).onsuccess = () => releaseContent(tx, entry.contentKey);
+    };
+    await transactionDone(tx, `Failed to delete cached asset: ${identity.path}`);
+    return true;
   } catch (err) {
     console.warn('[AssetCache] Failed to delete cached asset', err);
     return false;
   }
 };
 
+/**
+ * Paths cached for a source (current or stale).
+ * @param {string} sourceId
+ * @returns {Promise<string[]>}
+ */
+export const listCachedAssetPaths = async (sourceId) => {
+  if (!sourceId) return [];
+  try {
+    const db = await openDatabase();
+    const tx = db.transaction([ENTRY_STORE], 'readonly');
+    const keys = await requestToPromise(
+      tx.objectStore(ENTRY_STORE).index('sourceId').getAllKeys(sourceId),
+      `Failed to list cached assets: ${sourceId}`,
+    );
+    const prefix = getEntryKey(sourceId, '');
+    return (keys || []).map((key) => key.slice(prefix.length));
+  } catch (err) {
+    console.warn('[AssetCache] Failed to list cached assets', err);
+    return [];
+  }
+};
+
+/**
+ * Whether an adapted asset or descriptor is in a path list from listCachedAssetPaths().
+ * @param {Set<string>} cachedPaths
+ * @param {Object} asset
+ * @returns {boolean}
+ */
+export const isPathCached = (cachedPaths, asset) => {
+  const remote = asset?._remoteAsset || asset;
+  const path = stripLeadingSlash(remote?.path || remote?.name);
+  return Boolean(path) && cachedPaths.has(path);
+};
+
+/**
+ * All cache entries without their blobs, for usage reports and eviction.
+ * Entries sharing a `contentKey` share one stored copy.
+ * @returns {Promise<Array<{ key: string, sourceId: string, path: string, fileName: string, size: number | null, contentKey: string, lastViewed: number }>>}
+ */
+export const listCacheEntries = async () => {
+  try {
+    const db = await openDatabase();
+    const tx = db.transaction([ENTRY_STORE], 'readonly');
+    const entries = await requestToPromise(tx.objectStore(ENTRY_STORE).getAll(), 'Failed to list cache entries');
+    return (entries || []).map((entry) => ({
+      ...entry,
+      lastViewed: entry.lastViewed ?? entry.updated ?? 0,
+    }));
+  } catch (err) {
+    console.warn('[AssetCache] Failed to list cache entries', err);
+    return [];
+  }
+};
+
+/**
+ * Delete stored content and every entry that points at it.
+ * @param {string} contentKey
+ * @returns {Promise<boolean>}
+ */
+export const evictCachedContent = async (contentKey) => {
+  if (!contentKey) return false;
+  try {
+    const db = await openDatabase();
+    const tx = db.transaction([ENTRY_STORE, CONTENT_STORE], 'readwrite');
+    const keysRequest = tx.objectStore(ENTRY_STORE).index('contentKey').getAllKeys(contentKey);
+    keysRequest.onsuccess = () => {
+      (keysRequest.result || []).forEach((key) => tx.objectStore(ENTRY_STORE).delete(key));
+      tx.objectStore(CONTENT_STORE).delete(contentKey);
+    };
+    await transactionDone(tx, `Failed to evict cached content: ${contentKey}`);
+    return true;
+  } catch (err) {
+    console.warn('[AssetCache] Failed to evict cached content', err);
+    return false;
+  }
+};
+
 export const loadCollectionManifest = async (sourceId) => {
   if (!sourceId) return null;
   try {
@@ -203,16 +531,20 @@ export const deleteCollectionManifest = async (sourceId) => {
   }
 };
 
+const buildManifestAsset = (asset, file = null) => ({
+  name: asset.name,
+  path: asset.path,
+  size: asset.size ?? file?.size ?? null,
+  etag: asset.etag ?? null,
+  checksum: asset.checksum ?? null,
+});
+
 const buildManifest = (source, assets) => {
   return {
     sourceId: source.id,
     sourceName: source.name,
     sourceType: source.type,
-    assets: assets.map((asset) => ({
-      name: asset.name,
-      path: asset.path,
-      size: asset.size ?? null,
-    })),
+    assets: assets.map((asset) => buildManifestAsset(asset)),
   };
 };
 
@@ -255,31 +587,56 @@ export const filterRemovedAssets = async (sourceId, assets, options = {}) => {
   return assets.filter((asset) => !removedSet.has(getName(asset)));
 };
 
+/**
+ * Make room for `bytes` before an asset is written, or report that it will
+ * not fit. Supplied by the storage manager so caching respects the budget.
+ * @callback ReserveSpace
+ * @param {number} bytes
+ * @returns {Promise<boolean>}
+ */
+
+// Size is not always in the listing; check again once the file is in hand
+const reserveFor = async (reserveSpace, asset, file = null) => {
+  if (!reserveSpace) return true;
+  if (file && Number.isFinite(asset?.size)) return true;
+  return reserveSpace(file?.size ?? asset?.size ?? 0);
+};
+
+/**
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {Object[]} assets
+ * @param {{ onProgress?: Function, reserveSpace?: ReserveSpace }} [options]
+ * @returns {Promise<{ cached: number, skipped: number, failed: number, overBudget: number, total: number }>}
+ */
 export const cacheCollectionAssets = async (source, assets, options = {}) => {
-  if (!source || !Array.isArray(assets)) return { cached: 0, skipped: 0, failed: 0, total: 0 };
-  const { onProgress } = options;
+  if (!source || !Array.isArray(assets)) return { cached: 0, skipped: 0, failed: 0, overBudget: 0, total: 0 };
+  const { onProgress, reserveSpace } = options;
   const removed = await getRemovedAssetNames(source.id);
   const removedSet = new Set(removed);
   const filteredAssets = assets.filter((asset) => !removedSet.has(asset?.name));
   let cached = 0;
   let skipped = 0;
   let failed = 0;
+  let overBudget = 0;
   const total = filteredAssets.length;
 
   for (let i = 0; i < filteredAssets.length; i++) {
     const asset = filteredAssets[i];
-    const fileName = asset?.name;
-    if (!fileName) {
+    if (!getCacheIdentity(asset)) {
       failed += 1;
       if (onProgress) onProgress({ cached, skipped, failed, total });
       continue;
     }
 
     try {
-      const existing = await loadCachedAssetBlob(fileName);
-      if (existing?.blob) {
+      if (await hasCachedAsset(asset)) {
         skipped += 1;
-        await saveFileSettings(fileName, { isCached: true });
+        if (onProgress) onProgress({ cached, skipped, failed, total });
+        continue;
+      }
+
+      if (!await reserveFor(reserveSpace, asset)) {
+        overBudget += 1;
         if (onProgress) onProgress({ cached, skipped, failed, total });
         continue;
       }
@@ -291,11 +648,15 @@ export const cacheCollectionAssets = async (source, assets, options = {}) => {
         continue;
       }
 
-      await saveCachedAssetBlob(fileName, file, { size: file.size, type: file.type });
-      await saveFileSettings(fileName, { isCached: true });
-      cached += 1;
+      if (!await reserveFor(reserveSpace, asset, file)) {
+        overBudget += 1;
+      } else if (await saveCachedAssetBlob(asset, file, { size: file.size, type: file.type })) {
+        cached += 1;
+      } else {
+        failed += 1;
+      }
     } catch (err) {
-      console.warn('[AssetCache] Failed to cache asset', fileName, err);
+      console.warn('[AssetCache] Failed to cache asset', asset?.path, err);
       failed += 1;
     }
 
@@ -308,71 +669,84 @@ export const cacheCollectionAssets = async (source, assets, options = {}) => {
     nextManifest.removed = existingManifest.removed;
   }
   await saveCollectionManifest(nextManifest);
-  return { cached, skipped, failed, total };
+  return { cached, skipped, failed, overBudget, total };
 };
 
-export const syncCollectionCache = async (source, remoteAssets) => {
-  if (!source || !Array.isArray(remoteAssets) || remoteAssets.length === 0) return { cached: 0, skipped: 0, failed: 0, total: 0 };
+/**
+ * Cache assets that are new or changed since the collection was cached.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {Object[]} remoteAssets
+ * @param {{ reserveSpace?: ReserveSpace }} [options]
+ */
+export const syncCollectionCache = async (source, remoteAssets, options = {}) => {
+  if (!source || !Array.isArray(remoteAssets) || remoteAssets.length === 0) return { cached: 0, skipped: 0, failed: 0, overBudget: 0, total: 0 };
 
   const manifest = await loadCollectionManifest(source.id);
-  if (!manifest) return { cached: 0, skipped: 0, failed: 0, total: remoteAssets.length };
+  if (!manifest) return { cached: 0, skipped: 0, failed: 0, overBudget: 0, total: remoteAssets.length };
+  const { reserveSpace } = options;
 
-  const cachedNames = new Set((manifest.assets || []).map((asset) => asset.name));
+  const manifestIndex = new Map((manifest.assets || []).map((asset, index) => [asset.path || asset.name, index]));
   let cached = 0;
   let skipped = 0;
   let failed = 0;
+  let overBudget = 0;
 
   for (const asset of remoteAssets) {
-    const fileName = asset?.name;
-    if (!fileName) continue;
+    if (!getCacheIdentity(asset)) continue;
 
-    const alreadyInManifest = cachedNames.has(fileName);
-    const existing = await loadCachedAssetBlob(fileName);
-    if (alreadyInManifest && existing?.blob) {
+    const manifestPosition = manifestIndex.get(asset.path || asset.name);
+    if (manifestPosition !== undefined && await hasCachedAsset(asset)) {
       skipped += 1;
       continue;
     }
 
     try {
+      if (!await reserveFor(reserveSpace, asset)) {
+        overBudget += 1;
+        continue;
+      }
       const file = await source.fetchAssetFile(asset);
       if (!file) {
         failed += 1;
         continue;
       }
-      await saveCachedAssetBlob(fileName, file, { size: file.size, type: file.type });
-      await saveFileSettings(fileName, { isCached: true });
+      if (!await reserveFor(reserveSpace, asset, file)) {
+        overBudget += 1;
+        continue;
+      }
+      if (!await saveCachedAssetBlob(asset, file, { size: file.size, type: file.type })) {
+        failed += 1;
+        continue;
+      }
       cached += 1;
-      if (!alreadyInManifest) {
-        cachedNames.add(fileName);
-        manifest.assets.push({
-          name: fileName,
-          path: asset.path,
-          size: asset.size ?? file.size ?? null,
-        });
+      // Keep the offline manifest's identity in step with what was cached
+      if (manifestPosition === undefined) {
+        manifestIndex.set(asset.path || asset.name, manifest.assets.length);
+        manifest.assets.push(buildManifestAsset(asset, file));
+      } else {
+        manifest.assets[manifestPosition] = buildManifestAsset(asset, file);
       }
     } catch (err) {
-      console.warn('[AssetCache] Failed to sync cache asset', fileName, err);
+      console.warn('[AssetCache] Failed to sync cache asset', asset?.path, err);
       failed += 1;
     }
   }
 
   await saveCollectionManifest(manifest);
-  return { cached, skipped, failed, total: remoteAssets.length };
+  return { cached, skipped, failed, overBudget, total: remoteAssets.length };
 };
 
 export const clearCollectionCache = async (sourceId) => {
   const manifest = await loadCollectionManifest(sourceId);
-  if (!manifest) return { removed: 0 };
 
   let removed = 0;
-  for (const asset of manifest.assets || []) {
-    const fileName = asset?.name;
-    if (!fileName) continue;
-    const removedOk = await deleteCachedAssetBlob(fileName);
+  for (const path of await listCachedAssetPaths(sourceId)) {
+    const removedOk = await deleteCachedAssetBlob({ sourceId, path });
     if (removedOk) removed += 1;
-    await saveFileSettings(fileName, { isCached: false });
   }
 
+  if (!manifest) return { removed };
+
   if (manifest?.removed?.length) {
     await saveCollectionManifest({
       ...manifest,
@@ -387,59 +761,21 @@ export const clearCollectionCache = async (sourceId) => {
 export const clearAllAssetCache = async () => {
   try {
     const db = await openDatabase();
+    const stores = [ENTRY_STORE, CONTENT_STORE, MANIFEST_STORE];
 
-    const cachedFileNames = await new Promise((resolve, reject) => {
-      const tx = db.transaction([ASSET_STORE], 'readonly');
-      const store = tx.objectStore(ASSET_STORE);
-      const request = store.getAllKeys();
-      request.onsuccess = () => resolve(Array.isArray(request.result) ? request.result : []);
-      request.onerror = () => reject(new Error('Failed to list asset cache keys'));
-    });
+    const countTx = db.transaction(stores, 'readonly');
+    const [entryCount, , manifestCount] = await Promise.all(stores.map((name) => requestToPromise(
+      countTx.objectStore(name).count(),
+      `Failed to count ${name}`,
+    )));
 
-    const counts = await Promise.all([
-      new Promise((resolve, reject) => {
-        const tx = db.transaction([ASSET_STORE], 'readonly');
-        const store = tx.objectStore(ASSET_STORE);
-        const request = store.count();
-        request.onsuccess = () => resolve(request.result || 0);
-        request.onerror = () => reject(new Error('Failed to count asset cache blobs'));
-      }),
-      new Promise((resolve, reject) => {
-        const tx = db.transaction([MANIFEST_STORE], 'readonly');
-        const store = tx.objectStore(MANIFEST_STORE);
-        const request = store.count();
-        request.onsuccess = () => resolve(request.result || 0);
-        request.onerror = () => reject(new Error('Failed to count asset cache manifests'));
-      }),
-    ]);
-
-    await Promise.all([
-      new Promise((resolve, reject) => {
-        const tx = db.transaction([ASSET_STORE], 'readwrite');
-        const store = tx.objectStore(ASSET_STORE);
-        const request = store.clear();
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(new Error('Failed to clear asset cache blobs'));
-      }),
-      new Promise((resolve, reject) => {
-        const tx = db.transaction([MANIFEST_STORE], 'readwrite');
-        const store = tx.objectStore(MANIFEST_STORE);
-        const request = store.clear();
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(new Error('Failed to clear asset cache manifests'));
-      }),
-    ]);
-
-    for (const fileName of cachedFileNames) {
-      if (!fileName) continue;
-      const existingSettings = await loadFileSettings(fileName);
-      if (!existingSettings) continue;
-      await saveFileSettings(fileName, { isCached: false });
-    }
+    const clearTx = db.transaction(stores, 'readwrite');
+    stores.forEach((name) => clearTx.objectStore(name).clear());
+    await transactionDone(clearTx, 'Failed to clear asset cache');
 
     return {
-      assetBlobsCleared: counts[0],
-      manifestsCleared: counts[1],
+      assetBlobsCleared: entryCount || 0,
+      manifestsCleared: manifestCount || 0,
     };
   } catch (err) {
     console.warn('[AssetCache] Failed to clear all cache data', err);
@@ -448,4 +784,4 @@ export const clearAllAssetCache = async () => {
       manifestsCleared: 0,
     };
   }
-};
\ No newline at end of file
+};
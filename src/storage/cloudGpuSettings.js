@@ -3,11 +3,18 @@
  * Stores API URL and API Key for the image conversion service.
  */
 
-import { getUnlockedSecret, getVaultSecretIds, isEncryptedCredentialPayload } from './credentialVault.js';
+import { getUnlockedSecret, getVaultSecretIds, isEncryptedCredentialPayload, registerVaultSecret } from './credentialVault.js';
 
 const STORAGE_KEY = 'cloud-gpu-settings';
 const ALLOWED_BATCH_SIZES = [3, 5, 10, 15, 20];
 
+registerVaultSecret({
+  id: 'cloud-gpu-key',
+  alias: 'cloudGpu',
+  storageKey: STORAGE_KEY,
+  field: 'apiKeyEncrypted',
+});
+
 const normalizeBatchSize = (value) => {
   const numeric = Number(value);
   if (!Number.isFinite(numeric)) return 10;
@@ -0,0 +1,383 @@
+/**
+ * Collection doctor for manifest-first sources (Supabase, R2, S3).
+ *
+ * Compares manifest.json against what is actually stored:
+ * - missing files (manifest entry without an object, confirmed with HEAD)
+ * - orphaned assets (stored asset files the manifest does not list)
+ * - orphaned previews/sidecars (not referenced by any manifest entry)
+ * - size mismatches between the manifest and the stored object
+ * - duplicate display names and duplicate manifest paths
+ *
+ * Sources opt in by implementing listCollectionFiles(), headCollectionFile(),
+ * getManifest() and writeManifest(). The repair is planned as a list of
+ * changes first so the UI can show a diff before anything is written.
+ */
+
+import { getSupportedExtensions } from '../formats/index.js';
+import { MANIFEST_VERSION } from './types.js';
+import {
+  PREVIEW_SUFFIX,
+  getExtension,
+  getFilename,
+  getSidecarKey,
+  getSidecarKind,
+  stripExtension,
+} from './fileNames.js';
+
+const HEAD_CONCURRENCY = 4;
+
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const run = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+};
+
+/**
+ * Whether a source exposes the hooks the doctor needs.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @returns {boolean}
+ */
+export const supportsCollectionDoctor = (source) => Boolean(source)
+  && typeof source.listCollectionFiles === 'function'
+  && typeof source.headCollectionFile === 'function'
+  && typeof source.getManifest === 'function'
+  && typeof source.writeManifest === 'function';
+
+/**
+ * @typedef {Object} CollectionDiagnosis
+ * @property {import('./types.js').AssetManifest | null} manifest - Manifest the report was built from
+ * @property {Array<{ path: string, name: string }>} missing - Manifest entries without a stored file
+ * @property {Array<{ path: string, size: number | null }>} orphanedAssets - Stored assets not in the manifest
+ * @property {Array<{ path: string, kind: 'preview' | 'metadata', assetPath: string | null }>} orphanedSidecars - Unreferenced sidecars; `assetPath` is set when a manifest entry can adopt it
+ * @property {Array<{ path: string, assetPath: string, kind: 'preview' | 'metadata' }>} missingSidecars - Sidecar references that point at nothing
+ * @property {Array<{ path: string, manifestSize: number, actualSize: number }>} sizeMismatches
+ * @property {Array<{ name: string, paths: string[] }>} duplicateNames
+ * @property {string[]} duplicatePaths - Paths listed more than once in the manifest
+ * @property {number} totalFiles - Stored files inspected
+ * @property {number} checked - Manifest entries verified with HEAD
+ */
+
+/**
+ * Walk the collection storage, HEAD every manifest entry and report problems.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {{ onProgress?: (progress: { phase: 'listing' | 'checking', completed: number, total: number }) => void }} [options]
+ * @returns {Promise<CollectionDiagnosis>}
+ */
+export const diagnoseCollection = async (source, { onProgress } = {}) => {
+  if (!supportsCollectionDoctor(source)) {
+    throw new Error('This collection type does not support the collection doctor');
+  }
+
+  onProgress?.({ phase: 'listing', completed: 0, total: 0 });
+  const manifest = await source.getManifest({ fresh: true });
+  const files = await source.listCollectionFiles();
+  const supportedExtensions = getSupportedExtensions();
+
+  const fileByPath = new Map(files.map((file) => [file.path, file]));
+  const manifestAssets = (manifest?.assets || []).filter((item) => item?.path);
+
+  // Duplicates
+  const seenPaths = new Set();
+  const duplicatePaths = new Set();
+  const pathsByName = new Map();
+  for (const item of manifestAssets) {
+    if (seenPaths.has(item.path)) {
+      duplicatePaths.add(item.path);
+      continue;
+    }
+    seenPaths.add(item.path);
+    const name = (item.name || getFilename(item.path)).toLowerCase();
+    if (!pathsByName.has(name)) pathsByName.set(name, []);
+    pathsByName.get(name).push(item.path);
+  }
+  const duplicateNames = Array.from(pathsByName.entries())
+    .filter(([, paths]) => paths.length > 1)
+    .map(([, paths]) => ({
+      name: manifestAssets.find((item) => item.path === paths[0])?.name || getFilename(paths[0]),
+      paths,
+    }));
+
+  // HEAD every distinct manifest entry; the listing alone can lag behind
+  // or be filtered by bucket policy.
+  const uniqueAssets = manifestAssets.filter((item, index) => manifestAssets.findIndex((other) => other.path === item.path) === index);
+  let completed = 0;
+  onProgress?.({ phase: 'checking', completed, total: uniqueAssets.length });
+  const heads = await mapWithConcurrency(uniqueAssets, HEAD_CONCURRENCY, async (item) => {
+    let head;
+    try {
+      head = await source.headCollectionFile(item.path);
+    } catch (error) {
+      console.warn(`[CollectionDoctor] HEAD failed for ${item.path}:`, error.message);
+      const listed = fileByPath.get(item.path);
+      head = { exists: Boolean(listed), size: listed?.size ?? null };
+    }
+    completed += 1;
+    onProgress?.({ phase: 'checking', completed, total: uniqueAssets.length });
+    return head;
+  });
+
+  const missing = [];
+  const sizeMismatches = [];
+  uniqueAssets.forEach((item, index) => {
+    const head = heads[index];
+    if (!head.exists) {
+      missing.push({ path: item.path, name: item.name || getFilename(item.path) });
+      return;
+    }
+    const actualSize = Number.isFinite(head.size) ? head.size : fileByPath.get(item.path)?.size;
+    // Entries without a manifest size have nothing to compare against
+    if (item.size == null) return;
+    if (Number.isFinite(actualSize) && item.size !== actualSize) {
+      sizeMismatches.push({ path: item.path, manifestSize: item.size, actualSize });
+    }
+  });
+
+  // Sidecar references
+  const referenced = new Set();
+  const missingSidecars = [];
+  for (const item of uniqueAssets) {
+    for (const kind of ['preview', 'metadata']) {
+      const ref = item[kind];
+      if (typeof ref !== 'string' || !ref) continue;
+      referenced.add(ref);
+      if (!fileByPath.has(ref)) {
+        missingSidecars.push({ path: ref, assetPath: item.path, kind });
+      }
+    }
+  }
+
+  const manifestByKey = new Map();
+  for (const item of uniqueAssets) {
+    const key = getSidecarKey(item.path);
+    if (!manifestByKey.has(key)) manifestByKey.set(key, item);
+  }
+
+  const orphanedAssets = [];
+  const orphanedSidecars = [];
+  for (const file of files) {
+    if (file.path === 'manifest.json') continue;
+    if (supportedExtensions.includes(getExtension(file.path))) {
+      if (!seenPaths.has(file.path)) {
+        orphanedAssets.push({ path: file.path, size: Number.isFinite(file.size) ? file.size : null });
+      }
+      continue;
+    }
+    const kind = getSidecarKind(file.path);
+    if (!kind || referenced.has(file.path)) continue;
+    const owner = manifestByKey.get(getSidecarKey(file.path));
+    orphanedSidecars.push({
+      path: file.path,
+      kind,
+      // Only adoptable when the owning entry has no working reference of this kind
+      assetPath: owner && (!owner[kind] || missingSidecars.some((ref) => ref.assetPath === owner.path && ref.kind === kind))
+        ? owner.path
+        : null,
+    });
+  }
+
+  return {
+    manifest,
+    missing,
+    orphanedAssets,
+    orphanedSidecars,
+    missingSidecars,
+    sizeMismatches,
+    duplicateNames,
+    duplicatePaths: Array.from(duplicatePaths),
+    totalFiles: files.length,
+    checked: uniqueAssets.length,
+  };
+};
+
+/**
+ * Whether a diagnosis found anything worth showing.
+ * @param {CollectionDiagnosis} report
+ * @returns {boolean}
+ */
+export const hasCollectionProblems = (report) => Boolean(report) && (
+  report.missing.length > 0
+  || report.orphanedAssets.length > 0
+  || report.orphanedSidecars.length > 0
+  || report.missingSidecars.length > 0
+  || report.sizeMismatches.length > 0
+  || report.duplicateNames.length > 0
+  || report.duplicatePaths.length > 0
+);
+
+/**
+ * @typedef {Object} ManifestChange
+ * @property {'add' | 'remove' | 'update'} type
+ * @property {string} path - Asset path the change applies to
+ * @property {string} [field] - Field changed by an update
+ * @property {*} [from]
+ * @property {*} [to]
+ * @property {string} reason
+ */
+
+/**
+ * Build the repaired manifest and the list of changes without writing anything.
+ * Duplicate display names are reported only; renaming is left to the user.
+ * @param {CollectionDiagnosis} report
+ * @param {{ removeMissing?: boolean, addOrphans?: boolean, fixSizes?: boolean, fixSidecars?: boolean }} [options]
+ * @returns {{ manifest: import('./types.js').AssetManifest, changes: ManifestChange[] }}
+ */
+export const planManifestRepair = (report, {
+  removeMissing = true,
+  addOrphans = true,
+  fixSizes = true,
+  fixSidecars = true,
+} = {}) => {
+  const base = report.manifest || { version: MANIFEST_VERSION, assets: [] };
+  const changes = [];
+  const missingPaths = new Set(report.missing.map((item) => item.path));
+  const seen = new Set();
+  const assets = [];
+
+  for (const item of base.assets || []) {
+    if (!item?.path) continue;
+    if (seen.has(item.path)) {
+      changes.push({ type: 'remove', path: item.path, reason: 'duplicate entry' });
+      continue;
+    }
+    seen.add(item.path);
+    if (removeMissing && missingPaths.has(item.path)) {
+      changes.push({ type: 'remove', path: item.path, reason: 'file missing' });
+      continue;
+    }
+    assets.push({ ...item });
+  }
+
+  const byPath = new Map(assets.map((item) => [item.path, item]));
+  const update = (item, field, to, reason) => {
+    const from = item[field] ?? null;
+    if (to === null) {
+      delete item[field];
+    } else {
+      item[field] = to;
+    }
+    changes.push({ type: 'update', path: item.path, field, from, to, reason });
+  };
+
+  if (fixSizes) {
+    for (const mismatch of report.sizeMismatches) {
+      const item = byPath.get(mismatch.path);
+      if (item) update(item, 'size', mismatch.actualSize, 'size differs from stored file');
+    }
+  }
+
+  if (fixSidecars) {
+    // Relink first so a broken reference with a usable replacement is one change
+    const relinked = new Set();
+    for (const sidecar of report.orphanedSidecars) {
+      const item = sidecar.assetPath ? byPath.get(sidecar.assetPath) : null;
+      const linkKey = `${sidecar.assetPath}:${sidecar.kind}`;
+      if (!item || relinked.has(linkKey)) continue;
+      relinked.add(linkKey);
+      update(item, sidecar.kind, sidecar.path, `unreferenced ${sidecar.kind} found`);
+    }
+    for (const ref of report.missingSidecars) {
+      const item = byPath.get(ref.assetPath);
+      if (item && item[ref.kind] === ref.path) update(item, ref.kind, null, `${ref.kind} file missing`);
+    }
+  }
+
+  if (addOrphans) {
+    const sidecarsByKey = new Map();
+    for (const sidecar of report.orphanedSidecars) {
+      if (sidecar.assetPath) continue;
+      const key = getSidecarKey(sidecar.path);
+      if (!sidecarsByKey.has(key)) sidecarsByKey.set(key, {});
+      const entry = sidecarsByKey.get(key);
+      if (!entry[sidecar.kind] || stripExtension(sidecar.path).toLowerCase().endsWith(PREVIEW_SUFFIX)) {
+        entry[sidecar.kind] = sidecar.path;
+      }
+    }
+
+    for (const orphan of report.orphanedAssets) {
+      const sidecars = sidecarsByKey.get(getSidecarKey(orphan.path)) || {};
+      const entry = { path: orphan.path, name: getFilename(orphan.path) };
+      if (orphan.size !== null) entry.size = orphan.size;
+      if (sidecars.preview) entry.preview = sidecars.preview;
+      if (sidecars.metadata) entry.metadata = sidecars.metadata;
+      assets.push(entry);
+      byPath.set(entry.path, entry);
+      changes.push({ type: 'add', path: orphan.path, reason: 'stored file not in manifest' });
+    }
+  }
+
+  return {
+    manifest: { ...base, assets },
+    changes,
+  };
+};
+
+/**
+ * Replay a planned repair onto the manifest as it is stored now, so entries
+ * another device added or changed since the diagnosis are kept. Updates
+ * only apply to fields still holding the value the diagnosis saw.
+ * @param {import('./types.js').AssetManifest | null} current
+ * @param {{ manifest: import('./types.js').AssetManifest, changes: ManifestChange[] }} plan
+ * @returns {import('./types.js').AssetManifest}
+ */
+const replayManifestRepair = (current, plan) => {
+  const base = current || plan.manifest;
+  const planned = new Map(plan.manifest.assets.map((item) => [item.path, item]));
+  const removed = new Set(plan.changes
+    .filter((change) => change.type === 'remove' && !planned.has(change.path))
+    .map((change) => change.path));
+
+  const seen = new Set();
+  const assets = [];
+  for (const item of base.assets || []) {
+    if (!item?.path || seen.has(item.path) || removed.has(item.path)) continue;
+    seen.add(item.path);
+    assets.push({ ...item });
+  }
+
+  const byPath = new Map(assets.map((item) => [item.path, item]));
+  for (const change of plan.changes) {
+    if (change.type === 'add' && !byPath.has(change.path)) {
+      const entry = { ...planned.get(change.path) };
+      assets.push(entry);
+      byPath.set(entry.path, entry);
+    } else if (change.type === 'update') {
+      const item = byPath.get(change.path);
+      if (!item || (item[change.field] ?? null) !== change.from) continue;
+      if (change.to === null) {
+        delete item[change.field];
+      } else {
+        item[change.field] = change.to;
+      }
+    }
+  }
+
+  return { ...base, assets };
+};
+
+/**
+ * Write a planned repair through the source. The manifest is read again
+ * right before writing and the changes are replayed onto it.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {{ manifest: import('./types.js').AssetManifest, changes: ManifestChange[] }} plan
+ * @returns {Promise<{ success: boolean, applied: number, error?: string }>}
+ */
+export const applyManifestRepair = async (source, plan) => {
+  if (!plan?.changes?.length) {
+    return { success: true, applied: 0 };
+  }
+  try {
+    const current = await source.getManifest({ fresh: true });
+    await source.writeManifest(replayManifestRepair(current, plan));
+    return { success: true, applied: plan.changes.length };
+  } catch (error) {
+    return { success: false, applied: 0, error: error.message };
+  }
+};
@@ -0,0 +1,70 @@
+import { describe, expect, it, vi } from 'vitest';
+import { applyManifestRepair, planManifestRepair } from './collectionDoctor.js';
+
+// The format registry loads the splat renderer; the doctor only needs extensions
+vi.mock('../formats/index.js', () => ({ getSupportedExtensions: () => ['.ply', '.spz'] }));
+
+const report = (manifest, overrides = {}) => ({
+  manifest,
+  missing: [],
+  orphanedAssets: [],
+  orphanedSidecars: [],
+  missingSidecars: [],
+  sizeMismatches: [],
+  duplicateNames: [],
+  duplicatePaths: [],
+  ...overrides,
+});
+
+const createSource = (stored) => {
+  const source = {
+    written: null,
+    getManifest: vi.fn(async () => stored),
+    writeManifest: vi.fn(async (manifest) => { source.written = manifest; }),
+  };
+  return source;
+};
+
+describe('applyManifestRepair', () => {
+  const diagnosed = {
+    version: 2,
+    assets: [
+      { path: 'assets/a.ply', name: 'a.ply', size: 1 },
+      { path: 'assets/gone.ply', name: 'gone.ply', size: 2 },
+    ],
+  };
+  const plan = planManifestRepair(report(diagnosed, {
+    missing: [{ path: 'assets/gone.ply' }],
+    sizeMismatches: [{ path: 'assets/a.ply', manifestSize: 1, actualSize: 10 }],
+    orphanedAssets: [{ path: 'assets/orphan.spz', size: 5 }],
+  }));
+
+  it('re-reads the manifest and keeps entries added since the diagnosis', async () => {
+    const source = createSource({
+      ...diagnosed,
+      assets: [...diagnosed.assets, { path: 'assets/new.spz', name: 'new.spz', size: 7 }],
+    });
+
+    const result = await applyManifestRepair(source, plan);
+
+    expect(result).toEqual({ success: true, applied: 3 });
+    expect(source.getManifest).toHaveBeenCalledWith({ fresh: true });
+    expect(source.written.assets.map((item) => item.path)).toEqual([
+      'assets/a.ply',
+      'assets/new.spz',
+      'assets/orphan.spz',
+    ]);
+    expect(source.written.assets[0].size).toBe(10);
+  });
+
+  it('leaves fields another device changed meanwhile', async () => {
+    const source = createSource({
+      ...diagnosed,
+      assets: [{ path: 'assets/a.ply', name: 'a.ply', size: 20 }],
+    });
+
+    await applyManifestRepair(source, plan);
+
+    expect(source.written.assets[0].size).toBe(20);
+  });
+});
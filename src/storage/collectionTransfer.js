@@ -0,0 +1,453 @@
+/**
+ * Cross-source collection transfer.
+ *
+ * Copies or moves every asset of one collection into another source:
+ * - each file is read with fetchAssetFile() and written with the target's
+ *   uploadAssets() (remote sources) or importFiles() (local folder, app storage)
+ * - previews and metadata sidecars go along when the target stores them
+ * - tags, groups, order, captions, slideshow overrides, default views and
+ *   checksums are written to the target manifest; a saved custom view is
+ *   used as the default view when the source has none
+ * - per-file settings (focus, animation, custom views) go into the target
+ *   manifest's `settings` block where settings sync can read it, else into
+ *   the `.meta.json` sidecar
+ *
+ * Overwrites replace files in place (uploadAssets `overwrite`), so the old
+ * copy stays until the new one is written. Progress is persisted per
+ * source/target pair: a failed or cancelled job resumes with the assets that
+ * are still missing.
+ */
+
+import { MANIFEST_VERSION } from './types.js';
+import { upgradeManifest, writeManifestAssetFields } from './manifest.js';
+import { isAbortError, throwIfAborted } from './download.js';
+import { PREVIEW_TYPE_EXTENSIONS, stripExtension } from './fileNames.js';
+import { buildSettingsSidecar, mergeSettingsSidecar } from './settingsSidecar.js';
+import { supportsSettingsSync } from './settingsSync.js';
+import { getFileStorageKey, loadPreviewBlob } from '../fileStorage.js';
+import { getCustomViewForAsset } from '../customMetadata.js';
+
+const JOBS_STORAGE_KEY = 'collection-transfer-jobs';
+
+// ---------------------------------------------------------------------------
+// Job persistence (resume after failure)
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} TransferJob
+ * @property {string} sourceId
+ * @property {string} targetId
+ * @property {'copy' | 'move'} mode
+ * @property {'skip' | 'overwrite'} policy
+ * @property {string[]} completed - Source paths already written to the target
+ * @property {Array<{ name: string, path: string, error: string }>} failed
+ * @property {number} startedAt
+ * @property {number} updatedAt
+ */
+
+const getJobKey = (sourceId, targetId) => `${sourceId}->${targetId}`;
+
+const loadJobs = () => {
+  try {
+    const raw = localStorage.getItem(JOBS_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+const saveJobs = (jobs) => {
+  try {
+    if (Object.keys(jobs).length) {
+      localStorage.setItem(JOBS_STORAGE_KEY, JSON.stringify(jobs));
+    } else {
+      localStorage.removeItem(JOBS_STORAGE_KEY);
+    }
+  } catch {
+    // ignore
+  }
+};
+
+/**
+ * Unfinished job for a source/target pair, if any.
+ * @param {string} sourceId
+ * @param {string} targetId
+ * @returns {TransferJob | null}
+ */
+export const loadTransferJob = (sourceId, targetId) => loadJobs()[getJobKey(sourceId, targetId)] || null;
+
+const saveTransferJob = (job) => {
+  const jobs = loadJobs();
+  jobs[getJobKey(job.sourceId, job.targetId)] = { ...job, updatedAt: Date.now() };
+  saveJobs(jobs);
+};
+
+export const clearTransferJob = (sourceId, targetId) => {
+  const jobs = loadJobs();
+  delete jobs[getJobKey(sourceId, targetId)];
+  saveJobs(jobs);
+};
+
+// ---------------------------------------------------------------------------
+// Capabilities
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether assets can be written into a source.
+ * @param {import('./AssetSource.js').AssetSource} target
+ * @returns {boolean}
+ */
+export const canTransferTo = (target) => Boolean(target)
+  && (typeof target.uploadAssets === 'function' || typeof target.importFiles === 'function')
+  && target.getCapabilities().writable !== false;
+
+/**
+ * Whether a source can delete its assets, which a move needs.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @returns {boolean}
+ */
+export const canMoveFrom = (source) => Boolean(source) && typeof source.deleteAssets === 'function';
+
+const ensureConnected = async (source) => {
+  if (source.isConnected()) return;
+  const result = await source.connect(source.type === 'local-folder' ? false : { refreshManifest: true });
+  if (!result?.success) {
+    throw new Error(result?.error || `Could not connect to ${source.name}`);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Planning
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} TransferPlanItem
+ * @property {import('./types.js').RemoteAssetDescriptor} asset - Source asset
+ * @property {import('./types.js').RemoteAssetDescriptor | null} existing - Target asset with the same file name
+ * @property {'copy' | 'overwrite' | 'skip' | 'done'} action - 'done' was written by an earlier run of this job
+ */
+
+/**
+ * @typedef {Object} TransferPlan
+ * @property {TransferPlanItem[]} items
+ * @property {{ copy: number, overwrite: number, skip: number, done: number }} counts
+ * @property {number} bytes - Size of the assets that will be written
+ * @property {string[]} warnings - Data the target cannot keep
+ * @property {TransferJob | null} job - Unfinished job being resumed
+ */
+
+/**
+ * Decide what happens to each asset without writing anything.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {import('./AssetSource.js').AssetSource} target
+ * @param {{ policy?: 'skip' | 'overwrite', resume?: boolean }} [options]
+ * @returns {Promise<TransferPlan>}
+ */
+export const planCollectionTransfer = async (source, target, { policy = 'skip', resume = true } = {}) => {
+  await ensureConnected(source);
+  await ensureConnected(target);
+  const [sourceAssets, targetAssets] = await Promise.all([source.listAssets(), target.listAssets()]);
+
+  const targetByName = new Map(targetAssets.map((asset) => [asset.name, asset]));
+  const job = resume ? loadTransferJob(source.id, target.id) : null;
+  const completed = new Set(job?.completed || []);
+
+  const items = sourceAssets.map((asset) => {
+    const existing = targetByName.get(asset.name) || null;
+    let action = 'copy';
+    if (completed.has(asset.path)) {
+      action = 'done';
+    } else if (existing) {
+      action = policy === 'overwrite' ? 'overwrite' : 'skip';
+    }
+    return { asset, existing, action };
+  });
+
+  const counts = { copy: 0, overwrite: 0, skip: 0, done: 0 };
+  let bytes = 0;
+  for (const item of items) {
+    counts[item.action] += 1;
+    if (item.action === 'copy' || item.action === 'overwrite') {
+      bytes += item.asset.size || 0;
+    }
+  }
+
+  const capabilities = target.getCapabilities();
+  const warnings = [];
+  if (!capabilities.canReadPreviews) {
+    warnings.push(`${target.name} does not store preview images; previews stay on this device.`);
+  }
+  if (!capabilities.canReadMetadata) {
+    warnings.push(`${target.name} does not read metadata sidecars; they are not copied.`);
+  }
+  if (typeof target.writeManifest !== 'function') {
+    warnings.push(`${target.name} has no manifest; tags, groups, captions and default views are not copied.`);
+  }
+
+  return { items, counts, bytes, warnings, job };
+};
+
+// ---------------------------------------------------------------------------
+// Transfer
+// ---------------------------------------------------------------------------
+
+/**
+ * Preview image of an asset: the one stored on this device, else the source's.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {import('./types.js').RemoteAssetDescriptor} asset
+ * @returns {Promise<Blob | null>}
+ */
+export const readPreviewBlob = async (source, asset) => {
+  const stored = await loadPreviewBlob(asset.name, getFileStorageKey(asset));
+  if (stored?.blob) return stored.blob;
+
+  try {
+    const url = await source.fetchPreview(asset);
+    if (!url) return null;
+    const response = await fetch(url);
+    return response.ok ? await response.blob() : null;
+  } catch {
+    return null;
+  }
+};
+
+// importFiles (local folder, app storage) always replaces existing files
+const writeFiles = (target, files, { overwrite }) => (typeof target.uploadAssets === 'function'
+  ? target.uploadAssets(files, { overwrite })
+  : target.importFiles(files));
+
+// uploadAssets reports per file; importFiles only overall
+const getWriteError = (result, file) => {
+  if (!result) return 'No result from target';
+  const failure = result.failed?.find((entry) => entry.name === file.name);
+  if (failure) return failure.error || 'Upload failed';
+  if (result.success === false && !result.uploaded?.some((entry) => entry.name === file.name)) {
+    return result.error || 'Upload failed';
+  }
+  return null;
+};
+
+const transferAsset = async (source, target, { asset, action }, { signal }) => {
+  const file = await source.fetchAssetFile(asset, { signal });
+  const files = [file];
+  const capabilities = target.getCapabilities();
+  const baseName = stripExtension(asset.name);
+
+  if (capabilities.canReadPreviews) {
+    const preview = await readPreviewBlob(source, asset);
+    const extension = PREVIEW_TYPE_EXTENSIONS[preview?.type];
+    if (preview && extension) {
+      files.push(new File([preview], `${baseName}${extension}`, { type: preview.type }));
+    }
+  }
+
+  if (capabilities.canReadMetadata) {
+    let metadata = await source.fetchMetadata(asset).catch(() => null);
+    // Settings sync targets get them in the manifest (writeTargetManifest)
+    if (!supportsSettingsSync(target)) {
+      const settings = await buildSettingsSidecar(getFileStorageKey(asset));
+      if (settings) metadata = mergeSettingsSidecar(metadata, settings);
+    }
+    if (metadata) {
+      files.push(new File([JSON.stringify(metadata, null, 2)], `${baseName}.meta.json`, { type: 'application/json' }));
+    }
+  }
+
+  throwIfAborted(signal);
+  const error = getWriteError(await writeFiles(target, files, { overwrite: action === 'overwrite' }), file);
+  if (error) throw new Error(error);
+};
+
+const buildManifestFromAssets = async (target) => {
+  const assets = await target.listAssets();
+  const groups = new Map();
+  assets.forEach((asset) => {
+    if (asset.group) groups.set(asset.group.id, { id: asset.group.id, name: asset.group.name });
+  });
+  return {
+    version: MANIFEST_VERSION,
+    name: target.name,
+    groups: [...groups.values()],
+    assets: assets.map((asset) => ({
+      path: asset.path,
+      name: asset.name,
+      ...(Number.isFinite(asset.size) ? { size: asset.size } : {}),
+      ...writeManifestAssetFields(asset),
+    })),
+  };
+};
+
+const writeTargetManifest = async (source, target, assets) => {
+  const existing = typeof target.getManifest === 'function' ? await target.getManifest() : null;
+  const manifest = existing ? upgradeManifest(existing) : await buildManifestFromAssets(target);
+  const targetAssets = new Map(target.getAssets().map((asset) => [asset.name, asset]));
+
+  const sourceManifest = typeof source.getManifest === 'function' ? await source.getManifest() : null;
+  const sourceGroups = new Map((sourceManifest?.groups || []).map((group) => [group.id, group]));
+  const groups = new Map((manifest.groups || []).map((group) => [group.id, group]));
+  const entriesByName = new Map(manifest.assets.map((entry) => [entry.name || entry.path.split('/').pop(), entry]));
+  const syncsSettings = supportsSettingsSync(target);
+  const now = Date.now();
+
+  for (const asset of assets) {
+    let entry = entriesByName.get(asset.name);
+    // Folder manifests only list what someone added; give new copies an entry
+    if (!entry && targetAssets.has(asset.name)) {
+      const copied = targetAssets.get(asset.name);
+      entry = { path: copied.path, name: copied.name };
+      manifest.assets.push(entry);
+    }
+    if (!entry) continue;
+    const defaultView = asset.defaultView || await getCustomViewForAsset(getFileStorageKey(asset));
+    Object.assign(entry, writeManifestAssetFields({ ...asset, defaultView }));
+    if (syncsSettings) {
+      const settings = await buildSettingsSidecar(getFileStorageKey(asset));
+      // Same shape settings sync pushes
+      if (settings) entry.settings = { ...settings, updatedAt: now };
+    }
+    if (asset.group && !groups.has(asset.group.id)) {
+      groups.set(asset.group.id, sourceGroups.get(asset.group.id) || { id: asset.group.id, name: asset.group.name });
+    }
+  }
+
+  manifest.groups = [...groups.values()];
+  await target.writeManifest(manifest);
+};
+
+/**
+ * @typedef {Object} TransferProgress
+ * @property {'planning' | 'copying' | 'manifest' | 'cleanup' | 'done'} phase
+ * @property {number} completed
+ * @property {number} total
+ * @property {string | null} [name] - Asset being copied
+ * @property {number} [failed]
+ */
+
+/**
+ * @typedef {Object} TransferResult
+ * @property {boolean} success
+ * @property {boolean} dryRun
+ * @property {TransferPlan} plan
+ * @property {string[]} transferred - Source paths written in this run
+ * @property {string[]} skipped - Source paths left alone because the target has them
+ * @property {Array<{ name: string, path: string, error: string }>} failed
+ * @property {string[]} deleted - Source paths removed after a move
+ * @property {boolean} manifestWritten
+ */
+
+/**
+ * Copy or move a collection into another source.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {import('./AssetSource.js').AssetSource} target
+ * @param {{
+ *   mode?: 'copy' | 'move',
+ *   policy?: 'skip' | 'overwrite',
+ *   dryRun?: boolean,
+ *   resume?: boolean,
+ *   signal?: AbortSignal,
+ *   onProgress?: (progress: TransferProgress) => void,
+ * }} [options]
+ *   `resume` continues an unfinished job for the same pair instead of starting over
+ * @returns {Promise<TransferResult>} Rejects with an AbortError when cancelled; progress is kept
+ */
+export const transferCollection = async (source, target, {
+  mode = 'copy',
+  policy = 'skip',
+  dryRun = false,
+  resume = true,
+  signal,
+  onProgress,
+} = {}) => {
+  if (!source || !target || source.id === target.id) {
+    throw new Error('Choose a different collection to transfer into');
+  }
+  if (!canTransferTo(target)) {
+    throw new Error(`${target.name} does not accept new files`);
+  }
+  if (mode === 'move' && !canMoveFrom(source)) {
+    throw new Error(`${source.name} cannot delete its assets, so they can only be copied`);
+  }
+
+  onProgress?.({ phase: 'planning', completed: 0, total: 0 });
+  const plan = await planCollectionTransfer(source, target, { policy, resume });
+  const result = {
+    success: true,
+    dryRun,
+    plan,
+    transferred: [],
+    skipped: plan.items.filter((item) => item.action === 'skip').map((item) => item.asset.path),
+    failed: [],
+    deleted: [],
+    manifestWritten: false,
+  };
+  if (dryRun) return result;
+
+  const job = {
+    sourceId: source.id,
+    targetId: target.id,
+    mode,
+    policy,
+    completed: [...(plan.job?.completed || [])],
+    failed: [],
+    startedAt: plan.job?.startedAt || Date.now(),
+  };
+  saveTransferJob(job);
+
+  const pending = plan.items.filter((item) => item.action === 'copy' || item.action === 'overwrite');
+  let completedCount = 0;
+
+  for (const item of pending) {
+    throwIfAborted(signal);
+    onProgress?.({
+      phase: 'copying',
+      completed: completedCount,
+      total: pending.length,
+      name: item.asset.name,
+      failed: result.failed.length,
+    });
+    try {
+      await transferAsset(source, target, item, { signal });
+      result.transferred.push(item.asset.path);
+      job.completed.push(item.asset.path);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      console.warn(`[Transfer] Failed to copy ${item.asset.name}:`, err);
+      result.failed.push({ name: item.asset.name, path: item.asset.path, error: err?.message || String(err) });
+    }
+    completedCount += 1;
+    job.failed = result.failed;
+    saveTransferJob(job);
+  }
+
+  const completedPaths = new Set(job.completed);
+  const written = plan.items.filter((item) => completedPaths.has(item.asset.path)).map((item) => item.asset);
+
+  if (written.length && typeof target.writeManifest === 'function') {
+    onProgress?.({ phase: 'manifest', completed: completedCount, total: pending.length });
+    try {
+      await writeTargetManifest(source, target, written);
+      result.manifestWritten = true;
+    } catch (err) {
+      console.warn('[Transfer] Failed to write target manifest:', err);
+      result.failed.push({ name: 'manifest.json', path: 'manifest.json', error: err?.message || String(err) });
+    }
+  }
+
+  // Only remove what is safely in the target; skipped assets stay put
+  if (mode === 'move' && written.length && !result.failed.length) {
+    onProgress?.({ phase: 'cleanup', completed: completedCount, total: pending.length });
+    const removal = await source.deleteAssets(written.map((asset) => asset.path));
+    if (removal?.success === false) {
+      result.failed.push({ name: source.name, path: '', error: removal.error || removal.failed?.[0]?.error || 'Failed to remove moved assets from the source' });
+    }
+    result.deleted = (removal?.removed || written.map((asset) => asset.path)).filter(Boolean);
+  }
+
+  result.success = result.failed.length === 0;
+  if (result.success) {
+    clearTransferJob(source.id, target.id);
+  }
+  onProgress?.({ phase: 'done', completed: completedCount, total: pending.length, failed: result.failed.length });
+  return result;
+};
@@ -0,0 +1,87 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { canMoveFrom, canTransferTo, planCollectionTransfer } from './collectionTransfer.js';
+
+// Custom views live next to the WebGL viewer; planning never reads them
+vi.mock('../customMetadata.js', () => ({ getCustomViewForAsset: async () => null }));
+
+const asset = (path, size = 10) => ({ path, name: path.split('/').pop(), size });
+
+const createSource = (id, assets, { capabilities = {}, ...methods } = {}) => ({
+  id,
+  name: id,
+  isConnected: () => true,
+  listAssets: async () => assets,
+  getCapabilities: () => ({ canReadPreviews: true, canReadMetadata: true, ...capabilities }),
+  uploadAssets: async () => ({ success: true }),
+  writeManifest: async () => {},
+  ...methods,
+});
+
+const stubJobs = (jobs) => vi.stubGlobal('localStorage', {
+  getItem: () => JSON.stringify(jobs),
+  setItem: () => {},
+  removeItem: () => {},
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('canTransferTo / canMoveFrom', () => {
+  it('needs a writable target and a source that can delete', () => {
+    expect(canTransferTo(createSource('b', []))).toBe(true);
+    expect(canTransferTo(createSource('b', [], { capabilities: { writable: false } }))).toBe(false);
+    expect(canTransferTo(createSource('b', [], { uploadAssets: undefined }))).toBe(false);
+    expect(canMoveFrom(createSource('a', []))).toBe(false);
+    expect(canMoveFrom(createSource('a', [], { deleteAssets: async () => {} }))).toBe(true);
+  });
+});
+
+describe('planCollectionTransfer', () => {
+  const source = createSource('a', [asset('one.ply', 10), asset('two.spz', 20)]);
+
+  it('skips assets the target has by default', async () => {
+    const target = createSource('b', [asset('assets/two.spz')]);
+
+    const plan = await planCollectionTransfer(source, target, { resume: false });
+
+    expect(plan.items.map((item) => item.action)).toEqual(['copy', 'skip']);
+    expect(plan.items[1].existing.path).toBe('assets/two.spz');
+    expect(plan.counts).toEqual({ copy: 1, overwrite: 0, skip: 1, done: 0 });
+    expect(plan.bytes).toBe(10);
+  });
+
+  it('counts overwritten assets towards the bytes to write', async () => {
+    const target = createSource('b', [asset('two.spz')]);
+
+    const plan = await planCollectionTransfer(source, target, { policy: 'overwrite', resume: false });
+
+    expect(plan.items.map((item) => item.action)).toEqual(['copy', 'overwrite']);
+    expect(plan.bytes).toBe(30);
+  });
+
+  it('resumes an unfinished job without rewriting finished assets', async () => {
+    stubJobs({ 'a->b': { sourceId: 'a', targetId: 'b', completed: ['one.ply'], failed: [] } });
+
+    const plan = await planCollectionTransfer(source, createSource('b', []));
+
+    expect(plan.items.map((item) => item.action)).toEqual(['done', 'copy']);
+    expect(plan.bytes).toBe(20);
+    expect(plan.job.completed).toEqual(['one.ply']);
+  });
+
+  it('warns about previews, sidecars and manifest data the target drops', async () => {
+    const target = createSource('b', [], {
+      capabilities: { canReadPreviews: false, canReadMetadata: false },
+      writeManifest: undefined,
+    });
+
+    const plan = await planCollectionTransfer(source, target, { resume: false });
+
+    expect(plan.warnings).toEqual([
+      expect.stringContaining('preview images'),
+      expect.stringContaining('metadata sidecars'),
+      expect.stringContaining('no manifest'),
+    ]);
+  });
+});
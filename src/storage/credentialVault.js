@@ -1,9 +1,4 @@
 const VAULT_META_KEY = 'credential-vault-meta';
-const R2_SETTINGS_KEY = 'r2-settings';
-const CLOUD_GPU_SETTINGS_KEY = 'cloud-gpu-settings';
-
-const R2_SECRET_ID = 'r2-secret';
-const CLOUD_GPU_KEY_ID = 'cloud-gpu-key';
 
 const VAULT_VERSION = 1;
 const DEFAULT_ITERATIONS = 250000;
@@ -11,6 +6,34 @@ const MAGIC_TEXT = 'browser-sharp-vault-check';
 
 let sessionPassword = null;
 const unlockedSecrets = new Map();
+const stateListeners = new Set();
+
+/**
+ * Encrypted credentials the vault manages. Each entry is one payload field
+ * inside a localStorage JSON settings object; `alias` is the short name
+ * exposed through getVaultSecretIds().
+ * @type {Map<string, { id: string, alias: string, storageKey: string, field: string, sourceType?: string, sourceField?: string }>}
+ */
+const secretRegistry = new Map();
+
+/**
+ * Register a credential for unlock and password changes. Each settings
+ * module registers its own credentials when it loads; `sourceType` and
+ * `sourceField` name the in-memory source config field holding the
+ * decrypted value, so it can be scrubbed when the vault locks.
+ * @param {{ id: string, alias?: string, storageKey: string, field: string, sourceType?: string, sourceField?: string }} entry
+ */
+export const registerVaultSecret = ({ id, alias, storageKey, field, sourceType, sourceField }) => {
+  if (!id || !storageKey || !field) {
+    throw new Error('Vault secrets need an id, storage key and field.');
+  }
+  secretRegistry.set(id, { id, alias: alias || id, storageKey, field, sourceType, sourceField });
+};
+
+/**
+ * @returns {Array<{ id: string, alias: string, storageKey: string, field: string, sourceType?: string, sourceField?: string }>}
+ */
+export const getRegisteredVaultSecrets = () => [...secretRegistry.values()];
 
 const textEncoder = new TextEncoder();
 const textDecoder = new TextDecoder();
@@ -137,6 +160,17 @@ const verifyPasswordWithMeta = async (password, meta) => {
   }
 };
 
+const notifyVaultState = () => {
+  const unlocked = Boolean(sessionPassword);
+  stateListeners.forEach((listener) => listener(unlocked));
+};
+
+const setSessionPassword = (password) => {
+  const changed = sessionPassword !== password;
+  sessionPassword = password;
+  if (changed) notifyVaultState();
+};
+
 const ensureVaultPassword = async (password) => {
   const normalized = String(password || '').trim();
   if (!normalized) {
@@ -147,7 +181,7 @@ const ensureVaultPassword = async (password) => {
   if (!meta?.verifier) {
     const verifier = await encryptValue(MAGIC_TEXT, normalized);
     saveVaultMeta({ version: VAULT_VERSION, verifier, updatedAt: Date.now() });
-    sessionPassword = normalized;
+    setSessionPassword(normalized);
     return { success: true, created: true };
   }
 
@@ -156,7 +190,7 @@ const ensureVaultPassword = async (password) => {
     return { success: false, error: 'Password does not match the existing vault password.' };
   }
 
-  sessionPassword = normalized;
+  setSessionPassword(normalized);
   return { success: true, created: false };
 };
 
@@ -172,9 +206,23 @@ export const getUnlockedSecret = (secretId) => {
   return typeof value === 'string' ? value : null;
 };
 
+/**
+ * Subscribe to the vault locking or unlocking.
+ * @param {(unlocked: boolean) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export const onVaultStateChange = (listener) => {
+  stateListeners.add(listener);
+  return () => stateListeners.delete(listener);
+};
+
 export const clearVaultSession = () => {
+  const wasUnlocked = Boolean(sessionPassword) || unlockedSecrets.size > 0;
   sessionPassword = null;
   unlockedSecrets.clear();
+  if (wasUnlocked) {
+    notifyVaultState();
+  }
 };
 
 const tryDecryptStoredSecret = async (parsedSettings, encryptedField, secretId, password) => {
@@ -189,11 +237,9 @@ export const unlockCredentialVault = async (password) => {
   if (!verified.success) return verified;
 
   try {
-    const r2Settings = parseJsonStorage(R2_SETTINGS_KEY);
-    const cloudGpuSettings = parseJsonStorage(CLOUD_GPU_SETTINGS_KEY);
-
-    await tryDecryptStoredSecret(r2Settings, 'secretAccessKeyEncrypted', R2_SECRET_ID, sessionPassword);
-    await tryDecryptStoredSecret(cloudGpuSettings, 'apiKeyEncrypted', CLOUD_GPU_KEY_ID, sessionPassword);
+    for (const secret of secretRegistry.values()) {
+      await tryDecryptStoredSecret(parseJsonStorage(secret.storageKey), secret.field, secret.id, sessionPassword);
+    }
 
     return { success: true, created: verified.created };
   } catch {
@@ -214,7 +260,122 @@ export const encryptCredentialValue = async (secretId, plaintext, password) => {
   return payload;
 };
 
-export const getVaultSecretIds = () => ({
-  r2: R2_SECRET_ID,
-  cloudGpu: CLOUD_GPU_KEY_ID,
-});
+/**
+ * Re-encrypt every stored credential under a new password. All payloads
+ * and the verifier are prepared first and written together; if any write
+ * fails, every key is restored, so the vault never ends up split between
+ * two passwords.
+ * @param {string} currentPassword
+ * @param {string} nextPassword
+ * @returns {Promise<{ success: boolean, error?: string, reencrypted?: number }>}
+ */
+export const changeVaultPassword = async (currentPassword, nextPassword) => {
+  const current = String(currentPassword || '').trim();
+  const next = String(nextPassword || '').trim();
+  const meta = getVaultMeta();
+
+  if (!hasVaultPassword()) {
+    return { success: false, error: 'No vault password is set yet.' };
+  }
+  if (!next) {
+    return { success: false, error: 'New password is required.' };
+  }
+  if (!(await verifyPasswordWithMeta(current, meta))) {
+    return { success: false, error: 'Current password is incorrect.' };
+  }
+
+  // Prepare: decrypt and re-encrypt everything in memory
+  const snapshots = new Map(); // storageKey -> raw value read
+  const updated = new Map(); // storageKey -> settings object with new payloads
+  const plaintexts = new Map();
+  try {
+    for (const secret of secretRegistry.values()) {
+      if (!snapshots.has(secret.storageKey)) {
+        snapshots.set(secret.storageKey, localStorage.getItem(secret.storageKey));
+      }
+      const settings = updated.get(secret.storageKey) || parseJsonStorage(secret.storageKey);
+      const payload = settings?.[secret.field];
+      if (!isEncryptedCredentialPayload(payload)) continue;
+
+      const plaintext = await decryptValue(payload, current);
+      settings[secret.field] = await encryptValue(plaintext, next);
+      updated.set(secret.storageKey, settings);
+      plaintexts.set(secret.id, plaintext);
+    }
+  } catch {
+    return { success: false, error: 'A stored credential could not be decrypted with the current password.' };
+  }
+  const verifier = await encryptValue(MAGIC_TEXT, next);
+
+  // Commit: all keys or none
+  const metaSnapshot = localStorage.getItem(VAULT_META_KEY);
+  const changedMeanwhile = [...snapshots].some(([key, raw]) => localStorage.getItem(key) !== raw);
+  if (changedMeanwhile) {
+    return { success: false, error: 'Credentials changed while re-encrypting. Try again.' };
+  }
+
+  try {
+    updated.forEach((settings, key) => localStorage.setItem(key, JSON.stringify(settings)));
+    saveVaultMeta({ ...meta, version: VAULT_VERSION, verifier, updatedAt: Date.now() });
+  } catch {
+    snapshots.forEach((raw, key) => {
+      try {
+        if (raw === null) localStorage.removeItem(key);
+        else localStorage.setItem(key, raw);
+      } catch {
+        // ignore
+      }
+    });
+    try {
+      localStorage.setItem(VAULT_META_KEY, metaSnapshot);
+    } catch {
+      // ignore
+    }
+    return { success: false, error: 'Failed to save re-encrypted credentials; nothing was changed.' };
+  }
+
+  plaintexts.forEach((value, id) => unlockedSecrets.set(id, value));
+  setSessionPassword(next);
+  return { success: true, reencrypted: plaintexts.size };
+};
+
+/**
+ * Whether a source config field holds an unlocked secret. Object fields,
+ * such as a Supabase session, are stored in the vault as JSON.
+ * @param {*} fieldValue
+ * @param {string | null} secretValue - From getUnlockedSecret()
+ * @returns {boolean}
+ */
+export const matchesVaultSecret = (fieldValue, secretValue) => {
+  if (!secretValue || !fieldValue) return false;
+  return (typeof fieldValue === 'string' ? fieldValue : JSON.stringify(fieldValue)) === secretValue;
+};
+
+/**
+ * Copy of a persisted source config with vault-held credentials blanked, so
+ * a decrypted secret never lands in IndexedDB next to its encrypted copy.
+ * @param {Object} sourceConfig - Source JSON (`{ type, config: {...} }`)
+ * @returns {Object}
+ */
+export const stripVaultSecrets = (sourceConfig) => {
+  const inner = sourceConfig?.config;
+  if (!inner) return sourceConfig;
+
+  let stripped = null;
+  for (const secret of secretRegistry.values()) {
+    if (secret.sourceType !== sourceConfig.type || !secret.sourceField) continue;
+    if (matchesVaultSecret(inner[secret.sourceField], getUnlockedSecret(secret.id))) {
+      stripped = stripped || { ...inner };
+      stripped[secret.sourceField] = '';
+    }
+  }
+  return stripped ? { ...sourceConfig, config: stripped } : sourceConfig;
+};
+
+/**
+ * Secret ids by alias, e.g. `getVaultSecretIds().r2`.
+ * @returns {Record<string, string>}
+ */
+export const getVaultSecretIds = () => Object.fromEntries(
+  [...secretRegistry.values()].map((secret) => [secret.alias, secret.id])
+);
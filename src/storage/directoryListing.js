@@ -0,0 +1,267 @@
+/**
+ * Directory listing discovery for PublicUrlSource.
+ *
+ * Reads the auto-generated index pages of plain static servers and turns
+ * them into manifest-shaped asset lists:
+ * - HTML autoindex pages (nginx, Apache, Caddy browse, python -m http.server)
+ * - JSON listings (nginx `autoindex_format json`, Caddy browse with Accept: application/json)
+ *
+ * Preview images and `.meta.json` sidecars are paired with assets by base name.
+ */
+
+import { getSupportedExtensions } from '../formats/index.js';
+import {
+  PREVIEW_SUFFIX,
+  getExtension,
+  getSidecarKey,
+  getSidecarKind,
+  stripExtension,
+} from './fileNames.js';
+
+const LISTING_CACHE_PREFIX = 'public-url-listing-cache:';
+const LISTING_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const DEFAULT_MAX_DEPTH = 4;
+const MAX_DIRECTORIES = 200;
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Ensure a directory URL ends with a slash so relative hrefs resolve into it.
+ * @param {string} url
+ * @returns {string}
+ */
+export const normalizeDirectoryUrl = (url) => {
+  const parsed = new URL(String(url || '').trim());
+  parsed.search = '';
+  parsed.hash = '';
+  if (!parsed.pathname.endsWith('/')) {
+    parsed.pathname = `${parsed.pathname}/`;
+  }
+  return parsed.href;
+};
+
+/**
+ * Resolve a listing href and keep it only if it points inside the listed directory.
+ * Drops parent links, breadcrumbs, sort links (`?C=N;O=D`, `?sort=name`) and other origins.
+ * @returns {{ url: string, isDirectory: boolean } | null}
+ */
+const resolveChildHref = (href, directoryUrl) => {
+  if (!href || href.startsWith('#') || /^(mailto|javascript):/i.test(href)) return null;
+
+  let resolved;
+  try {
+    resolved = new URL(href, directoryUrl);
+  } catch {
+    return null;
+  }
+
+  const base = new URL(directoryUrl);
+  if (resolved.origin !== base.origin || resolved.search) return null;
+  if (!resolved.pathname.startsWith(base.pathname) || resolved.pathname === base.pathname) return null;
+
+  // Only direct children; recursion handles deeper levels
+  const remainder = resolved.pathname.slice(base.pathname.length).replace(/\/$/, '');
+  if (!remainder || remainder.includes('/')) return null;
+
+  resolved.hash = '';
+  return { url: resolved.href, isDirectory: resolved.pathname.endsWith('/') };
+};
+
+const parseJsonListing = (data, directoryUrl) => {
+  const items = Array.isArray(data) ? data : (Array.isArray(data?.items) ? data.items : []);
+  const entries = [];
+
+  for (const item of items) {
+    if (!item || typeof item !== 'object') continue;
+    const rawName = String(item.name || '').replace(/\/$/, '');
+    const isDirectory = item.type === 'directory' || item.is_dir === true || String(item.name || '').endsWith('/');
+    const href = item.url || (rawName ? `${encodeURIComponent(rawName)}${isDirectory ? '/' : ''}` : '');
+    const child = resolveChildHref(isDirectory && !href.endsWith('/') ? `${href}/` : href, directoryUrl);
+    if (!child) continue;
+
+    const size = Number(item.size);
+    entries.push({
+      ...child,
+      size: !child.isDirectory && Number.isFinite(size) ? size : null,
+    });
+  }
+
+  return entries;
+};
+
+const parseHtmlListing = (text, directoryUrl) => {
+  const doc = new DOMParser().parseFromString(text, 'text/html');
+  const seen = new Set();
+  const entries = [];
+
+  for (const anchor of Array.from(doc.querySelectorAll('a[href]'))) {
+    const child = resolveChildHref(anchor.getAttribute('href'), directoryUrl);
+    if (!child || seen.has(child.url)) continue;
+    seen.add(child.url);
+    entries.push({ ...child, size: null });
+  }
+
+  return entries;
+};
+
+/**
+ * Parse one directory listing response body.
+ * @param {string} text - Response body
+ * @param {string} contentType - Response Content-Type header
+ * @param {string} directoryUrl - URL the listing was fetched from
+ * @returns {Array<{ url: string, isDirectory: boolean, size: number | null }>}
+ */
+export const parseDirectoryListing = (text, contentType, directoryUrl) => {
+  const trimmed = text.trim();
+  if (contentType.includes('json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      return parseJsonListing(JSON.parse(trimmed), directoryUrl);
+    } catch {
+      // Fall through to HTML parsing
+    }
+  }
+  return parseHtmlListing(text, directoryUrl);
+};
+
+const fetchListing = async (directoryUrl) => {
+  const response = await fetch(directoryUrl, {
+    headers: { Accept: 'application/json, text/html;q=0.9, */*;q=0.1' },
+  });
+  if (!response.ok) {
+    throw new Error(`Directory listing failed: ${response.status} ${response.statusText}`);
+  }
+  return parseDirectoryListing(await response.text(), response.headers.get('content-type') || '', directoryUrl);
+};
+
+/**
+ * Crawl a directory listing and build manifest asset entries with paths
+ * relative to `baseUrl`.
+ * @param {string} baseUrl
+ * @param {{ recursive?: boolean, maxDepth?: number }} [options]
+ * @returns {Promise<Array<{ path: string, name: string, size?: number, preview?: string, metadata?: string }>>}
+ */
+export const discoverDirectoryListing = async (baseUrl, { recursive = false, maxDepth = DEFAULT_MAX_DEPTH } = {}) => {
+  const rootUrl = normalizeDirectoryUrl(baseUrl);
+  const files = [];
+  const pending = [{ url: rootUrl, depth: 0 }];
+  const visited = new Set();
+
+  while (pending.length && visited.size < MAX_DIRECTORIES) {
+    const { url, depth } = pending.shift();
+    if (visited.has(url)) continue;
+    visited.add(url);
+
+    let entries;
+    try {
+      entries = await fetchListing(url);
+    } catch (error) {
+      // The root listing must work; broken subfolders are skipped
+      if (url === rootUrl) throw error;
+      console.warn(`[DirectoryListing] Skipping ${url}:`, error.message);
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory) {
+        if (recursive && depth < maxDepth) {
+          pending.push({ url: entry.url, depth: depth + 1 });
+        }
+        continue;
+      }
+      files.push({ path: entry.url.slice(rootUrl.length), size: entry.size });
+    }
+  }
+
+  const supportedExtensions = getSupportedExtensions();
+  const previewByBase = new Map();
+  const metadataByBase = new Map();
+
+  for (const file of files) {
+    const decodedPath = safeDecode(file.path);
+    const kind = getSidecarKind(decodedPath);
+    if (kind === 'metadata') {
+      metadataByBase.set(getSidecarKey(decodedPath), file.path);
+    } else if (kind === 'preview') {
+      const key = getSidecarKey(decodedPath);
+      // Prefer explicit `.preview.*` sidecars over a same-named image
+      if (!previewByBase.has(key) || stripExtension(decodedPath).toLowerCase().endsWith(PREVIEW_SUFFIX)) {
+        previewByBase.set(key, file.path);
+      }
+    }
+  }
+
+  return files
+    .filter((file) => supportedExtensions.includes(getExtension(file.path)))
+    .map((file) => {
+      const key = getSidecarKey(safeDecode(file.path));
+      const entry = {
+        path: file.path,
+        name: safeDecode(file.path.split('/').pop()),
+      };
+      if (file.size !== null) entry.size = file.size;
+      if (previewByBase.has(key)) entry.preview = previewByBase.get(key);
+      if (metadataByBase.has(key)) entry.metadata = metadataByBase.get(key);
+      return entry;
+    })
+    .sort((a, b) => a.path.localeCompare(b.path));
+};
+
+const buildListingCacheKey = ({ baseUrl, recursive }) =>
+  `${LISTING_CACHE_PREFIX}${baseUrl}::${recursive ? 'recursive' : 'flat'}`;
+
+export const loadDirectoryListingCache = (params, { maxAgeMs = LISTING_CACHE_TTL_MS } = {}) => {
+  try {
+    if (!params?.baseUrl) return null;
+    const raw = localStorage.getItem(buildListingCacheKey(params));
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    if (!parsed?.manifest || !parsed?.updatedAt) return null;
+    if (typeof maxAgeMs === 'number' && maxAgeMs >= 0) {
+      if (Date.now() - parsed.updatedAt > maxAgeMs) return null;
+    }
+    return parsed.manifest;
+  } catch {
+    return null;
+  }
+};
+
+export const saveDirectoryListingCache = (params, manifest) => {
+  try {
+    if (!params?.baseUrl || !manifest) return false;
+    localStorage.setItem(buildListingCacheKey(params), JSON.stringify({
+      updatedAt: Date.now(),
+      manifest,
+    }));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const clearDirectoryListingCache = (params) => {
+  try {
+    if (params?.baseUrl) {
+      localStorage.removeItem(buildListingCacheKey(params));
+      return;
+    }
+
+    const keysToRemove = [];
+    for (let i = 0; i < localStorage.length; i += 1) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(LISTING_CACHE_PREFIX)) {
+        keysToRemove.push(key);
+      }
+    }
+
+    keysToRemove.forEach((key) => localStorage.removeItem(key));
+  } catch {
+    // ignore
+  }
+};
@@ -0,0 +1,143 @@
+/**
+ * Download helpers shared by the source adapters: progress reporting,
+ * AbortSignal handling and resumable stream reads.
+ */
+
+/**
+ * @typedef {Object} DownloadOptions
+ * @property {AbortSignal} [signal] - Aborts the request and any body read in progress
+ * @property {(progress: { loaded: number, total: number | null }) => void} [onProgress]
+ */
+
+/**
+ * Whether an error came from an aborted fetch/read.
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Create the same error fetch() rejects with on abort.
+ * @returns {DOMException}
+ */
+export const createAbortError = () => new DOMException('The download was aborted.', 'AbortError');
+
+/**
+ * Throw an AbortError when the signal has fired.
+ * @param {AbortSignal} [signal]
+ */
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw createAbortError();
+};
+
+const getContentLength = (response) => {
+  const header = response.headers.get('content-length');
+  const length = Number(header);
+  return header !== null && Number.isFinite(length) ? length : null;
+};
+
+/**
+ * Read a response body to an ArrayBuffer, reporting progress per chunk.
+ * @param {Response} response
+ * @param {DownloadOptions & { total?: number | null }} [options] - `total` overrides Content-Length
+ * @returns {Promise<ArrayBuffer>}
+ */
+export const readResponseWithProgress = async (response, { signal, onProgress, total = null } = {}) => {
+  const expected = total || getContentLength(response);
+  if (!onProgress || !response.body) {
+    const buffer = await response.arrayBuffer();
+    onProgress?.({ loaded: buffer.byteLength, total: expected ?? buffer.byteLength });
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+
+  try {
+    while (true) {
+      throwIfAborted(signal);
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded += value.byteLength;
+      onProgress({ loaded, total: expected });
+    }
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  } finally {
+    reader.releaseLock();
+  }
+
+  const result = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return result.buffer;
+};
+
+/**
+ * fetch() an asset URL with a signal and read it with progress.
+ * @param {string} url
+ * @param {DownloadOptions & { total?: number | null, init?: RequestInit }} [options]
+ * @returns {Promise<ArrayBuffer>}
+ */
+export const fetchWithProgress = async (url, { signal, onProgress, total = null, init = {} } = {}) => {
+  const response = await fetch(url, { ...init, signal });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch asset: ${response.status} ${response.statusText}`);
+  }
+  return readResponseWithProgress(response, { signal, onProgress, total });
+};
+
+/**
+ * fetch() an asset URL as a stream starting at `offset`.
+ * A non-zero offset must be answered with 206 starting at that byte;
+ * servers that ignore Range make this throw so callers can restart.
+ * @param {string} url
+ * @param {{ offset?: number, signal?: AbortSignal, init?: RequestInit }} [options]
+ * @returns {Promise<ReadableStream<Uint8Array>>}
+ */
+export const fetchStreamFrom = async (url, { offset = 0, signal, init = {} } = {}) => {
+  const headers = offset > 0 ? { ...(init.headers || {}), Range: `bytes=${offset}-` } : init.headers;
+  const response = await fetch(url, { ...init, headers, signal });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch asset: ${response.status} ${response.statusText}`);
+  }
+  assertRangeResponse(response, offset);
+  return response.body;
+};
+
+/**
+ * Check that a ranged response really starts at `offset`.
+ * @param {Response} response
+ * @param {number} offset
+ */
+export const assertRangeResponse = (response, offset) => {
+  if (offset <= 0) return;
+  const contentRange = response.headers.get('content-range') || '';
+  const start = Number(/^bytes (\d+)-/i.exec(contentRange)?.[1]);
+  // Content-Range is not always exposed via CORS; a 206 is enough then
+  if (response.status !== 206 || (contentRange && start !== offset)) {
+    response.body?.cancel().catch(() => {});
+    const error = new Error('The server does not support resuming this download.');
+    error.code = 'RANGE_NOT_SUPPORTED';
+    throw error;
+  }
+};
+
+/**
+ * Read a blob as a data URL, e.g. for previews fetched with credentials
+ * that an <img> could not send itself.
+ * @param {Blob} blob
+ * @returns {Promise<string | null>} Null when the blob cannot be read
+ */
+export const blobToDataUrl = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => resolve(null);
+  reader.readAsDataURL(blob);
+});
@@ -0,0 +1,80 @@
+/**
+ * File name helpers shared by the sources and collection tools: extensions,
+ * preview/metadata sidecar naming and the key that pairs a sidecar with
+ * its asset.
+ */
+
+export const PREVIEW_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+export const PREVIEW_SUFFIX = '.preview';
+export const METADATA_SUFFIXES = ['.meta.json', '.metadata.json'];
+
+/** File extension written for each preview blob type. */
+export const PREVIEW_TYPE_EXTENSIONS = {
+  'image/webp': '.webp',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+};
+
+/**
+ * Last path segment.
+ * @param {string} path
+ * @returns {string}
+ */
+export const getFilename = (path) => {
+  const parts = path.split('/');
+  return parts[parts.length - 1] || path;
+};
+
+/**
+ * Lowercased extension of the last path segment, with the dot.
+ * Dotfiles such as `.env` have no extension.
+ * @param {string} path
+ * @returns {string}
+ */
+export const getExtension = (path) => {
+  const name = getFilename(path);
+  const lastDot = name.lastIndexOf('.');
+  return lastDot > 0 ? name.slice(lastDot).toLowerCase() : '';
+};
+
+/**
+ * Path without the extension of its last segment.
+ * @param {string} path
+ * @returns {string}
+ */
+export const stripExtension = (path) => {
+  const extension = getExtension(path);
+  return extension ? path.slice(0, -extension.length) : path;
+};
+
+/**
+ * @param {string} path
+ * @returns {string | null} The metadata suffix the path ends with
+ */
+export const getMetadataSuffix = (path) => METADATA_SUFFIXES.find((suffix) => path.toLowerCase().endsWith(suffix)) || null;
+
+/**
+ * Pairing key shared by assets and their sidecars: the path without
+ * extension, lowercased. `scene.preview.jpg`, `scene.jpg` and
+ * `scene.meta.json` all pair with `scene.ply`.
+ * @param {string} path
+ * @returns {string}
+ */
+export const getSidecarKey = (path) => {
+  const metadataSuffix = getMetadataSuffix(path);
+  if (metadataSuffix) {
+    return path.slice(0, -metadataSuffix.length).toLowerCase();
+  }
+  const base = stripExtension(path).toLowerCase();
+  return base.endsWith(PREVIEW_SUFFIX) ? base.slice(0, -PREVIEW_SUFFIX.length) : base;
+};
+
+/**
+ * @param {string} path
+ * @returns {'metadata' | 'preview' | null}
+ */
+export const getSidecarKind = (path) => {
+  if (getMetadataSuffix(path)) return 'metadata';
+  if (PREVIEW_EXTENSIONS.includes(getExtension(path))) return 'preview';
+  return null;
+};
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { getExtension, getSidecarKey, getSidecarKind, stripExtension } from './fileNames.js';
+
+describe('getExtension', () => {
+  it('reads the extension of the last path segment', () => {
+    expect(getExtension('scenes/Garden.PLY')).toBe('.ply');
+    expect(getExtension('v1.2/scene')).toBe('');
+    expect(getExtension('.env')).toBe('');
+  });
+});
+
+describe('stripExtension', () => {
+  it('keeps dots in folder names', () => {
+    expect(stripExtension('v1.2/scene.sog')).toBe('v1.2/scene');
+    expect(stripExtension('v1.2/scene')).toBe('v1.2/scene');
+  });
+});
+
+describe('getSidecarKey', () => {
+  it('pairs previews and metadata with their asset', () => {
+    const key = getSidecarKey('sub/Scene.ply');
+    expect(key).toBe('sub/scene');
+    expect(getSidecarKey('sub/scene.preview.jpg')).toBe(key);
+    expect(getSidecarKey('sub/scene.webp')).toBe(key);
+    expect(getSidecarKey('sub/scene.meta.json')).toBe(key);
+    expect(getSidecarKey('sub/scene.metadata.json')).toBe(key);
+  });
+
+  it('keeps dotted asset names intact', () => {
+    expect(getSidecarKey('my.scene.meta.json')).toBe(getSidecarKey('my.scene.spz'));
+  });
+});
+
+describe('getSidecarKind', () => {
+  it('classifies sidecar files', () => {
+    expect(getSidecarKind('scene.meta.json')).toBe('metadata');
+    expect(getSidecarKind('scene.preview.png')).toBe('preview');
+    expect(getSidecarKind('scene.ply')).toBe(null);
+  });
+});
@@ -13,6 +13,22 @@ export {
   createSourceId,
 } from './types.js';
 
+export {
+  upgradeManifest,
+  readManifestAssetFields,
+  writeManifestAssetFields,
+  sortByManifestOrder,
+} from './manifest.js';
+
+export {
+  isAbortError,
+  createAbortError,
+  throwIfAborted,
+  readResponseWithProgress,
+  fetchWithProgress,
+  fetchStreamFrom,
+} from './download.js';
+
 // Base class
 export { AssetSource } from './AssetSource.js';
 
@@ -47,12 +63,40 @@ export {
   restoreR2BucketSource,
 } from './R2BucketSource.js';
 
+export {
+  S3BucketSource,
+  createS3BucketSource,
+  restoreS3BucketSource,
+} from './S3BucketSource.js';
+
+export {
+  WebDavSource,
+  createWebDavSource,
+  restoreWebDavSource,
+} from './WebDavSource.js';
+
+export {
+  supportsCollectionDoctor,
+  diagnoseCollection,
+  hasCollectionProblems,
+  planManifestRepair,
+  applyManifestRepair,
+} from './collectionDoctor.js';
+
+import { startSettingsWriteBack as _startSettingsWriteBack } from './localFolderWriteBack.js';
+import { startSettingsSync as _startSettingsSync } from './settingsSync.js';
+import { startVaultAutoLock as _startVaultAutoLock } from './vaultAutoLock.js';
+import { startStorageBudgetEnforcement as _startStorageBudgetEnforcement } from './storageManager.js';
+import { completeSupabaseMagicLink as _completeSupabaseMagicLink } from './supabaseAuth.js';
+
 // Import restore functions for local use in restoreSource()
 import { restoreLocalFolderSource as _restoreLocalFolderSource } from './LocalFolderSource.js';
 import { restoreAppStorageSource as _restoreAppStorageSource } from './AppStorageSource.js';
 import { restorePublicUrlSource as _restorePublicUrlSource } from './PublicUrlSource.js';
 import { restoreSupabaseStorageSource as _restoreSupabaseStorageSource } from './SupabaseStorageSource.js';
 import { restoreR2BucketSource as _restoreR2BucketSource } from './R2BucketSource.js';
+import { restoreS3BucketSource as _restoreS3BucketSource } from './S3BucketSource.js';
+import { restoreWebDavSource as _restoreWebDavSource } from './WebDavSource.js';
 import { createPublicUrlSource as _createPublicUrlSource } from './PublicUrlSource.js';
 
 // Source manager - import for local use
@@ -96,9 +140,14 @@ export {
 
 // Asset cache
 export {
+  getCacheIdentity,
   loadCachedAssetBlob,
   loadCachedAssetFile,
   hasCachedAsset,
+  listCachedAssetPaths,
+  isPathCached,
+  listCacheEntries,
+  evictCachedContent,
   saveCachedAssetBlob,
   deleteCachedAssetBlob,
   loadCollectionManifest,
@@ -114,6 +163,109 @@ export {
   clearAllAssetCache,
 } from './assetCache.js';
 
+// Storage budget
+export {
+  getStorageEstimate,
+  isStoragePersisted,
+  requestPersistentStorage,
+  getStorageUsage,
+  enforceStorageBudget,
+  createSpaceReserver,
+  setStorageBudget,
+} from './storageManager.js';
+
+export {
+  loadStorageBudgetSettings,
+  isCollectionPinned,
+  setCollectionPinned,
+} from './storageBudgetSettings.js';
+
+// Offline pins (service worker downloads)
+export {
+  supportsOfflinePinning,
+  listOfflinePins,
+  pinCollectionOffline,
+  unpinCollectionOffline,
+  resumeOfflinePins,
+  onOfflinePinChange,
+} from './offlinePins.js';
+
+// Local folder write-back (previews, .meta.json, manifest.json)
+export {
+  supportsWriteBack,
+  isWriteBackEnabled,
+  setWriteBackEnabled,
+  writeBackPreview,
+  writeBackFolder,
+} from './localFolderWriteBack.js';
+
+export {
+  buildSettingsSidecar,
+  mergeSettingsSidecar,
+  seedSettingsFromSidecar,
+} from './settingsSidecar.js';
+
+// Settings sync into Supabase/R2/S3 manifests
+export {
+  supportsSettingsSync,
+  isSettingsSyncEnabled,
+  setSettingsSyncEnabled,
+  syncCollectionSettings,
+  getSettingsConflicts,
+  onSettingsConflictsChange,
+  resolveSettingsConflict,
+} from './settingsSync.js';
+
+// Time-limited share links for R2/S3 collections
+export {
+  SHARE_EXPIRY_OPTIONS,
+  supportsShareLinks,
+  canShareCollection,
+  loadShareLinks,
+  getShareLinks,
+  forgetShareLink,
+  revokeShareLink,
+  createAssetShareLink,
+  createCollectionShareLink,
+  getSharedCollectionUrlFromLocation,
+  clearSharedCollectionFromLocation,
+  openSharedCollection,
+} from './shareLinks.js';
+
+// Cross-source collection copy/move
+export {
+  canTransferTo,
+  canMoveFrom,
+  loadTransferJob,
+  clearTransferJob,
+  planCollectionTransfer,
+  transferCollection,
+} from './collectionTransfer.js';
+
+// Static web gallery publishing
+export {
+  IS_PUBLIC_GALLERY,
+  DEFAULT_GALLERY_PREFIX,
+  openPublicGallery,
+  canPublishGalleryTo,
+  normalizeGalleryPrefix,
+  publishGallery,
+} from './staticGallery.js';
+
+// Credential vault auto-lock
+export {
+  lockCredentialVault,
+  refreshVaultAutoLock,
+} from './vaultAutoLock.js';
+
+// Supabase Auth for private buckets
+export {
+  signInToSupabase,
+  sendSupabaseMagicLink,
+  signOutOfSupabase,
+  onSupabaseSessionChange,
+} from './supabaseAuth.js';
+
 
 /**
  * Restore a source from persisted config based on its type.
@@ -134,6 +286,10 @@ export const restoreSource = (config) => {
       return _restoreSupabaseStorageSource(config);
     case 'r2-bucket':
       return _restoreR2BucketSource(config);
+    case 's3-bucket':
+      return _restoreS3BucketSource(config);
+    case 'webdav':
+      return _restoreWebDavSource(config);
     default:
       console.warn(`Unknown source type: ${config.type}`);
       return null;
@@ -146,6 +302,10 @@ export const restoreSource = (config) => {
  * @returns {Promise<import('./AssetSource.js').AssetSource[]>}
  */
 export const initializeSources = async () => {
+  _startSettingsWriteBack();
+  _startSettingsSync();
+  _startVaultAutoLock();
+  _startStorageBudgetEnforcement();
   const configs = await _loadAllSources();
   console.log('[Storage] Found persisted configs:', configs);
   const sources = [];
@@ -158,5 +318,13 @@ export const initializeSources = async () => {
     }
   }
 
+  // A Supabase magic link lands here with the session in the URL hash
+  const magicLink = await _completeSupabaseMagicLink();
+  if (magicLink?.success) {
+    console.log('[Storage] Signed in to Supabase from a magic link');
+  } else if (magicLink) {
+    console.warn('[Storage] Supabase sign-in link failed:', magicLink.error);
+  }
+
   return sources;
 };
@@ -0,0 +1,193 @@
+/**
+ * Local folder write-back.
+ *
+ * With write-back on, a local folder keeps its own copy of what the viewer
+ * stores in IndexedDB: generated previews as `<name>.preview.webp`, per-file
+ * settings as `<name>.meta.json` and, on request, a manifest.json with the
+ * default views. Copying or syncing the folder (Dropbox, a USB drive) then
+ * brings all of it along.
+ *
+ * Automatic writes never prompt: they only run while the folder still has
+ * readwrite permission and are skipped quietly otherwise.
+ */
+
+import { MANIFEST_VERSION } from './types.js';
+import { upgradeManifest } from './manifest.js';
+import { getSource, getSourcesArray, saveSource } from './sourceManager.js';
+import { buildSettingsSidecar, mergeSettingsSidecar } from './settingsSidecar.js';
+import { getFileStorageKey, loadPreviewBlob, onFileSettingsChange } from '../fileStorage.js';
+import { getCustomViewForAsset } from '../customMetadata.js';
+
+const SETTINGS_DEBOUNCE_MS = 750;
+
+/**
+ * Whether a source can take write-back at all.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @returns {boolean}
+ */
+export const supportsWriteBack = (source) => Boolean(source)
+  && typeof source.writePreview === 'function'
+  && typeof source.writeMetadata === 'function';
+
+/**
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @returns {boolean}
+ */
+export const isWriteBackEnabled = (source) => supportsWriteBack(source) && source.config?.config?.writeBack === true;
+
+/**
+ * Turn automatic write-back on or off for a folder.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {boolean} enabled
+ */
+export const setWriteBackEnabled = async (source, enabled) => {
+  source.config.config.writeBack = Boolean(enabled);
+  await saveSource(source.toJSON());
+};
+
+const findSourceAsset = (source, storageKey) => source.getAssets().find((asset) => getFileStorageKey(asset) === storageKey) || null;
+
+const writeSettingsSidecar = async (source, asset, { prompt }) => {
+  const settings = await buildSettingsSidecar(getFileStorageKey(asset));
+  const existing = await source.fetchMetadata(asset);
+  if (!settings && !existing) return false;
+  await source.writeMetadata(asset, mergeSettingsSidecar(existing, settings), { prompt });
+  return true;
+};
+
+/**
+ * Write a freshly generated preview next to its asset when the asset's
+ * folder has write-back on. Failures are logged, never thrown.
+ * @param {Object} asset - Adapted viewer asset (with sourceId/_remoteAsset)
+ * @param {Blob} blob
+ */
+export const writeBackPreview = async (asset, blob) => {
+  const source = asset?.sourceId ? getSource(asset.sourceId) : null;
+  if (!isWriteBackEnabled(source) || !asset._remoteAsset || !blob) return;
+  try {
+    await source.writePreview(asset._remoteAsset, blob, { prompt: false });
+  } catch (err) {
+    console.warn(`[WriteBack] Preview for ${asset.name} not written:`, err.message);
+  }
+};
+
+const pendingSettings = new Map();
+
+const flushSettings = async (storageKey) => {
+  pendingSettings.delete(storageKey);
+  const sources = getSourcesArray().filter((source) => isWriteBackEnabled(source) && source.isConnected());
+  for (const source of sources) {
+    const asset = findSourceAsset(source, storageKey);
+    if (!asset) continue;
+    try {
+      await writeSettingsSidecar(source, asset, { prompt: false });
+    } catch (err) {
+      console.warn(`[WriteBack] Settings for ${asset.name} not written to ${source.name}:`, err.message);
+    }
+  }
+};
+
+let stopSettingsWriteBack = null;
+
+/**
+ * Mirror per-file settings changes into `.meta.json` sidecars of folders
+ * with write-back on. Safe to call more than once.
+ */
+export const startSettingsWriteBack = () => {
+  if (stopSettingsWriteBack) return;
+  stopSettingsWriteBack = onFileSettingsChange((storageKey) => {
+    // Sliders save on every change; write once they settle
+    clearTimeout(pendingSettings.get(storageKey));
+    pendingSettings.set(storageKey, setTimeout(() => flushSettings(storageKey), SETTINGS_DEBOUNCE_MS));
+  });
+};
+
+const writeFolderManifest = async (source, assets) => {
+  const existing = await source.getManifest();
+  const manifest = existing
+    ? upgradeManifest(existing)
+    : { version: MANIFEST_VERSION, name: source.name, assets: [] };
+  const entries = new Map(manifest.assets.map((entry) => [entry.path.replace(/^\.?\//, ''), entry]));
+
+  for (const asset of assets) {
+    let entry = entries.get(asset.path);
+    if (!entry) {
+      entry = { path: asset.path, name: asset.name };
+      manifest.assets.push(entry);
+    }
+    if (!entry.defaultView) {
+      const view = await getCustomViewForAsset(getFileStorageKey(asset));
+      if (view) entry.defaultView = view;
+    }
+  }
+
+  await source.writeManifest(manifest);
+};
+
+/**
+ * @typedef {Object} WriteBackResult
+ * @property {boolean} success
+ * @property {number} previews - Preview files written
+ * @property {number} metadata - Sidecars written
+ * @property {boolean} manifestWritten
+ * @property {Array<{ name: string, error: string }>} failed
+ */
+
+/**
+ * Write everything the viewer stores for a folder's assets into the folder.
+ * Must run from a user gesture the first time, since it may ask for
+ * readwrite permission.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {{
+ *   previews?: boolean,
+ *   metadata?: boolean,
+ *   manifest?: boolean,
+ *   onProgress?: (progress: { completed: number, total: number, name?: string }) => void,
+ * }} [options]
+ * @returns {Promise<WriteBackResult>}
+ */
+export const writeBackFolder = async (source, {
+  previews = true,
+  metadata = true,
+  manifest = false,
+  onProgress,
+} = {}) => {
+  if (!supportsWriteBack(source)) {
+    throw new Error('This collection cannot store files next to its assets');
+  }
+
+  const result = { success: true, previews: 0, metadata: 0, manifestWritten: false, failed: [] };
+  const assets = source.getAssets();
+
+  for (let i = 0; i < assets.length; i++) {
+    const asset = assets[i];
+    onProgress?.({ completed: i, total: assets.length, name: asset.name });
+    try {
+      if (previews) {
+        const stored = await loadPreviewBlob(asset.name, getFileStorageKey(asset));
+        if (stored?.blob) {
+          await source.writePreview(asset, stored.blob);
+          result.previews += 1;
+        }
+      }
+      if (metadata && await writeSettingsSidecar(source, asset, { prompt: true })) {
+        result.metadata += 1;
+      }
+    } catch (err) {
+      result.failed.push({ name: asset.name, error: err?.message || String(err) });
+    }
+  }
+
+  if (manifest) {
+    onProgress?.({ completed: assets.length, total: assets.length, name: 'manifest.json' });
+    try {
+      await writeFolderManifest(source, assets);
+      result.manifestWritten = true;
+    } catch (err) {
+      result.failed.push({ name: 'manifest.json', error: err?.message || String(err) });
+    }
+  }
+
+  result.success = result.failed.length === 0;
+  return result;
+};
@@ -0,0 +1,185 @@
+/**
+ * Manifest schema helpers shared by the manifest-backed sources.
+ *
+ * v2 is a strict superset of v1: every v1 manifest is a valid v2 manifest
+ * once its version is bumped, so upgrading only normalizes the optional
+ * presentation fields (tags, groups, order, caption, slideshow, defaultView,
+ * checksum) and drops values that do not match the schema.
+ */
+
+import { MANIFEST_VERSION } from './types.js';
+
+export const SLIDESHOW_TRANSITIONS = ['horizontal', 'vertical', 'zoom', 'fade'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const toTrimmedString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return [];
+  const seen = new Set();
+  const result = [];
+  for (const tag of tags) {
+    const value = toTrimmedString(tag);
+    if (!value || seen.has(value.toLowerCase())) continue;
+    seen.add(value.toLowerCase());
+    result.push(value);
+  }
+  return result;
+};
+
+const normalizeOrder = (order) => (Number.isFinite(order) ? order : null);
+
+const normalizeSlideshow = (slideshow) => {
+  if (!isPlainObject(slideshow)) return null;
+  const duration = Number(slideshow.duration);
+  const result = {};
+  if (Number.isFinite(duration) && duration > 0) result.duration = duration;
+  if (SLIDESHOW_TRANSITIONS.includes(slideshow.transition)) result.transition = slideshow.transition;
+  return Object.keys(result).length ? result : null;
+};
+
+// Same shape as a saved custom view (see customMetadata.js); only the
+// camera pose is required.
+const normalizeDefaultView = (view) => (isPlainObject(view) && isPlainObject(view.cameraPose) ? view : null);
+
+const normalizeChecksum = (checksum) => {
+  if (!isPlainObject(checksum)) return null;
+  const sha256 = typeof checksum.sha256 === 'string' ? checksum.sha256.trim().toLowerCase() : '';
+  return /^[0-9a-f]{64}$/.test(sha256) ? { sha256 } : null;
+};
+
+const normalizeGroups = (groups) => {
+  if (!Array.isArray(groups)) return [];
+  const seen = new Set();
+  const result = [];
+  for (const group of groups) {
+    const id = toTrimmedString(group?.id);
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    const entry = { id, name: toTrimmedString(group.name) || id };
+    const description = toTrimmedString(group.description);
+    if (description) entry.description = description;
+    if (Number.isFinite(group.order)) entry.order = group.order;
+    result.push(entry);
+  }
+  return result;
+};
+
+/**
+ * Normalize one manifest asset entry to the v2 shape. Unknown keys are kept
+ * so newer writers do not lose data when an older build saves the manifest.
+ * @param {import('./types.js').ManifestAsset} item
+ * @returns {import('./types.js').ManifestAsset}
+ */
+const upgradeManifestAsset = (item) => {
+  const {
+    tags, group, order, caption, slideshow, defaultView, checksum, ...rest
+  } = item;
+  const next = { ...rest };
+
+  const normalizedTags = normalizeTags(tags);
+  if (normalizedTags.length) next.tags = normalizedTags;
+  const groupId = toTrimmedString(group);
+  if (groupId) next.group = groupId;
+  if (normalizeOrder(order) !== null) next.order = order;
+  const normalizedCaption = toTrimmedString(caption);
+  if (normalizedCaption) next.caption = normalizedCaption;
+  const normalizedSlideshow = normalizeSlideshow(slideshow);
+  if (normalizedSlideshow) next.slideshow = normalizedSlideshow;
+  const normalizedView = normalizeDefaultView(defaultView);
+  if (normalizedView) next.defaultView = normalizedView;
+  const normalizedChecksum = normalizeChecksum(checksum);
+  if (normalizedChecksum) next.checksum = normalizedChecksum;
+
+  return next;
+};
+
+/**
+ * Upgrade a manifest of any supported version to the current version.
+ * Groups referenced by assets but missing from `groups` are added so the
+ * written manifest is self-describing.
+ * @param {import('./types.js').AssetManifest} manifest
+ * @returns {import('./types.js').AssetManifest}
+ */
+export const upgradeManifest = (manifest) => {
+  const assets = (manifest?.assets || []).filter(isPlainObject).map(upgradeManifestAsset);
+  const groups = normalizeGroups(manifest?.groups);
+  const knownGroups = new Set(groups.map((group) => group.id));
+
+  for (const asset of assets) {
+    if (asset.group && !knownGroups.has(asset.group)) {
+      knownGroups.add(asset.group);
+      groups.push({ id: asset.group, name: asset.group });
+    }
+  }
+
+  const upgraded = { ...manifest, version: MANIFEST_VERSION, assets };
+  if (groups.length) {
+    upgraded.groups = groups;
+  } else {
+    delete upgraded.groups;
+  }
+  return upgraded;
+};
+
+/**
+ * Read the v2 presentation fields of a manifest entry into the shape used
+ * on RemoteAssetDescriptor. v1 entries yield empty defaults.
+ * @param {import('./types.js').ManifestAsset} item
+ * @param {import('./types.js').AssetManifest} [manifest] - Used to resolve group names
+ * @returns {{ tags: string[], group: { id: string, name: string } | null, order: number | null, caption: string | null, slideshow: { duration?: number, transition?: string } | null, defaultView: Object | null, checksum: { sha256: string } | null }}
+ */
+export const readManifestAssetFields = (item, manifest = null) => {
+  const groupId = toTrimmedString(item?.group);
+  let group = null;
+  if (groupId) {
+    const match = normalizeGroups(manifest?.groups).find((entry) => entry.id === groupId);
+    group = { id: groupId, name: match?.name || groupId };
+  }
+
+  return {
+    tags: normalizeTags(item?.tags),
+    group,
+    order: normalizeOrder(item?.order),
+    caption: toTrimmedString(item?.caption),
+    slideshow: normalizeSlideshow(item?.slideshow),
+    defaultView: normalizeDefaultView(item?.defaultView),
+    checksum: normalizeChecksum(item?.checksum),
+  };
+};
+
+/**
+ * Inverse of readManifestAssetFields: the v2 presentation fields of a
+ * descriptor as manifest entry keys, omitting empty values.
+ * @param {{ tags?: string[], group?: { id: string } | null, order?: number | null, caption?: string | null, slideshow?: Object | null, defaultView?: Object | null, checksum?: Object | null }} asset
+ * @returns {Partial<import('./types.js').ManifestAsset>}
+ */
+export const writeManifestAssetFields = (asset) => upgradeManifestAsset({
+  tags: asset?.tags,
+  group: asset?.group?.id,
+  order: asset?.order,
+  caption: asset?.caption,
+  slideshow: asset?.slideshow,
+  defaultView: asset?.defaultView,
+  checksum: asset?.checksum,
+});
+
+/**
+ * Sort descriptors by explicit manifest `order`. Assets without an order keep
+ * their relative position after the ordered ones (Array#sort is stable).
+ * @template {{ order?: number | null }} T
+ * @param {T[]} assets
+ * @returns {T[]}
+ */
+export const sortByManifestOrder = (assets) => {
+  if (!assets.some((asset) => Number.isFinite(asset.order))) return assets;
+  return [...assets].sort((a, b) => {
+    const aOrdered = Number.isFinite(a.order);
+    const bOrdered = Number.isFinite(b.order);
+    if (aOrdered && bOrdered) return a.order - b.order;
+    if (aOrdered) return -1;
+    if (bOrdered) return 1;
+    return 0;
+  });
+};
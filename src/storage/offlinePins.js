@@ -0,0 +1,159 @@
+/**
+ * Offline pins
+ *
+ * Pins a remote collection for offline use by handing its URLs to the
+ * service worker (public/offline-pins-sw.js). The worker downloads them with
+ * Background Fetch or a resumable queue, so the page does not have to stay
+ * open, and answers those URLs from Cache Storage when the network is gone.
+ */
+
+import { setCollectionPinnedOffline } from './storageBudgetSettings.js';
+import { requestPersistentStorage } from './storageManager.js';
+
+const STATUS_TIMEOUT_MS = 5000;
+
+/**
+ * @typedef {Object} OfflineEntry
+ * @property {string} url - URL the service worker downloads
+ * @property {string} [match] - URL the app requests, when it differs from `url`
+ * @property {'manifest' | 'asset' | 'preview' | 'metadata'} kind
+ */
+
+/**
+ * @typedef {Object} OfflinePinStatus
+ * @property {string} collectionId
+ * @property {string} name
+ * @property {'queued' | 'downloading' | 'ready' | 'incomplete'} status
+ * @property {'background-fetch' | 'queue'} mode
+ * @property {number} done - Entries stored in the offline cache
+ * @property {number} failed - Entries that failed in the last queue pass
+ * @property {number} total
+ * @property {string | null} error
+ */
+
+const listeners = new Set();
+let messageHandlerAttached = false;
+
+const hasServiceWorker = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+// Resolves to null in dev builds, where no worker is registered
+const getActiveRegistration = async () => {
+  if (!hasServiceWorker()) return null;
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    return registration?.active ? registration : null;
+  } catch {
+    return null;
+  }
+};
+
+const postToWorker = async (message) => {
+  const registration = await getActiveRegistration();
+  if (!registration) {
+    throw new Error('Offline pinning needs the app to be installed with its service worker');
+  }
+  registration.active.postMessage(message);
+};
+
+const requestFromWorker = async (message) => {
+  const registration = await getActiveRegistration();
+  if (!registration) return null;
+
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timeoutId = setTimeout(() => resolve(null), STATUS_TIMEOUT_MS);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timeoutId);
+      resolve(event.data);
+    };
+    registration.active.postMessage(message, [channel.port2]);
+  });
+};
+
+/**
+ * Whether a collection can be pinned for offline use in this browser.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @returns {boolean}
+ */
+export const supportsOfflinePinning = (source) => Boolean(source)
+  && typeof source.getOfflineEntries === 'function'
+  && hasServiceWorker()
+  && typeof caches !== 'undefined';
+
+/**
+ * Status of every pinned collection, as tracked by the service worker.
+ * @returns {Promise<OfflinePinStatus[]>}
+ */
+export const listOfflinePins = async () => {
+  const reply = await requestFromWorker({ type: 'offline-status' });
+  return reply?.pins || [];
+};
+
+/**
+ * Pin a collection: hand its manifest, asset, preview and metadata URLs to
+ * the service worker, and keep its cached assets out of budget eviction.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @returns {Promise<number>} Number of URLs queued
+ */
+export const pinCollectionOffline = async (source) => {
+  if (!supportsOfflinePinning(source)) {
+    throw new Error('This collection cannot be pinned for offline use');
+  }
+
+  if (!source.isConnected()) {
+    const result = await source.connect({ refreshManifest: true });
+    if (!result.success) {
+      throw new Error(result.error || 'Could not connect to the collection');
+    }
+  }
+  await source.listAssets();
+  const entries = await source.getOfflineEntries();
+
+  // Cache Storage shares the origin quota; ask the browser to keep it
+  await requestPersistentStorage();
+  await postToWorker({
+    type: 'offline-pin',
+    pin: { collectionId: source.id, name: source.name, entries },
+  });
+  setCollectionPinnedOffline(source.id, true);
+  return entries.length;
+};
+
+/**
+ * Unpin a collection and drop its offline copies (URLs shared with another
+ * pinned collection are kept).
+ * @param {string} sourceId
+ */
+export const unpinCollectionOffline = async (sourceId) => {
+  await postToWorker({ type: 'offline-unpin', collectionId: sourceId });
+  setCollectionPinnedOffline(sourceId, false);
+};
+
+/**
+ * Let the service worker pick up queued downloads, e.g. after coming back
+ * online. A no-op without an active worker.
+ */
+export const resumeOfflinePins = async () => {
+  const registration = await getActiveRegistration();
+  registration?.active.postMessage({ type: 'offline-resume' });
+};
+
+/**
+ * Subscribe to pin progress. Removed pins are reported with status 'removed'.
+ * @param {(pin: OfflinePinStatus | { collectionId: string, status: 'removed' }) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export const onOfflinePinChange = (listener) => {
+  if (!hasServiceWorker()) return () => {};
+
+  if (!messageHandlerAttached) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data?.type !== 'offline-pin-progress') return;
+      listeners.forEach((fn) => fn(event.data.pin));
+    });
+    messageHandlerAttached = true;
+  }
+
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -37,17 +37,12 @@ const listAllObjects = async (client, bucket, options = {}) => {
 };
 
 /**
- * List all collection folders in the bucket under `collections/`
- * Returns array of { id, name, assetCount, hasManifest }
+ * List collection folders under `collections/` with any S3-compatible client.
+ * `cacheScope` is the manifest-cache account slot the matching source uses.
+ * Returns { success, collections: [{ id, name, assetCount, hasManifest }] }
  */
-export async function listExistingCollections({ accountId, accessKeyId, secretAccessKey, bucket }) {
-  if (!accountId || !accessKeyId || !secretAccessKey || !bucket) {
-    return { success: false, error: 'Missing R2 configuration', collections: [] };
-  }
-
+export async function listBucketCollections(client, { bucket, cacheScope }) {
   try {
-    const client = getR2Client({ accountId, accessKeyId, secretAccessKey });
-
     const listResponse = await client.send(new ListObjectsV2Command({
       Bucket: bucket,
       Prefix: 'collections/',
@@ -71,7 +66,7 @@ export async function listExistingCollections({ accountId, accessKeyId, secretAc
       let assetCount = 0;
       let collectionName = collectionId;
 
-      const cachedManifest = loadR2ManifestCache({ accountId, bucket, collectionId });
+      const cachedManifest = loadR2ManifestCache({ accountId: cacheScope, bucket, collectionId });
       let hasManifest = Boolean(cachedManifest);
 
       if (cachedManifest) {
@@ -111,15 +106,24 @@ export async function listExistingCollections({ accountId, accessKeyId, secretAc
 }
 
 /**
- * Test bucket connection with current settings
+ * List all collection folders in the bucket under `collections/`
+ * Returns array of { id, name, assetCount, hasManifest }
  */
-export async function testR2Connection({ accountId, accessKeyId, secretAccessKey, bucket }) {
+export async function listExistingCollections({ accountId, accessKeyId, secretAccessKey, bucket }) {
   if (!accountId || !accessKeyId || !secretAccessKey || !bucket) {
-    return { success: false, error: 'Missing configuration' };
+    return { success: false, error: 'Missing R2 configuration', collections: [] };
   }
 
+  const client = getR2Client({ accountId, accessKeyId, secretAccessKey });
+  return listBucketCollections(client, { bucket, cacheScope: accountId });
+}
+
+/**
+ * Probe read/write/delete access on a bucket with any S3-compatible client.
+ * `unreachableError` is reported when the endpoint cannot be reached at all.
+ */
+export async function probeBucketPermissions(client, { bucket, unreachableError }) {
   try {
-    const client = getR2Client({ accountId, accessKeyId, secretAccessKey });
     const permissions = {
       canRead: false,
       canWrite: false,
@@ -197,7 +201,7 @@ export async function testR2Connection({ accountId, accessKeyId, secretAccessKey
 
     if (!permissions.canRead) {
       const error = networkFailure
-        ? 'Could not reach the R2 endpoint. Check your Account ID and credentials.'
+        ? unreachableError
         : 'Connected, but missing read/list permission for this bucket.';
       return {
         success: false,
@@ -209,7 +213,6 @@ export async function testR2Connection({ accountId, accessKeyId, secretAccessKey
 
     return {
       success: true,
-      endpoint: buildR2Endpoint(accountId),
       permissions,
       probeErrors,
     };
@@ -217,3 +220,19 @@ export async function testR2Connection({ accountId, accessKeyId, secretAccessKey
     return { success: false, error: err.message, permissions: { canRead: false, canWrite: false, canDelete: false }, probeErrors: [err.message] };
   }
 }
+
+/**
+ * Test bucket connection with current settings
+ */
+export async function testR2Connection({ accountId, accessKeyId, secretAccessKey, bucket }) {
+  if (!accountId || !accessKeyId || !secretAccessKey || !bucket) {
+    return { success: false, error: 'Missing configuration' };
+  }
+
+  const client = getR2Client({ accountId, accessKeyId, secretAccessKey });
+  const result = await probeBucketPermissions(client, {
+    bucket,
+    unreachableError: 'Could not reach the R2 endpoint. Check your Account ID and credentials.',
+  });
+  return result.success ? { ...result, endpoint: buildR2Endpoint(accountId) } : result;
+}
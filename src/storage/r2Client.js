@@ -1,6 +1,6 @@
 /**
- * Shared Cloudflare R2 (S3-compatible) client factory.
- * Ensures one S3Client per credential set.
+ * Shared S3-compatible client factory (Cloudflare R2, AWS S3, MinIO, ...).
+ * Ensures one S3Client per endpoint/credential set.
  */
 import { S3Client } from '@aws-sdk/client-s3';
 
@@ -11,18 +11,22 @@ export const buildR2Endpoint = (accountId) => {
   return normalized ? `https://${normalized}.r2.cloudflarestorage.com` : '';
 };
 
-export const getR2Client = ({ accountId, endpoint, accessKeyId, secretAccessKey }) => {
-  const resolvedEndpoint = endpoint || buildR2Endpoint(accountId);
-  const normalizedEndpoint = String(resolvedEndpoint || '').trim();
+/**
+ * Client for any S3-compatible endpoint.
+ * An empty endpoint falls back to AWS S3 for the given region.
+ */
+export const getS3Client = ({ endpoint, region, forcePathStyle = false, accessKeyId, secretAccessKey }) => {
+  const normalizedEndpoint = String(endpoint || '').trim().replace(/\/+$/, '');
+  const normalizedRegion = String(region || '').trim() || 'us-east-1';
   const normalizedAccessKey = String(accessKeyId || '').trim();
   const normalizedSecretKey = String(secretAccessKey || '').trim();
-  const cacheKey = `${normalizedEndpoint}::${normalizedAccessKey}::${normalizedSecretKey}`;
+  const cacheKey = `${normalizedEndpoint}::${normalizedRegion}::${forcePathStyle ? 'path' : 'vhost'}::${normalizedAccessKey}::${normalizedSecretKey}`;
 
   if (!clientCache.has(cacheKey)) {
     const client = new S3Client({
-      region: 'auto',
-      endpoint: normalizedEndpoint,
-      forcePathStyle: true,
+      region: normalizedRegion,
+      ...(normalizedEndpoint ? { endpoint: normalizedEndpoint } : {}),
+      forcePathStyle: Boolean(forcePathStyle),
       credentials: {
         accessKeyId: normalizedAccessKey,
         secretAccessKey: normalizedSecretKey,
@@ -33,3 +37,19 @@ export const getR2Client = ({ accountId, endpoint, accessKeyId, secretAccessKey
 
   return clientCache.get(cacheKey);
 };
+
+export const getR2Client = ({ accountId, endpoint, accessKeyId, secretAccessKey }) => getS3Client({
+  endpoint: endpoint || buildR2Endpoint(accountId),
+  region: 'auto',
+  forcePathStyle: true,
+  accessKeyId,
+  secretAccessKey,
+});
+
+/**
+ * Drop cached clients (and the credentials they hold), e.g. when the
+ * credential vault locks.
+ */
+export const clearS3ClientCache = () => {
+  clientCache.clear();
+};
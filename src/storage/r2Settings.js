@@ -1,9 +1,18 @@
-import { getUnlockedSecret, getVaultSecretIds, isEncryptedCredentialPayload } from './credentialVault.js';
+import { getUnlockedSecret, getVaultSecretIds, isEncryptedCredentialPayload, registerVaultSecret } from './credentialVault.js';
 
 const STORAGE_KEY = 'r2-settings';
 const MANIFEST_CACHE_PREFIX = 'r2-manifest-cache:';
 const MANIFEST_CACHE_TTL_MS = 5 * 60 * 1000;
 
+registerVaultSecret({
+  id: 'r2-secret',
+  alias: 'r2',
+  storageKey: STORAGE_KEY,
+  field: 'secretAccessKeyEncrypted',
+  sourceType: 'r2-bucket',
+  sourceField: 'secretAccessKey',
+});
+
 const DEFAULT_PERMISSIONS = {
   canRead: true,
   canWrite: true,
@@ -0,0 +1,39 @@
+/**
+ * S3-compatible API helpers for bucket exploration.
+ * Thin wrappers over the R2 helpers with a configurable endpoint, region
+ * and addressing style.
+ */
+
+import { getS3Client } from './r2Client.js';
+import { listBucketCollections, probeBucketPermissions } from './r2Api.js';
+import { getS3CacheScope } from './s3Settings.js';
+
+const isConfigured = ({ accessKeyId, secretAccessKey, bucket }) => Boolean(accessKeyId && secretAccessKey && bucket);
+
+/**
+ * List all collection folders in the bucket under `collections/`
+ * Returns array of { id, name, assetCount, hasManifest }
+ */
+export async function listExistingS3Collections(settings) {
+  if (!isConfigured(settings)) {
+    return { success: false, error: 'Missing S3 configuration', collections: [] };
+  }
+
+  const client = getS3Client(settings);
+  return listBucketCollections(client, { bucket: settings.bucket, cacheScope: getS3CacheScope(settings) });
+}
+
+/**
+ * Test bucket connection with current settings
+ */
+export async function testS3Connection(settings) {
+  if (!isConfigured(settings)) {
+    return { success: false, error: 'Missing configuration' };
+  }
+
+  const client = getS3Client(settings);
+  return probeBucketPermissions(client, {
+    bucket: settings.bucket,
+    unreachableError: 'Could not reach the S3 endpoint. Check the endpoint URL, region, CORS settings and credentials.',
+  });
+}
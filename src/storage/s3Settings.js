@@ -0,0 +1,112 @@
+import { getUnlockedSecret, getVaultSecretIds, isEncryptedCredentialPayload, registerVaultSecret } from './credentialVault.js';
+
+const STORAGE_KEY = 's3-settings';
+
+registerVaultSecret({
+  id: 's3-secret',
+  alias: 's3',
+  storageKey: STORAGE_KEY,
+  field: 'secretAccessKeyEncrypted',
+  sourceType: 's3-bucket',
+  sourceField: 'secretAccessKey',
+});
+
+const DEFAULT_PERMISSIONS = {
+  canRead: true,
+  canWrite: true,
+  canDelete: true,
+};
+
+const normalizePermissions = (value) => {
+  const next = {
+    ...DEFAULT_PERMISSIONS,
+    ...(value || {}),
+  };
+
+  next.canWrite = !!next.canWrite;
+  next.canDelete = !!next.canDelete;
+  next.canRead = true;
+  return next;
+};
+
+/**
+ * Normalize an endpoint for comparisons and cache keys.
+ * An empty endpoint means AWS S3 for the configured region.
+ */
+export const normalizeS3Endpoint = (endpoint) => String(endpoint || '').trim().replace(/\/+$/, '');
+
+/**
+ * Manifest cache scope for an S3 endpoint, kept apart from R2 account IDs.
+ */
+export const getS3CacheScope = ({ endpoint, region }) => (
+  `s3:${normalizeS3Endpoint(endpoint) || `aws:${String(region || '').trim() || 'us-east-1'}`}`
+);
+
+export const loadS3Settings = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    const permissions = normalizePermissions(parsed.permissions);
+
+    const hasEncryptedSecret = isEncryptedCredentialPayload(parsed.secretAccessKeyEncrypted);
+    const resolvedSecret = hasEncryptedSecret
+      ? (getUnlockedSecret(getVaultSecretIds().s3) || '')
+      : String(parsed.secretAccessKey || '').trim();
+
+    if (!parsed.accessKeyId || (!resolvedSecret && !hasEncryptedSecret) || !parsed.bucket) {
+      return null;
+    }
+
+    return {
+      endpoint: '',
+      region: '',
+      forcePathStyle: false,
+      publicBaseUrl: '',
+      ...parsed,
+      secretAccessKey: resolvedSecret,
+      requiresPassword: Boolean(hasEncryptedSecret && !resolvedSecret),
+      isEncrypted: hasEncryptedSecret,
+      permissions,
+    };
+  } catch {
+    return null;
+  }
+};
+
+export const saveS3Settings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const clearS3Settings = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+};
+
+/**
+ * Whether the saved settings match a source's endpoint and bucket.
+ */
+export const s3SettingsMatchSource = (settings, source) => {
+  const config = source?.config?.config;
+  if (!settings || !config) return false;
+  return normalizeS3Endpoint(settings.endpoint) === normalizeS3Endpoint(config.endpoint)
+    && settings.bucket === config.bucket;
+};
+
+/**
+ * True when an S3 source depends on a vault-encrypted secret that has not
+ * been unlocked this session.
+ */
+export const isS3SourceLocked = (source) => {
+  if (source?.type !== 's3-bucket' || source?.config?.config?.secretAccessKey) return false;
+  const settings = loadS3Settings();
+  return Boolean(settings?.requiresPassword) && s3SettingsMatchSource(settings, source);
+};
@@ -0,0 +1,81 @@
+/**
+ * Per-file settings as a `.meta.json` sidecar.
+ *
+ * Focus distance, load/custom animation and saved custom views live in
+ * IndexedDB keyed by source and path (fileStorage.js). Writing them into the
+ * sidecar next to the asset lets a folder or bucket carry them to another
+ * device; reading them back seeds the local store for assets that have none.
+ */
+
+import { loadFileSettings, saveCustomMetadata, saveFileSettings } from '../fileStorage.js';
+
+export const SETTINGS_SIDECAR_VERSION = 1;
+
+export const SETTINGS_KEYS = ['focusDistance', 'animation', 'customAnimation', 'customMetadata'];
+
+/**
+ * Sidecar payload for an asset's stored settings.
+ * @param {string} storageKey - From getFileStorageKey
+ * @returns {Promise<Object | null>} Null when the asset has no settings
+ */
+export const buildSettingsSidecar = async (storageKey) => {
+  const settings = await loadFileSettings(storageKey);
+  if (!settings) return null;
+
+  const sidecar = {};
+  for (const key of SETTINGS_KEYS) {
+    if (settings[key] !== undefined && settings[key] !== null) {
+      sidecar[key] = settings[key];
+    }
+  }
+  return Object.keys(sidecar).length
+    ? { settingsVersion: SETTINGS_SIDECAR_VERSION, ...sidecar }
+    : null;
+};
+
+/**
+ * Replace the settings keys of an existing sidecar, keeping anything else
+ * (camera blocks written by capture pipelines, notes, ...).
+ * @param {Object | null} existing
+ * @param {Object | null} settings - From buildSettingsSidecar
+ * @returns {Object}
+ */
+export const mergeSettingsSidecar = (existing, settings) => {
+  const next = { ...(existing || {}) };
+  for (const key of [...SETTINGS_KEYS, 'settingsVersion']) {
+    delete next[key];
+  }
+  return { ...next, ...(settings || {}) };
+};
+
+/**
+ * Store custom views from a sidecar when the asset has none locally. Focus
+ * and animation values are merged at load time (splatManager) instead, so
+ * local edits keep winning without copying them.
+ * @param {string} storageKey - From getFileStorageKey
+ * @param {Object | null} metadata - Parsed sidecar
+ * @returns {Promise<boolean>} Whether anything was stored
+ */
+export const seedSettingsFromSidecar = async (storageKey, metadata) => {
+  if (!metadata?.customMetadata) return false;
+  const settings = await loadFileSettings(storageKey);
+  if (settings?.customMetadata) return false;
+  return saveCustomMetadata(storageKey, metadata.customMetadata);
+};
+
+/**
+ * Replace an asset's stored settings with a sidecar's; keys missing from
+ * the sidecar are cleared.
+ * @param {string} storageKey - From getFileStorageKey
+ * @param {Object | null} sidecar
+ * @returns {Promise<number | null>} The stored settings' new lastModified
+ */
+export const applySettingsSidecar = async (storageKey, sidecar) => {
+  const update = {};
+  for (const key of SETTINGS_KEYS) {
+    update[key] = sidecar?.[key] ?? undefined;
+  }
+  await saveFileSettings(storageKey, update);
+  const settings = await loadFileSettings(storageKey);
+  return settings?.lastModified ?? null;
+};
@@ -0,0 +1,388 @@
+/**
+ * Per-asset settings sync for manifest-first collections (Supabase, R2, S3).
+ *
+ * When enabled for a collection, focus distance, custom animation and custom
+ * views (with their model overrides) are stored in each manifest entry's
+ * `settings` block, stamped with `updatedAt`. Every device remembers which
+ * remote and local timestamps it last reconciled, so for each asset it knows
+ * which side changed since:
+ * - only this device → push into the manifest
+ * - only the collection → pull into IndexedDB
+ * - both, with different values → a conflict the user resolves
+ *
+ * Pulled settings land in IndexedDB, so splatManager keeps applying them
+ * with the usual precedence over `.meta.json` sidecar values.
+ */
+
+import { upgradeManifest } from './manifest.js';
+import { getSource, getSourcesArray, saveSource } from './sourceManager.js';
+import {
+  SETTINGS_KEYS,
+  applySettingsSidecar,
+  buildSettingsSidecar,
+} from './settingsSidecar.js';
+import { getFileStorageKey, loadFileSettings, onFileSettingsChange } from '../fileStorage.js';
+
+const SYNC_STATE_KEY = 'settings-sync-state';
+const PUSH_DEBOUNCE_MS = 1500;
+const SYNC_SOURCE_TYPES = ['supabase-storage', 'r2-bucket', 's3-bucket'];
+
+/**
+ * @typedef {Object} SettingsConflict
+ * @property {string} id
+ * @property {string} sourceId
+ * @property {string} sourceName
+ * @property {string} assetName
+ * @property {string} storageKey - Where the settings live locally (getFileStorageKey)
+ * @property {Object | null} local - Settings on this device
+ * @property {number} localAt - When they were last changed here (ms)
+ * @property {Object | null} remote - Settings in the manifest
+ * @property {number} remoteAt - Manifest `updatedAt` (ms)
+ */
+
+// ---------------------------------------------------------------------------
+// Enablement
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a collection can store synced settings in its manifest.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @returns {boolean}
+ */
+export const supportsSettingsSync = (source) => Boolean(source)
+  && SYNC_SOURCE_TYPES.includes(source.type)
+  && typeof source.getManifest === 'function'
+  && typeof source.writeManifest === 'function'
+  && source.getCapabilities().writable !== false;
+
+/**
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @returns {boolean}
+ */
+export const isSettingsSyncEnabled = (source) => supportsSettingsSync(source) && source.config?.config?.syncSettings === true;
+
+/**
+ * Turn settings sync on or off. Turning it on reconciles the collection
+ * right away.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {boolean} enabled
+ * @returns {Promise<SyncSummary | null>}
+ */
+export const setSettingsSyncEnabled = async (source, enabled) => {
+  source.config.config.syncSettings = Boolean(enabled);
+  await saveSource(source.toJSON());
+  return enabled ? syncCollectionSettings(source) : null;
+};
+
+// ---------------------------------------------------------------------------
+// Last-reconciled timestamps
+// ---------------------------------------------------------------------------
+
+const getStateKey = (sourceId, assetName) => `${sourceId}\n${assetName}`;
+
+const loadSyncState = () => {
+  try {
+    const raw = localStorage.getItem(SYNC_STATE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+const saveSyncState = (updates) => {
+  try {
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify({ ...loadSyncState(), ...updates }));
+  } catch {
+    // ignore
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Conflicts
+// ---------------------------------------------------------------------------
+
+const conflicts = new Map();
+const conflictListeners = new Set();
+
+const notifyConflicts = () => {
+  const list = getSettingsConflicts();
+  conflictListeners.forEach((listener) => listener(list));
+};
+
+const addConflict = (conflict) => {
+  conflicts.set(conflict.id, conflict);
+  notifyConflicts();
+};
+
+/**
+ * Unresolved conflicts, oldest first.
+ * @returns {SettingsConflict[]}
+ */
+export const getSettingsConflicts = () => [...conflicts.values()];
+
+/**
+ * @param {(conflicts: SettingsConflict[]) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export const onSettingsConflictsChange = (listener) => {
+  conflictListeners.add(listener);
+  return () => conflictListeners.delete(listener);
+};
+
+// ---------------------------------------------------------------------------
+// Reconcile
+// ---------------------------------------------------------------------------
+
+const getEntryName = (entry) => entry.name || entry.path.split('/').pop();
+
+const getEntryStorageKey = (sourceId, entry) => getFileStorageKey({ sourceId, path: entry.path, name: getEntryName(entry) });
+
+const pickSettings = (value) => {
+  if (!value) return null;
+  const picked = {};
+  for (const key of SETTINGS_KEYS) {
+    if (value[key] !== undefined && value[key] !== null) picked[key] = value[key];
+  }
+  return Object.keys(picked).length ? picked : null;
+};
+
+const sameSettings = (a, b) => JSON.stringify(pickSettings(a)) === JSON.stringify(pickSettings(b));
+
+/**
+ * What to do with one asset, given both sides and the last reconciled
+ * timestamps.
+ * @param {{
+ *   local: Object | null,
+ *   hasStored: boolean,
+ *   localAt: number,
+ *   remote: Object | null,
+ *   remoteAt: number,
+ *   last: { localAt: number, remoteAt: number },
+ * }} state
+ *   `local` is the settings sidecar; `hasStored` whether a settings record exists at all
+ * @returns {'none' | 'push' | 'pull' | 'conflict'}
+ */
+export const getSyncAction = ({ local, hasStored, localAt, remote, remoteAt, last }) => {
+  // No settings here either means none were ever set (nothing to push) or
+  // they were cleared or deleted after a sync (push the removal)
+  const synced = last.localAt > 0 || last.remoteAt > 0;
+  const localDeleted = !hasStored && last.localAt > 0;
+  const localChanged = (Boolean(local) || synced) && (localAt > last.localAt || localDeleted);
+  const remoteChanged = remoteAt > last.remoteAt;
+
+  if (!localChanged && !remoteChanged) return 'none';
+  if (sameSettings(local, remote)) return 'none';
+  if (localChanged && remoteChanged) return 'conflict';
+  return localChanged ? 'push' : 'pull';
+};
+
+/**
+ * Compare one asset's local and remote settings against the last sync.
+ * @returns {Promise<{ action: 'none' | 'push' | 'pull' | 'conflict', storageKey: string, local: Object | null, localAt: number, remote: Object | null, remoteAt: number }>}
+ */
+const compareAsset = async (sourceId, assetName, entry) => {
+  const storageKey = getEntryStorageKey(sourceId, entry);
+  const [local, stored] = await Promise.all([buildSettingsSidecar(storageKey), loadFileSettings(storageKey)]);
+  const localAt = stored?.lastModified || 0;
+  const remote = entry?.settings || null;
+  const remoteAt = Number(remote?.updatedAt) || 0;
+  const last = loadSyncState()[getStateKey(sourceId, assetName)] || { remoteAt: 0, localAt: 0 };
+
+  const action = getSyncAction({ local, hasStored: Boolean(stored), localAt, remote, remoteAt, last });
+  return { action, storageKey, local, localAt, remote, remoteAt };
+};
+
+const pull = async (sourceId, assetName, storageKey, remote, remoteAt) => {
+  const localAt = await applySettingsSidecar(storageKey, remote);
+  saveSyncState({ [getStateKey(sourceId, assetName)]: { remoteAt, localAt: localAt || 0 } });
+};
+
+const recordInSync = (sourceId, assetName, remoteAt, localAt) => {
+  saveSyncState({ [getStateKey(sourceId, assetName)]: { remoteAt, localAt } });
+};
+
+const raiseConflict = (source, assetName, comparison) => {
+  addConflict({
+    id: getStateKey(source.id, assetName),
+    sourceId: source.id,
+    sourceName: source.name,
+    assetName,
+    storageKey: comparison.storageKey,
+    local: comparison.local,
+    localAt: comparison.localAt,
+    remote: pickSettings(comparison.remote),
+    remoteAt: comparison.remoteAt,
+  });
+};
+
+// Another device may have written the manifest while this one compared;
+// apply the pushes to a fresh copy, leaving out entries whose settings
+// changed meanwhile (the next sync sees those as a conflict or a pull)
+const writePushedSettings = async (source, pushes) => {
+  const latest = await source.getManifest({ fresh: true });
+  if (!latest) return [];
+
+  const manifest = upgradeManifest(latest);
+  const entries = new Map(manifest.assets.map((entry) => [entry.path, entry]));
+  const written = pushes.filter((push) => {
+    const entry = entries.get(push.path);
+    if (!entry || (Number(entry.settings?.updatedAt) || 0) !== push.remoteAt) return false;
+    entry.settings = push.settings;
+    return true;
+  });
+  if (written.length) await source.writeManifest(manifest);
+  return written;
+};
+
+/**
+ * @typedef {Object} SyncSummary
+ * @property {number} pushed
+ * @property {number} pulled
+ * @property {number} conflicts
+ */
+
+/**
+ * Reconcile the given assets (default: all) against a fresh manifest and
+ * write it once if anything needs pushing. The manifest is read again right
+ * before the write so concurrent edits from other devices are kept.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {string[] | null} [storageKeys] - getFileStorageKey values
+ * @returns {Promise<SyncSummary>}
+ */
+export const syncCollectionSettings = async (source, storageKeys = null) => {
+  const summary = { pushed: 0, pulled: 0, conflicts: 0 };
+  const fetched = await source.getManifest({ fresh: true });
+  if (!fetched) return summary;
+
+  const manifest = upgradeManifest(fetched);
+  const wanted = storageKeys ? new Set(storageKeys) : null;
+  const pushed = [];
+  const now = Date.now();
+
+  for (const entry of manifest.assets) {
+    const assetName = getEntryName(entry);
+    if (wanted && !wanted.has(getEntryStorageKey(source.id, entry))) continue;
+
+    const comparison = await compareAsset(source.id, assetName, entry);
+    if (comparison.action === 'push') {
+      pushed.push({
+        path: entry.path,
+        assetName,
+        localAt: comparison.localAt,
+        remoteAt: comparison.remoteAt,
+        // A cleared asset pushes just the timestamp so other devices clear too
+        settings: { ...comparison.local, updatedAt: now },
+      });
+    } else if (comparison.action === 'pull') {
+      await pull(source.id, assetName, comparison.storageKey, pickSettings(comparison.remote), comparison.remoteAt);
+      summary.pulled += 1;
+    } else if (comparison.action === 'conflict') {
+      raiseConflict(source, assetName, comparison);
+      summary.conflicts += 1;
+    } else if (comparison.local || comparison.remote) {
+      recordInSync(source.id, assetName, comparison.remoteAt, comparison.localAt);
+    }
+  }
+
+  if (pushed.length) {
+    const written = await writePushedSettings(source, pushed);
+    written.forEach(({ assetName, localAt }) => recordInSync(source.id, assetName, now, localAt));
+    summary.pushed = written.length;
+  }
+  return summary;
+};
+
+/**
+ * Pull an asset's synced settings before it is displayed. Uses the cached
+ * manifest, so it costs no request; local changes are queued for a push.
+ * @param {Object} asset - Adapted viewer asset (with sourceId)
+ */
+export const pullAssetSettings = async (asset) => {
+  const source = asset?.sourceId ? getSource(asset.sourceId) : null;
+  if (!isSettingsSyncEnabled(source) || !source.isConnected()) return;
+
+  try {
+    const manifest = await source.getManifest();
+    const storageKey = getFileStorageKey(asset);
+    const entry = manifest?.assets?.find((item) => item && getEntryStorageKey(source.id, item) === storageKey);
+    if (!entry) return;
+
+    const comparison = await compareAsset(source.id, asset.name, entry);
+    if (comparison.action === 'pull') {
+      await pull(source.id, asset.name, storageKey, pickSettings(comparison.remote), comparison.remoteAt);
+    } else if (comparison.action === 'push') {
+      queuePush(source.id, storageKey);
+    } else if (comparison.action === 'conflict') {
+      raiseConflict(source, asset.name, comparison);
+    }
+  } catch (err) {
+    console.warn(`[SettingsSync] Could not pull settings for ${asset.name}:`, err.message);
+  }
+};
+
+/**
+ * Resolve a conflict by keeping one side.
+ * @param {SettingsConflict} conflict
+ * @param {'local' | 'remote'} keep
+ */
+export const resolveSettingsConflict = async (conflict, keep) => {
+  const source = getSource(conflict.sourceId);
+  conflicts.delete(conflict.id);
+  notifyConflicts();
+
+  if (keep === 'remote') {
+    await pull(conflict.sourceId, conflict.assetName, conflict.storageKey, conflict.remote, conflict.remoteAt);
+    return;
+  }
+
+  // Acknowledge the remote change and mark local as newer, then push now
+  recordInSync(conflict.sourceId, conflict.assetName, conflict.remoteAt, 0);
+  if (source) {
+    await syncCollectionSettings(source, [conflict.storageKey]);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Push on change
+// ---------------------------------------------------------------------------
+
+const pendingPushes = new Map(); // sourceId -> { keys: Set<string>, timer }
+
+const flushPushes = async (sourceId) => {
+  const pending = pendingPushes.get(sourceId);
+  pendingPushes.delete(sourceId);
+  const source = getSource(sourceId);
+  if (!pending || !isSettingsSyncEnabled(source) || !source.isConnected()) return;
+
+  try {
+    await syncCollectionSettings(source, [...pending.keys]);
+  } catch (err) {
+    console.warn(`[SettingsSync] Could not push settings to ${source.name}:`, err.message);
+  }
+};
+
+const queuePush = (sourceId, storageKey) => {
+  const pending = pendingPushes.get(sourceId) || { keys: new Set(), timer: null };
+  pending.keys.add(storageKey);
+  clearTimeout(pending.timer);
+  // One manifest write for a burst of slider changes
+  pending.timer = setTimeout(() => flushPushes(sourceId), PUSH_DEBOUNCE_MS);
+  pendingPushes.set(sourceId, pending);
+};
+
+let stopSettingsSync = null;
+
+/**
+ * Push settings changes to collections with sync on. Safe to call more
+ * than once.
+ */
+export const startSettingsSync = () => {
+  if (stopSettingsSync) return;
+  stopSettingsSync = onFileSettingsChange((storageKey) => {
+    getSourcesArray()
+      .filter((source) => isSettingsSyncEnabled(source) && source.isConnected())
+      .filter((source) => source.getAssets().some((asset) => getFileStorageKey(asset) === storageKey))
+      .forEach((source) => queuePush(source.id, storageKey));
+  });
+};
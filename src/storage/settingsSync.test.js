@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { getSyncAction } from './settingsSync.js';
+
+const focus = (focusDistance) => ({ settingsVersion: 1, focusDistance });
+const remoteFocus = (focusDistance, updatedAt) => ({ focusDistance, updatedAt });
+const neverSynced = { localAt: 0, remoteAt: 0 };
+
+describe('getSyncAction', () => {
+  it('pushes new local settings and pulls new remote ones', () => {
+    expect(getSyncAction({
+      local: focus(2), hasStored: true, localAt: 10, remote: null, remoteAt: 0, last: neverSynced,
+    })).toBe('push');
+    expect(getSyncAction({
+      local: null, hasStored: false, localAt: 0, remote: remoteFocus(3, 20), remoteAt: 20, last: neverSynced,
+    })).toBe('pull');
+  });
+
+  it('does nothing when both sides already agree', () => {
+    expect(getSyncAction({
+      local: focus(2), hasStored: true, localAt: 30, remote: remoteFocus(2, 40), remoteAt: 40, last: { localAt: 10, remoteAt: 20 },
+    })).toBe('none');
+  });
+
+  it('reports a conflict when both sides changed differently', () => {
+    expect(getSyncAction({
+      local: focus(2), hasStored: true, localAt: 30, remote: remoteFocus(5, 40), remoteAt: 40, last: { localAt: 10, remoteAt: 20 },
+    })).toBe('conflict');
+  });
+
+  it('pushes settings cleared or deleted after a sync', () => {
+    const last = { localAt: 10, remoteAt: 20 };
+    const remote = remoteFocus(2, 20);
+    expect(getSyncAction({ local: null, hasStored: true, localAt: 30, remote, remoteAt: 20, last })).toBe('push');
+    expect(getSyncAction({ local: null, hasStored: false, localAt: 0, remote, remoteAt: 20, last })).toBe('push');
+  });
+
+  it('does not push an empty record that was never synced', () => {
+    expect(getSyncAction({
+      local: null, hasStored: true, localAt: 30, remote: remoteFocus(2, 20), remoteAt: 20, last: neverSynced,
+    })).toBe('pull');
+  });
+});
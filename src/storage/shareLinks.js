@@ -0,0 +1,277 @@
+/**
+ * Time-limited share links for bucket collections (R2, S3).
+ *
+ * - Asset link: a presigned GET URL for one file.
+ * - Collection link: the viewer URL with `?shared=<manifest URL>`. The
+ *   manifest is a copy stored under `shares/` in the collection, with every
+ *   asset, preview and metadata path replaced by a presigned URL, so
+ *   another device opens it read-only as a Public URL collection without
+ *   any credentials.
+ *
+ * Presigned URLs cannot be revoked before they expire; deleting the shared
+ * manifest stops a collection link from opening, though assets already
+ * fetched through it stay readable until expiry.
+ *
+ * Issued links are tracked in localStorage on the device that created them.
+ */
+
+import { upgradeManifest } from './manifest.js';
+import { createPublicUrlSource } from './PublicUrlSource.js';
+import { getSourcesArray, registerSource, saveSource } from './sourceManager.js';
+
+const STORAGE_KEY = 'share-links';
+const SHARED_PARAM = 'shared';
+
+export const SHARE_EXPIRY_OPTIONS = [
+  { label: '1 hour', seconds: 60 * 60 },
+  { label: '1 day', seconds: 24 * 60 * 60 },
+  { label: '7 days', seconds: 7 * 24 * 60 * 60 },
+];
+
+/**
+ * @typedef {Object} ShareLink
+ * @property {string} id
+ * @property {'asset' | 'collection'} kind
+ * @property {string} sourceId
+ * @property {string} sourceName
+ * @property {string | null} assetName - Asset links only
+ * @property {string} url - What to hand out
+ * @property {number} createdAt
+ * @property {number} expiresAt
+ * @property {number | null} revokedAt - Collection links whose manifest was deleted
+ */
+
+const createShareId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const stripQuery = (url) => String(url || '').split(/[?#]/)[0];
+
+/**
+ * Whether a source can presign links for its files.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @returns {boolean}
+ */
+export const supportsShareLinks = (source) => Boolean(source) && typeof source.createShareUrl === 'function';
+
+/**
+ * Whether a source can also store a shared manifest for collection links.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @returns {boolean}
+ */
+export const canShareCollection = (source) => supportsShareLinks(source)
+  && typeof source.writeShareManifest === 'function'
+  && source.getCapabilities().writable !== false;
+
+// ---------------------------------------------------------------------------
+// Issued links
+// ---------------------------------------------------------------------------
+
+/**
+ * All issued links, newest first.
+ * @returns {ShareLink[]}
+ */
+export const loadShareLinks = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveShareLinks = (links) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(links));
+  } catch {
+    // ignore
+  }
+};
+
+const recordShareLink = (link) => {
+  saveShareLinks([link, ...loadShareLinks()]);
+  return link;
+};
+
+/**
+ * Issued links for one collection, newest first.
+ * @param {string} sourceId
+ * @returns {ShareLink[]}
+ */
+export const getShareLinks = (sourceId) => loadShareLinks().filter((link) => link.sourceId === sourceId);
+
+/**
+ * Drop a link from the list. The link itself keeps working until it expires.
+ * @param {string} id
+ */
+export const forgetShareLink = (id) => {
+  saveShareLinks(loadShareLinks().filter((link) => link.id !== id));
+};
+
+/**
+ * Delete a collection link's shared manifest so the link stops opening.
+ * @param {string} id
+ * @returns {Promise<ShareLink>}
+ */
+export const revokeShareLink = async (id) => {
+  const link = loadShareLinks().find((item) => item.id === id);
+  if (!link || link.kind !== 'collection') {
+    throw new Error('Only collection links can be revoked');
+  }
+  const source = getSourcesArray().find((item) => item.id === link.sourceId);
+  if (!source || typeof source.deleteShareManifest !== 'function') {
+    throw new Error('The shared collection is no longer connected on this device');
+  }
+
+  await source.deleteShareManifest(id);
+  const revoked = { ...link, revokedAt: Date.now() };
+  saveShareLinks(loadShareLinks().map((item) => (item.id === id ? revoked : item)));
+  return revoked;
+};
+
+// ---------------------------------------------------------------------------
+// Issue
+// ---------------------------------------------------------------------------
+
+/**
+ * Presign a single asset.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {import('./types.js').RemoteAssetDescriptor} asset
+ * @param {{ expiresIn: number }} options - Seconds
+ * @returns {Promise<ShareLink>}
+ */
+export const createAssetShareLink = async (source, asset, { expiresIn }) => {
+  const url = await source.createShareUrl(asset.path, { expiresIn });
+  const createdAt = Date.now();
+  return recordShareLink({
+    id: createShareId(),
+    kind: 'asset',
+    sourceId: source.id,
+    sourceName: source.name,
+    assetName: asset.name,
+    url,
+    createdAt,
+    expiresAt: createdAt + expiresIn * 1000,
+    revokedAt: null,
+  });
+};
+
+/**
+ * Build the viewer URL that opens a shared manifest, under the app's base
+ * path so deployments in a subfolder work.
+ * @param {string} manifestUrl
+ * @returns {string}
+ */
+export const buildSharedCollectionLink = (manifestUrl) => {
+  const url = new URL(import.meta.env.BASE_URL, window.location.origin);
+  url.searchParams.set(SHARED_PARAM, manifestUrl);
+  return url.toString();
+};
+
+/**
+ * Presign every file in the collection and store a shared manifest that
+ * points at them.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {{ expiresIn: number }} options - Seconds
+ * @returns {Promise<ShareLink>}
+ */
+export const createCollectionShareLink = async (source, { expiresIn }) => {
+  const fetched = await source.getManifest({ fresh: true });
+  if (!fetched) {
+    throw new Error('This collection has no manifest to share');
+  }
+  const manifest = upgradeManifest(fetched);
+  const createdAt = Date.now();
+  const expiresAt = createdAt + expiresIn * 1000;
+  const sign = (path) => source.createShareUrl(path, { expiresIn });
+
+  const assets = [];
+  for (const entry of manifest.assets) {
+    const shared = {
+      ...entry,
+      name: entry.name || stripQuery(entry.path).split('/').pop(),
+      path: await sign(entry.path),
+    };
+    // Synced viewer settings are only read back by writable collections
+    delete shared.settings;
+    if (typeof entry.preview === 'string') shared.preview = await sign(entry.preview);
+    if (typeof entry.metadata === 'string') shared.metadata = await sign(entry.metadata);
+    assets.push(shared);
+  }
+
+  const id = createShareId();
+  const manifestUrl = await source.writeShareManifest(id, {
+    ...manifest,
+    name: manifest.name || source.name,
+    expiresAt,
+    assets,
+  }, { expiresIn });
+
+  return recordShareLink({
+    id,
+    kind: 'collection',
+    sourceId: source.id,
+    sourceName: source.name,
+    assetName: null,
+    url: buildSharedCollectionLink(manifestUrl),
+    createdAt,
+    expiresAt,
+    revokedAt: null,
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Open
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a pending ?shared= manifest URL from the page URL.
+ * @returns {string | null}
+ */
+export const getSharedCollectionUrlFromLocation = () => {
+  try {
+    return new URLSearchParams(window.location.search).get(SHARED_PARAM) || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Strip the ?shared= parameter from the address bar without navigation.
+ */
+export const clearSharedCollectionFromLocation = () => {
+  try {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(SHARED_PARAM);
+    window.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
+  } catch {
+    // ignore
+  }
+};
+
+/**
+ * Open a shared manifest as a read-only Public URL collection. Opening a
+ * newer link to the same share updates the existing collection instead of
+ * adding another.
+ * @param {string} manifestUrl - Presigned shared manifest URL
+ * @returns {Promise<import('./PublicUrlSource.js').PublicUrlSource>}
+ */
+export const openSharedCollection = async (manifestUrl) => {
+  const shareKey = stripQuery(manifestUrl);
+  const existing = getSourcesArray().find((source) => (
+    source.type === 'public-url' && source.config.config.sharedManifest === shareKey
+  ));
+
+  const source = existing || createPublicUrlSource({ manifestUrl });
+  source.config.config.manifestUrl = manifestUrl;
+  source.config.config.sharedManifest = shareKey;
+  // A newer link carries its own expiry in the manifest
+  delete source.config.config.expiresAt;
+
+  const result = await source.connect();
+  if (!result.success) {
+    throw new Error(result.error || 'Could not open the shared collection');
+  }
+  if (!existing) registerSource(source);
+  await saveSource(source.toJSON());
+  return source;
+};
@@ -6,8 +6,9 @@
  */
 
 import { getSource, touchSource } from './sourceManager.js';
-import { loadFileSettings, saveCachedStatus } from '../fileStorage.js';
+import { getFileStorageKey, loadFileSettings, migrateNameKeyedRecords } from '../fileStorage.js';
 import { loadCachedAssetFile, loadCollectionManifest, getRemovedAssetNames } from './assetCache.js';
+import { createAbortError, isAbortError, throwIfAborted } from './download.js';
 
 /**
  * Adapts a RemoteAssetDescriptor to the internal asset format.
@@ -40,29 +41,215 @@ export const adaptRemoteAsset = (remoteAsset) => {
  * This is called when the asset is about to be displayed.
  * 
  * @param {Object} asset - Internal asset descriptor
+ * @param {import('./download.js').DownloadOptions} [options]
  * @returns {Promise<File>}
  */
-export const loadAssetFile = async (asset) => {
+export const loadAssetFile = async (asset, { signal, onProgress } = {}) => {
   // Already loaded
   if (asset.file) {
     return asset.file;
   }
 
-  // Cache-first by file name
-  if (asset?.name) {
+  const cachedFile = await loadCachedFileForAsset(asset);
+  if (cachedFile) {
+    return cachedFile;
+  }
+
+  const source = await getConnectedSourceForAsset(asset);
+
+  // Fetch file from source
+  const file = await source.fetchAssetFile(asset._remoteAsset, { signal, onProgress });
+  asset.file = file;
+
+  // Update source access time
+  await touchSource(asset.sourceId);
+
+  return file;
+};
+
+// Bytes of interrupted streamed downloads, keyed by asset id, so navigating
+// back to a skipped asset resumes with a Range request instead of restarting.
+// They are held in memory, so the newest are kept up to a byte budget and
+// each expires after a while.
+const MAX_PARTIAL_BYTES = 256 * 1024 * 1024;
+const PARTIAL_DOWNLOAD_TTL_MS = 10 * 60 * 1000;
+const MAX_RESUME_ATTEMPTS = 3;
+const partialDownloads = new Map();
+let partialPruneTimer = null;
+
+const prunePartialDownloads = () => {
+  clearTimeout(partialPruneTimer);
+  partialPruneTimer = null;
+
+  const now = Date.now();
+  let bytes = 0;
+  for (const [assetId, partial] of [...partialDownloads].reverse()) {
+    if (now - partial.savedAt >= PARTIAL_DOWNLOAD_TTL_MS || bytes + partial.loaded > MAX_PARTIAL_BYTES) {
+      partialDownloads.delete(assetId);
+    } else {
+      bytes += partial.loaded;
+    }
+  }
+
+  if (partialDownloads.size) {
+    const oldest = partialDownloads.values().next().value;
+    partialPruneTimer = setTimeout(prunePartialDownloads, oldest.savedAt + PARTIAL_DOWNLOAD_TTL_MS - now);
+  }
+};
+
+const savePartialDownload = (assetId, partial) => {
+  if (!partial.loaded) return;
+  partial.savedAt = Date.now();
+  partialDownloads.delete(assetId);
+  partialDownloads.set(assetId, partial);
+  prunePartialDownloads();
+};
+
+/**
+ * Bytes already downloaded for an interrupted streamed load, if any.
+ * @param {Object} asset
+ * @returns {{ loaded: number, total: number | null } | null}
+ */
+export const getPartialDownload = (asset) => {
+  const partial = partialDownloads.get(asset?.id);
+  return partial ? { loaded: partial.loaded, total: partial.total } : null;
+};
+
+/**
+ * Like loadAssetFile, but consumes the source's ReadableStream when it
+ * advertises canStream, reporting each chunk as it arrives.
+ * Cached assets and non-streaming sources go through loadAssetFile.
+ *
+ * When `signal` aborts, the bytes received so far are kept and the next call
+ * for the same asset replays them through `onChunk` before continuing from
+ * that offset. Dropped connections are resumed the same way. When the server
+ * ignores Range the error (code RANGE_NOT_SUPPORTED) is rethrown so the
+ * caller can fall back to a full download.
+ *
+ * @param {Object} asset - Internal asset descriptor
+ * @param {Object} [options]
+ * @param {(chunk: Uint8Array, progress: { loaded: number, total: number | null }) => void} [options.onChunk]
+ * @param {(progress: { loaded: number, total: number | null }) => void} [options.onProgress] - Progress of the loadAssetFile fallback
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<File>}
+ */
+export const streamAssetFile = async (asset, { onChunk, onProgress, signal } = {}) => {
+  if (asset.file) {
+    return asset.file;
+  }
+
+  const cachedFile = await loadCachedFileForAsset(asset);
+  if (cachedFile) {
+    return cachedFile;
+  }
+
+  const source = await getConnectedSourceForAsset(asset);
+  const canStream = source.getCapabilities?.().canStream && typeof source.fetchAssetStream === 'function';
+  if (!canStream) {
+    return loadAssetFile(asset, { signal, onProgress });
+  }
+
+  throwIfAborted(signal);
+  const total = asset.size || asset._remoteAsset.size || null;
+  const partial = partialDownloads.get(asset.id) || { chunks: [], loaded: 0, total };
+  partialDownloads.delete(asset.id);
+
+  // Replay resumed bytes so progressive decoders see the file from the start
+  let replayed = 0;
+  for (const chunk of partial.chunks) {
+    replayed += chunk.byteLength;
+    onChunk?.(chunk, { loaded: replayed, total });
+  }
+
+  let attempts = 0;
+  while (true) {
     try {
-      const cachedFile = await loadCachedAssetFile(asset.name);
-      if (cachedFile) {
-        asset.file = cachedFile;
-        asset.isCached = true;
-        await saveCachedStatus(asset.name, true);
-        return cachedFile;
+      const complete = await readStreamInto(source, asset, partial, { onChunk, signal, total });
+      if (!complete) {
+        return loadAssetFile(asset, { signal, onProgress });
       }
+      break;
     } catch (err) {
-      console.warn('[AssetCache] Failed to load cached file, falling back to source', err);
+      if (isAbortError(err) || signal?.aborted) {
+        savePartialDownload(asset.id, partial);
+        throw isAbortError(err) ? err : createAbortError();
+      }
+      if (err?.code === 'RANGE_NOT_SUPPORTED' && partial.loaded > 0) {
+        // Restarting from zero means the consumer has to start over as well
+        console.warn(`[SourceAdapter] ${asset.name}: server ignored Range, restarting download`);
+        throw err;
+      }
+      attempts += 1;
+      if (partial.loaded === 0 || attempts > MAX_RESUME_ATTEMPTS) {
+        throw err;
+      }
+      console.warn(`[SourceAdapter] ${asset.name}: download interrupted at ${partial.loaded} bytes, resuming`, err);
+    }
+  }
+
+  const file = new File(partial.chunks, asset.name, { type: 'application/octet-stream' });
+  asset.file = file;
+
+  // Update source access time
+  await touchSource(asset.sourceId);
+
+  return file;
+};
+
+/**
+ * Read the source stream from `partial.loaded` onwards, appending chunks.
+ * @returns {Promise<boolean>} false when the source returned no stream
+ */
+const readStreamInto = async (source, asset, partial, { onChunk, signal, total }) => {
+  const stream = await source.fetchAssetStream(asset._remoteAsset, { offset: partial.loaded, signal });
+  if (!stream) {
+    return false;
+  }
+
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      throwIfAborted(signal);
+      const { done, value } = await reader.read();
+      if (done) break;
+      partial.chunks.push(value);
+      partial.loaded += value.byteLength;
+      onChunk?.(value, { loaded: partial.loaded, total });
     }
+  } catch (err) {
+    reader.cancel().catch(() => {});
+    throw err;
+  } finally {
+    reader.releaseLock();
   }
+  return true;
+};
 
+/**
+ * Cache-first lookup by source, path and content identity.
+ * @param {Object} asset
+ * @returns {Promise<File | null>}
+ */
+const loadCachedFileForAsset = async (asset) => {
+  try {
+    const cachedFile = await loadCachedAssetFile(asset);
+    if (cachedFile) {
+      asset.file = cachedFile;
+      asset.isCached = true;
+      return cachedFile;
+    }
+  } catch (err) {
+    console.warn('[AssetCache] Failed to load cached file, falling back to source', err);
+  }
+  return null;
+};
+
+/**
+ * Resolve and connect the storage source for an asset.
+ * @param {Object} asset
+ * @returns {Promise<import('./AssetSource.js').AssetSource>}
+ */
+const getConnectedSourceForAsset = async (asset) => {
   // No remote info - can't load
   if (!asset._remoteAsset || !asset.sourceId) {
     throw new Error('Asset has no source information');
@@ -80,14 +267,7 @@ export const loadAssetFile = async (asset) => {
     }
   }
 
-  // Fetch file from source
-  const file = await source.fetchAssetFile(asset._remoteAsset);
-  asset.file = file;
-
-  // Update source access time
-  await touchSource(asset.sourceId);
-
-  return file;
+  return source;
 };
 
 /**
@@ -121,7 +301,7 @@ export const loadAssetPreview = async (asset) => {
 
   // Fall back to IndexedDB
   try {
-    const stored = await loadFileSettings(asset.name);
+    const stored = await loadFileSettings(getFileStorageKey(asset));
     if (stored?.preview) {
       asset.preview = stored.preview;
       asset.previewSource = 'indexeddb';
@@ -158,7 +338,7 @@ export const loadAssetMetadata = async (asset) => {
 
   // Fall back to IndexedDB
   try {
-    const stored = await loadFileSettings(asset.name);
+    const stored = await loadFileSettings(getFileStorageKey(asset));
     if (stored) {
       return {
         animation: stored.animation,
@@ -182,6 +362,12 @@ export const isSourceAsset = (asset) => {
   return !!asset?.sourceId;
 };
 
+// Settings and previews saved before they were keyed per source follow the asset
+const withMigratedRecords = async (assets) => {
+  await migrateNameKeyedRecords(assets);
+  return assets;
+};
+
 /**
  * Load all assets from a storage source and adapt them.
  * Falls back to local cache manifest when offline or source unavailable.
@@ -197,17 +383,19 @@ export const loadSourceAssets = async (source) => {
       const removedSet = new Set(cachedManifest?.removed || []);
       const visibleAssets = cachedManifest.assets.filter((asset) => !removedSet.has(asset?.name));
       console.log(`[SourceAdapter] Using ${cachedManifest.assets.length} cached assets for ${source.id}`);
-      return visibleAssets.map((asset) => adaptRemoteAsset({
+      return withMigratedRecords(visibleAssets.map((asset) => adaptRemoteAsset({
         id: `${source.id}/${asset.path || asset.name}`,
         name: asset.name,
         path: asset.path || asset.name,
         sourceId: source.id,
         sourceType: source.type,
         size: asset.size,
+        etag: asset.etag ?? null,
+        checksum: asset.checksum ?? null,
         preview: null,
         previewSource: null,
         loaded: false,
-      }));
+      })));
     }
     return null;
   };
@@ -233,7 +421,7 @@ export const loadSourceAssets = async (source) => {
     const visibleAssets = removedSet.size
       ? remoteAssets.filter((asset) => !removedSet.has(asset?.name))
       : remoteAssets;
-    return visibleAssets.map(adaptRemoteAsset);
+    return await withMigratedRecords(visibleAssets.map(adaptRemoteAsset));
   } catch (err) {
     // Any error (network, etc.) - try cache as fallback
     console.log('[SourceAdapter] Error loading assets, trying cache:', err.message);
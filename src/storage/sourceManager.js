@@ -6,6 +6,7 @@
  */
 
 import { createSourceId } from './types.js';
+import { stripVaultSecrets } from './credentialVault.js';
 
 /** Database name for storage sources */
 const DB_NAME = 'radia-viewer-sources';
@@ -97,9 +98,9 @@ export const saveSource = async (sourceConfig) => {
       const transaction = db.transaction([SOURCES_STORE], 'readwrite');
       const store = transaction.objectStore(SOURCES_STORE);
       
-      // Update lastAccessed timestamp
+      // Update lastAccessed timestamp; vault-encrypted credentials stay out
       const config = {
-        ...sourceConfig,
+        ...stripVaultSecrets(sourceConfig),
         lastAccessed: Date.now(),
       };
       
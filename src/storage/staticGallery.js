@@ -0,0 +1,346 @@
+/**
+ * Static web gallery publishing.
+ *
+ * Writes a collection as a folder that any static host serves as-is
+ * (GitHub Pages, Netlify, an S3 website bucket):
+ *
+ *   index.html, app/   read-only viewer (the `gallery` build of this app)
+ *   manifest.json      manifest with paths relative to the folder
+ *   assets/            asset files and metadata sidecars
+ *   previews/          preview images
+ *
+ * The viewer is built next to the app by `npm run build` (dist/gallery,
+ * listed in files.json) and copied from the running deployment, so a
+ * gallery always matches the version that published it. In the gallery
+ * build the app opens ./manifest.json as a Public URL collection and hides
+ * storage management.
+ *
+ * Output goes into a ZIP or under a prefix of a writable R2, S3 or
+ * Supabase collection (sources with writeStaticFile()).
+ */
+
+import { Zip, ZipDeflate, ZipPassThrough } from 'fflate';
+import { MANIFEST_VERSION } from './types.js';
+import { writeManifestAssetFields } from './manifest.js';
+import { throwIfAborted } from './download.js';
+import { readPreviewBlob } from './collectionTransfer.js';
+import { PREVIEW_TYPE_EXTENSIONS, getExtension, stripExtension } from './fileNames.js';
+import { createPublicUrlSource } from './PublicUrlSource.js';
+import { registerSource } from './sourceManager.js';
+import { getCustomViewForAsset } from '../customMetadata.js';
+import { getFileStorageKey } from '../fileStorage.js';
+
+/** True in the gallery build: the app is a read-only viewer for ./manifest.json. */
+export const IS_PUBLIC_GALLERY = import.meta.env.MODE === 'gallery';
+
+export const DEFAULT_GALLERY_PREFIX = 'gallery';
+
+const GALLERY_SOURCE_ID = 'public-gallery';
+const VIEWER_BASE = `${import.meta.env.BASE_URL}gallery/`;
+
+// Prefixes a gallery must not overwrite inside a collection
+const RESERVED_PREFIXES = ['assets', 'shares'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.wasm': 'application/wasm',
+  '.webmanifest': 'application/manifest+json',
+};
+
+const contentTypeFor = (path, blob) => CONTENT_TYPES[getExtension(path)] || blob?.type || 'application/octet-stream';
+
+// Text compresses well; splats and images are compressed already
+const COMPRESSIBLE_EXTENSIONS = new Set(['.html', '.js', '.css', '.json', '.svg', '.webmanifest']);
+
+// ---------------------------------------------------------------------------
+// Viewer side (gallery build)
+// ---------------------------------------------------------------------------
+
+/**
+ * Open the gallery's own manifest as a read-only collection.
+ * @returns {Promise<import('./PublicUrlSource.js').PublicUrlSource>}
+ */
+export const openPublicGallery = async () => {
+  const baseUrl = new URL('./', window.location.href).href;
+  const source = createPublicUrlSource({
+    id: GALLERY_SOURCE_ID,
+    baseUrl,
+    manifestUrl: new URL('manifest.json', baseUrl).href,
+  });
+  const result = await source.connect();
+  if (!result.success) {
+    throw new Error(result.error || 'Could not open the gallery');
+  }
+  registerSource(source);
+  return source;
+};
+
+// ---------------------------------------------------------------------------
+// Publishing
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a gallery can be written into a source.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @returns {boolean}
+ */
+export const canPublishGalleryTo = (source) => Boolean(source)
+  && typeof source.writeStaticFile === 'function'
+  && source.getCapabilities().writable !== false;
+
+/**
+ * Normalize a gallery prefix inside a collection, e.g. "/site/" → "site".
+ * @param {string} prefix
+ * @returns {string}
+ * @throws {Error} When the prefix is empty, escapes the collection or would overwrite its files
+ */
+export const normalizeGalleryPrefix = (prefix) => {
+  const segments = String(prefix || '').split('/').map((segment) => segment.trim()).filter(Boolean);
+  if (!segments.length) {
+    throw new Error('Choose a folder for the gallery so it does not replace the collection manifest');
+  }
+  if (segments.some((segment) => segment === '.' || segment === '..')) {
+    throw new Error('The gallery folder cannot contain "." or ".."');
+  }
+  if (RESERVED_PREFIXES.includes(segments[0])) {
+    throw new Error(`The gallery folder cannot be inside ${segments[0]}/`);
+  }
+  return segments.join('/');
+};
+
+const loadViewerFileList = async (signal) => {
+  const unavailable = new Error('This deployment has no gallery viewer. Build the app with `npm run build` to include it.');
+  let response;
+  try {
+    response = await fetch(`${VIEWER_BASE}files.json`, { cache: 'no-cache', signal });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    throw unavailable;
+  }
+  // Dev servers answer unknown paths with index.html
+  if (!response.ok || !String(response.headers.get('content-type')).includes('json')) {
+    throw unavailable;
+  }
+  const files = await response.json();
+  if (!Array.isArray(files) || !files.includes('index.html')) {
+    throw unavailable;
+  }
+  return files;
+};
+
+const fetchViewerFile = async (path, signal) => {
+  const response = await fetch(`${VIEWER_BASE}${path}`, { cache: 'no-cache', signal });
+  if (!response.ok) {
+    throw new Error(`Could not read the gallery viewer file ${path}: ${response.status}`);
+  }
+  return response.blob();
+};
+
+// Reads each file in chunks and keeps the archive as Blob parts, so no file
+// is held whole and the archive is never copied into a single buffer
+const createZipWriter = () => {
+  const parts = [];
+  let failure = null;
+  const zip = new Zip((err, chunk) => {
+    if (err) failure = err;
+    else parts.push(chunk);
+  });
+
+  return {
+    write: async (path, blob) => {
+      const entry = COMPRESSIBLE_EXTENSIONS.has(getExtension(path))
+        ? new ZipDeflate(path, { level: 6 })
+        : new ZipPassThrough(path);
+      zip.add(entry);
+      const reader = blob.stream().getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        entry.push(value);
+        if (failure) throw failure;
+      }
+      entry.push(new Uint8Array(0), true);
+      if (failure) throw failure;
+    },
+    finish: () => {
+      zip.end();
+      if (failure) throw failure;
+      return new Blob(parts, { type: 'application/zip' });
+    },
+  };
+};
+
+const createSourceWriter = (target, prefix) => ({
+  write: (path, blob) => target.writeStaticFile(`${prefix}/${path}`, blob, { contentType: contentTypeFor(path, blob) }),
+  finish: () => null,
+});
+
+// Asset file names must be unique once flattened into assets/
+const createNameAllocator = () => {
+  const taken = new Set();
+  return (name) => {
+    let candidate = name;
+    for (let n = 2; taken.has(candidate.toLowerCase()); n += 1) {
+      candidate = `${stripExtension(name)}-${n}${getExtension(name)}`;
+    }
+    taken.add(candidate.toLowerCase());
+    return candidate;
+  };
+};
+
+const ensureConnected = async (source) => {
+  if (source.isConnected()) return;
+  const result = await source.connect(source.type === 'local-folder' ? false : { refreshManifest: true });
+  if (!result?.success) {
+    throw new Error(result?.error || `Could not connect to ${source.name}`);
+  }
+};
+
+/**
+ * @typedef {Object} PublishProgress
+ * @property {'collecting' | 'assets' | 'viewer' | 'packaging' | 'done'} phase
+ * @property {number} completed
+ * @property {number} total
+ * @property {string | null} [name] - File being written
+ */
+
+/**
+ * @typedef {Object} PublishResult
+ * @property {number} assetCount
+ * @property {number} fileCount
+ * @property {Blob | null} blob - ZIP output
+ * @property {string | null} fileName - Suggested ZIP file name
+ * @property {string | null} prefix - Folder written inside the target collection
+ * @property {string | null} url - Public gallery URL, when the target has one
+ */
+
+/**
+ * Publish a collection as a static web gallery.
+ * @param {import('./AssetSource.js').AssetSource} source
+ * @param {{
+ *   target?: import('./AssetSource.js').AssetSource | null,
+ *   prefix?: string,
+ *   signal?: AbortSignal,
+ *   onProgress?: (progress: PublishProgress) => void,
+ * }} [options]
+ *   Without `target` the gallery is returned as a ZIP; otherwise it is
+ *   written under `prefix` inside the target collection
+ * @returns {Promise<PublishResult>} Rejects with an AbortError when cancelled
+ */
+export const publishGallery = async (source, {
+  target = null,
+  prefix = DEFAULT_GALLERY_PREFIX,
+  signal,
+  onProgress,
+} = {}) => {
+  if (target && !canPublishGalleryTo(target)) {
+    throw new Error(`${target.name} does not accept gallery files`);
+  }
+  const targetPrefix = target ? normalizeGalleryPrefix(prefix) : null;
+
+  onProgress?.({ phase: 'collecting', completed: 0, total: 0 });
+  const viewerFiles = await loadViewerFileList(signal);
+  await ensureConnected(source);
+  const assets = await source.listAssets();
+  if (!assets.length) {
+    throw new Error(`${source.name} has no assets to publish`);
+  }
+
+  const sourceManifest = typeof source.getManifest === 'function' ? await source.getManifest() : null;
+  const writer = target ? createSourceWriter(target, targetPrefix) : createZipWriter();
+  const allocateName = createNameAllocator();
+  const canReadMetadata = source.getCapabilities().canReadMetadata;
+  const total = assets.length + viewerFiles.length + 1;
+  let completed = 0;
+  let fileCount = 0;
+
+  const write = async (path, blob) => {
+    throwIfAborted(signal);
+    await writer.write(path, blob);
+    fileCount += 1;
+  };
+
+  // Assets first and the viewer's index.html last, so a gallery that stops
+  // halfway never opens with missing files
+  const entries = [];
+  const groups = new Map();
+  for (const asset of assets) {
+    throwIfAborted(signal);
+    onProgress?.({ phase: 'assets', completed, total, name: asset.name });
+
+    const fileName = allocateName(asset.name);
+    const baseName = stripExtension(fileName);
+    const file = await source.fetchAssetFile(asset, { signal });
+    await write(`assets/${fileName}`, file);
+
+    const defaultView = asset.defaultView || await getCustomViewForAsset(getFileStorageKey(asset));
+    const entry = {
+      path: `assets/${fileName}`,
+      name: fileName,
+      size: file.size,
+      ...writeManifestAssetFields({ ...asset, defaultView }),
+    };
+
+    const preview = await readPreviewBlob(source, asset);
+    const previewExtension = PREVIEW_TYPE_EXTENSIONS[preview?.type];
+    if (preview && previewExtension) {
+      entry.preview = `previews/${baseName}${previewExtension}`;
+      await write(entry.preview, preview);
+    }
+
+    if (canReadMetadata) {
+      const metadata = await source.fetchMetadata(asset).catch(() => null);
+      if (metadata) {
+        entry.metadata = `assets/${baseName}.meta.json`;
+        await write(entry.metadata, new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' }));
+      }
+    }
+
+    if (asset.group && !groups.has(asset.group.id)) {
+      const known = sourceManifest?.groups?.find((group) => group.id === asset.group.id);
+      groups.set(asset.group.id, known || { id: asset.group.id, name: asset.group.name });
+    }
+    entries.push(entry);
+    completed += 1;
+  }
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    name: sourceManifest?.name || source.name,
+    ...(groups.size ? { groups: [...groups.values()] } : {}),
+    assets: entries,
+  };
+  await write('manifest.json', new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }));
+  completed += 1;
+
+  const orderedViewerFiles = [...viewerFiles.filter((path) => path !== 'index.html'), 'index.html'];
+  for (const path of orderedViewerFiles) {
+    onProgress?.({ phase: 'viewer', completed, total, name: path });
+    await write(path, await fetchViewerFile(path, signal));
+    completed += 1;
+  }
+
+  onProgress?.({ phase: 'packaging', completed, total });
+  const blob = await writer.finish();
+  const url = target && typeof target.getStaticFileUrl === 'function'
+    ? target.getStaticFileUrl(`${targetPrefix}/index.html`)
+    : null;
+
+  onProgress?.({ phase: 'done', completed, total });
+  return {
+    assetCount: entries.length,
+    fileCount,
+    blob,
+    fileName: blob ? `${(source.name || 'gallery').replace(/[^a-z0-9._-]+/gi, '_')}-gallery.zip` : null,
+    prefix: targetPrefix,
+    url: url || null,
+  };
+};
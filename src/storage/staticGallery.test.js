@@ -0,0 +1,44 @@
+import { describe, expect, it, vi } from 'vitest';
+import { DEFAULT_GALLERY_PREFIX, canPublishGalleryTo, normalizeGalleryPrefix } from './staticGallery.js';
+
+// Opening a published gallery registers a Public URL source, which loads
+// the splat renderer; prefix checks need neither
+vi.mock('./PublicUrlSource.js', () => ({ createPublicUrlSource: () => null }));
+vi.mock('../customMetadata.js', () => ({ getCustomViewForAsset: async () => null }));
+
+describe('normalizeGalleryPrefix', () => {
+  it('accepts the default folder', () => {
+    expect(normalizeGalleryPrefix(DEFAULT_GALLERY_PREFIX)).toBe('gallery');
+  });
+
+  it('trims slashes, spaces and empty segments', () => {
+    expect(normalizeGalleryPrefix('/site/')).toBe('site');
+    expect(normalizeGalleryPrefix(' public // gallery ')).toBe('public/gallery');
+  });
+
+  it('refuses to write over the collection manifest', () => {
+    expect(() => normalizeGalleryPrefix('')).toThrow(/Choose a folder/);
+    expect(() => normalizeGalleryPrefix(' / ')).toThrow(/Choose a folder/);
+  });
+
+  it('refuses relative segments', () => {
+    expect(() => normalizeGalleryPrefix('site/../assets')).toThrow('"." or ".."');
+    expect(() => normalizeGalleryPrefix('./site')).toThrow('"." or ".."');
+  });
+
+  it('keeps out of the folders the collection uses', () => {
+    expect(() => normalizeGalleryPrefix('assets/gallery')).toThrow('inside assets/');
+    expect(() => normalizeGalleryPrefix('/shares')).toThrow('inside shares/');
+    expect(normalizeGalleryPrefix('gallery/assets')).toBe('gallery/assets');
+  });
+});
+
+describe('canPublishGalleryTo', () => {
+  it('needs a writable source with static file support', () => {
+    const target = { writeStaticFile: async () => {}, getCapabilities: () => ({ writable: true }) };
+    expect(canPublishGalleryTo(target)).toBe(true);
+    expect(canPublishGalleryTo({ ...target, getCapabilities: () => ({ writable: false }) })).toBe(false);
+    expect(canPublishGalleryTo({ getCapabilities: () => ({ writable: true }) })).toBe(false);
+    expect(canPublishGalleryTo(null)).toBe(false);
+  });
+});
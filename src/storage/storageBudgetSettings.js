@@ -0,0 +1,93 @@
+/**
+ * Storage budget settings persistence
+ * Stores the byte budget for cached assets/previews and the collections
+ * pinned against eviction: by the user, or because they are pinned for
+ * offline use. The two are tracked apart so unpinning one keeps the other.
+ */
+
+const STORAGE_KEY = 'storage-budget-settings';
+
+/** Share of the browser quota used when no explicit budget is set */
+export const AUTO_BUDGET_QUOTA_SHARE = 0.6;
+
+const normalizeBudget = (value) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? Math.floor(numeric) : null;
+};
+
+const normalizePinned = (value) => {
+  if (!Array.isArray(value)) return [];
+  return Array.from(new Set(value.filter((id) => typeof id === 'string' && id)));
+};
+
+/**
+ * @returns {{ budgetBytes: number | null, pinnedSourceIds: string[], offlinePinnedSourceIds: string[] }}
+ *   `budgetBytes` null means automatic (a share of the browser quota)
+ */
+export const loadStorageBudgetSettings = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return {
+      budgetBytes: normalizeBudget(parsed.budgetBytes),
+      pinnedSourceIds: normalizePinned(parsed.pinnedSourceIds),
+      offlinePinnedSourceIds: normalizePinned(parsed.offlinePinnedSourceIds),
+    };
+  } catch {
+    return { budgetBytes: null, pinnedSourceIds: [], offlinePinnedSourceIds: [] };
+  }
+};
+
+export const saveStorageBudgetSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      budgetBytes: normalizeBudget(settings?.budgetBytes),
+      pinnedSourceIds: normalizePinned(settings?.pinnedSourceIds),
+      offlinePinnedSourceIds: normalizePinned(settings?.offlinePinnedSourceIds),
+    }));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const clearStorageBudgetSettings = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+};
+
+export const isCollectionPinned = (sourceId) => (
+  Boolean(sourceId) && loadStorageBudgetSettings().pinnedSourceIds.includes(sourceId)
+);
+
+const setPinnedIn = (field, sourceId, pinned) => {
+  if (!sourceId) return false;
+  const settings = loadStorageBudgetSettings();
+  const ids = new Set(settings[field]);
+  if (pinned) {
+    ids.add(sourceId);
+  } else {
+    ids.delete(sourceId);
+  }
+  return saveStorageBudgetSettings({ ...settings, [field]: [...ids] });
+};
+
+export const setCollectionPinned = (sourceId, pinned) => setPinnedIn('pinnedSourceIds', sourceId, pinned);
+
+/** Kept out of eviction while the collection is pinned for offline use (offlinePins.js). */
+export const setCollectionPinnedOffline = (sourceId, pinned) => setPinnedIn('offlinePinnedSourceIds', sourceId, pinned);
+
+/**
+ * Budget in bytes: the explicit setting, else a share of the quota.
+ * @param {{ budgetBytes: number | null }} settings
+ * @param {{ quota?: number | null } | null} estimate
+ * @returns {number | null} null when neither is known (no limit)
+ */
+export const resolveBudgetBytes = (settings, estimate) => {
+  if (settings?.budgetBytes) return settings.budgetBytes;
+  if (estimate?.quota) return Math.floor(estimate.quota * AUTO_BUDGET_QUOTA_SHARE);
+  return null;
+};
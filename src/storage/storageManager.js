@@ -0,0 +1,302 @@
+/**
+ * Storage Manager
+ *
+ * Keeps the asset cache and the preview store inside a byte budget.
+ * Space is reclaimed least-recently-viewed first; pinned collections and
+ * app-storage collections (whose only copy lives in the cache) are never
+ * evicted. Also wraps navigator.storage for quota estimates and persistence.
+ */
+
+import { listCacheEntries, evictCachedContent } from './assetCache.js';
+import { loadAllSources } from './sourceManager.js';
+import { listPreviewRecords, deletePreviewBlob, onPreviewBlobSaved } from '../fileStorage.js';
+import {
+  loadStorageBudgetSettings,
+  saveStorageBudgetSettings,
+  resolveBudgetBytes,
+} from './storageBudgetSettings.js';
+
+const hasStorageManager = () => typeof navigator !== 'undefined' && Boolean(navigator.storage);
+
+/**
+ * Browser-reported usage and quota for this origin.
+ * @returns {Promise<{ usage: number | null, quota: number | null } | null>}
+ */
+export const getStorageEstimate = async () => {
+  if (!hasStorageManager() || typeof navigator.storage.estimate !== 'function') return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage: usage ?? null, quota: quota ?? null };
+  } catch (err) {
+    console.warn('[StorageManager] Failed to read storage estimate', err);
+    return null;
+  }
+};
+
+export const isStoragePersisted = async () => {
+  if (!hasStorageManager() || typeof navigator.storage.persisted !== 'function') return false;
+  try {
+    return await navigator.storage.persisted();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Ask the browser not to clear our storage under pressure. Browsers may
+ * decide silently (Chromium) or prompt (Firefox).
+ * @returns {Promise<boolean>} Whether storage is persisted afterwards
+ */
+export const requestPersistentStorage = async () => {
+  if (!hasStorageManager() || typeof navigator.storage.persist !== 'function') return false;
+  try {
+    if (await isStoragePersisted()) return true;
+    return await navigator.storage.persist();
+  } catch (err) {
+    console.warn('[StorageManager] Persistent storage request failed', err);
+    return false;
+  }
+};
+
+// Content shared by several collections is stored once; group entries by it
+const groupEntriesByContent = (entries) => {
+  const contents = new Map();
+  for (const entry of entries) {
+    const content = contents.get(entry.contentKey) || {
+      contentKey: entry.contentKey,
+      bytes: entry.size || 0,
+      sourceIds: new Set(),
+      lastViewed: 0,
+    };
+    content.sourceIds.add(entry.sourceId);
+    content.lastViewed = Math.max(content.lastViewed, entry.lastViewed || 0);
+    contents.set(entry.contentKey, content);
+  }
+  return contents;
+};
+
+const sumBytes = (items) => items.reduce((total, item) => total + (item.bytes || 0), 0);
+
+const listPreviewUsage = async () => {
+  const records = await listPreviewRecords();
+  return records.map((record) => ({
+    fileName: record.fileName,
+    bytes: record.blob?.size || 0,
+    lastViewed: record.lastViewed || record.updated || 0,
+  }));
+};
+
+const getProtectedSourceIds = (sources, settings, extra = []) => new Set([
+  ...settings.pinnedSourceIds,
+  ...settings.offlinePinnedSourceIds,
+  ...sources.filter((source) => source.type === 'app-storage').map((source) => source.id),
+  ...extra,
+]);
+
+/**
+ * Per-collection usage of the asset cache plus preview totals.
+ * @returns {Promise<{
+ *   estimate: { usage: number | null, quota: number | null } | null,
+ *   persisted: boolean,
+ *   budgetSetting: number | null,
+ *   budgetBytes: number | null,
+ *   usedBytes: number,
+ *   assetBytes: number,
+ *   previewBytes: number,
+ *   previewCount: number,
+ *   collections: Array<{ sourceId: string, name: string, type: string | null, bytes: number, sharedBytes: number, count: number, pinned: boolean, lastViewed: number }>
+ * }>}
+ */
+export const getStorageUsage = async () => {
+  const [entries, previews, estimate, persisted, sources] = await Promise.all([
+    listCacheEntries(),
+    listPreviewUsage(),
+    getStorageEstimate(),
+    isStoragePersisted(),
+    loadAllSources(),
+  ]);
+  const settings = loadStorageBudgetSettings();
+  const sourcesById = new Map(sources.map((source) => [source.id, source]));
+  const contents = groupEntriesByContent(entries);
+
+  const collections = new Map();
+  for (const entry of entries) {
+    const source = sourcesById.get(entry.sourceId);
+    const collection = collections.get(entry.sourceId) || {
+      sourceId: entry.sourceId,
+      name: source?.name || 'Removed collection',
+      type: source?.type || null,
+      bytes: 0,
+      sharedBytes: 0,
+      count: 0,
+      pinned: settings.pinnedSourceIds.includes(entry.sourceId),
+      lastViewed: 0,
+    };
+    collection.bytes += entry.size || 0;
+    if (contents.get(entry.contentKey)?.sourceIds.size > 1) {
+      collection.sharedBytes += entry.size || 0;
+    }
+    collection.count += 1;
+    collection.lastViewed = Math.max(collection.lastViewed, entry.lastViewed || 0);
+    collections.set(entry.sourceId, collection);
+  }
+
+  const assetBytes = sumBytes([...contents.values()]);
+  const previewBytes = sumBytes(previews);
+  return {
+    estimate,
+    persisted,
+    budgetSetting: settings.budgetBytes,
+    budgetBytes: resolveBudgetBytes(settings, estimate),
+    usedBytes: assetBytes + previewBytes,
+    assetBytes,
+    previewBytes,
+    previewCount: previews.length,
+    collections: [...collections.values()].sort((a, b) => b.bytes - a.bytes),
+  };
+};
+
+const isProtectedPreview = (storageKey, protectedIds) => (
+  [...protectedIds].some((sourceId) => storageKey.startsWith(`${sourceId}::`))
+);
+
+/**
+ * Snapshot of usage, limits and eviction candidates (least recently viewed
+ * first). `reserve` evicts from the snapshot and counts reserved bytes as
+ * used, so a batch of reservations reads the stores once.
+ * @param {{ protectSourceIds?: string[] }} [options]
+ */
+const createEvictionPlan = async ({ protectSourceIds = [] } = {}) => {
+  const settings = loadStorageBudgetSettings();
+  const [entries, previews, estimate, sources] = await Promise.all([
+    listCacheEntries(),
+    listPreviewUsage(),
+    getStorageEstimate(),
+    loadAllSources(),
+  ]);
+  const budgetBytes = resolveBudgetBytes(settings, estimate);
+  const contents = groupEntriesByContent(entries);
+  let usedBytes = sumBytes([...contents.values()]) + sumBytes(previews);
+
+  const limits = [];
+  if (budgetBytes !== null) limits.push(budgetBytes);
+  if (estimate?.quota && estimate.usage !== null) {
+    limits.push(usedBytes + Math.max(0, estimate.quota - estimate.usage));
+  }
+  const limit = limits.length ? Math.min(...limits) : null;
+
+  const protectedIds = getProtectedSourceIds(sources, settings, protectSourceIds);
+  const candidates = [
+    ...[...contents.values()]
+      .filter((content) => ![...content.sourceIds].some((id) => protectedIds.has(id)))
+      .map((content) => ({
+        evict: () => evictCachedContent(content.contentKey),
+        bytes: content.bytes,
+        lastViewed: content.lastViewed,
+      })),
+    ...previews
+      .filter((preview) => !isProtectedPreview(preview.fileName, protectedIds))
+      .map((preview) => ({
+        evict: () => deletePreviewBlob(preview.fileName),
+        bytes: preview.bytes,
+        lastViewed: preview.lastViewed,
+      })),
+  ].sort((a, b) => a.lastViewed - b.lastViewed);
+  let nextCandidate = 0;
+  let evicted = 0;
+  let freedBytes = 0;
+
+  /**
+   * @param {number} reserveBytes
+   * @returns {Promise<{ fits: boolean, evicted: number, freedBytes: number, usedBytes: number, budgetBytes: number | null }>}
+   *   `evicted`/`freedBytes` are totals for the plan so far
+   */
+  const reserve = async (reserveBytes) => {
+    if (limit === null) {
+      usedBytes += reserveBytes;
+      return { fits: true, evicted, freedBytes, usedBytes, budgetBytes };
+    }
+    const target = limit - reserveBytes;
+    while (usedBytes > target && nextCandidate < candidates.length) {
+      const candidate = candidates[nextCandidate];
+      nextCandidate += 1;
+      if (!await candidate.evict()) continue;
+      evicted += 1;
+      freedBytes += candidate.bytes;
+      usedBytes -= candidate.bytes;
+    }
+    const fits = usedBytes <= target;
+    // What was reserved is about to be written
+    if (fits) usedBytes += reserveBytes;
+    return { fits, evicted, freedBytes, usedBytes, budgetBytes };
+  };
+
+  return { reserve };
+};
+
+/**
+ * Evict least-recently-viewed cached assets and previews until usage plus
+ * `reserveBytes` fits both the budget and the space the browser has left.
+ * @param {{ reserveBytes?: number, protectSourceIds?: string[] }} [options]
+ *   `protectSourceIds` shields collections being cached right now
+ * @returns {Promise<{ fits: boolean, evicted: number, freedBytes: number, usedBytes: number, budgetBytes: number | null }>}
+ */
+export const enforceStorageBudget = async ({ reserveBytes = 0, protectSourceIds = [] } = {}) => {
+  const plan = await createEvictionPlan({ protectSourceIds });
+  const result = await plan.reserve(reserveBytes);
+  if (result.evicted) {
+    console.log(`[StorageManager] Evicted ${result.evicted} cached item(s), freed ${result.freedBytes} bytes`);
+  }
+  return { ...result, usedBytes: result.usedBytes - (result.fits ? reserveBytes : 0) };
+};
+
+/**
+ * `reserveSpace` callback for cacheCollectionAssets/syncCollectionCache that
+ * never evicts the collection being cached. The stores are read on the
+ * first reservation; later ones in the batch work from that snapshot.
+ * @param {string} sourceId
+ * @returns {(bytes: number) => Promise<boolean>}
+ */
+export const createSpaceReserver = (sourceId) => {
+  let plan = null;
+  let evicted = 0;
+  return async (bytes) => {
+    plan ||= createEvictionPlan({ protectSourceIds: [sourceId] });
+    const result = await (await plan).reserve(bytes);
+    if (result.evicted > evicted) {
+      console.log(`[StorageManager] Evicted ${result.evicted - evicted} cached item(s) for ${sourceId}`);
+      evicted = result.evicted;
+    }
+    return result.fits;
+  };
+};
+
+const PREVIEW_ENFORCE_DEBOUNCE_MS = 2000;
+let stopPreviewEnforcement = null;
+
+/**
+ * Re-check the budget after previews are saved. Batch generation saves
+ * many in a row, so the check runs once they settle. Safe to call more
+ * than once.
+ */
+export const startStorageBudgetEnforcement = () => {
+  if (stopPreviewEnforcement) return;
+  let timer = null;
+  stopPreviewEnforcement = onPreviewBlobSaved(() => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      enforceStorageBudget().catch((err) => {
+        console.warn('[StorageManager] Budget check after preview save failed', err);
+      });
+    }, PREVIEW_ENFORCE_DEBOUNCE_MS);
+  });
+};
+
+/**
+ * Set the budget (null for automatic) and evict down to it right away.
+ * @param {number | null} budgetBytes
+ */
+export const setStorageBudget = async (budgetBytes) => {
+  saveStorageBudgetSettings({ ...loadStorageBudgetSettings(), budgetBytes });
+  return enforceStorageBudget();
+};
@@ -8,17 +8,31 @@
 import { getSupportedExtensions } from '../formats/index.js';
 import { loadSupabaseManifestCache } from './supabaseSettings.js';
 import { getSupabaseClient } from './supabaseClient.js';
+import { restoreSupabaseSession } from './supabaseAuth.js';
+
+/**
+ * Private buckets are listed as the signed-in user.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+const ensurePrivateSession = ({ supabaseUrl, anonKey, isPrivate, session }) => (
+  isPrivate ? restoreSupabaseSession({ supabaseUrl, anonKey }, session) : Promise.resolve({ success: true })
+);
 
 /**
  * List all collection folders in the bucket under `collections/`
  * Returns array of { id, name, assetCount, hasManifest }
  */
-export async function listExistingCollections({ supabaseUrl, anonKey, bucket }) {
+export async function listExistingCollections({ supabaseUrl, anonKey, bucket, isPrivate = false, session = null }) {
   if (!supabaseUrl || !anonKey || !bucket) {
     return { success: false, error: 'Missing Supabase configuration', collections: [] };
   }
 
   try {
+    const auth = await ensurePrivateSession({ supabaseUrl, anonKey, isPrivate, session });
+    if (!auth.success) {
+      return { success: false, error: auth.error, needsSignIn: true, collections: [] };
+    }
+
     const client = getSupabaseClient(supabaseUrl, anonKey);
     const storage = client.storage.from(bucket);
 
@@ -96,12 +110,17 @@ export async function listExistingCollections({ supabaseUrl, anonKey, bucket })
 /**
  * Test bucket connection with current settings
  */
-export async function testBucketConnection({ supabaseUrl, anonKey, bucket }) {
+export async function testBucketConnection({ supabaseUrl, anonKey, bucket, isPrivate = false, session = null }) {
   if (!supabaseUrl || !anonKey || !bucket) {
     return { success: false, error: 'Missing configuration' };
   }
 
   try {
+    const auth = await ensurePrivateSession({ supabaseUrl, anonKey, isPrivate, session });
+    if (!auth.success) {
+      return { success: false, error: auth.error, needsSignIn: true };
+    }
+
     const client = getSupabaseClient(supabaseUrl, anonKey);
     const storage = client.storage.from(bucket);
     const { error } = await storage.list('', { limit: 1 });
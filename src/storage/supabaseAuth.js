@@ -0,0 +1,259 @@
+/**
+ * Supabase Auth for private buckets.
+ *
+ * Sign-in happens on the shared client for a project (supabaseClient.js),
+ * so every collection on that project uses the same session and storage
+ * requests carry the user's access token.
+ *
+ * The session is saved with the Supabase settings and in each private
+ * source config on the project. When the anon key is vault-encrypted, the
+ * session is kept in the vault instead and is unreadable while it is
+ * locked. A session that changes while the vault is locked is dropped, so
+ * the user signs in again.
+ *
+ * The client does not refresh tokens in the background (autoRefreshToken
+ * is off). An expired access token is refreshed when the next storage
+ * request reads the session, or when restoreSupabaseSession() passes a
+ * stored session to setSession(). Each refresh rotates the refresh token,
+ * so the new tokens are saved from the TOKEN_REFRESHED event.
+ *
+ * Magic links use the implicit flow: the emailed link opens the viewer with
+ * the session in the URL hash, which completeSupabaseMagicLink() stores for
+ * the project that asked for the link.
+ */
+
+import { getSupabaseClient } from './supabaseClient.js';
+import { getSourcesArray, saveSource } from './sourceManager.js';
+import { updateSupabaseSettingsSession } from './supabaseSettings.js';
+
+const PENDING_MAGIC_LINK_KEY = 'supabase-auth-pending';
+const PENDING_MAGIC_LINK_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} StoredSupabaseSession
+ * @property {string} accessToken
+ * @property {string} refreshToken
+ * @property {number} expiresAt - Seconds since epoch, as Supabase reports it
+ * @property {string} email
+ */
+
+const normalizeUrl = (url) => String(url || '').trim();
+
+/**
+ * @param {import('@supabase/supabase-js').Session | null} session
+ * @returns {StoredSupabaseSession | null}
+ */
+const toStoredSession = (session) => (session?.refresh_token
+  ? {
+    accessToken: session.access_token,
+    refreshToken: session.refresh_token,
+    expiresAt: Number(session.expires_at) || 0,
+    email: session.user?.email || '',
+  }
+  : null);
+
+const sessionListeners = new Set();
+
+/**
+ * Subscribe to sign-in, sign-out and token refreshes on any project.
+ * @param {(supabaseUrl: string, session: StoredSupabaseSession | null) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export const onSupabaseSessionChange = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+/**
+ * Write a project's session into the saved settings and every private
+ * source on that project.
+ * @param {string} supabaseUrl
+ * @param {StoredSupabaseSession | null} nextSession
+ */
+export const persistSupabaseSession = async (supabaseUrl, nextSession) => {
+  const url = normalizeUrl(supabaseUrl);
+  const session = await updateSupabaseSettingsSession(url, nextSession);
+
+  const sources = getSourcesArray().filter((source) => (
+    source.type === 'supabase-storage'
+    && source.config.config.private === true
+    && normalizeUrl(source.config.config.supabaseUrl) === url
+  ));
+  for (const source of sources) {
+    source.config.config.session = session;
+    try {
+      await saveSource(source.toJSON());
+    } catch (err) {
+      console.warn(`[SupabaseAuth] Could not store session for ${source.name}:`, err);
+    }
+  }
+
+  sessionListeners.forEach((listener) => listener(url, session));
+};
+
+const watchedClients = new WeakSet();
+
+const getAuthClient = ({ supabaseUrl, anonKey }) => {
+  const client = getSupabaseClient(supabaseUrl, anonKey);
+  if (!watchedClients.has(client)) {
+    watchedClients.add(client);
+    client.auth.onAuthStateChange((event, session) => {
+      if (event !== 'TOKEN_REFRESHED' && event !== 'SIGNED_IN' && event !== 'SIGNED_OUT') return;
+      // supabase-js holds its auth lock while listeners run; persist afterwards
+      setTimeout(() => {
+        void persistSupabaseSession(supabaseUrl, event === 'SIGNED_OUT' ? null : toStoredSession(session));
+      }, 0);
+    });
+  }
+  return client;
+};
+
+const restoring = new Map(); // client -> Promise
+
+/**
+ * Make sure the project's client is signed in, restoring a stored session
+ * when it is not. Concurrent callers share one restore, so a refresh token
+ * is never spent twice.
+ * @param {{ supabaseUrl: string, anonKey: string }} params
+ * @param {StoredSupabaseSession | null} stored
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export const restoreSupabaseSession = async (params, stored) => {
+  const client = getAuthClient(params);
+  if (restoring.has(client)) return restoring.get(client);
+
+  const task = (async () => {
+    const { data } = await client.auth.getSession();
+    if (data?.session) return { success: true };
+
+    if (!stored?.refreshToken) {
+      return { success: false, error: 'Sign in to open this private collection.' };
+    }
+
+    const { data: restored, error } = await client.auth.setSession({
+      access_token: stored.accessToken,
+      refresh_token: stored.refreshToken,
+    });
+    if (error || !restored?.session) {
+      await persistSupabaseSession(params.supabaseUrl, null);
+      return { success: false, error: 'Your Supabase session has expired. Sign in again.' };
+    }
+    return { success: true };
+  })();
+
+  restoring.set(client, task);
+  try {
+    return await task;
+  } finally {
+    restoring.delete(client);
+  }
+};
+
+/**
+ * @param {{ supabaseUrl: string, anonKey: string }} params
+ * @param {{ email: string, password: string }} credentials
+ * @returns {Promise<{ success: boolean, session?: StoredSupabaseSession, error?: string }>}
+ */
+export const signInToSupabase = async (params, { email, password }) => {
+  try {
+    const { data, error } = await getAuthClient(params).auth.signInWithPassword({
+      email: String(email || '').trim(),
+      password: String(password || ''),
+    });
+    if (error) return { success: false, error: error.message };
+    const session = toStoredSession(data.session);
+    // Stored before returning, so callers can connect straight away
+    await persistSupabaseSession(params.supabaseUrl, session);
+    return { success: true, session };
+  } catch (err) {
+    return { success: false, error: err?.message || String(err) };
+  }
+};
+
+/**
+ * Email a sign-in link that returns to this page. The project's
+ * "Redirect URLs" must allow the viewer's address.
+ * @param {{ supabaseUrl: string, anonKey: string }} params
+ * @param {string} email
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export const sendSupabaseMagicLink = async (params, email) => {
+  const address = String(email || '').trim();
+  try {
+    const { error } = await getAuthClient(params).auth.signInWithOtp({
+      email: address,
+      options: {
+        emailRedirectTo: `${window.location.origin}${window.location.pathname}`,
+        shouldCreateUser: false,
+      },
+    });
+    if (error) return { success: false, error: error.message };
+
+    localStorage.setItem(PENDING_MAGIC_LINK_KEY, JSON.stringify({
+      supabaseUrl: normalizeUrl(params.supabaseUrl),
+      email: address,
+      sentAt: Date.now(),
+    }));
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err?.message || String(err) };
+  }
+};
+
+const loadPendingMagicLink = () => {
+  try {
+    const raw = localStorage.getItem(PENDING_MAGIC_LINK_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (!parsed?.supabaseUrl || Date.now() - (parsed.sentAt || 0) > PENDING_MAGIC_LINK_MAX_AGE_MS) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Store the session a magic link brought back in the URL hash, then strip
+ * the tokens from the address bar. Call once on startup.
+ * @returns {Promise<{ success: boolean, email?: string, error?: string } | null>}
+ *   Null when the page was not opened from a magic link
+ */
+export const completeSupabaseMagicLink = async () => {
+  if (typeof window === 'undefined') return null;
+  const hash = window.location.hash.replace(/^#/, '');
+  if (!/(^|&)(access_token|error_description)=/.test(hash)) return null;
+
+  const params = new URLSearchParams(hash);
+  window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}`);
+
+  const pending = loadPendingMagicLink();
+  localStorage.removeItem(PENDING_MAGIC_LINK_KEY);
+
+  if (params.get('error_description')) {
+    return { success: false, error: params.get('error_description') };
+  }
+  if (!pending || !params.get('refresh_token')) {
+    return { success: false, error: 'This sign-in link was not requested from this browser.' };
+  }
+
+  const session = {
+    accessToken: params.get('access_token'),
+    refreshToken: params.get('refresh_token'),
+    expiresAt: Number(params.get('expires_at')) || 0,
+    email: pending.email,
+  };
+  await persistSupabaseSession(pending.supabaseUrl, session);
+  return { success: true, email: pending.email };
+};
+
+/**
+ * Sign out of a project on this device and forget its stored session.
+ * @param {{ supabaseUrl: string, anonKey: string }} params
+ */
+export const signOutOfSupabase = async (params) => {
+  try {
+    await getAuthClient(params).auth.signOut({ scope: 'local' });
+  } catch (err) {
+    console.warn('[SupabaseAuth] Sign-out failed:', err);
+  }
+  await persistSupabaseSession(params.supabaseUrl, null);
+};
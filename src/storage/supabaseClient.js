@@ -20,3 +20,10 @@ export const getSupabaseClient = (url, key) => {
 
   return clientCache.get(cacheKey);
 };
+
+/**
+ * Drop cached clients, e.g. when the credential vault locks.
+ */
+export const clearSupabaseClientCache = () => {
+  clientCache.clear();
+};
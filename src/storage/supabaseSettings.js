@@ -1,17 +1,68 @@
+import {
+  encryptCredentialValue,
+  getUnlockedSecret,
+  getVaultSecretIds,
+  isEncryptedCredentialPayload,
+  registerVaultSecret,
+} from './credentialVault.js';
+
 const STORAGE_KEY = 'supabase-settings';
 const MANIFEST_CACHE_PREFIX = 'supabase-manifest-cache:';
 const MANIFEST_CACHE_TTL_MS = 5 * 60 * 1000;
 
+registerVaultSecret({
+  id: 'supabase-anon-key',
+  alias: 'supabase',
+  storageKey: STORAGE_KEY,
+  field: 'anonKeyEncrypted',
+  sourceType: 'supabase-storage',
+  sourceField: 'anonKey',
+});
+registerVaultSecret({
+  id: 'supabase-session',
+  alias: 'supabaseSession',
+  storageKey: STORAGE_KEY,
+  field: 'sessionEncrypted',
+  sourceType: 'supabase-storage',
+  sourceField: 'session',
+});
+
 const buildManifestCacheKey = ({ supabaseUrl, bucket, collectionId }) =>
   `${MANIFEST_CACHE_PREFIX}${supabaseUrl}::${bucket}::${collectionId}`;
 
+/**
+ * The saved session, decrypted from the vault when it is stored there.
+ * @returns {Object | null} Null while the vault is locked
+ */
+const resolveSession = (parsed) => {
+  if (!isEncryptedCredentialPayload(parsed.sessionEncrypted)) return parsed.session || null;
+  try {
+    return JSON.parse(getUnlockedSecret(getVaultSecretIds().supabaseSession) || 'null');
+  } catch {
+    return null;
+  }
+};
+
 export const loadSupabaseSettings = () => {
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
     if (!raw) return null;
     const parsed = JSON.parse(raw);
-    if (!parsed.supabaseUrl || !parsed.anonKey || !parsed.bucket) return null;
-    return parsed;
+
+    const hasEncryptedKey = isEncryptedCredentialPayload(parsed.anonKeyEncrypted);
+    const resolvedKey = hasEncryptedKey
+      ? (getUnlockedSecret(getVaultSecretIds().supabase) || '')
+      : String(parsed.anonKey || '').trim();
+
+    if (!parsed.supabaseUrl || (!resolvedKey && !hasEncryptedKey) || !parsed.bucket) return null;
+
+    return {
+      ...parsed,
+      anonKey: resolvedKey,
+      session: resolveSession(parsed),
+      requiresPassword: Boolean(hasEncryptedKey && !resolvedKey),
+      isEncrypted: hasEncryptedKey,
+    };
   } catch {
     return null;
   }
@@ -34,6 +85,89 @@ export const clearSupabaseSettings = () => {
   }
 };
 
+/**
+ * Whether the saved settings match a source's project and bucket.
+ */
+export const supabaseSettingsMatchSource = (settings, source) => {
+  const config = source?.config?.config;
+  if (!settings || !config) return false;
+  return String(settings.supabaseUrl || '').trim() === String(config.supabaseUrl || '').trim()
+    && settings.bucket === config.bucket;
+};
+
+/**
+ * True when a Supabase source depends on a vault-encrypted anon key that
+ * has not been unlocked this session.
+ */
+export const isSupabaseSourceLocked = (source) => {
+  if (source?.type !== 'supabase-storage' || source?.config?.config?.anonKey) return false;
+  const settings = loadSupabaseSettings();
+  return Boolean(settings?.requiresPassword) && supabaseSettingsMatchSource(settings, source);
+};
+
+/**
+ * Store (or clear) the Supabase Auth session in the saved settings when
+ * they belong to the given project. Writes the raw entry, so an encrypted
+ * anon key stays encrypted; with an encrypted anon key the session goes
+ * into the vault too, and is dropped if the vault is locked.
+ * @param {string} supabaseUrl
+ * @param {Object | null} session
+ * @returns {Promise<Object | null>} The session to keep, null if it was dropped
+ */
+export const updateSupabaseSettingsSession = async (supabaseUrl, session) => {
+  const matches = (parsed) => String(parsed?.supabaseUrl || '').trim() === String(supabaseUrl || '').trim();
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!matches(stored)) return session;
+
+    const useVault = Boolean(session) && isEncryptedCredentialPayload(stored.anonKeyEncrypted);
+    let sessionEncrypted = null;
+    if (useVault) {
+      try {
+        sessionEncrypted = await encryptCredentialValue(getVaultSecretIds().supabaseSession, JSON.stringify(session));
+      } catch {
+        // Locked vault: sign in again rather than keep the token in plaintext
+      }
+    }
+
+    // Re-read: the settings may have changed while encrypting
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!matches(parsed)) return session;
+    delete parsed.session;
+    delete parsed.sessionEncrypted;
+    if (sessionEncrypted) {
+      parsed.sessionEncrypted = sessionEncrypted;
+    } else if (session && !useVault) {
+      parsed.session = session;
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(parsed));
+    return useVault && !sessionEncrypted ? null : session;
+  } catch {
+    return session;
+  }
+};
+
+/**
+ * A Supabase source's sign-in session. Vault-held sessions are not
+ * persisted with the source, so this falls back to the saved settings.
+ * @returns {Object | null}
+ */
+export const getSupabaseSourceSession = (source) => {
+  const session = source?.config?.config?.session;
+  if (session?.refreshToken) return session;
+  const settings = loadSupabaseSettings();
+  return supabaseSettingsMatchSource(settings, source) ? settings.session : null;
+};
+
+/**
+ * True when a private Supabase source has no stored sign-in session.
+ */
+export const isSupabaseSignInRequired = (source) => (
+  source?.type === 'supabase-storage'
+  && source?.config?.config?.private === true
+  && !getSupabaseSourceSession(source)?.refreshToken
+);
+
 export const loadSupabaseManifestCache = (params, { maxAgeMs = MANIFEST_CACHE_TTL_MS } = {}) => {
   try {
     if (!params?.supabaseUrl || !params?.bucket || !params?.collectionId) return null;
@@ -6,7 +6,7 @@
  */
 
 /**
- * @typedef {'local-folder' | 'public-url' | 'supabase-storage' | 'app-storage' | 'r2-bucket'} SourceType
+ * @typedef {'local-folder' | 'public-url' | 'supabase-storage' | 'app-storage' | 'r2-bucket' | 's3-bucket' | 'webdav'} SourceType
  */
 
 /**
@@ -16,7 +16,7 @@
  * @property {boolean} canReadMetadata - Can read colocated metadata files
  * @property {boolean} canReadPreviews - Can read colocated preview images
  * @property {boolean} persistent - Connection persists across sessions
- * @property {boolean} writable - Can write metadata back to source (future)
+ * @property {boolean} writable - Can write assets and sidecars back to the source
  */
 
 /**
@@ -80,9 +80,17 @@
  * @property {string} sourceId - ID of the parent source
  * @property {SourceType} sourceType - Type of the parent source
  * @property {number} [size] - File size in bytes (if known)
+ * @property {string | null} [etag] - Entity tag from the listing (if the source exposes one)
  * @property {string} [preview] - Preview image URL or data URL
  * @property {string} [previewSource] - 'remote' | 'indexeddb' | 'generated'
  * @property {Object} [metadata] - Colocated metadata (camera data, etc.)
+ * @property {string[]} [tags] - Manifest tags (v2)
+ * @property {{ id: string, name: string } | null} [group] - Group/album the asset belongs to (v2)
+ * @property {number | null} [order] - Explicit position within the collection (v2)
+ * @property {string | null} [caption] - Caption shown with the asset (v2)
+ * @property {ManifestSlideshow | null} [slideshow] - Per-asset slideshow overrides (v2)
+ * @property {Object | null} [defaultView] - Default custom view, same shape as a saved custom view (v2)
+ * @property {ManifestChecksum | null} [checksum] - Content checksum of the asset file (v2)
  * @property {boolean} loaded - Whether asset has been loaded
  */
 
@@ -90,9 +98,29 @@
  * @typedef {Object} AssetManifest
  * @property {number} version - Manifest schema version
  * @property {string} [name] - Collection name
+ * @property {ManifestGroup[]} [groups] - Groups/albums referenced by assets (v2)
  * @property {ManifestAsset[]} assets - List of assets
  */
 
+/**
+ * @typedef {Object} ManifestGroup
+ * @property {string} id - Identifier referenced by ManifestAsset.group
+ * @property {string} [name] - Display name (defaults to id)
+ * @property {string} [description]
+ * @property {number} [order] - Explicit position among groups
+ */
+
+/**
+ * @typedef {Object} ManifestSlideshow
+ * @property {number} [duration] - Hold duration in seconds
+ * @property {'horizontal' | 'vertical' | 'zoom' | 'fade'} [transition] - Slide transition mode
+ */
+
+/**
+ * @typedef {Object} ManifestChecksum
+ * @property {string} sha256 - Lowercase hex SHA-256 of the asset file
+ */
+
 /**
  * @typedef {Object} ManifestAsset
  * @property {string} path - Asset path relative to manifest
@@ -100,6 +128,15 @@
  * @property {number} [size] - File size in bytes
  * @property {string} [preview] - Preview image path relative to manifest
  * @property {Object} [metadata] - Inline metadata or path to metadata file
+ * @property {string[]} [tags] - Free-form tags (v2)
+ * @property {string} [group] - Id of a manifest group (v2)
+ * @property {number} [order] - Explicit sort position; unordered assets follow (v2)
+ * @property {string} [caption] - Caption text (v2)
+ * @property {ManifestSlideshow} [slideshow] - Per-asset slideshow duration/transition (v2)
+ * @property {Object} [defaultView] - Default custom view ({ cameraPose, view, model }) (v2)
+ * @property {ManifestChecksum} [checksum] - Content checksum (v2)
+ * @property {Object} [settings] - Synced viewer settings (focusDistance, animation, customAnimation,
+ *   customMetadata) with `updatedAt` in ms; see settingsSync.js
  */
 
 /**
@@ -113,25 +150,36 @@
  *         ├── scene1.meta.json   // optional
  *         └── ...
  *
- * manifest.json schema:
+ * manifest.json schema (v2; v1 is the same without the fields marked v2):
  * {
- *   "version": 1,
+ *   "version": 2,
  *   "name": "My Collection",
+ *   "groups": [{ "id": "garden", "name": "Garden" }],       // v2
  *   "assets": [
  *     {
  *       "path": "assets/scene1.ply",
  *       "name": "Scene 1",
  *       "size": 15000000,
  *       "preview": "assets/scene1.preview.jpg",
- *       "metadata": { ... } // or "metadata": "assets/scene1.meta.json"
+ *       "metadata": { ... }, // or "metadata": "assets/scene1.meta.json"
+ *       "tags": ["outdoor"],                                  // v2
+ *       "group": "garden",                                    // v2
+ *       "order": 1,                                           // v2
+ *       "caption": "Morning light",                           // v2
+ *       "slideshow": { "duration": 5, "transition": "fade" }, // v2
+ *       "defaultView": { "cameraPose": { ... } },             // v2
+ *       "checksum": { "sha256": "…" }                         // v2
  *     }
  *   ]
  * }
+ *
+ * v1 manifests are read as-is and upgraded to v2 the next time a source
+ * writes them (see manifest.js).
  */
 
 // Validation constants
-export const MANIFEST_VERSION = 1;
-export const SUPPORTED_MANIFEST_VERSIONS = [1];
+export const MANIFEST_VERSION = 2;
+export const SUPPORTED_MANIFEST_VERSIONS = [1, 2];
 
 // Storage source tier labels for UI
 export const SOURCE_TIERS = {
@@ -167,12 +215,28 @@ export const SOURCE_TIERS = {
     requirements: ['Account ID', 'Access key ID/secret', 'Bucket name'],
     icon: 'cloudflare',
   },
+  's3-bucket': {
+    tier: 2,
+    label: 'S3-compatible',
+    description: 'AWS S3, MinIO or any S3-compatible bucket',
+    benefits: ['Self-hosted or AWS', 'Same manifest layout as R2', 'Optional public base URL for reads'],
+    requirements: ['Endpoint URL (blank for AWS) and region', 'Access key ID/secret', 'Bucket name with CORS enabled'],
+    icon: 'cloud',
+  },
+  webdav: {
+    tier: 2,
+    label: 'WebDAV',
+    description: 'NAS or Nextcloud folder over WebDAV',
+    benefits: ['Works with Synology, Nextcloud and other NAS servers', 'Previews and metadata from sidecar files', 'No manifest needed'],
+    requirements: ['Server URL with CORS enabled', 'Username and password (optional)'],
+    icon: 'server',
+  },
   'public-url': {
     tier: 3,
     label: 'URL list',
     description: 'List of public asset URLs (read-only)',
     benefits: ['No setup', 'Works with any public file URL'],
-    requirements: ['Direct HTTP/HTTPS links to .sog/.ply assets'],
+    requirements: ['Direct HTTP/HTTPS links to .sog/.ply/.spz/.splat assets'],
     icon: 'link',
   },
   'cloud-gpu': {
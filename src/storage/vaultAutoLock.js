@@ -0,0 +1,146 @@
+/**
+ * Credential vault auto-lock.
+ *
+ * An unlocked vault locks itself after a configurable stretch without
+ * pointer or keyboard input, and optionally as soon as the tab is hidden.
+ * A playing slideshow counts as activity (setVaultAutoLockPaused).
+ * Background tabs throttle timers, so the idle deadline is also checked
+ * when the tab becomes visible again.
+ *
+ * Locking scrubs decrypted credentials from connected sources and the
+ * cached API clients before clearing the vault session, so vault-backed
+ * collections show their locked state until the password is entered again.
+ */
+
+import {
+  clearVaultSession,
+  getRegisteredVaultSecrets,
+  getUnlockedSecret,
+  isVaultUnlocked,
+  matchesVaultSecret,
+  onVaultStateChange,
+} from './credentialVault.js';
+import { loadVaultSettings } from './vaultSettings.js';
+import { getSourcesArray } from './sourceManager.js';
+import { clearS3ClientCache } from './r2Client.js';
+import { clearSupabaseClientCache } from './supabaseClient.js';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+let lastActivityAt = Date.now();
+let lockTimer = null;
+let paused = false;
+
+/**
+ * Lock the vault now: forget decrypted credentials everywhere they were
+ * copied to, then clear the session.
+ */
+export const lockCredentialVault = () => {
+  clearTimeout(lockTimer);
+  lockTimer = null;
+
+  for (const secret of getRegisteredVaultSecrets()) {
+    if (!secret.sourceType || !secret.sourceField) continue;
+    const value = getUnlockedSecret(secret.id);
+    if (!value) continue;
+
+    getSourcesArray()
+      .filter((source) => source.type === secret.sourceType && matchesVaultSecret(source.config?.config?.[secret.sourceField], value))
+      .forEach((source) => {
+        source.config.config[secret.sourceField] = '';
+        source.disconnect();
+      });
+  }
+
+  clearS3ClientCache();
+  clearSupabaseClientCache();
+  clearVaultSession();
+};
+
+const scheduleLock = () => {
+  clearTimeout(lockTimer);
+  lockTimer = null;
+
+  const { autoLockMinutes } = loadVaultSettings();
+  if (!autoLockMinutes || paused || !isVaultUnlocked()) return;
+
+  const remaining = lastActivityAt + autoLockMinutes * 60 * 1000 - Date.now();
+  if (remaining <= 0) {
+    console.log('[Vault] Locked after inactivity');
+    lockCredentialVault();
+    return;
+  }
+  lockTimer = setTimeout(scheduleLock, remaining);
+};
+
+const handleActivity = () => {
+  lastActivityAt = Date.now();
+  // The pending timer re-checks the deadline when it fires
+  if (!lockTimer) scheduleLock();
+};
+
+const handleVisibilityChange = () => {
+  if (!isVaultUnlocked()) return;
+  if (document.visibilityState === 'hidden') {
+    if (loadVaultSettings().lockWhenHidden) {
+      console.log('[Vault] Locked because the tab was hidden');
+      lockCredentialVault();
+    }
+    return;
+  }
+  scheduleLock();
+};
+
+let stopVaultAutoLock = null;
+
+/**
+ * Start watching for idle time and tab visibility. Safe to call more than
+ * once; returns a function that stops watching.
+ * @returns {() => void}
+ */
+export const startVaultAutoLock = () => {
+  if (stopVaultAutoLock) return stopVaultAutoLock;
+  if (typeof window === 'undefined') return () => {};
+
+  ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, handleActivity, { passive: true, capture: true }));
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  const unsubscribe = onVaultStateChange((unlocked) => {
+    if (unlocked) {
+      lastActivityAt = Date.now();
+      scheduleLock();
+    } else {
+      clearTimeout(lockTimer);
+      lockTimer = null;
+    }
+  });
+
+  stopVaultAutoLock = () => {
+    ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, handleActivity, { capture: true }));
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    unsubscribe();
+    clearTimeout(lockTimer);
+    lockTimer = null;
+    stopVaultAutoLock = null;
+  };
+  return stopVaultAutoLock;
+};
+
+/**
+ * Hold off the idle lock while the viewer is busy without input, such as
+ * an unattended slideshow. The idle time restarts when the pause ends.
+ * @param {boolean} value
+ */
+export const setVaultAutoLockPaused = (value) => {
+  if (paused === Boolean(value)) return;
+  paused = Boolean(value);
+  lastActivityAt = Date.now();
+  scheduleLock();
+};
+
+/**
+ * Re-arm the idle timer after the timeout setting changes.
+ */
+export const refreshVaultAutoLock = () => {
+  lastActivityAt = Date.now();
+  scheduleLock();
+};
@@ -0,0 +1,52 @@
+/**
+ * Credential vault settings persistence
+ * Stores when an unlocked vault locks itself again.
+ */
+
+const STORAGE_KEY = 'vault-settings';
+
+/** Idle timeouts offered in the UI, in minutes (0 = never) */
+export const AUTO_LOCK_MINUTES_OPTIONS = [0, 5, 15, 30, 60, 240];
+
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+const normalizeMinutes = (value) => {
+  const numeric = Number(value);
+  return AUTO_LOCK_MINUTES_OPTIONS.includes(numeric) ? numeric : DEFAULT_AUTO_LOCK_MINUTES;
+};
+
+/**
+ * @returns {{ autoLockMinutes: number, lockWhenHidden: boolean }}
+ */
+export const loadVaultSettings = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return {
+      autoLockMinutes: normalizeMinutes(parsed.autoLockMinutes),
+      lockWhenHidden: Boolean(parsed.lockWhenHidden),
+    };
+  } catch {
+    return { autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES, lockWhenHidden: false };
+  }
+};
+
+export const saveVaultSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      autoLockMinutes: normalizeMinutes(settings?.autoLockMinutes),
+      lockWhenHidden: Boolean(settings?.lockWhenHidden),
+    }));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const clearVaultSettings = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+};
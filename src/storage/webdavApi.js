@@ -0,0 +1,253 @@
+/**
+ * WebDAV helpers shared by WebDavSource and the connect form.
+ * Plain fetch() calls; PROPFIND responses are parsed with DOMParser.
+ */
+
+import { getSupportedExtensions } from '../formats/index.js';
+import { normalizeWebDavUrl } from './webdavSettings.js';
+
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:resourcetype/>
+    <d:getcontentlength/>
+    <d:getlastmodified/>
+    <d:getcontenttype/>
+    <d:getetag/>
+  </d:prop>
+</d:propfind>`;
+
+const getExtension = (filename) => {
+  const parts = filename.split('.');
+  return parts.length > 1 ? `.${parts.pop().toLowerCase()}` : '';
+};
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const firstDavChild = (element, localName) => element.getElementsByTagNameNS('DAV:', localName)[0] || null;
+
+/**
+ * Build a Basic auth header value, or null for anonymous access.
+ * @param {string} username
+ * @param {string} password
+ * @returns {string | null}
+ */
+export const buildBasicAuthHeader = (username, password) => {
+  if (!username) return null;
+  const bytes = new TextEncoder().encode(`${username}:${password || ''}`);
+  let binary = '';
+  bytes.forEach((b) => { binary += String.fromCharCode(b); });
+  return `Basic ${btoa(binary)}`;
+};
+
+/**
+ * Append a slash-separated relative path to a base URL, encoding each segment.
+ * @param {string} baseUrl
+ * @param {string} relativePath
+ * @returns {string}
+ */
+export const joinWebDavUrl = (baseUrl, relativePath = '') => {
+  const base = normalizeWebDavUrl(baseUrl);
+  const segments = String(relativePath).split('/').filter(Boolean).map(encodeURIComponent);
+  return segments.length ? `${base}/${segments.join('/')}` : base;
+};
+
+/**
+ * Map a WebDAV status code to a user-facing message.
+ * @param {number} status
+ * @returns {string}
+ */
+export const describeWebDavStatus = (status) => {
+  if (status === 401) return 'Authentication failed. Check the username and password.';
+  if (status === 403) return 'Access denied by the WebDAV server.';
+  if (status === 404) return 'Folder not found on the WebDAV server.';
+  if (status === 405) return 'The server does not allow this WebDAV method on that URL.';
+  if (status === 412) return 'A file with this name already exists.';
+  if (status === 507) return 'The WebDAV server is out of storage space.';
+  return `WebDAV request failed (${status}).`;
+};
+
+/**
+ * fetch() wrapper that attaches the Authorization header.
+ * @param {string} url
+ * @param {{ method?: string, auth?: string | null, headers?: Object, body?: BodyInit, signal?: AbortSignal }} [options]
+ * @returns {Promise<Response>}
+ */
+export const webdavRequest = (url, { method = 'GET', auth = null, headers = {}, body, signal } = {}) => fetch(url, {
+  method,
+  headers: {
+    ...(auth ? { Authorization: auth } : {}),
+    ...headers,
+  },
+  body,
+  signal,
+  cache: 'no-store',
+});
+
+/**
+ * PROPFIND a collection and return its entries (the collection itself excluded).
+ * Paths in the result are decoded and relative to `url`.
+ * @param {string} url - Collection URL
+ * @param {{ auth?: string | null, depth?: 0 | 1 }} [options]
+ * @returns {Promise<Array<{ path: string, name: string, isCollection: boolean, size: number | null, lastModified: number | null, contentType: string | null, etag: string | null }>>}
+ */
+export const propfind = async (url, { auth = null, depth = 1 } = {}) => {
+  const collectionUrl = `${normalizeWebDavUrl(url)}/`;
+  const response = await webdavRequest(collectionUrl, {
+    method: 'PROPFIND',
+    auth,
+    headers: {
+      Depth: String(depth),
+      'Content-Type': 'application/xml; charset=utf-8',
+    },
+    body: PROPFIND_BODY,
+  });
+
+  if (response.status !== 207) {
+    const error = new Error(describeWebDavStatus(response.status));
+    error.status = response.status;
+    throw error;
+  }
+
+  const text = await response.text();
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const basePath = safeDecode(new URL(collectionUrl).pathname).replace(/\/+$/, '');
+  const entries = [];
+
+  for (const node of Array.from(doc.getElementsByTagNameNS('DAV:', 'response'))) {
+    const href = firstDavChild(node, 'href')?.textContent?.trim();
+    if (!href) continue;
+
+    const entryPath = safeDecode(new URL(href, collectionUrl).pathname).replace(/\/+$/, '');
+    if (entryPath === basePath || !entryPath.startsWith(`${basePath}/`)) continue;
+
+    const relative = entryPath.slice(basePath.length + 1);
+    const resourceType = firstDavChild(node, 'resourcetype');
+    const isCollection = Boolean(resourceType && firstDavChild(resourceType, 'collection'));
+    const length = Number(firstDavChild(node, 'getcontentlength')?.textContent);
+    const modified = Date.parse(firstDavChild(node, 'getlastmodified')?.textContent || '');
+
+    entries.push({
+      path: relative,
+      name: relative.split('/').pop(),
+      isCollection,
+      size: Number.isFinite(length) && !isCollection ? length : null,
+      lastModified: Number.isFinite(modified) ? modified : null,
+      contentType: firstDavChild(node, 'getcontenttype')?.textContent || null,
+      etag: firstDavChild(node, 'getetag')?.textContent?.trim() || null,
+    });
+  }
+
+  return entries;
+};
+
+/**
+ * Recursively list files under a collection with Depth: 1 requests
+ * (many servers disable Depth: infinity).
+ * @param {string} url
+ * @param {{ auth?: string | null }} [options]
+ * @returns {Promise<Array<{ path: string, name: string, size: number | null, lastModified: number | null, etag: string | null }>>}
+ */
+export const walkWebDavFiles = async (url, { auth = null } = {}) => {
+  const files = [];
+  const pending = [''];
+
+  while (pending.length) {
+    const prefix = pending.shift();
+    const entries = await propfind(joinWebDavUrl(url, prefix), { auth, depth: 1 });
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const path = prefix ? `${prefix}/${entry.path}` : entry.path;
+      if (entry.isCollection) {
+        pending.push(path);
+      } else {
+        files.push({ ...entry, path });
+      }
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Create a collection (folder). An already existing folder counts as success.
+ * @param {string} url
+ * @param {{ auth?: string | null }} [options]
+ */
+export const ensureWebDavFolder = async (url, { auth = null } = {}) => {
+  const response = await webdavRequest(`${normalizeWebDavUrl(url)}/`, { method: 'MKCOL', auth });
+  if (response.ok || response.status === 405) {
+    return;
+  }
+  throw new Error(describeWebDavStatus(response.status));
+};
+
+const authFromSettings = ({ username, password }) => buildBasicAuthHeader(username, password);
+
+/**
+ * Test server access with the given settings.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function testWebDavConnection(settings) {
+  if (!settings?.serverUrl) {
+    return { success: false, error: 'Missing server URL' };
+  }
+
+  try {
+    await propfind(settings.serverUrl, { auth: authFromSettings(settings), depth: 0 });
+    return { success: true };
+  } catch (error) {
+    if (error instanceof TypeError) {
+      return { success: false, error: 'Could not reach the WebDAV server. Check the URL and that it allows CORS from this site.' };
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List the folders directly under the server URL as collections.
+ * Returns { success, collections: [{ id, name, assetCount, hasManifest }] }
+ */
+export async function listWebDavCollections(settings) {
+  if (!settings?.serverUrl) {
+    return { success: false, error: 'Missing server URL', collections: [] };
+  }
+
+  const auth = authFromSettings(settings);
+  const supportedExtensions = getSupportedExtensions();
+
+  try {
+    const entries = await propfind(settings.serverUrl, { auth, depth: 1 });
+    const collections = [];
+
+    for (const entry of entries) {
+      if (!entry.isCollection || entry.name.startsWith('.')) continue;
+
+      let assetCount = 0;
+      try {
+        const children = await propfind(joinWebDavUrl(settings.serverUrl, entry.path), { auth, depth: 1 });
+        assetCount = children.filter((child) => !child.isCollection && supportedExtensions.includes(getExtension(child.name))).length;
+      } catch (err) {
+        console.warn(`[WebDAV] Failed to inspect ${entry.path}:`, err);
+      }
+
+      collections.push({
+        id: entry.path,
+        name: entry.name,
+        assetCount,
+        hasManifest: false,
+      });
+    }
+
+    collections.sort((a, b) => a.name.localeCompare(b.name));
+    return { success: true, collections };
+  } catch (error) {
+    return { success: false, error: error.message, collections: [] };
+  }
+}
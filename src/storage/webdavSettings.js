@@ -0,0 +1,81 @@
+import { getUnlockedSecret, getVaultSecretIds, isEncryptedCredentialPayload, registerVaultSecret } from './credentialVault.js';
+
+const STORAGE_KEY = 'webdav-settings';
+
+registerVaultSecret({
+  id: 'webdav-password',
+  alias: 'webdav',
+  storageKey: STORAGE_KEY,
+  field: 'passwordEncrypted',
+  sourceType: 'webdav',
+  sourceField: 'password',
+});
+
+/**
+ * Normalize a server/folder URL for comparisons and joins.
+ */
+export const normalizeWebDavUrl = (url) => String(url || '').trim().replace(/\/+$/, '');
+
+export const loadWebDavSettings = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+
+    const hasEncryptedPassword = isEncryptedCredentialPayload(parsed.passwordEncrypted);
+    const resolvedPassword = hasEncryptedPassword
+      ? (getUnlockedSecret(getVaultSecretIds().webdav) || '')
+      : String(parsed.password || '');
+
+    if (!parsed.serverUrl) {
+      return null;
+    }
+
+    return {
+      username: '',
+      ...parsed,
+      password: resolvedPassword,
+      requiresPassword: Boolean(hasEncryptedPassword && !resolvedPassword),
+      isEncrypted: hasEncryptedPassword,
+    };
+  } catch {
+    return null;
+  }
+};
+
+export const saveWebDavSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const clearWebDavSettings = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+};
+
+/**
+ * Whether the saved settings match a source's server and user.
+ */
+export const webdavSettingsMatchSource = (settings, source) => {
+  const config = source?.config?.config;
+  if (!settings || !config) return false;
+  return normalizeWebDavUrl(settings.serverUrl) === normalizeWebDavUrl(config.serverUrl)
+    && (settings.username || '') === (config.username || '');
+};
+
+/**
+ * True when a WebDAV source depends on a vault-encrypted password that has
+ * not been unlocked this session.
+ */
+export const isWebDavSourceLocked = (source) => {
+  if (source?.type !== 'webdav' || source?.config?.config?.password) return false;
+  const settings = loadWebDavSettings();
+  return Boolean(settings?.requiresPassword) && webdavSettingsMatchSource(settings, source);
+};
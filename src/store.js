@@ -273,6 +273,7 @@ const DEFAULT_FILE_INFO = {
   splatCount: '-',
   loadTime: '-',
   bounds: '-',
+  format: '-',
 };
 
 export const useStore = create(
@@ -345,6 +346,9 @@ export const useStore = create(
   status: 'Waiting for file...',
   isLoading: false,
 
+  // Byte-level progress for streamed asset loads ({ assetId, loaded, total, splats })
+  loadProgress: null,
+
   // Upload progress (global overlay)
   isUploading: false,
   uploadProgress: null,
@@ -571,6 +575,9 @@ export const useStore = create(
   
   /** Sets loading state */
   setIsLoading: (isLoading) => set({ isLoading }),
+
+  /** Sets streamed load progress (null clears it) */
+  setLoadProgress: (loadProgress) => set({ loadProgress: loadProgress || null }),
   
   /** Adds a timestamped log entry */
   addLog: (message) => {
@@ -47,6 +47,7 @@ const DEBUG_STOCHASTIC_KEY = 'debugStochasticRendering';
 const DEBUG_SPARK_STDDEV_KEY = 'debugSparkMaxStdDev';
 const DEBUG_FPS_LIMIT_KEY = 'debugFpsLimitEnabled';
 const UI_PREFERENCES_KEY = 'ui-preferences';
+const STORAGE_BUDGET_KEY = 'storage-budget-settings';
 
 export const createOptionSelectionState = (options = [], defaultValue = false) => {
   return options.reduce((acc, option) => {
@@ -110,6 +111,12 @@ export const CLEAR_DATA_OPTIONS = [
     subtitle: 'Quality/debug/UI preference keys in localStorage',
     scope: 'localstorage',
   },
+  {
+    key: 'clearStorageBudget',
+    title: 'Storage budget',
+    subtitle: 'Cache budget and pinned collections',
+    scope: 'localstorage',
+  },
   {
     key: 'clearFileSettings',
     title: 'File settings',
@@ -435,6 +442,10 @@ export const clearSelectedLocalData = async (options = {}) => {
     summary.localStorageEntriesCleared += clearLocalStorageKey(UI_PREFERENCES_KEY);
   }
 
+  if (options.clearStorageBudget) {
+    summary.localStorageEntriesCleared += clearLocalStorageKey(STORAGE_BUDGET_KEY);
+  }
+
   if (options.clearFileSettings) {
     summary.fileSettingsCleared = await clearAllFileSettings();
   }
@@ -547,7 +558,7 @@ export const importTransferBundleFromBuffer = async (arrayBuffer) => {
   if (Array.isArray(data.sources)) {
     for (const config of data.sources) {
       if (!config?.type) continue;
-      if (config.type !== 'public-url' && config.type !== 'supabase-storage' && config.type !== 'r2-bucket') {
+      if (config.type !== 'public-url' && config.type !== 'supabase-storage' && config.type !== 'r2-bucket' && config.type !== 's3-bucket' && config.type !== 'webdav') {
         summary.warnings.push(`Skipped unsupported source type: ${config.type}`);
         continue;
       }
@@ -630,7 +641,7 @@ export const importTransferManifest = async (manifest) => {
   if (Array.isArray(data.sources)) {
     for (const config of data.sources) {
       if (!config?.type) continue;
-      if (config.type !== 'public-url' && config.type !== 'supabase-storage' && config.type !== 'r2-bucket') {
+      if (config.type !== 'public-url' && config.type !== 'supabase-storage' && config.type !== 'r2-bucket' && config.type !== 's3-bucket' && config.type !== 'webdav') {
         summary.warnings.push(`Skipped unsupported source type: ${config.type}`);
         continue;
       }
@@ -0,0 +1,115 @@
+/**
+ * Deep-link query parameters for /<collection>/<asset> routes.
+ *
+ *   view=<id>                  saved custom view of the asset
+ *   pose=px,py,pz,tx,ty,tz     camera position and orbit target
+ *   fov=<degrees>              vertical field of view
+ *   autoplay=1                 start the slideshow once loaded
+ */
+
+import { camera, controls, requestRender, updateDollyZoomBaselineFromCamera } from '../viewer.js';
+import { cancelLoadZoomAnimation } from '../customAnimations.js';
+import { cancelSlideAnimation } from '../cameraAnimations.js';
+import { useStore } from '../store';
+
+export const DEEP_LINK_PARAMS = ['view', 'pose', 'fov', 'autoplay'];
+
+const POSE_PRECISION = 4;
+const MIN_FOV = 1;
+const MAX_FOV = 179;
+
+const formatNumber = (value) => String(Number(value.toFixed(POSE_PRECISION)));
+
+const parsePose = (value) => {
+  if (!value) return null;
+  const parts = value.split(',').map(Number);
+  if (parts.length !== 6 || !parts.every(Number.isFinite)) return null;
+  return { position: parts.slice(0, 3), target: parts.slice(3) };
+};
+
+const parseFov = (value) => {
+  const fov = Number(value);
+  if (!value || !Number.isFinite(fov)) return null;
+  return Math.min(MAX_FOV, Math.max(MIN_FOV, fov));
+};
+
+/**
+ * Read deep-link parameters from a query string.
+ * @param {string} search - e.g. window.location.search
+ * @returns {{ viewId: string | null, pose: { position: number[], target: number[] } | null, fov: number | null, autoplay: boolean }}
+ */
+export const readDeepLinkParams = (search) => {
+  const params = new URLSearchParams(search || '');
+  const autoplay = params.get('autoplay');
+  return {
+    viewId: params.get('view') || null,
+    pose: parsePose(params.get('pose')),
+    fov: parseFov(params.get('fov')),
+    autoplay: autoplay === '1' || autoplay === 'true',
+  };
+};
+
+/**
+ * Whether the parameters ask for a specific camera framing.
+ * @param {ReturnType<typeof readDeepLinkParams>} deepLink
+ * @returns {boolean}
+ */
+export const hasCameraOverride = (deepLink) => Boolean(deepLink?.pose || deepLink?.fov);
+
+/**
+ * Replace the deep-link parameters in a query string, keeping any others.
+ * @param {string} search
+ * @param {{ viewId?: string | null, pose?: string | null, fov?: string | null, autoplay?: boolean }} values
+ * @returns {string} Query string including the leading '?', or ''
+ */
+export const writeDeepLinkParams = (search, { viewId = null, pose = null, fov = null, autoplay = false } = {}) => {
+  const params = new URLSearchParams(search || '');
+  DEEP_LINK_PARAMS.forEach((key) => params.delete(key));
+  if (viewId) params.set('view', viewId);
+  if (pose) params.set('pose', pose);
+  if (fov) params.set('fov', fov);
+  if (autoplay) params.set('autoplay', '1');
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Current camera framing as deep-link parameter values.
+ * @returns {{ pose: string, fov: string } | null}
+ */
+export const captureDeepLinkCamera = () => {
+  if (!camera || !controls) return null;
+  const values = [...camera.position.toArray(), ...controls.target.toArray()];
+  return {
+    pose: values.map(formatNumber).join(','),
+    fov: formatNumber(camera.fov),
+  };
+};
+
+/**
+ * Snap the camera to a deep-linked pose and/or FOV, interrupting any load
+ * animation that would otherwise move it away.
+ * @param {ReturnType<typeof readDeepLinkParams>} deepLink
+ */
+export const applyDeepLinkCamera = ({ pose, fov }) => {
+  if (!camera || !controls || (!pose && !fov)) return;
+
+  cancelSlideAnimation();
+  cancelLoadZoomAnimation();
+
+  if (pose) {
+    controls.target.fromArray(pose.target);
+    camera.position.fromArray(pose.position);
+  }
+  if (fov) {
+    camera.fov = fov;
+    camera.updateProjectionMatrix();
+  }
+  controls.update();
+  camera.lookAt(controls.target);
+  controls.update();
+
+  updateDollyZoomBaselineFromCamera();
+  requestRender();
+  useStore.getState().setFov(Math.round(camera.fov));
+};
@@ -0,0 +1,63 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  captureDeepLinkCamera,
+  hasCameraOverride,
+  readDeepLinkParams,
+  writeDeepLinkParams,
+} from './deepLink.js';
+
+// No viewer is running: the camera helpers must cope without one
+vi.mock('../viewer.js', () => ({ camera: null, controls: null }));
+vi.mock('../customAnimations.js', () => ({}));
+vi.mock('../cameraAnimations.js', () => ({}));
+vi.mock('../store', () => ({}));
+
+describe('readDeepLinkParams', () => {
+  it('reads view, pose, fov and autoplay', () => {
+    expect(readDeepLinkParams('?view=front&pose=1,2,3,0,0,-1.5&fov=45&autoplay=1')).toEqual({
+      viewId: 'front',
+      pose: { position: [1, 2, 3], target: [0, 0, -1.5] },
+      fov: 45,
+      autoplay: true,
+    });
+    expect(readDeepLinkParams('?autoplay=true').autoplay).toBe(true);
+  });
+
+  it('drops malformed poses and clamps the fov', () => {
+    expect(readDeepLinkParams('?pose=1,2,3&fov=500&autoplay=yes')).toEqual({
+      viewId: null, pose: null, fov: 179, autoplay: false,
+    });
+    expect(readDeepLinkParams('?pose=1,2,3,a,5,6').pose).toBe(null);
+    expect(readDeepLinkParams('?fov=0').fov).toBe(1);
+    expect(readDeepLinkParams('').fov).toBe(null);
+  });
+
+  it('only treats pose and fov as camera overrides', () => {
+    expect(hasCameraOverride(readDeepLinkParams('?fov=30'))).toBe(true);
+    expect(hasCameraOverride(readDeepLinkParams('?view=front&autoplay=1'))).toBe(false);
+  });
+});
+
+describe('writeDeepLinkParams', () => {
+  it('replaces deep-link parameters and keeps unrelated ones', () => {
+    expect(writeDeepLinkParams('?shared=x&view=old&fov=20', { pose: '1,2,3,0,0,0', autoplay: true }))
+      .toBe('?shared=x&pose=1%2C2%2C3%2C0%2C0%2C0&autoplay=1');
+    expect(writeDeepLinkParams('?view=old&autoplay=1')).toBe('');
+  });
+
+  it('writes what readDeepLinkParams reads back', () => {
+    const search = writeDeepLinkParams('', { viewId: 'top', pose: '0.5,1,2,0,0,0', fov: '60' });
+    expect(readDeepLinkParams(search)).toEqual({
+      viewId: 'top',
+      pose: { position: [0.5, 1, 2], target: [0, 0, 0] },
+      fov: 60,
+      autoplay: false,
+    });
+  });
+});
+
+describe('captureDeepLinkCamera', () => {
+  it('returns null before the viewer exists', () => {
+    expect(captureDeepLinkCamera()).toBe(null);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Lazy ZIP archive reader.
+ * Reads only the central directory up front; each entry is sliced out of the
+ * archive Blob and inflated on demand, so large archives of splat assets can
+ * be browsed without unpacking everything into memory at once.
+ */
+
+import { inflate } from 'fflate';
+
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+const ZIP_CENTRAL_DIR_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIR = 0x06054b50;
+const ZIP_END_OF_CENTRAL_DIR_MIN_SIZE = 22;
+const ZIP_MAX_COMMENT_SIZE = 0xffff;
+const ZIP64_MARKER = 0xffffffff;
+
+const textDecoder = new TextDecoder('utf-8');
+
+const readBlobBytes = async (blob, start, end) => (
+  new Uint8Array(await blob.slice(start, end).arrayBuffer())
+);
+
+const inflateAsync = (data) => new Promise((resolve, reject) => {
+  inflate(data, (err, result) => {
+    if (err) reject(err);
+    else resolve(result);
+  });
+});
+
+/** Hidden files and macOS resource forks are never assets. */
+const isIgnoredEntry = (path) => {
+  const segments = path.split('/');
+  return segments.some((segment) => segment === '__MACOSX' || segment.startsWith('.'));
+};
+
+/**
+ * Check whether a file looks like a ZIP archive by name or MIME type.
+ * @param {File} file
+ */
+export const isZipFile = (file) => {
+  if (!file) return false;
+  const name = (file.name || '').toLowerCase();
+  return name.endsWith('.zip') || file.type === 'application/zip' || file.type === 'application/x-zip-compressed';
+};
+
+/**
+ * Read the archive's central directory.
+ * @param {Blob} blob
+ * @returns {Promise<Array<{ path: string, name: string, compression: number, compressedSize: number, size: number, localHeaderOffset: number }>>}
+ */
+export const readZipDirectory = async (blob) => {
+  const tailStart = Math.max(0, blob.size - (ZIP_END_OF_CENTRAL_DIR_MIN_SIZE + ZIP_MAX_COMMENT_SIZE));
+  const tail = await readBlobBytes(blob, tailStart, blob.size);
+  const tailView = new DataView(tail.buffer);
+
+  let eocd = -1;
+  for (let offset = tail.byteLength - ZIP_END_OF_CENTRAL_DIR_MIN_SIZE; offset >= 0; offset -= 1) {
+    if (tailView.getUint32(offset, true) === ZIP_END_OF_CENTRAL_DIR) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+
+  const centralDirSize = tailView.getUint32(eocd + 12, true);
+  const centralDirOffset = tailView.getUint32(eocd + 16, true);
+  if (centralDirOffset === ZIP64_MARKER || centralDirSize === ZIP64_MARKER) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const directory = await readBlobBytes(blob, centralDirOffset, centralDirOffset + centralDirSize);
+  const view = new DataView(directory.buffer);
+  const entries = [];
+
+  let offset = 0;
+  while (offset + 46 <= directory.byteLength) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_DIR_HEADER) break;
+
+    const compression = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localHeaderOffset = view.getUint32(offset + 42, true);
+
+    const nameStart = offset + 46;
+    const path = textDecoder.decode(directory.subarray(nameStart, nameStart + nameLength)).replace(/\\/g, '/');
+    offset = nameStart + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/') || isIgnoredEntry(path)) continue;
+    if (compressedSize === ZIP64_MARKER || size === ZIP64_MARKER) {
+      throw new Error(`ZIP64 entry is not supported: ${path}`);
+    }
+
+    entries.push({
+      path,
+      name: path.split('/').pop(),
+      compression,
+      compressedSize,
+      size,
+      localHeaderOffset,
+    });
+  }
+
+  return entries;
+};
+
+/**
+ * Extract one entry's bytes from the archive.
+ * @param {Blob} blob
+ * @param {{ path: string, compression: number, compressedSize: number, localHeaderOffset: number }} entry
+ * @returns {Promise<Uint8Array>}
+ */
+export const extractZipEntry = async (blob, entry) => {
+  const header = await readBlobBytes(blob, entry.localHeaderOffset, entry.localHeaderOffset + 30);
+  const headerView = new DataView(header.buffer);
+  if (header.byteLength < 30 || headerView.getUint32(0, true) !== ZIP_LOCAL_FILE_HEADER) {
+    throw new Error(`Corrupt ZIP entry: ${entry.path}`);
+  }
+
+  const nameLength = headerView.getUint16(26, true);
+  const extraLength = headerView.getUint16(28, true);
+  const dataStart = entry.localHeaderOffset + 30 + nameLength + extraLength;
+  const data = await readBlobBytes(blob, dataStart, dataStart + entry.compressedSize);
+
+  if (entry.compression === 0) return data;
+  if (entry.compression === 8) return inflateAsync(data);
+  throw new Error(`Unsupported ZIP compression method ${entry.compression}: ${entry.path}`);
+};
+
+/**
+ * Open a ZIP archive for lazy access.
+ * @param {File} file
+ * @returns {Promise<{ name: string, entries: Array, extract: (entry: Object) => Promise<File> }>}
+ */
+export const openZipArchive = async (file) => {
+  const entries = await readZipDirectory(file);
+  return {
+    name: file.name,
+    entries,
+    async extract(entry) {
+      const bytes = await extractZipEntry(file, entry);
+      return new File([bytes], entry.name, { lastModified: file.lastModified });
+    },
+  };
+};
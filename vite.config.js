@@ -2,6 +2,8 @@ import { defineConfig } from 'vite'
 import preact from '@preact/preset-vite'
 import basicSsl from '@vitejs/plugin-basic-ssl'
 import { VitePWA } from 'vite-plugin-pwa'
+import { readdirSync, statSync, writeFileSync } from 'node:fs'
+import { join, relative, resolve, sep } from 'node:path'
 
 const normalizeBasePath = (value) => {
   const text = String(value || '/').trim();
@@ -11,49 +13,84 @@ const normalizeBasePath = (value) => {
 
 const base = normalizeBasePath(process.env.BASE_PATH || '/');
 
-export default defineConfig({
-  plugins: [
-    preact(),
-    basicSsl(),
-    VitePWA({
-      registerType: 'autoUpdate',
-      injectRegister: null,
-      manifest: {
-        id: './',
-        name: 'Radia',
-        short_name: 'Radia',
-        start_url: './',
-        scope: './',
-        display: 'fullscreen',
-        display_override: ['fullscreen', 'standalone'],
-        background_color: '#0c0d10',
-        theme_color: '#0c0d10',
-        icons: [
-          {
-            src: `${base}radiaIcon_192.png`,
-            sizes: '192x192',
-            type: 'image/png',
-            purpose: 'maskable'
-          },
-          {
-            src: `${base}radiaIcon_512.png`,
-            sizes: '512x512',
-            type: 'image/png'
-          }
-        ]
-      },
-      workbox: {
-        navigateFallback: `${base}index.html`,
-        globPatterns: ['**/*.{js,css,html,ico,png,svg,jpg,jpeg,webp,woff2}'],
-        maximumFileSizeToCacheInBytes: 3 * 1024 * 1024
-      }
-    })
-  ],
-  // Use BASE_PATH environment variable, defaulting to '/' (for local development)
-  // GitHub Actions sets BASE_PATH to /repo-name/
-  base,
-  server: {
-    https: false,
-    host: true
+// Lists every file of the gallery build so the app can copy the viewer into
+// a published static gallery (src/storage/staticGallery.js)
+const galleryFileList = () => {
+  let outDir = ''
+  return {
+    name: 'gallery-file-list',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+    },
+    closeBundle() {
+      const walk = (dir) => readdirSync(dir).flatMap((entry) => {
+        const path = join(dir, entry)
+        return statSync(path).isDirectory() ? walk(path) : [relative(outDir, path).split(sep).join('/')]
+      })
+      const files = walk(outDir).filter((file) => file !== 'files.json')
+      writeFileSync(join(outDir, 'files.json'), JSON.stringify(files))
+    }
+  }
+}
+
+export default defineConfig(({ mode }) => {
+  // `vite build --mode gallery`: the read-only viewer copied into published
+  // galleries. Relative base so it works from any folder on a static host;
+  // app code goes in app/ to keep assets/ free for the collection.
+  const isGallery = mode === 'gallery'
+
+  return {
+    plugins: [
+      preact(),
+      basicSsl(),
+      isGallery && galleryFileList(),
+      VitePWA({
+        disable: isGallery,
+        registerType: 'autoUpdate',
+        injectRegister: null,
+        manifest: {
+          id: './',
+          name: 'Radia',
+          short_name: 'Radia',
+          start_url: './',
+          scope: './',
+          display: 'fullscreen',
+          display_override: ['fullscreen', 'standalone'],
+          background_color: '#0c0d10',
+          theme_color: '#0c0d10',
+          icons: [
+            {
+              src: `${base}radiaIcon_192.png`,
+              sizes: '192x192',
+              type: 'image/png',
+              purpose: 'maskable'
+            },
+            {
+              src: `${base}radiaIcon_512.png`,
+              sizes: '512x512',
+              type: 'image/png'
+            }
+          ]
+        },
+        workbox: {
+          navigateFallback: `${base}index.html`,
+          // Pin-for-offline downloads and cache routes (public/offline-pins-sw.js)
+          importScripts: ['offline-pins-sw.js'],
+          globPatterns: ['**/*.{js,css,html,ico,png,svg,jpg,jpeg,webp,woff2}'],
+          maximumFileSizeToCacheInBytes: 3 * 1024 * 1024
+        }
+      })
+    ],
+    // Use BASE_PATH environment variable, defaulting to '/' (for local development)
+    // GitHub Actions sets BASE_PATH to /repo-name/
+    base: isGallery ? './' : base,
+    build: isGallery
+      ? { outDir: 'dist/gallery', assetsDir: 'app', emptyOutDir: true }
+      : {},
+    server: {
+      https: false,
+      host: true
+    }
   }
 })